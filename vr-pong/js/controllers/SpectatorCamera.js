@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// Camera for spectators: a few fixed seats around the table plus a free-fly mode.
+// On desktop it moves the camera itself; in VR it moves the player group the headset
+// camera sits in, turning it only about the vertical axis so the horizon stays level.
+
+const TABLE_CENTER = new THREE.Vector3(0, 0.9, -1.0);
+const EYE_HEIGHT = 1.6; // Assumed standing eye height above the VR floor
+
+// Eye positions of the fixed seats. The host plays at the near end (z = -0.1).
+export const SPECTATOR_SEATS = {
+    side: { label: 'SIDE', position: new THREE.Vector3(1.6, 1.5, -1.0) },
+    host: { label: 'BEHIND HOST', position: new THREE.Vector3(0, 1.6, 0.9) },
+    guest: { label: 'BEHIND GUEST', position: new THREE.Vector3(0, 1.6, -2.9) },
+    overhead: { label: 'OVERHEAD', position: new THREE.Vector3(0, 3.0, -0.2) }
+};
+
+export const SPECTATOR_MODES = [...Object.keys(SPECTATOR_SEATS), 'free'];
+
+export class SpectatorCamera {
+    constructor(camera, playerGroup) {
+        this.camera = camera;
+        this.playerGroup = playerGroup;
+        this.mode = 'side';
+
+        this.flySpeed = 1.5;   // Metres per second in free-fly mode
+        this.lookSpeed = 2.0;  // Radians per unit of mouse movement
+        this.yaw = 0;
+        this.pitch = 0;
+        this.lastMouse = null;
+    }
+
+    // Move to the first seat. Returns the VR floor height to hold (see Game.initialFloorHeight).
+    start(isInVR) {
+        this.mode = SPECTATOR_MODES[0];
+        return this.applySeat(isInVR);
+    }
+
+    // Switch to the next seat, or to free-fly after the last one
+    cycle(isInVR) {
+        const index = SPECTATOR_MODES.indexOf(this.mode);
+        this.mode = SPECTATOR_MODES[(index + 1) % SPECTATOR_MODES.length];
+        console.log(`Spectator camera: ${this.getLabel()}`);
+        return this.applySeat(isInVR);
+    }
+
+    getLabel() {
+        return this.mode === 'free' ? 'FREE FLY' : SPECTATOR_SEATS[this.mode].label;
+    }
+
+    // Place the camera at the current seat, looking at the table. Free-fly starts from
+    // wherever the camera is.
+    applySeat(isInVR) {
+        if (this.mode === 'free') {
+            const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+            this.yaw = isInVR ? this.playerGroup.rotation.y : euler.y;
+            this.pitch = isInVR ? 0 : euler.x;
+            this.lastMouse = null;
+            return this.playerGroup.position.y;
+        }
+
+        const eye = SPECTATOR_SEATS[this.mode].position;
+        if (isInVR) {
+            this.playerGroup.position.set(eye.x, eye.y - EYE_HEIGHT, eye.z);
+            this.playerGroup.rotation.set(0, Math.atan2(eye.x - TABLE_CENTER.x, eye.z - TABLE_CENTER.z), 0);
+        } else {
+            this.camera.position.copy(eye);
+            this.camera.lookAt(TABLE_CENTER);
+        }
+        return this.playerGroup.position.y;
+    }
+
+    // Desktop free-fly: WASD / arrow keys move, Q / E go down / up, dragging the mouse looks around
+    updateDesktop(delta, controls) {
+        if (this.mode !== 'free') return;
+
+        const keys = controls.keys;
+        const move = new THREE.Vector3(
+            (keys['d'] || keys['ArrowRight'] ? 1 : 0) - (keys['a'] || keys['ArrowLeft'] ? 1 : 0),
+            (keys['e'] ? 1 : 0) - (keys['q'] ? 1 : 0),
+            (keys['s'] || keys['ArrowDown'] ? 1 : 0) - (keys['w'] || keys['ArrowUp'] ? 1 : 0)
+        );
+
+        if (controls.isMouseDown) {
+            if (this.lastMouse) {
+                this.yaw -= (controls.mouseX - this.lastMouse.x) * this.lookSpeed;
+                this.pitch += (controls.mouseY - this.lastMouse.y) * this.lookSpeed;
+                this.pitch = THREE.MathUtils.clamp(this.pitch, -Math.PI / 2 + 0.05, Math.PI / 2 - 0.05);
+            }
+            this.lastMouse = { x: controls.mouseX, y: controls.mouseY };
+        } else {
+            this.lastMouse = null;
+        }
+
+        this.camera.quaternion.setFromEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ'));
+
+        // Horizontal movement follows the view direction; vertical movement is always straight up
+        const horizontal = new THREE.Vector3(move.x, 0, move.z).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.yaw);
+        this.camera.position.addScaledVector(horizontal, this.flySpeed * delta);
+        this.camera.position.y += move.y * this.flySpeed * delta;
+    }
+
+    // VR free-fly height: the right thumbstick moves up and down (the left one already walks
+    // the player group around, see VRController). Returns the floor height to hold.
+    updateVR(delta, rightGamepad) {
+        if (this.mode === 'free' && rightGamepad && rightGamepad.axes.length >= 4) {
+            const vertical = -rightGamepad.axes[3];
+            if (Math.abs(vertical) > 0.2) {
+                this.playerGroup.position.y = THREE.MathUtils.clamp(
+                    this.playerGroup.position.y + vertical * this.flySpeed * delta,
+                    0,
+                    3
+                );
+            }
+        }
+        return this.playerGroup.position.y;
+    }
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
+import { clampPaddlePose } from '../sim/TableTennisPhysics.mjs';
 
 export class VRController {
     constructor(renderer, playerGroup) {
@@ -8,10 +9,13 @@ export class VRController {
         this.controllers = [];
         this.controllerGrips = [];
         this.controllerStates = {
-            left: { touching: false, gripping: false, lastPosition: new THREE.Vector3() },
-            right: { touching: false, gripping: false, lastPosition: new THREE.Vector3(), thumbstickPressed: false }
+            left: { touching: false, gripping: false, lastPosition: new THREE.Vector3(), history: [] },
+            right: { touching: false, gripping: false, lastPosition: new THREE.Vector3(), history: [], thumbstickPressed: false }
         };
         
+        // Controller position history used to measure swing velocity
+        this.historyDuration = 100; // milliseconds of samples to keep
+        
         // Movement and rotation settings
         this.moveSpeed = 0.05;
         this.snapAngle = 25 * (Math.PI / 180); // 25 degrees in radians
@@ -23,6 +27,9 @@ export class VRController {
         this.tableLength = 2.0;
         this.paddleHeight = 0.9;
         this.tableCenter = new THREE.Vector3(0, this.paddleHeight, -1.0);
+        
+        // Table tennis ruleset: the paddle follows the controller's full position and rotation
+        this.fullPoseTracking = false;
 
         this.setupControllers();
     }
@@ -115,7 +122,52 @@ export class VRController {
         return controller.userData.lastSelectEndTime > timestamp;
     }
 
-    updatePaddlePosition(paddle, controllerPosition) {
+    recordControllerHistory(side, position) {
+        const history = this.controllerStates[side].history;
+        const now = performance.now();
+        history.push({ position: position.clone(), time: now });
+        
+        while (history.length > 2 && now - history[0].time > this.historyDuration) {
+            history.shift();
+        }
+    }
+
+    // Average controller velocity (m/s, world space) over the recent history
+    getControllerVelocity(side) {
+        const history = this.controllerStates[side].history;
+        const velocity = new THREE.Vector3();
+        if (history.length < 2) return velocity;
+        
+        const oldest = history[0];
+        const newest = history[history.length - 1];
+        const seconds = (newest.time - oldest.time) / 1000;
+        if (seconds <= 0) return velocity;
+        
+        return velocity.subVectors(newest.position, oldest.position).divideScalar(seconds);
+    }
+
+    // Velocity of the controller currently holding the paddle, or null if none is
+    getActivePaddleVelocity() {
+        const state = this.controllerStates[this.activeSide];
+        if (!this.activePaddle || !state || !state.gripping) return null;
+        return this.getControllerVelocity(this.activeSide);
+    }
+
+    setFullPoseTracking(enabled) {
+        this.fullPoseTracking = enabled;
+    }
+
+    updatePaddlePosition(paddle, controllerPosition, controller = null) {
+        if (this.fullPoseTracking) {
+            // Free 3D paddle, kept inside the player's end of the table
+            const pose = clampPaddlePose(controllerPosition);
+            paddle.position.set(pose.x, pose.y, pose.z);
+            if (controller) {
+                controller.getWorldQuaternion(paddle.quaternion);
+            }
+            return;
+        }
+
         // Constrain paddle movement to table bounds
         const tableHalfWidth = 0.75;
         const clampedX = THREE.MathUtils.clamp(
@@ -246,7 +298,7 @@ export class VRController {
                                  this.activePaddle.getPaddle() : 
                                  this.activePaddle;
                 
-                this.updatePaddlePosition(paddleMesh, controllerPosition);
+                this.updatePaddlePosition(paddleMesh, controllerPosition, controller);
                 
                 if (movement > 0.001 && gamepad.hapticActuators?.[0]) {
                     const intensity = THREE.MathUtils.clamp(movement * 10, 0.1, 0.5);
@@ -256,6 +308,7 @@ export class VRController {
         }
         
         this.controllerStates[side].lastPosition.copy(controllerPosition);
+        this.recordControllerHistory(side, controllerPosition);
     }
 
     handleThumbstickInput(side, gamepad, currentTime) {
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { TT_TABLE } from '../sim/TableTennisPhysics.mjs';
+import { LeaderboardWall } from './LeaderboardWall.js';
 
 export class GameEnvironment {
     constructor(scene) {
@@ -10,8 +12,10 @@ export class GameEnvironment {
         this.createLighting();
         this.createWalls();
         this.createTable();
+        this.createNet();
         this.createGridFloor();
         this.createAmbientEffects();
+        this.leaderboardWall = new LeaderboardWall(scene);
     }
 
     createLighting() {
@@ -180,6 +184,30 @@ export class GameEnvironment {
         this.scene.background = new THREE.Color(0x000033);
     }
 
+    createNet() {
+        // Only shown for the table tennis ruleset, where the ball can hit it
+        const netGeometry = new THREE.BoxGeometry(
+            TT_TABLE.netHalfWidth * 2,
+            TT_TABLE.netHeight,
+            TT_TABLE.netThickness
+        );
+        const netMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            emissive: 0x00ffff,
+            emissiveIntensity: 0.3,
+            transparent: true,
+            opacity: 0.5
+        });
+        this.net = new THREE.Mesh(netGeometry, netMaterial);
+        this.net.position.set(0, TT_TABLE.surfaceY + TT_TABLE.netHeight / 2, TT_TABLE.centerZ);
+        this.net.visible = false;
+        this.scene.add(this.net);
+    }
+
+    setNetVisible(visible) {
+        this.net.visible = visible;
+    }
+
     flashRail(side) {
         // Flash both rails red
         this.leftRail.material = this.redRailMaterial;
@@ -192,6 +220,11 @@ export class GameEnvironment {
         }, 1000);
     }
 
+    // Show the latest leaderboards, e.g. after a match was submitted
+    refreshLeaderboards() {
+        this.leaderboardWall.refresh();
+    }
+
     getTable() {
         return this.table;
     }
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+import { fetchLeaderboards } from '../network/LeaderboardApi.js';
+import { getBoardTitle, formatBoardValue } from '../network/Leaderboards.mjs';
+import { getAvatarGlyph } from '../network/Profile.mjs';
+
+const ENTRIES_SHOWN = 5;
+const PAGE_INTERVAL = 8000; // Milliseconds each board stays up
+const REFRESH_INTERVAL = 60000; // Milliseconds between fetches of the boards
+
+// Screen on the arena's left wall showing the top of the server's leaderboards, one board
+// at a time. Boards nobody is on yet are skipped.
+export class LeaderboardWall {
+    constructor(scene) {
+        this.scene = scene;
+        this.boards = [];
+        this.page = 0;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 1024;
+        this.canvas.height = 768;
+        this.texture = new THREE.CanvasTexture(this.canvas);
+
+        this.mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(1.6, 1.2),
+            new THREE.MeshBasicMaterial({ map: this.texture, transparent: true })
+        );
+        // Just off the wall's inner face, turned towards the table
+        this.mesh.position.set(-1.94, 1.7, -1.4);
+        this.mesh.rotation.y = Math.PI / 2;
+        this.scene.add(this.mesh);
+
+        this.draw();
+        this.refresh();
+        this.pageInterval = setInterval(() => this.nextPage(), PAGE_INTERVAL);
+        this.refreshInterval = setInterval(() => this.refresh(), REFRESH_INTERVAL);
+    }
+
+    // Fetch the boards again, e.g. after submitting a result
+    async refresh() {
+        const boards = await fetchLeaderboards(ENTRIES_SHOWN);
+        if (!boards) return;
+
+        this.boards = boards.filter(board => board.entries.length > 0);
+        this.page = Math.min(this.page, Math.max(0, this.boards.length - 1));
+        this.draw();
+    }
+
+    nextPage() {
+        if (this.boards.length < 2) return;
+        this.page = (this.page + 1) % this.boards.length;
+        this.draw();
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        const context = canvas.getContext('2d');
+        const board = this.boards[this.page];
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = 'rgba(0, 0, 40, 0.8)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.strokeStyle = '#00ffff';
+        context.lineWidth = 8;
+        context.strokeRect(4, 4, canvas.width - 8, canvas.height - 8);
+
+        context.textBaseline = 'middle';
+        context.textAlign = 'center';
+        context.fillStyle = '#00ffff';
+        context.font = 'bold 64px Arial';
+        context.fillText('LEADERBOARDS', canvas.width / 2, 70);
+
+        if (!board) {
+            context.fillStyle = '#cccccc';
+            context.font = '44px Arial';
+            context.fillText('NO RECORDS YET', canvas.width / 2, canvas.height / 2);
+            this.texture.needsUpdate = true;
+            return;
+        }
+
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 48px Arial';
+        context.fillText(getBoardTitle(board.board), canvas.width / 2, 160, canvas.width - 60);
+
+        context.font = '44px Arial';
+        board.entries.forEach((entry, i) => {
+            const y = 270 + i * 100;
+            const glyph = getAvatarGlyph(entry.avatar);
+            context.fillStyle = i === 0 ? '#ffcc00' : '#cccccc';
+            context.textAlign = 'left';
+            context.fillText(`${entry.rank}.`, 50, y);
+            context.fillStyle = '#ffffff';
+            context.fillText(glyph ? `${glyph} ${entry.name}` : entry.name, 140, y, 520);
+            context.textAlign = 'right';
+            context.fillText(formatBoardValue(board.board, entry.value), canvas.width - 50, y, 300);
+        });
+
+        if (this.boards.length > 1) {
+            context.textAlign = 'center';
+            context.fillStyle = '#888888';
+            context.font = '32px Arial';
+            context.fillText(`${this.page + 1} / ${this.boards.length}`, canvas.width / 2, canvas.height - 40);
+        }
+
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        clearInterval(this.pageInterval);
+        clearInterval(this.refreshInterval);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.texture.dispose();
+        this.scene.remove(this.mesh);
+    }
+}
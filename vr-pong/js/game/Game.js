@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { VRButton } from 'three/addons/webxr/VRButton.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
 import { VRController } from '../controllers/VRController.js';
+import { SpectatorCamera } from '../controllers/SpectatorCamera.js';
 import { GameEnvironment } from '../environment/GameEnvironment.js';
 import { Paddle } from './Paddle.js';
 import { Ball } from './Ball.js';
@@ -10,7 +11,19 @@ import { StartButton } from '../ui/StartButton.js';
 import { ScoreDisplay } from '../ui/ScoreDisplay.js';
 import { Timer } from '../ui/Timer.js';
 import { MultiplayerMenu } from '../ui/MultiplayerMenu.js';
+import { LobbyPanel } from '../ui/LobbyPanel.js';
+import { ResultsPanel } from '../ui/ResultsPanel.js';
+import { SpectatorCount } from '../ui/SpectatorCount.js';
 import { MultiplayerManager } from '../network/MultiplayerManager.js';
+import { saveMatch } from './MatchHistory.js';
+import { requestLeaderboardTicket, submitLeaderboardResult } from '../network/LeaderboardApi.js';
+import { loadProfile, saveProfile } from './PlayerProfile.js';
+import { SEATS, getTeammateSeat } from '../network/Seats.mjs';
+import { DEFAULT_PADDLE_COLOR, formatProfileName } from '../network/Profile.mjs';
+import { GameSimulation, clampToLane } from '../sim/GameSimulation.mjs';
+import { DEFAULT_DIFFICULTY } from '../sim/PaddleAI.mjs';
+import { MatchStats } from '../sim/MatchStats.mjs';
+import { getPresetRules, readMatchRules, describeMatchRules } from '../sim/MatchRules.mjs';
 
 export class Game {
     constructor() {
@@ -25,6 +38,14 @@ export class Game {
         this.isMultiplayer = false;
         this.isLocalPlayer = true; // Player is host by default
         this.isInVR = false; // Track if user is in VR
+        this.isSpectating = false; // Watching someone else's multiplayer room
+        this.partnerPaddles = { near: null, far: null }; // Doubles: the second paddle of each team
+        this.spectatorButtons = { trigger: false, squeeze: false }; // Previous VR button states
+        this.ruleset = 'classic'; // 'classic' or 'tableTennis', picked in the game mode menu
+        this.aiDifficulty = DEFAULT_DIFFICULTY; // AI profile, also picked in the menu
+        this.matchRulesPreset = 'standard'; // Match rules picked in the menu (see MatchRules.mjs)
+        this.matchRules = getPresetRules(this.matchRulesPreset, this.ruleset); // Of the current match
+        this.profile = loadProfile(); // Our name, paddle color and avatar
         
         // Button interaction state tracking
         this.lastButtonPressController = null;
@@ -52,7 +73,14 @@ export class Game {
                 'ArrowRight': false,
                 'a': false,
                 'd': false,
-                ' ': false
+                ' ': false,
+                // Spectator free-fly camera
+                'w': false,
+                's': false,
+                'q': false,
+                'e': false,
+                'ArrowUp': false,
+                'ArrowDown': false
             },
             isMouseDown: false,
             mouseX: 0,
@@ -139,6 +167,7 @@ export class Game {
 
     setupMultiplayerCallbacks() {
         this.multiplayerMenu = new MultiplayerMenu(this.scene);
+        this.multiplayerMenu.setProfile(this.profile);
         
         // Set up the callbacks for the multiplayer menu buttons
         this.multiplayerMenu.setCallbacks({
@@ -149,35 +178,23 @@ export class Game {
                 // Reset existing game state
                 this.resetGame();
                 
-                // Start a single player game against AI
-                this.isMultiplayer = false;
-                this.isGameStarted = true;
-                
-                // Reset scores
-                this.playerScore = 0;
-                this.aiScore = 0;
-                this.playerScoreDisplay.updateScore(0);
-                this.aiScoreDisplay.updateScore(0);
-                
                 // Make sure the AI paddle is positioned correctly
                 this.aiPaddle.getPaddle().position.z = -1.9;
                 this.playerPaddle.getPaddle().position.z = -0.1;
                 
-                // Start game directly
-                this.ball.start();
-                this.timer.start();
-                if (this.soundManager) {
-                    this.soundManager.startBackgroundMusic();
-                }
+                // Start a single player game against AI
+                this.startSinglePlayerGame();
                 
                 this.showMessage('Single Player Game Started!');
             },
             onHost: () => {
                 if (this.multiplayerManager.isConnected) {
                     console.log("Attempting to host a game...");
-                    this.multiplayerManager.hostGame();
+                    const isPrivate = this.multiplayerMenu.getOption('privacy') === 'private';
+                    this.multiplayerManager.hostGame(this.ruleset, isPrivate, this.multiplayerMenu.getOption('mode'),
+                        getPresetRules(this.matchRulesPreset, this.ruleset));
                     this.multiplayerMenu.hide();
-                    // Hide start button until someone joins
+                    // Hidden until the room is created (see MultiplayerManager's gameHosted)
                     this.startButton.hide();
                     this.showMessage('Hosting a game. Waiting for players...');
                 } else {
@@ -185,26 +202,354 @@ export class Game {
                     this.showMessage('Not connected to server. Please try again.');
                 }
             },
+            // Enter or leave the matchmaking queue. The menu stays open while searching.
             onJoin: () => {
-                if (this.multiplayerManager.isConnected) {
-                    console.log("Attempting to join a game...");
-                    this.multiplayerManager.quickJoin();
-                    this.multiplayerMenu.hide();
-                    // Hide start button for guest
-                    this.startButton.hide();
-                    this.showMessage('Searching for a game to join...');
+                if (this.multiplayerManager.isQueued) {
+                    console.log("Leaving the matchmaking queue");
+                    this.multiplayerManager.leaveQueue();
+                    this.updateQueueStatus(null);
+                    this.showMessage('Search cancelled');
+                } else if (this.multiplayerManager.isConnected) {
+                    console.log("Joining the matchmaking queue...");
+                    if (this.multiplayerManager.joinQueue(this.ruleset)) {
+                        this.updateQueueStatus({ estimatedWait: null });
+                        this.showMessage('Searching for an opponent of similar skill...');
+                    }
                 } else {
                     console.log("Not connected to server");
                     this.showMessage('Not connected to server. Please try again.');
                 }
             },
+            onJoinCode: (code) => this.joinRoom(code),
+            // The lobby browser is open alongside the menu
+            onShow: () => {
+                this.lobbyPanel.show();
+                this.multiplayerManager.watchLobby();
+            },
+            onHide: () => {
+                this.lobbyPanel.hide();
+                this.multiplayerManager.leaveLobby();
+                this.multiplayerManager.leaveQueue();
+                this.updateQueueStatus(null);
+            },
             onBack: () => {
                 // Return to main menu
                 console.log("Returning to main menu");
                 this.multiplayerMenu.hide();
                 this.startButton.show();
+            },
+            onProfileChange: (profile) => this.setProfile(profile),
+            onOptionChange: (option, value) => {
+                if (option === 'ruleset') {
+                    this.setRuleset(value);
+                    this.setMatchRules(getPresetRules(this.matchRulesPreset, this.ruleset));
+                } else if (option === 'matchRules') {
+                    this.matchRulesPreset = value;
+                    this.setMatchRules(getPresetRules(value, this.ruleset));
+                    this.showMessage(describeMatchRules(this.matchRules), 2000);
+                } else if (option === 'difficulty') {
+                    this.aiDifficulty = value;
+                    this.simulation.setAI('far', value);
+                }
             }
         });
+        
+        this.lobbyPanel = new LobbyPanel(this.scene);
+        this.lobbyPanel.setCallbacks({
+            onJoinRoom: (roomId) => this.joinRoom(roomId),
+            onWatchRoom: (roomId) => this.watchRoom(roomId)
+        });
+        
+        this.resultsPanel = new ResultsPanel(this.scene);
+        this.resultsPanel.setCallbacks({
+            onRematch: () => this.rematch()
+        });
+    }
+    
+    // Keep an edited profile and show it to everyone, including the room we are in
+    setProfile(profile) {
+        this.profile = profile;
+        saveProfile(profile);
+        this.multiplayerManager.updateProfile(profile);
+        this.showProfiles();
+        this.showMessage(`Profile saved: ${formatProfileName(profile)}`, 2000);
+    }
+    
+    // Names on the score boards and paddle colors: ours against the AI, the players' in
+    // multiplayer. The player score board shows the near team's score when we are (or watch
+    // from) the near end.
+    showProfiles() {
+        const paddles = {
+            player: this.playerPaddle,
+            opponent: this.aiPaddle,
+            nearPartner: this.partnerPaddles.near,
+            farPartner: this.partnerPaddles.far
+        };
+        
+        if (!this.isMultiplayer) {
+            this.playerScoreDisplay.updateLabel(formatProfileName(this.profile));
+            this.aiScoreDisplay.updateLabel('AI');
+            this.playerPaddle.setColor(this.profile.color);
+            this.aiPaddle.setColor(DEFAULT_PADDLE_COLOR);
+            return;
+        }
+        
+        const manager = this.multiplayerManager;
+        const ownSide = this.isLocalPlayer ? 'near' : 'far';
+        this.playerScoreDisplay.updateLabel(manager.getTeamLabel(ownSide));
+        this.aiScoreDisplay.updateLabel(manager.getTeamLabel(ownSide === 'near' ? 'far' : 'near'));
+        
+        const seats = manager.getPaddleSeats();
+        for (const [key, paddle] of Object.entries(paddles)) {
+            if (!paddle) continue;
+            const profile = manager.profiles[seats[key]];
+            paddle.setColor(profile ? profile.color : DEFAULT_PADDLE_COLOR);
+        }
+    }
+    
+    // Start a match against the AI: scores, stats, ball, timer and music
+    startSinglePlayerGame() {
+        clearTimeout(this.resetTimeout);
+        this.resultsPanel.hide();
+        this.startButton.hide();
+        
+        this.isMultiplayer = false;
+        this.isGameStarted = true;
+        this.playerScore = 0;
+        this.aiScore = 0;
+        this.playerScoreDisplay.updateScore(0);
+        this.aiScoreDisplay.updateScore(0);
+        this.setMatchRules(getPresetRules(this.matchRulesPreset, this.ruleset));
+        this.matchStats.reset();
+        this.matchStartedAt = performance.now();
+        // The server only takes results of matches it saw start (see LeaderboardApi.js)
+        this.leaderboardTicket = requestLeaderboardTicket(this.multiplayerManager.playerId);
+        
+        this.simulation.start();
+        this.timer.start();
+        if (this.soundManager) {
+            this.soundManager.startBackgroundMusic();
+        }
+    }
+    
+    // Play the same opponent again through the usual start flow: in a multiplayer room the
+    // host starts the next match, alone we start a new single player game
+    rematch() {
+        this.resultsPanel.hide();
+        if (this.multiplayerManager.isInMultiplayerGame()) {
+            if (this.multiplayerManager.isHosting()) {
+                this.multiplayerManager.startGame();
+                this.startButton.hide();
+            } else {
+                this.showMessage("Waiting for host to start the game...");
+            }
+            return;
+        }
+        
+        this.resetGame();
+        this.startSinglePlayerGame();
+        this.showMessage('Rematch!');
+    }
+    
+    // Show matchmaking progress on the join button, which cancels the search while queued.
+    // status is the server's queueStatus, or null when not queued.
+    updateQueueStatus(status) {
+        if (!status) {
+            this.multiplayerMenu.setButtonText('join', 'FIND MATCH');
+            return;
+        }
+        
+        const wait = status.estimatedWait === null || status.estimatedWait === undefined ?
+            'SEARCHING' : `~${status.estimatedWait}S`;
+        this.multiplayerMenu.setButtonText('join', `CANCEL (${wait})`);
+    }
+    
+    onMatchFound(data) {
+        this.multiplayerMenu.hide();
+        this.startButton.hide();
+        this.showMessage(`Opponent found! Their rating: ${data.opponentRating}, yours: ${data.rating}`, 5000);
+    }
+    
+    // Join a room by its code (typed on the keypad or picked in the lobby browser)
+    joinRoom(code) {
+        if (this.multiplayerManager.isConnected) {
+            console.log(`Attempting to join room ${code}...`);
+            this.multiplayerManager.joinRoom(code);
+            this.multiplayerMenu.hide();
+            this.startButton.hide();
+            this.showMessage(`Joining room ${code}...`);
+        } else {
+            console.log("Not connected to server");
+            this.showMessage('Not connected to server. Please try again.');
+        }
+    }
+
+    // Hold a multiplayer match while a player is disconnected. With resumeBy (a timestamp),
+    // the message counts down the seconds left for them to return.
+    pauseMultiplayerGame(message, resumeBy = null) {
+        console.log(`Multiplayer game paused: ${message}`);
+        this.isGamePaused = true;
+        this.timer.stop();
+        
+        if (resumeBy === null) {
+            this.stopCountdown();
+            this.showMessage(message, 60000);
+            return;
+        }
+        this.startCountdown(resumeBy, (seconds) => `${message} ${seconds}s`);
+    }
+    
+    // Everyone is back: count down to the restart
+    showResumeCountdown(delay) {
+        this.startCountdown(Date.now() + delay, (seconds) => `Resuming in ${seconds}...`);
+    }
+    
+    resumeMultiplayerGame() {
+        this.stopCountdown();
+        this.isGamePaused = false;
+        if (this.isGameStarted || this.isSpectating) {
+            this.timer.resume();
+            this.showMessage('Play!', 1000);
+        } else {
+            this.messageDisplay.visible = false;
+        }
+    }
+    
+    // Show format(secondsLeft) as a message until endTime
+    startCountdown(endTime, format) {
+        this.stopCountdown();
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((endTime - Date.now()) / 1000));
+            this.showMessage(format(seconds), 1500);
+            if (seconds === 0) this.stopCountdown();
+        };
+        tick();
+        this.countdownInterval = setInterval(tick, 250);
+    }
+    
+    stopCountdown() {
+        clearInterval(this.countdownInterval);
+        this.countdownInterval = null;
+    }
+    
+    // Watch a full or running room from the lobby browser
+    watchRoom(code) {
+        if (this.multiplayerManager.isConnected) {
+            console.log(`Attempting to watch room ${code}...`);
+            if (this.multiplayerManager.spectateRoom(code)) {
+                this.showMessage(`Joining room ${code} as a spectator...`);
+            }
+        } else {
+            console.log("Not connected to server");
+            this.showMessage('Not connected to server. Please try again.');
+        }
+    }
+    
+    // The server accepted us as a spectator. We watch in the host's frame: the near
+    // paddle is the host's, the far paddle the guest's.
+    startSpectating(data) {
+        console.log(`Spectating room ${data.roomId}`);
+        this.isSpectating = true;
+        this.isMultiplayer = true;
+        this.isLocalPlayer = true;
+        this.isGameStarted = false;
+        
+        this.simulation.stop();
+        this.ball.reset();
+        this.multiplayerMenu.hide();
+        this.startButton.hide();
+        this.resultsPanel.hide();
+        
+        if (data.mode === 'doubles') {
+            this.createPartnerPaddles();
+        }
+        this.showProfiles();
+        this.updateRemoteScore(data.hostScore, data.guestScore, data.hostGames, data.guestGames);
+        this.updateSpectatorCount(data.spectators);
+        if (data.isPlaying) {
+            this.timer.start();
+        }
+        
+        this.initialFloorHeight = this.spectatorCamera.start(this.isInVR);
+        this.showMessage(this.isInVR ?
+            'Spectating. Trigger: change camera, grip: stop watching' :
+            'Spectating. C: change camera, Esc: stop watching', 5000);
+    }
+    
+    // Back to the menu after watching, either by choice or because the room closed
+    stopSpectating(message = null) {
+        if (!this.isSpectating) return;
+        console.log('Stopped spectating');
+        this.isSpectating = false;
+        
+        // Return to the usual end of the table
+        if (this.isInVR) {
+            this.playerGroup.position.set(0, 0.1, 0.8);
+            this.playerGroup.rotation.set(0, 0, 0);
+            this.initialFloorHeight = this.playerGroup.position.y;
+        } else {
+            this.camera.position.set(0, 1.7, 0.8);
+            this.camera.lookAt(0, 0.9, -1.0);
+        }
+        
+        this.hideRemoteControllers();
+        this.updateSpectatorCount(0);
+        this.resetGame();
+        this.updateMultiplayerStatus(false, false);
+        this.isLocalPlayer = true;
+        if (message) {
+            this.showMessage(message, 5000);
+        }
+    }
+    
+    // The players in the room we are watching started a new game
+    onSpectatedGameStarted() {
+        this.playerScore = 0;
+        this.aiScore = 0;
+        this.playerScoreDisplay.updateScore(0);
+        this.aiScoreDisplay.updateScore(0);
+        this.updateGames(0, 0);
+        this.ball.reset();
+        this.timer.start();
+        this.showMessage('Game started!', 3000);
+    }
+    
+    updateSpectatorCount(count) {
+        this.spectatorCount.updateCount(count || 0);
+    }
+    
+    // Spectator input and the streamed game state, once per frame
+    updateSpectator(delta) {
+        if (this.isInVR) {
+            // Right trigger changes seat, right grip stops watching (on press, not while held)
+            const session = this.renderer.xr.getSession();
+            const rightSource = session && Array.from(session.inputSources).find(source =>
+                source.handedness === 'right' && source.gamepad);
+            const gamepad = rightSource ? rightSource.gamepad : null;
+            const trigger = !!(gamepad && gamepad.buttons[0] && gamepad.buttons[0].pressed);
+            const squeeze = !!(gamepad && gamepad.buttons[1] && gamepad.buttons[1].pressed);
+            
+            const previous = this.spectatorButtons;
+            this.spectatorButtons = { trigger, squeeze };
+            
+            if (trigger && !previous.trigger) {
+                this.initialFloorHeight = this.spectatorCamera.cycle(true);
+                this.showMessage(`Camera: ${this.spectatorCamera.getLabel()}`, 1500);
+            }
+            if (squeeze && !previous.squeeze) {
+                this.multiplayerManager.stopSpectating();
+                this.stopSpectating();
+                return;
+            }
+            
+            this.initialFloorHeight = this.spectatorCamera.updateVR(delta, gamepad);
+        } else {
+            this.spectatorCamera.updateDesktop(delta, this.desktopControls);
+        }
+        
+        this.timer.update();
+        this.multiplayerManager.applyRemoteState();
+        this.ball.updateVisuals(delta);
     }
 
     setupDesktopControls() {
@@ -216,6 +561,18 @@ export class Game {
                 this.desktopControls.keys[event.key] = true;
             }
             
+            // Spectators switch seats with C and stop watching with Escape
+            if (this.isSpectating) {
+                if (event.key === 'c') {
+                    this.spectatorCamera.cycle(this.isInVR);
+                    this.showMessage(`Camera: ${this.spectatorCamera.getLabel()}`, 1500);
+                } else if (event.key === 'Escape') {
+                    this.multiplayerManager.stopSpectating();
+                    this.stopSpectating();
+                }
+                return;
+            }
+            
             // Space bar to start game or interact with buttons
             if (event.key === ' ' && !this.isGameStarted) {
                 if (this.multiplayerManager.isInMultiplayerGame()) {
@@ -259,6 +616,13 @@ export class Game {
             this.desktopControls.isMouseDown = false;
         });
         
+        // Scroll the lobby browser with the mouse wheel
+        window.addEventListener('wheel', (event) => {
+            if (this.lobbyPanel && this.lobbyPanel.isVisible) {
+                this.lobbyPanel.scroll(Math.sign(event.deltaY));
+            }
+        });
+        
         // Track mouse position for desktop paddle control
         window.addEventListener('mousemove', (event) => {
             // Convert mouse position to normalized coordinates (-1 to 1)
@@ -279,7 +643,7 @@ export class Game {
                 raycaster.setFromCamera(mouse, this.camera);
                 
                 // Check start button intersection
-                if (!this.isGameStarted && this.startButton) {
+                if (!this.isGameStarted && !this.isSpectating && this.startButton) {
                     const startButtonIntersects = raycaster.intersectObject(this.startButton.getMesh(), true);
                     if (startButtonIntersects.length > 0) {
                         // Button press is now handled in the StartButton.press() method
@@ -303,37 +667,21 @@ export class Game {
                             }
                         } else {
                             console.log('Starting single player game');
-                            this.isGameStarted = true;
-                            this.playerScore = 0;
-                            this.aiScore = 0;
-                            this.playerScoreDisplay.updateScore(0);
-                            this.aiScoreDisplay.updateScore(0);
-                            
-                            this.ball.start();
-                            this.timer.start();
-                            if (this.soundManager) {
-                                this.soundManager.startBackgroundMusic();
-                            }
-                            this.startButton.hide();
+                            this.startSinglePlayerGame();
                         }
                     }
                 }
                 
-                // Check multiplayer menu button intersections
-                if (this.multiplayerMenu.isVisible) {
-                    const singleplayerIntersects = raycaster.intersectObject(this.multiplayerMenu.buttons.singleplayer, true);
-                    const hostIntersects = raycaster.intersectObject(this.multiplayerMenu.buttons.host, true);
-                    const joinIntersects = raycaster.intersectObject(this.multiplayerMenu.buttons.join, true);
-                    const backIntersects = raycaster.intersectObject(this.multiplayerMenu.buttons.back, true);
+                // Check multiplayer menu, lobby browser and results panel button intersections
+                for (const menu of [this.multiplayerMenu, this.lobbyPanel, this.resultsPanel]) {
+                    if (!menu.isVisible) continue;
                     
-                    if (singleplayerIntersects.length > 0) {
-                        this.multiplayerMenu.pressButton('singleplayer');
-                    } else if (hostIntersects.length > 0) {
-                        this.multiplayerMenu.pressButton('host');
-                    } else if (joinIntersects.length > 0) {
-                        this.multiplayerMenu.pressButton('join');
-                    } else if (backIntersects.length > 0) {
-                        this.multiplayerMenu.pressButton('back');
+                    const pressedKey = menu.getActiveButtonKeys().find(buttonKey =>
+                        raycaster.intersectObject(menu.buttons[buttonKey], true).length > 0
+                    );
+                    
+                    if (pressedKey) {
+                        menu.pressButton(pressedKey);
                     }
                 }
             }
@@ -347,13 +695,26 @@ export class Game {
         this.table = this.environment.getTable();
         this.scene.add(this.table);
 
+        // Single player rules, ball and AI run in the headless simulation; the ball and
+        // paddles below only display it
+        this.simulation = new GameSimulation({
+            ruleset: this.ruleset,
+            clock: { now: () => performance.now() },
+            ai: { far: this.aiDifficulty }
+        });
+        this.matchStats = new MatchStats();
+        
         this.ball = new Ball(this.scene);
         this.playerPaddle = new Paddle(this.scene, false);
         this.aiPaddle = new Paddle(this.scene, true);
         this.startButton = new StartButton(this.scene);
         
-        // Initialize game timer
-        this.timer = new Timer(this.scene, 180); // 3 minute game timer
+        // Initialize game timer, counting down the match rules' time limit
+        this.timer = new Timer(this.scene, this.matchRules.timeLimit);
+        
+        // Spectator seats / free-fly camera, and the sign telling players they are watched
+        this.spectatorCamera = new SpectatorCamera(this.camera, this.playerGroup);
+        this.spectatorCount = new SpectatorCount(this.scene);
         
         // Create message display for notifications
         this.messageDisplay = this.createMessageDisplay();
@@ -397,23 +758,15 @@ export class Game {
                         this.showMessage("Waiting for host to start the game...");
                     }
                 } else {
-                    this.isGameStarted = true;
-                    this.playerScore = 0;
-                    this.aiScore = 0;
-                    this.playerScoreDisplay.updateScore(0);
-                    this.aiScoreDisplay.updateScore(0);
-                    this.ball.start();
-                    this.timer.start();
-                    if (this.soundManager) {
-                        this.soundManager.startBackgroundMusic();
-                    }
-                    this.startButton.hide();
+                    this.startSinglePlayerGame();
                 }
             }
         });
 
         // Create remote controller visualizations for multiplayer
         this.createRemoteControllerVisuals();
+        
+        this.showProfiles();
     }
 
     createMessageDisplay() {
@@ -513,18 +866,13 @@ export class Game {
         this.isMultiplayer = isActive;
         this.isLocalPlayer = isHost;
         
-        // Update UI labels based on multiplayer status
-        if (isActive) {
-            this.playerScoreDisplay.updateLabel(isHost ? 'YOU' : 'OPPONENT');
-            this.aiScoreDisplay.updateLabel(isHost ? 'OPPONENT' : 'YOU');
-        } else {
-            this.playerScoreDisplay.updateLabel('PONG MASTER');
-            this.aiScoreDisplay.updateLabel('YOU');
-        }
+        this.showProfiles();
     }
 
     startMultiplayerGame(isHost) {
         console.log(`Starting multiplayer game as ${isHost ? 'host' : 'guest'}`);
+        clearTimeout(this.resetTimeout);
+        this.resultsPanel.hide();
         this.isGameStarted = true;
         this.isMultiplayer = true;
         this.isLocalPlayer = isHost;
@@ -534,6 +882,7 @@ export class Game {
         this.aiScore = 0;
         this.playerScoreDisplay.updateScore(0);
         this.aiScoreDisplay.updateScore(0);
+        this.updateGames(0, 0);
         
         // Hide the start button if it's visible
         this.startButton.hide();
@@ -556,15 +905,27 @@ export class Game {
         this.playerPaddle.getPaddle().position.z = -0.1; // Near side
         this.aiPaddle.getPaddle().position.z = -1.9;     // Far side
         
+        // Doubles: a second paddle per team, and we start in our own lane. Each partner
+        // can only grab their own paddle.
+        const seat = this.multiplayerManager.seat;
+        if (this.multiplayerManager.mode === 'doubles' && seat) {
+            this.createPartnerPaddles();
+            const { side, slot } = SEATS[seat];
+            this.playerPaddle.getPaddle().position.x = (slot === 0 ? -0.3 : 0.3) * (side === 'near' ? 1 : -1);
+            this.playerPaddle.claimOwnership(seat, isHost);
+            this.partnerPaddles.near.claimOwnership(getTeammateSeat(seat), isHost);
+        }
+        this.setRuleset(this.ruleset);
+        this.showProfiles();
+        
         console.log(`Paddle positions set - Player: ${this.playerPaddle.getPaddle().position.z}, AI: ${this.aiPaddle.getPaddle().position.z}`);
         
         // Show a message
-        this.showMessage('Game started!', 3000);
+        this.showMessage(`Game started! ${describeMatchRules(this.matchRules)}`, 3000);
         
-        // Start the ball if we're the host
-        if (isHost) {
-            this.ball.start();
-        }
+        // The server owns the ball - it serves once the game starts and streams snapshots
+        this.simulation.stop();
+        this.ball.reset();
         
         // Start the timer and music
         if (this.timer) {
@@ -604,63 +965,155 @@ export class Game {
         this.lastHitTime = currentTime;
     }
 
-    updateRemotePaddlePosition(position, isHostPaddle) {
+    updateRemotePaddlePosition(position, isHostPaddle, quaternion = null) {
         // Update the appropriate paddle
         const targetPaddle = isHostPaddle ? 
             (this.isLocalPlayer ? this.playerPaddle : this.aiPaddle) :
             (this.isLocalPlayer ? this.aiPaddle : this.playerPaddle);
         
-        console.log(`Remote paddle update: ${isHostPaddle ? 'Host' : 'Guest'} paddle position before: ${JSON.stringify({
-            x: targetPaddle.getPaddle().position.x,
-            y: targetPaddle.getPaddle().position.y,
-            z: targetPaddle.getPaddle().position.z
-        })}`);
-        
-        // Only update X and Y positions, preserve Z position
-        const currentPos = targetPaddle.getPaddle().position.clone();
-        targetPaddle.getPaddle().position.set(position.x, position.y, currentPos.z);
-        
-        console.log(`Remote paddle update: ${isHostPaddle ? 'Host' : 'Guest'} paddle position after: ${JSON.stringify({
-            x: targetPaddle.getPaddle().position.x,
-            y: targetPaddle.getPaddle().position.y,
-            z: targetPaddle.getPaddle().position.z
-        })}`);
+        this.applyRemotePaddlePose(targetPaddle, position, quaternion);
     }
-
-    updateRemoteBallPosition(position, velocity) {
-        // Only non-host should update ball position from network
-        if (!this.isLocalPlayer) {
-            this.ball.getBall().position.copy(position);
-            this.ball.ballVelocity.copy(velocity);
+    
+    // Doubles: show the second paddle of our team ('near') or of the other team ('far')
+    updatePartnerPaddlePosition(side, position, quaternion = null) {
+        const targetPaddle = this.partnerPaddles[side];
+        if (!targetPaddle) return;
+        
+        this.applyRemotePaddlePose(targetPaddle, position, quaternion);
+    }
+    
+    applyRemotePaddlePose(targetPaddle, position, quaternion) {
+        if (this.ruleset === 'tableTennis') {
+            // Table tennis paddles move freely in 3D
+            targetPaddle.getPaddle().position.set(position.x, position.y, position.z);
+            if (quaternion) {
+                targetPaddle.getPaddle().quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            } else {
+                targetPaddle.getPaddle().quaternion.identity();
+            }
+        } else {
+            // Only update X and Y positions, preserve Z position
+            const currentPos = targetPaddle.getPaddle().position.clone();
+            targetPaddle.getPaddle().position.set(position.x, position.y, currentPos.z);
+        }
+    }
+    
+    // Doubles: add the second paddle of each team, driven by the server like the opponent's
+    createPartnerPaddles() {
+        this.removePartnerPaddles();
+        this.partnerPaddles = {
+            near: new Paddle(this.scene, false),
+            far: new Paddle(this.scene, true)
+        };
+        const tableTennis = this.ruleset === 'tableTennis';
+        this.partnerPaddles.near.setTableTennisMode(tableTennis);
+        this.partnerPaddles.far.setTableTennisMode(tableTennis);
+    }
+    
+    removePartnerPaddles() {
+        for (const paddle of Object.values(this.partnerPaddles)) {
+            if (paddle) {
+                this.scene.remove(paddle.getPaddle());
+            }
         }
+        this.partnerPaddles = { near: null, far: null };
+    }
+    
+    // Doubles: keep our paddle in our half of the table (see GameSimulation's clampToLane).
+    // The guest's team sees the table mirrored, so their lanes are too.
+    keepPaddleInLane() {
+        const seat = this.multiplayerManager.seat;
+        if (!this.isMultiplayer || this.multiplayerManager.mode !== 'doubles' || !seat) return;
+        
+        const { side, slot } = SEATS[seat];
+        const position = this.playerPaddle.getPaddle().position;
+        position.x = side === 'near' ? clampToLane(position.x, slot) : -clampToLane(-position.x, slot);
     }
 
-    updateRemoteScore(hostScore, guestScore) {
+    updateRemoteBallPosition(position, velocity, spin = 0) {
+        // Both players render the server's ball; positions arrive already in our local frame
+        this.ball.setState(position, velocity, spin);
+    }
+
+    updateRemoteScore(hostScore, guestScore, hostGames = 0, guestGames = 0) {
         if (this.isLocalPlayer) {
             this.playerScore = hostScore;
             this.aiScore = guestScore;
+            this.updateGames(hostGames, guestGames);
         } else {
             this.playerScore = guestScore;
             this.aiScore = hostScore;
+            this.updateGames(guestGames, hostGames);
         }
         
         this.playerScoreDisplay.updateScore(this.playerScore);
         this.aiScoreDisplay.updateScore(this.aiScore);
     }
+    
+    // Games won so far, shown under the scores in best-of matches only
+    updateGames(ownGames, opponentGames) {
+        const inGames = this.matchRules.bestOf > 1;
+        this.playerScoreDisplay.updateGames(inGames ? ownGames : null);
+        this.aiScoreDisplay.updateGames(inGames ? opponentGames : null);
+    }
+    
+    // Play under match rules (see MatchRules.mjs): the simulation applies them to points and
+    // games, the timer counts down their time limit. Rooms send theirs from the server.
+    setMatchRules(rules) {
+        this.matchRules = readMatchRules(rules, this.ruleset);
+        this.simulation.setRules(this.matchRules);
+        this.timer.setDuration(this.matchRules.timeLimit);
+        this.updateGames(0, 0);
+    }
+    
+    // A game of a best-of match is over; the next one starts from 0-0
+    onGameEnd(won, ownScore, opponentScore, ownGames, opponentGames) {
+        this.playerScore = 0;
+        this.aiScore = 0;
+        this.playerScoreDisplay.updateScore(0);
+        this.aiScoreDisplay.updateScore(0);
+        this.updateGames(ownGames, opponentGames);
+        
+        this.showMessage(won ?
+            `You take the game ${ownScore}-${opponentScore}! Games: ${ownGames}-${opponentGames}` :
+            `You lose the game ${ownScore}-${opponentScore}. Games: ${ownGames}-${opponentGames}`, 3000);
+        if (this.soundManager) {
+            this.soundManager.playPoint();
+        }
+    }
+    
+    // Time ran out on a tie and the match rules call for sudden death
+    startOvertime() {
+        this.timer.startOvertime();
+        this.showMessage('Sudden death! Next point wins', 3000);
+        if (this.soundManager) {
+            this.soundManager.playPoint();
+        }
+    }
 
-    handleRemoteCollision(type, position) {
+    handleRemoteCollision(type, position, isHost, isOwnPaddle = true) {
+        // isHost tells whose paddle was hit, or which side scored for goals. In doubles
+        // isOwnPaddle tells our paddle from our partner's.
+        const isLocal = isHost === this.isLocalPlayer;
+        
         if (type === 'paddle') {
-            // Remote player hit the paddle
             if (this.soundManager) {
                 this.soundManager.playPaddleHit();
             }
-        } else if (type === 'wall') {
+            if (isLocal && isOwnPaddle && !this.isSpectating) {
+                this.triggerPaddleHaptics(0.7, 50);
+            }
+        } else if (type === 'wall' || type === 'table' || type === 'net') {
             if (this.soundManager) {
-                this.soundManager.playWallHit();
+                this.soundManager.playWallBounce();
             }
         } else if (type === 'goal') {
             if (this.soundManager) {
-                this.soundManager.playLose();
+                if (isLocal || this.isSpectating) {
+                    this.soundManager.playScore();
+                } else {
+                    this.soundManager.playLose();
+                }
             }
         }
         
@@ -674,16 +1127,26 @@ export class Game {
             // Check if we're in VR
             this.isInVR = this.renderer.xr.isPresenting;
 
+            // Spectators have no paddle to grab, but still walk around with the thumbsticks.
+            // Doubles partners share our end; the paddles' owners keep us off our partner's.
+            const ownPaddle = this.isSpectating ? null :
+                (this.partnerPaddles.near ? [this.playerPaddle, this.partnerPaddles.near] : this.playerPaddle.getPaddle());
+            const ownerId = this.multiplayerManager.seat || undefined;
+
             if (this.vrController && this.isInVR) {
                 this.vrController.checkControllerState(
                     this.vrController.controllers[0],
                     'left',
-                    this.playerPaddle.getPaddle()
+                    ownPaddle,
+                    ownerId,
+                    this.isLocalPlayer
                 );
                 this.vrController.checkControllerState(
                     this.vrController.controllers[1],
                     'right',
-                    this.playerPaddle.getPaddle()
+                    ownPaddle,
+                    ownerId,
+                    this.isLocalPlayer
                 );
                 
                 // Send VR controller data over the network in multiplayer mode
@@ -698,14 +1161,14 @@ export class Game {
             // Handle desktop controls when not in VR
             if (!this.isInVR && this.isGameStarted) {
                 // Handle keyboard paddle movement
-                const paddleSpeed = 0.02;
+                const paddleSpeed = 1.2; // Meters per second
                 const paddle = this.playerPaddle.getPaddle();
                 
                 if (this.desktopControls.keys['ArrowLeft'] || this.desktopControls.keys['a']) {
-                    paddle.position.x -= paddleSpeed;
+                    paddle.position.x -= paddleSpeed * delta;
                 }
                 if (this.desktopControls.keys['ArrowRight'] || this.desktopControls.keys['d']) {
-                    paddle.position.x += paddleSpeed;
+                    paddle.position.x += paddleSpeed * delta;
                 }
                 
                 // Clamp paddle position
@@ -713,7 +1176,7 @@ export class Game {
             }
 
             // For desktop mode, use mouse position for paddle control when mouse is down
-            if (!this.isInVR && this.desktopControls.isMouseDown) {
+            if (!this.isInVR && this.desktopControls.isMouseDown && !this.isSpectating) {
                 const paddleX = THREE.MathUtils.clamp(this.desktopControls.mouseX * 1.2, -0.6, 0.6);
                 this.playerPaddle.getPaddle().position.x = paddleX;
             }
@@ -736,7 +1199,9 @@ export class Game {
                             this.vrController.checkControllerState(
                                 controller,
                                 side,
-                                this.playerPaddle.getPaddle()
+                                ownPaddle,
+                                ownerId,
+                                this.isLocalPlayer
                             );
                         }
                     }
@@ -758,33 +1223,35 @@ export class Game {
                 }
             }
                 
-            // Handle multiplayer menu interactions
-            if (this.multiplayerMenu.isVisible && this.isInVR) {
-                const leftIntersects = this.multiplayerMenu.checkIntersection(this.vrController.controllers[0]);
-                const rightIntersects = this.multiplayerMenu.checkIntersection(this.vrController.controllers[1]);
+            // Handle multiplayer menu, lobby browser and results panel interactions
+            for (const menu of [this.multiplayerMenu, this.lobbyPanel, this.resultsPanel]) {
+                if (!menu.isVisible || !this.isInVR) continue;
+                
+                const leftIntersects = menu.checkIntersection(this.vrController.controllers[0]);
+                const rightIntersects = menu.checkIntersection(this.vrController.controllers[1]);
                 
                 // Unhighlight all buttons first
-                ['singleplayer', 'host', 'join', 'back'].forEach(buttonKey => {
-                    this.multiplayerMenu.unhighlightButton(buttonKey);
+                menu.getActiveButtonKeys().forEach(buttonKey => {
+                    menu.unhighlightButton(buttonKey);
                 });
                 
                 if (leftIntersects) {
-                    this.multiplayerMenu.highlightButton(leftIntersects.button);
+                    menu.highlightButton(leftIntersects.button);
                     // Only process button press on the initial press event, not while holding
                     if (this.vrController.controllers[0].userData.isSelecting && 
                         this.vrController.controllers[0].userData.isNewPress) {
-                        console.log(`VR multiplayer menu button press: ${leftIntersects.button}`);
-                        this.multiplayerMenu.pressButton(leftIntersects.button);
+                        console.log(`VR menu button press: ${leftIntersects.button}`);
+                        menu.pressButton(leftIntersects.button);
                     }
                 }
                 
                 if (rightIntersects) {
-                    this.multiplayerMenu.highlightButton(rightIntersects.button);
+                    menu.highlightButton(rightIntersects.button);
                     // Only process button press on the initial press event, not while holding
                     if (this.vrController.controllers[1].userData.isSelecting && 
                         this.vrController.controllers[1].userData.isNewPress) {
-                        console.log(`VR multiplayer menu button press: ${rightIntersects.button}`);
-                        this.multiplayerMenu.pressButton(rightIntersects.button);
+                        console.log(`VR menu button press: ${rightIntersects.button}`);
+                        menu.pressButton(rightIntersects.button);
                     }
                 }
             }
@@ -793,7 +1260,7 @@ export class Game {
             const prevBallZ = this.ball ? this.ball.getBall().position.z : 0;
             const prevBallX = this.ball ? this.ball.getBall().position.x : 0;
 
-            if (!this.isGameStarted && this.isInVR) {
+            if (!this.isGameStarted && !this.isSpectating && this.isInVR) {
                 const leftIntersects = this.startButton.checkIntersection(this.vrController.controllers[0]);
                 const rightIntersects = this.startButton.checkIntersection(this.vrController.controllers[1]);
                 
@@ -850,18 +1317,7 @@ export class Game {
                                     } else {
                                         console.log('Starting single player game in VR');
                                         console.log(`Game state before starting: isGameStarted=${this.isGameStarted}, isGamePaused=${this.isGamePaused}`);
-                                        this.isGameStarted = true;
-                                        this.playerScore = 0;
-                                        this.aiScore = 0;
-                                        this.playerScoreDisplay.updateScore(0);
-                                        this.aiScoreDisplay.updateScore(0);
-                                        
-                                        this.ball.start();
-                                        this.timer.start();
-                                        if (this.soundManager) {
-                                            this.soundManager.startBackgroundMusic();
-                                        }
-                                        this.startButton.hide();
+                                        this.startSinglePlayerGame();
                                         console.log(`Game state after starting: isGameStarted=${this.isGameStarted}, isGamePaused=${this.isGamePaused}`);
                                     }
                                 } else {
@@ -876,68 +1332,42 @@ export class Game {
                 }
             }
 
+            if (this.isSpectating) {
+                this.updateSpectator(delta);
+            }
+
             if (this.isGameStarted) {
                 // Update the timer if the game is active
                 if (!this.isGamePaused) {
-                    this.timer.update();
+                    // When the match clock runs out the simulation settles the match (see
+                    // MatchRules.mjs); the server times multiplayer matches itself
+                    if (this.timer.update() && !this.isMultiplayer) {
+                        this.simulation.timeUp().forEach(event => this.handleSimulationEvent(event));
+                    }
                     
-                    // Update ball movement - add this missing logic
-                    const collision = this.ball.update(this.clock.getDelta(), this.playerPaddle, this.aiPaddle);
+                    this.keepPaddleInLane();
                     
-                    // Handle collisions and scoring
-                    if (collision === 'player' || collision === 'ai') {
-                        // Play sound and trigger haptics for paddle hits
-                        if (this.soundManager) {
-                            this.soundManager.playPaddleHit();
-                        }
-                        this.triggerPaddleHaptics(0.7, 50);
-                    } else if (collision === 'player_score') {
-                        // AI scored
-                        this.aiScore++;
-                        this.aiScoreDisplay.updateScore(this.aiScore);
-                        if (this.soundManager) {
-                            this.soundManager.playScore();
-                        }
-                        // Start the ball again after short delay
-                        setTimeout(() => {
-                            if (this.isGameStarted && !this.isGamePaused) {
-                                this.ball.start();
-                            }
-                        }, 1000);
-                    } else if (collision === 'ai_score') {
-                        // Player scored
-                        this.playerScore++;
-                        this.playerScoreDisplay.updateScore(this.playerScore);
-                        if (this.soundManager) {
-                            this.soundManager.playScore();
-                        }
-                        // Start the ball again after short delay
-                        setTimeout(() => {
-                            if (this.isGameStarted && !this.isGamePaused) {
-                                this.ball.start();
-                            }
-                        }, 1000);
-                    }
+                    // Track our paddle's swing for spin and speed transfer - in VR it comes
+                    // from the controller holding the paddle, otherwise from paddle movement
+                    const controllerVelocity = this.isInVR && this.vrController ?
+                        this.vrController.getActivePaddleVelocity() :
+                        null;
+                    this.playerPaddle.trackVelocity(delta, controllerVelocity);
+                    this.playerPaddle.fullPose = this.ruleset === 'tableTennis' && this.isInVR;
                     
-                    // Update AI paddle for single player mode
-                    if (!this.isMultiplayer && this.aiPaddle && this.ball) {
-                        console.log("Updating AI paddle position to track ball");
-                        this.aiPaddle.updateAI(this.ball.getBall());
+                    // Step the ball and AI paddle - in multiplayer the server simulates the ball
+                    if (!this.isMultiplayer) {
+                        this.stepSimulation().forEach(event => this.handleSimulationEvent(event));
                     }
                     
-                    // In multiplayer mode, send paddle position to the other player
+                    // In multiplayer mode, our paddle is the only input we send to the server
+                    // and the ball and opponent paddle are drawn from interpolated snapshots
                     if (this.isMultiplayer && this.multiplayerManager) {
-                        // Send our paddle position
                         this.multiplayerManager.updatePaddlePosition(this.playerPaddle);
-                        
-                        // If we're the host, send ball position too
-                        if (this.isLocalPlayer) {
-                            this.multiplayerManager.updateBallPosition(
-                                this.ball.getBall().position,
-                                this.ball.ballVelocity
-                            );
-                        }
+                        this.multiplayerManager.applyRemoteState();
                     }
+                    
+                    this.ball.updateVisuals(delta);
                 }
             }
 
@@ -945,13 +1375,163 @@ export class Game {
         });
     }
 
+    // Switch between the classic game and the table tennis ruleset (gravity, net, bounces)
+    setRuleset(ruleset) {
+        this.ruleset = ruleset === 'tableTennis' ? 'tableTennis' : 'classic';
+        const tableTennis = this.ruleset === 'tableTennis';
+        
+        this.simulation.setRuleset(this.ruleset);
+        this.ball.reset();
+        this.playerPaddle.setTableTennisMode(tableTennis);
+        this.aiPaddle.setTableTennisMode(tableTennis);
+        for (const paddle of Object.values(this.partnerPaddles)) {
+            if (paddle) paddle.setTableTennisMode(tableTennis);
+        }
+        this.environment.setNetVisible(tableTennis);
+        if (this.vrController) {
+            this.vrController.setFullPoseTracking(tableTennis);
+        }
+    }
+    
+    // Sounds, haptics and scores for the events of a single player simulation step
+    handleSimulationEvent(event) {
+        this.matchStats.record(event);
+        
+        if (event.type === 'hit') {
+            // Play sound and trigger haptics for paddle hits
+            if (this.soundManager) {
+                this.soundManager.playPaddleHit();
+            }
+            this.triggerPaddleHaptics(0.7, 50);
+        } else if (event.type === 'bounce' || event.type === 'net') {
+            // Table tennis: the ball bounced on the table or clipped the net
+            if (this.soundManager) {
+                this.soundManager.playWallBounce();
+            }
+        } else if (event.type === 'score') {
+            // The player is the near side, the AI the far side
+            this.playerScore = event.score.near;
+            this.aiScore = event.score.far;
+            this.playerScoreDisplay.updateScore(this.playerScore);
+            this.aiScoreDisplay.updateScore(this.aiScore);
+            if (this.soundManager) {
+                this.soundManager.playScore();
+            }
+        } else if (event.type === 'gameEnd') {
+            const won = event.winner === 'near';
+            this.onGameEnd(won, event.score.near, event.score.far, event.games.near, event.games.far);
+        } else if (event.type === 'overtime') {
+            this.startOvertime();
+        } else if (event.type === 'matchEnd') {
+            this.endMatch(this.getSinglePlayerResult());
+        }
+    }
+    
+    // The single player match so far, from our side (see ResultsPanel.showResult)
+    getSinglePlayerResult() {
+        const stats = this.matchStats.getSummary();
+        const { winner, games } = this.simulation;
+        return {
+            mode: 'single',
+            ruleset: this.ruleset,
+            matchRules: this.matchRules,
+            opponent: `AI (${this.aiDifficulty.toUpperCase()})`,
+            difficulty: this.aiDifficulty,
+            won: winner ? winner === 'near' : null,
+            ownScore: this.playerScore,
+            opponentScore: this.aiScore,
+            ownGames: games.near,
+            opponentGames: games.far,
+            points: stats.points,
+            duration: Math.round((performance.now() - this.matchStartedAt) / 1000),
+            longestRally: stats.longestRally,
+            ownHits: stats.hits.near,
+            opponentHits: stats.hits.far,
+            fastestReturn: stats.fastestReturn.near
+        };
+    }
+    
+    // The match is over (result as for ResultsPanel.showResult). Single player results are
+    // kept in the local history and submitted to the leaderboards; the server records
+    // multiplayer ones.
+    endMatch(result) {
+        const { ownScore, opponentScore } = result;
+        console.log(`Game over: ${ownScore}-${opponentScore}`);
+        
+        this.isGameStarted = false;
+        this.timer.stop();
+        this.simulation.stop();
+        this.ball.reset();
+        // Best-of matches are told in games
+        const score = result.matchRules && result.matchRules.bestOf > 1 ?
+            `${result.ownGames}-${result.opponentGames} in games` :
+            `${ownScore}-${opponentScore}`;
+        if (result.won === null) {
+            this.showMessage(`Draw ${score}`, 4000);
+        } else {
+            this.showMessage(result.won ?
+                `You win the match ${score}!` :
+                `You lose the match ${score}`, 4000);
+        }
+        
+        if (this.soundManager) {
+            if (result.won === false) {
+                this.soundManager.playLose();
+            } else {
+                this.soundManager.playPoint();
+            }
+        }
+        
+        if (!this.isMultiplayer) {
+            saveMatch(result);
+            this.submitToLeaderboards(result);
+        } else {
+            this.environment.refreshLeaderboards();
+        }
+        this.resultsPanel.showResult(result);
+        
+        clearTimeout(this.resetTimeout);
+        this.resetTimeout = setTimeout(() => this.resetGame(), 4000);
+    }
+    
+    // Send a single player result with the ticket taken at the start of the match
+    async submitToLeaderboards(result) {
+        const ticket = await this.leaderboardTicket;
+        this.leaderboardTicket = null;
+        const records = await submitLeaderboardResult(ticket, this.multiplayerManager.playerId, this.profile, result);
+        if (records && records.length > 0) {
+            console.log('New leaderboard bests:', records.join(', '));
+            this.environment.refreshLeaderboards();
+        }
+    }
+    
+    // Feed our paddle to the simulation, run it up to the current time and show the result.
+    // Returns the simulation events in order.
+    stepSimulation() {
+        const paddle = this.playerPaddle;
+        this.simulation.setPaddleInput('near', {
+            position: paddle.getPaddle().position,
+            velocity: paddle.velocity,
+            // VR table tennis paddles reflect off their real face angle
+            quaternion: paddle.fullPose ? paddle.getPaddle().quaternion : null
+        });
+        
+        const events = this.simulation.update();
+        const state = this.simulation.getState();
+        this.ball.render(state.ball);
+        this.aiPaddle.render(state.paddles.far);
+        return events;
+    }
+
     // Add method to reset the game state
     resetGame() {
         console.log("Resetting game state...");
+        clearTimeout(this.resetTimeout);
         
         // Reset game state flags
         this.isGameStarted = false;
         this.isGamePaused = false;
+        this.stopCountdown();
         this.isMultiplayer = false;
         
         // Reset scores
@@ -962,7 +1542,8 @@ export class Game {
         if (this.playerScoreDisplay) this.playerScoreDisplay.updateScore(0);
         if (this.aiScoreDisplay) this.aiScoreDisplay.updateScore(0);
         
-        // Reset ball position
+        // Stop the simulation and reset ball position
+        if (this.simulation) this.simulation.stop();
         if (this.ball) this.ball.reset();
         
         // Reset timer
@@ -979,6 +1560,10 @@ export class Game {
             this.aiPaddle.getPaddle().position.set(0, 1.0, -1.9);
         }
         
+        // Back to one paddle per side, free to grab
+        this.removePartnerPaddles();
+        if (this.playerPaddle) this.playerPaddle.releaseOwnership();
+        
         // Hide multiplayer menu if visible
         if (this.multiplayerMenu && this.multiplayerMenu.isVisible) {
             this.multiplayerMenu.hide();
@@ -999,7 +1584,8 @@ export class Game {
         console.log("Game reset completed");
     }
 
-    // Create visual representations of remote player's controllers
+    // Create visual representations of remote players' controllers: one pair per seat, since
+    // spectators see every player's controllers
     createRemoteControllerVisuals() {
         // Create group to hold remote controller models
         this.remoteControllerGroup = new THREE.Group();
@@ -1007,42 +1593,55 @@ export class Game {
         
         const controllerModelFactory = new XRControllerModelFactory();
         
-        // Left remote controller
-        this.remoteControllers = {
-            left: new THREE.Group(),
-            right: new THREE.Group()
-        };
-        
-        // Create basic controller models
-        for (const side of ['left', 'right']) {
-            // Add controller grip for model
-            const grip = new THREE.Group();
-            grip.add(controllerModelFactory.createControllerModel(grip));
-            this.remoteControllers[side].add(grip);
-            
-            // Add a ray to represent controller direction
-            const ray = new THREE.Group();
-            const rayGeometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(0, 0, 0),
-                new THREE.Vector3(0, 0, -1)
-            ]);
-            
-            const rayMaterial = new THREE.LineBasicMaterial({
-                color: side === 'left' ? 0x0088ff : 0xff8800,
-                linewidth: 2
-            });
-            
-            const rayLine = new THREE.Line(rayGeometry, rayMaterial);
-            rayLine.scale.z = 0.5;
-            ray.add(rayLine);
-            
-            this.remoteControllers[side].add(ray);
-            
-            // Initially hide remote controllers
-            this.remoteControllers[side].visible = false;
+        this.remoteControllers = {};
+        for (const seat of Object.keys(SEATS)) {
+            this.remoteControllers[seat] = {
+                left: new THREE.Group(),
+                right: new THREE.Group()
+            };
             
-            // Add to remote controller group
-            this.remoteControllerGroup.add(this.remoteControllers[side]);
+            // Create basic controller models
+            for (const side of ['left', 'right']) {
+                const controller = this.remoteControllers[seat][side];
+                
+                // Add controller grip for model
+                const grip = new THREE.Group();
+                grip.add(controllerModelFactory.createControllerModel(grip));
+                controller.add(grip);
+                
+                // Add a ray to represent controller direction
+                const ray = new THREE.Group();
+                const rayGeometry = new THREE.BufferGeometry().setFromPoints([
+                    new THREE.Vector3(0, 0, 0),
+                    new THREE.Vector3(0, 0, -1)
+                ]);
+                
+                const rayMaterial = new THREE.LineBasicMaterial({
+                    color: side === 'left' ? 0x0088ff : 0xff8800,
+                    linewidth: 2
+                });
+                
+                const rayLine = new THREE.Line(rayGeometry, rayMaterial);
+                rayLine.scale.z = 0.5;
+                ray.add(rayLine);
+                
+                controller.add(ray);
+                
+                // Initially hide remote controllers
+                controller.visible = false;
+                
+                // Add to remote controller group
+                this.remoteControllerGroup.add(controller);
+            }
+        }
+    }
+
+    hideRemoteControllers() {
+        if (!this.remoteControllers) return;
+        
+        for (const seat of Object.values(this.remoteControllers)) {
+            seat.left.visible = false;
+            seat.right.visible = false;
         }
     }
 
@@ -1050,28 +1649,31 @@ export class Game {
     updateRemoteControllers(data) {
         if (!this.isMultiplayer || !this.remoteControllers) return;
         
-        // Only show remote controllers in multiplayer mode
-        const isRemotePlayerInVR = (data.isHost !== this.isLocalPlayer);
-        if (!isRemotePlayerInVR) return;
+        // Everyone else's controllers, already in our frame; never our own
+        const seat = data.seat || (data.isHost ? 'host' : 'guest');
+        if (!this.isSpectating && seat === this.multiplayerManager.seat) return;
+        
+        const controllers = this.remoteControllers[seat];
+        if (!controllers) return;
         
         // Make remote controllers visible
-        this.remoteControllers.left.visible = true;
-        this.remoteControllers.right.visible = true;
+        controllers.left.visible = true;
+        controllers.right.visible = true;
         
         // Update left controller
         if (data.leftController) {
             const position = data.leftController.position;
             const rotation = data.leftController.rotation;
-            this.remoteControllers.left.position.set(position.x, position.y, position.z);
-            this.remoteControllers.left.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+            controllers.left.position.set(position.x, position.y, position.z);
+            controllers.left.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
         }
         
         // Update right controller
         if (data.rightController) {
             const position = data.rightController.position;
             const rotation = data.rightController.rotation;
-            this.remoteControllers.right.position.set(position.x, position.y, position.z);
-            this.remoteControllers.right.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+            controllers.right.position.set(position.x, position.y, position.z);
+            controllers.right.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
         }
     }
 }
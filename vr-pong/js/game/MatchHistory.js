@@ -0,0 +1,27 @@
+// Single player match history, kept in the browser's localStorage. Multiplayer matches are
+// recorded by the server instead (server/MatchHistoryStore.js).
+const STORAGE_KEY = 'vrPongMatchHistory';
+const MAX_MATCHES = 50;
+
+// Saved results, oldest first. Empty when storage is unavailable.
+export function loadMatchHistory() {
+    try {
+        const matches = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(matches) ? matches : [];
+    } catch (e) {
+        console.warn('Could not read the match history:', e);
+        return [];
+    }
+}
+
+// Add a result (see Game.getSinglePlayerResult), dropping the oldest beyond MAX_MATCHES
+export function saveMatch(result) {
+    const matches = loadMatchHistory();
+    matches.push({ ...result, endedAt: Date.now() });
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(matches.slice(-MAX_MATCHES)));
+    } catch (e) {
+        console.warn('Could not save the match history:', e);
+    }
+}
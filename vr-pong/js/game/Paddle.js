@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 
+// Paddle mesh. The local player's paddle is moved by input and fed to the simulation;
+// AI paddles are driven by the simulation (js/sim/GameSimulation.mjs) through render().
 export class Paddle {
     constructor(scene, isAI = false) {
         this.scene = scene;
@@ -8,14 +10,19 @@ export class Paddle {
         this.height = 0.1;     // Keep height the same for visibility
         this.depth = 0.02;     // Make it much thinner (was 0.1)
         this.targetPosition = new THREE.Vector3();
-        this.smoothSpeed = 0.35; // Increased from 0.25 for even faster AI movement
-        this.lastPredictedX = 0;
-        this.lastUpdateTime = 0;
-        this.updateInterval = 30; // Update even more frequently (was 40)
-        this.initialSpeed = 0.015;
-        this.currentSpeed = this.initialSpeed;
-        this.speedIncrement = 0.001; // Small increment for AI speed
-        this.maxSpeed = 0.04; // Increased maximum speed to 0.04
+        
+        // Recent swing velocity in meters per second, transferred to the ball on hits
+        this.velocity = new THREE.Vector3();
+        this.lastTrackedPosition = null;
+        
+        // Table tennis ruleset: a VR paddle follows the controller's full position and orientation
+        this.tableTennis = false;
+        this.fullPose = false;
+        
+        // Who may grab the paddle in VR (see VRController.handlePaddleControl). Doubles
+        // partners share an end of the table, so each holds only their own paddle.
+        this.ownerId = null;
+        
         this.createPaddle();
     }
 
@@ -72,6 +79,13 @@ export class Paddle {
         return this.paddle;
     }
 
+    // Tint the paddle and its glow (a CSS color string or hex number)
+    setColor(color) {
+        this.paddle.material.color.set(color);
+        this.paddle.material.emissive.set(color);
+        this.paddle.children.forEach(child => child.material.color.set(color));
+    }
+
     getPosition() {
         return this.paddle.position;
     }
@@ -82,59 +96,61 @@ export class Paddle {
         this.paddle.position.set(position.x, position.y, currentZ);
     }
 
+    // Estimate the swing velocity from the paddle's movement, or take it from an
+    // external source such as the VR controller that is holding the paddle
+    trackVelocity(delta, externalVelocity = null) {
+        if (!(delta > 0)) return;
+        
+        const position = this.paddle.position;
+        if (externalVelocity) {
+            this.velocity.lerp(externalVelocity, 0.5);
+        } else if (this.lastTrackedPosition) {
+            const measured = position.clone().sub(this.lastTrackedPosition).divideScalar(delta);
+            this.velocity.lerp(measured, 0.5);
+        }
+        
+        if (!this.lastTrackedPosition) {
+            this.lastTrackedPosition = new THREE.Vector3();
+        }
+        this.lastTrackedPosition.copy(position);
+    }
+
     lerp(start, end, t) {
         return start * (1 - t) + end * t;
     }
 
-    updateAI(ball, difficulty = 0.15) { // Increased base difficulty
-        if (!this.isAI) return;
-
-        const currentTime = performance.now();
-        const targetX = ball.position.x;
-
-        // Update prediction less frequently
-        if (currentTime - this.lastUpdateTime > this.updateInterval) {
-            // Calculate base target position
-            let newTargetX = targetX;
-
-            // Add very small random offset for natural movement
-            const randomOffset = (Math.random() - 0.5) * 0.01; // Reduced randomness
-            newTargetX += randomOffset;
-
-            // Smooth transition to new target
-            this.lastPredictedX = this.lerp(
-                this.lastPredictedX,
-                newTargetX,
-                0.5 // Faster target updating
-            );
-
-            this.lastUpdateTime = currentTime;
+    // Show a simulated paddle ({ position, velocity, quaternion }), e.g. the AI's
+    render(paddle) {
+        this.paddle.position.set(paddle.position.x, paddle.position.y, paddle.position.z);
+        this.velocity.set(paddle.velocity.x, paddle.velocity.y, paddle.velocity.z);
+        if (paddle.quaternion) {
+            this.paddle.quaternion.set(paddle.quaternion.x, paddle.quaternion.y, paddle.quaternion.z, paddle.quaternion.w);
         }
+    }
 
-        // Calculate smooth movement
-        const currentX = this.paddle.position.x;
-        const diff = this.lastPredictedX - currentX;
-        
-        // Use quadratic easing for smoother acceleration/deceleration
-        const direction = Math.sign(diff);
-        const distance = Math.abs(diff);
-        let speed = Math.min(distance * distance * 4, difficulty); // Increased acceleration
-
-        // Move towards target
-        if (Math.abs(diff) > 0.001) {
-            const movement = direction * speed;
-            const newX = this.lerp(
-                currentX,
-                currentX + movement,
-                this.smoothSpeed
-            );
+    isOwned() {
+        return this.ownerId !== null;
+    }
+    
+    isOwnedBy(playerId) {
+        return this.ownerId === playerId;
+    }
+    
+    claimOwnership(playerId, isHost) {
+        console.log(`Paddle claimed by ${playerId} (${isHost ? 'host' : 'guest'} team)`);
+        this.ownerId = playerId;
+    }
+    
+    releaseOwnership() {
+        this.ownerId = null;
+    }
 
-            // Apply position with constraints
-            this.paddle.position.x = THREE.MathUtils.clamp(
-                newX,
-                -0.6,
-                0.6
-            );
+    setTableTennisMode(enabled) {
+        this.tableTennis = enabled;
+        if (!enabled) {
+            this.fullPose = false;
+            this.paddle.quaternion.identity();
+            this.paddle.position.y = 0.9;
         }
     }
 }
@@ -0,0 +1,37 @@
+import { PADDLE_COLORS, AVATARS, readProfile } from '../network/Profile.mjs';
+
+// Our profile (name, paddle color, avatar), kept in the browser's localStorage. A new
+// player gets a numbered name and a random color and avatar.
+const STORAGE_KEY = 'vrPongProfile';
+
+export function loadProfile() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored) return readProfile(stored, createName());
+    } catch (e) {
+        console.warn('Could not read the player profile:', e);
+    }
+
+    const profile = readProfile({
+        color: pick(PADDLE_COLORS).value,
+        avatar: pick(AVATARS).value
+    }, createName());
+    saveProfile(profile);
+    return profile;
+}
+
+export function saveProfile(profile) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+    } catch (e) {
+        console.warn('Could not save the player profile:', e);
+    }
+}
+
+function createName() {
+    return `PLAYER ${Math.floor(1000 + Math.random() * 9000)}`;
+}
+
+function pick(values) {
+    return values[Math.floor(Math.random() * values.length)];
+}
@@ -0,0 +1,46 @@
+// Calls to the server's leaderboard API (see server.js). Single player matches take a ticket
+// when they start and submit their result with it at the end; the server checks the result
+// before it goes on the boards. Failures are logged and resolve to null, since the game
+// plays on without leaderboards.
+
+// Resolves to the ticket id, or null
+export async function requestLeaderboardTicket(playerId) {
+    if (!playerId) return null;
+    const data = await request('/api/leaderboards/tickets', { playerId });
+    return data ? data.ticket : null;
+}
+
+// Resolves to the boards where we set a new best, or null when the result was not taken
+export async function submitLeaderboardResult(ticket, playerId, profile, result) {
+    if (!ticket || !playerId) return null;
+    const data = await request('/api/leaderboards', { ticket, playerId, profile, result });
+    return data ? data.records : null;
+}
+
+// Resolves to [{ board, entries: [{ rank, name, avatar, value }] }], or null
+export async function fetchLeaderboards(limit = 5) {
+    try {
+        const response = await fetch(`/api/leaderboards?limit=${limit}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return (await response.json()).boards;
+    } catch (e) {
+        console.warn('Could not load the leaderboards:', e);
+        return null;
+    }
+}
+
+async function request(url, body) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        return data;
+    } catch (e) {
+        console.warn(`Leaderboard request to ${url} failed:`, e);
+        return null;
+    }
+}
@@ -0,0 +1,59 @@
+// Leaderboards, shared by server.js and the browser. Each board ranks players by their best
+// value for one statistic, highest first:
+//   rating                       Multiplayer rating (see server/RatingStore.js)
+//   margin:<difficulty>          Biggest single player win over an AI level, in points
+//   longestRally[:<ruleset>]     Most hits in one rally, over all rulesets or one
+//   fastestReturn[:<ruleset>]    Fastest ball sent back off our paddle, in m/s
+// The server keeps the boards (server/LeaderboardStore.js) and serves them on
+// /api/leaderboards; the leaderboard wall in the arena shows them.
+
+import { RULESETS } from '../sim/GameSimulation.mjs';
+import { AI_DIFFICULTIES, AI_PROFILES } from '../sim/PaddleAI.mjs';
+
+export const STATS = {
+    rating: { label: 'RATING', unit: '' },
+    margin: { label: 'BEST WIN', unit: 'PTS' },
+    longestRally: { label: 'LONGEST RALLY', unit: 'HITS' },
+    fastestReturn: { label: 'FASTEST RETURN', unit: 'M/S' }
+};
+
+const RULESET_LABELS = {
+    classic: 'CLASSIC',
+    tableTennis: 'TABLE TENNIS'
+};
+
+export const BOARDS = [
+    'rating',
+    ...AI_DIFFICULTIES.map(difficulty => `margin:${difficulty}`),
+    'longestRally',
+    ...RULESETS.map(ruleset => `longestRally:${ruleset}`),
+    'fastestReturn',
+    ...RULESETS.map(ruleset => `fastestReturn:${ruleset}`)
+];
+
+// { stat, scope }: scope is the difficulty or ruleset after the colon, or null
+export function parseBoard(board) {
+    const [stat, scope = null] = board.split(':');
+    return { stat, scope };
+}
+
+export function isBoard(board) {
+    return BOARDS.includes(board);
+}
+
+// Heading for the wall, e.g. 'BEST WIN VS HARD' or 'LONGEST RALLY - CLASSIC'
+export function getBoardTitle(board) {
+    const { stat, scope } = parseBoard(board);
+    const label = STATS[stat] ? STATS[stat].label : stat;
+    if (!scope) return label;
+    if (stat === 'margin') return `${label} VS ${AI_PROFILES[scope] ? AI_PROFILES[scope].label : scope}`;
+    return `${label} - ${RULESET_LABELS[scope] || scope}`;
+}
+
+// A board value with its unit; speeds keep two decimals
+export function formatBoardValue(board, value) {
+    const { stat } = parseBoard(board);
+    const unit = STATS[stat] ? STATS[stat].unit : '';
+    const text = stat === 'fastestReturn' ? value.toFixed(2) : String(value);
+    return unit ? `${text} ${unit}` : text;
+}
@@ -1,8 +1,20 @@
 // Use the global io from socket.io CDN
 import * as THREE from 'three';
+import { mirrorPosition, mirrorVelocity, mirrorQuaternion } from '../sim/BallPhysics.mjs';
+import { TT_PHYSICS } from '../sim/TableTennisPhysics.mjs';
+import { normalizeRoomCode } from './RoomCode.mjs';
+import { SEATS, getModeSeats, getSeatAt, getTeammateSeat } from './Seats.mjs';
+import { formatProfileName } from './Profile.mjs';
+import { MessageEncoder, MessageDecoder } from './Protocol.mjs';
+import { PeerLink } from './PeerLink.js';
+import { SnapshotInterpolator } from './SnapshotInterpolator.mjs';
+
+const NETWORK_SEND_RATE = 30; // Paddle and controller updates sent per second
+const PEER_PADDLE_TIMEOUT = 250; // Milliseconds a paddle pose from the peer is shown before the server's takes over
 
 export class MultiplayerManager {
-    constructor(game) {
+    // options.sendRate overrides how many paddle / controller updates are sent per second
+    constructor(game, options = {}) {
         this.game = game;
         try {
             // Access the global socket.io instance
@@ -18,11 +30,16 @@ export class MultiplayerManager {
                 
             console.log(`Connecting to server at ${protocol}${host}`);
             
-            // Connect with explicit URL to avoid connection issues
+            // Connect with explicit URL to avoid connection issues. The player id keys our
+            // rating on the server, and our profile is shown to the players we meet.
+            // Reconnection keeps trying for longer than the server holds a dropped player's seat.
+            this.playerId = this.loadPlayerId();
             this.socket = io(`${protocol}${host}`, {
-                reconnectionAttempts: 5,
+                reconnectionAttempts: 15,
+                reconnectionDelayMax: 3000,
                 timeout: 10000,
-                transports: ['websocket', 'polling']
+                transports: ['websocket', 'polling'],
+                auth: { playerId: this.playerId, profile: game.profile }
             });
             
             this.roomId = null;
@@ -30,6 +47,38 @@ export class MultiplayerManager {
             this.isConnected = false;
             this.isMultiplayerActive = false;
             this.opponentId = null;
+            this.isWatchingLobby = false;
+            this.isQueued = false;
+            this.isSpectator = false; // Watching a room rather than playing in it
+            this.mode = 'singles'; // 'singles' or 'doubles' (two teams of two)
+            this.seat = null; // Our seat in the room: host, guest, hostPartner or guestPartner
+            this.seats = {}; // Socket id per seat of the room, null for empty seats
+            this.session = null; // { roomId, token } for reclaiming our seat after a dropped connection
+            this.aiSeats = []; // Seats the server's AI is playing
+            this.profiles = {}; // Profile per seat of the room, null for empty seats
+            this.spectatorCount = 0;
+            
+            // Smooths the server's ball and opponent paddle between snapshots
+            this.interpolator = new SnapshotInterpolator();
+            
+            // High-rate state goes over the binary protocol (Protocol.mjs), at most sendRate
+            // times a second and only when something changed
+            this.sendRate = options.sendRate || NETWORK_SEND_RATE;
+            this.lastPaddleSend = 0;
+            this.lastControllerSend = 0;
+            this.paddleEncoder = new MessageEncoder('paddle');
+            this.controllerEncoder = new MessageEncoder('controllers');
+            this.decoder = new MessageDecoder();
+            
+            // Singles players also send their poses straight to each other (PeerLink); the
+            // server still gets our paddle for its simulation
+            this.peer = null;
+            this.peerPaddle = null; // The opponent's latest paddle from the peer, in our frame
+            // The peer channel drops and reorders messages, so each one is a keyframe: a lost
+            // message costs nothing but itself, where a lost delta would stall what follows
+            this.peerPaddleEncoder = new MessageEncoder('paddle', { keyframeInterval: 1 });
+            this.peerControllerEncoder = new MessageEncoder('controllers', { keyframeInterval: 1 });
+            this.peerDecoder = new MessageDecoder();
             
             this.setupSocketListeners();
         } catch (e) {
@@ -45,63 +94,343 @@ export class MultiplayerManager {
         this.socket.on('connect', () => {
             console.log('Connected to server with ID:', this.socket.id);
             this.isConnected = true;
+            // The server has no stream state for a new connection
+            this.paddleEncoder.reset();
+            this.controllerEncoder.reset();
+            this.decoder.reset();
+            // Resubscribe to the room list after a reconnect
+            if (this.isWatchingLobby) {
+                this.socket.emit('watchLobby');
+            }
+            // Back after a dropped connection: ask for our seat again
+            if (this.isMultiplayerActive && this.session) {
+                console.log(`Resuming session in room ${this.session.roomId}`);
+                this.socket.emit('resumeSession', this.session);
+            }
+        });
+
+        // The server measures our ping for the lobby room list
+        this.socket.on('latencyCheck', (ack) => {
+            if (typeof ack === 'function') ack();
+        });
+
+        // Live public room list, while the lobby browser is open
+        this.socket.on('roomList', (data) => {
+            if (this.game.lobbyPanel) {
+                this.game.lobbyPanel.setRooms(data.rooms);
+            }
         });
 
         // Disconnect event
         this.socket.on('disconnect', () => {
             console.log('Disconnected from server');
             this.isConnected = false;
+            this.interpolator.reset();
+            
+            // The server holds our seat for a while, so keep the match and try to get back in
+            if (this.isMultiplayerActive && this.session) {
+                this.game.pauseMultiplayerGame('Connection lost. Reconnecting...');
+                return;
+            }
+            
             this.isMultiplayerActive = false;
             this.roomId = null;
             this.isHost = false;
             this.opponentId = null;
+            this.setSeat(null, 'singles', {});
+            this.closePeerLink();
+            if (this.isSpectator) {
+                this.isSpectator = false;
+                this.game.stopSpectating();
+            }
+            if (this.isQueued) {
+                this.isQueued = false;
+                this.game.updateQueueStatus(null);
+            }
             
             // Show disconnect message in VR
             this.game.showMessage('Disconnected from multiplayer session');
         });
 
+        // Reconnection gave up: the seat is lost
+        this.socket.io.on('reconnect_failed', () => {
+            if (this.isMultiplayerActive) {
+                this.leaveMatch('Could not reconnect to the server');
+            }
+        });
+
+        // Token for reclaiming our seat, sent whenever we take one
+        this.socket.on('sessionToken', (data) => {
+            this.session = data;
+        });
+
+        // We got our seat back after a dropped connection; play resumes after matchResuming
+        this.socket.on('sessionResumed', (data) => {
+            console.log('Session resumed:', data);
+            this.roomId = data.roomId;
+            this.isHost = data.isHost;
+            this.setSeat(data.seat, data.mode, data.seats);
+            this.profiles = data.profiles || {};
+            this.aiSeats = data.aiSeats || [];
+            this.opponentId = this.isNearTeam() ? data.guestId : data.hostId;
+            this.interpolator.reset();
+            this.game.updateMultiplayerStatus(true, this.isNearTeam());
+            this.game.setMatchRules(data.matchRules);
+            this.game.updateRemoteScore(data.hostScore, data.guestScore, data.hostGames, data.guestGames);
+        });
+
+        // The seat was given up while we were away
+        this.socket.on('sessionExpired', () => {
+            console.log('Session expired');
+            this.leaveMatch('Could not rejoin the match, it has ended');
+        });
+
+        // Another player left for good (or did not come back in time)
+        this.socket.on('opponentDisconnected', (data) => {
+            console.log('Opponent disconnected:', data);
+            this.leaveMatch(`${this.describeSeat(data && data.seat)} left the match`);
+        });
+
+        // WebRTC signaling from the other player, passed on by the server
+        this.socket.on('rtcOffer', (data) => {
+            if (this.isSpectator || this.mode !== 'singles' || this.seat !== 'guest') return;
+            
+            console.log('Peer offer received');
+            this.openPeerLink().handleOffer(data.description);
+        });
+
+        this.socket.on('rtcAnswer', (data) => {
+            if (this.peer) this.peer.handleAnswer(data.description);
+        });
+
+        this.socket.on('rtcIceCandidate', (data) => {
+            if (this.peer) this.peer.handleCandidate(data.candidate);
+        });
+
+        // A player dropped out: the server holds the match until they return or time runs out
+        this.socket.on('matchPaused', (data) => {
+            console.log('Match paused:', data);
+            this.interpolator.reset();
+            const who = this.isSpectator ? 'A player' : this.describeSeat(data.seat);
+            this.game.pauseMultiplayerGame(`${who} lost connection. Waiting for them to return:`, data.resumeBy);
+        });
+
+        this.socket.on('matchResuming', (data) => {
+            this.game.showResumeCountdown(data.delay);
+        });
+
+        this.socket.on('matchResumed', () => {
+            console.log('Match resumed');
+            this.interpolator.reset();
+            this.game.resumeMultiplayerGame();
+            // The direct link may have survived the dropped server connection; if not, try again
+            if (!this.peer) this.connectPeer();
+        });
+
         // Game hosted successfully
         this.socket.on('gameHosted', (data) => {
             this.roomId = data.roomId;
             this.isHost = true;
             this.isMultiplayerActive = true;
+            this.setSeat('host', data.mode, {});
             
             console.log('Game hosted with room ID:', this.roomId);
-            this.game.showMessage(`Game hosted! Room code: ${this.roomId}`);
-            this.game.showMessage('Waiting for an opponent to join...', 5000);
+            this.applyRuleset(data.ruleset);
+            this.game.setMatchRules(data.matchRules);
             this.game.updateMultiplayerStatus(true, true);
+            // Matchmade rooms already have their guest - playerJoined follows
+            if (data.matchmade) return;
+            
+            // One message, so the code friends need to join stays up with the waiting hint
+            const hosted = data.isPrivate ?
+                `Private game hosted! Share the room code: ${this.roomId}.` :
+                `Game hosted! Room code: ${this.roomId}.`;
+            this.game.showMessage(this.mode === 'doubles' ?
+                `${hosted} Waiting for three more players. Press START to play with the AI in the empty seats` :
+                `${hosted} Waiting for an opponent. Press START to play the AI until someone joins`, 10000);
+            // No need to wait: the AI plays any empty seats
+            if (this.game.startButton) {
+                this.game.startButton.show();
+            }
+        });
+
+        // Matchmaking queue progress, sent every second while queued
+        this.socket.on('queueStatus', (data) => {
+            if (!this.isQueued) return;
+            this.game.updateQueueStatus(data);
+        });
+
+        this.socket.on('queueLeft', () => {
+            this.isQueued = false;
+            this.game.updateQueueStatus(null);
+        });
+
+        // Matchmaking paired us with an opponent; gameHosted / playerJoined follow
+        this.socket.on('matchFound', (data) => {
+            console.log('Match found:', data);
+            this.isQueued = false;
+            this.game.updateQueueStatus(null);
+            this.game.onMatchFound(data);
+        });
+
+        // Our rating after a finished match
+        this.socket.on('ratingUpdated', (data) => {
+            console.log('Rating updated:', data);
+            const change = data.change >= 0 ? `+${data.change}` : `${data.change}`;
+            this.game.showMessage(`Rating: ${data.rating} (${change})`, 5000);
         });
 
         // Another player joined the game
         this.socket.on('playerJoined', (data) => {
             console.log('Player joined event received:', data);
+            if (this.isSpectator) return;
             
-            // Set the room ID if we're joining
-            if (!this.isHost) {
+            // Sent to the whole room each time a seat is filled
+            const seats = data.seats || { host: data.hostId, guest: data.guestId };
+            const seat = Object.keys(seats).find(key => seats[key] === this.socket.id) || (this.isHost ? 'host' : 'guest');
+            const isNewPlayer = !this.isMultiplayerActive;
+            this.setSeat(seat, data.mode, seats);
+            this.aiSeats = data.aiSeats || [];
+            this.profiles = data.profiles || {};
+            
+            // Set the room ID if we're joining - the host picked the ruleset
+            if (isNewPlayer) {
                 this.roomId = data.roomId;
+                this.applyRuleset(data.ruleset);
+                this.game.setMatchRules(data.matchRules);
                 this.isMultiplayerActive = true;
-                this.game.updateMultiplayerStatus(true, false);
+                this.game.updateMultiplayerStatus(true, this.isNearTeam());
             }
+            this.opponentId = this.isNearTeam() ? data.guestId : data.hostId;
+            this.game.showProfiles();
             
-            if (this.isHost) {
-                this.opponentId = data.guestId;
-                console.log('As host, opponent joined with ID:', this.opponentId);
-                this.game.showMessage('A player has joined your game! You can now start the game.', 5000);
+            const taken = Object.values(seats).filter(id => id !== null).length;
+            const total = Object.keys(seats).length;
+            if (taken === total) {
+                // A new opponent: link up with them directly
+                this.connectPeer();
+            }
+            if (data.isPlaying) {
+                // Joined a match with the AI in our seat; the server starts our game too
+                this.game.showMessage(isNewPlayer ?
+                    'You take over from the AI at the next point' :
+                    'A player joined and takes over from the AI at the next point', 5000);
+            } else if (taken < total) {
+                this.game.showMessage(`${taken}/${total} players. Waiting for ${total - taken} more...`, 5000);
+            } else if (this.isHost) {
+                console.log('As host, all seats taken. Opponent ID:', this.opponentId);
+                this.game.showMessage(total > 2 ?
+                    'All four players are here! You can now start the game.' :
+                    'A player has joined your game! You can now start the game.', 5000);
                 // Show the start button for the host
                 if (this.game.startButton) {
                     this.game.startButton.show();
                 }
             } else {
-                this.opponentId = data.hostId;
-                console.log('As guest, joined host with ID:', this.opponentId);
+                console.log(`Joined as ${this.seat}, host ID:`, data.hostId);
                 this.game.showMessage('Joined game successfully! Waiting for the host to start...', 5000);
             }
         });
 
-        // Game started
-        this.socket.on('gameStarted', () => {
+        // A player left before the match started: the room waits for someone else
+        this.socket.on('playerLeft', (data) => {
+            console.log('Player left:', data);
+            if (this.isSpectator) return;
+            
+            this.closePeerLink();
+            this.setSeat(this.seat, data.mode, data.seats);
+            this.profiles = data.profiles || {};
+            this.opponentId = this.isNearTeam() ? data.guestId : data.hostId;
+            this.game.showProfiles();
+            
+            const taken = Object.values(data.seats).filter(id => id !== null).length;
+            const total = Object.keys(data.seats).length;
+            this.game.showMessage(`${this.describeSeat(data.seat)} left. Waiting for ${total - taken} more...`, 5000);
+        });
+
+        // The AI took empty seats: at the start, or when a player did not come back
+        this.socket.on('aiJoined', (data) => {
+            console.log('AI joined:', data);
+            this.aiSeats = [...new Set([...this.aiSeats, ...data.seats])];
+            if (data.reason === 'disconnect') {
+                // The player we were linked to is gone
+                this.closePeerLink();
+                const who = this.isSpectator ? 'A player' : this.describeSeat(data.seats[0]);
+                this.game.showMessage(`${who} did not come back. The AI takes over their paddle`, 5000);
+            } else if (!this.isSpectator) {
+                this.game.showMessage(data.seats.length > 1 ?
+                    'The AI plays the empty seats until players join' :
+                    'Playing the AI until someone joins', 5000);
+            }
+            this.game.showProfiles();
+        });
+
+        // A player who joined mid-match took their paddle over from the AI
+        this.socket.on('aiHandover', (data) => {
+            console.log('AI handed over:', data);
+            this.aiSeats = this.aiSeats.filter(seat => seat !== data.seat);
+            if (data.seat === this.seat) {
+                // The server ignored our paddle until now; send all of it again even if it hasn't moved
+                this.paddleEncoder.reset();
+            }
+            this.game.showMessage(data.seat === this.seat ?
+                'Your paddle now - play!' :
+                'A player took over from the AI', 3000);
+            this.game.showProfiles();
+        });
+
+        // A player in the room changed their name, color or avatar
+        this.socket.on('profileUpdated', (data) => {
+            if (!data || !data.seat) return;
+            this.profiles[data.seat] = data.profile;
+            this.game.showProfiles();
+        });
+
+        // Game started, under the room's match rules
+        this.socket.on('gameStarted', (data) => {
             console.log('Game started!');
-            this.game.startMultiplayerGame(this.isHost);
+            this.interpolator.reset();
+            this.game.setMatchRules(data && data.matchRules);
+            if (this.isSpectator) {
+                this.game.onSpectatedGameStarted();
+            } else {
+                this.game.startMultiplayerGame(this.isNearTeam());
+            }
+        });
+
+        // Now watching a room: the game switches to the spectator camera
+        this.socket.on('spectating', (data) => {
+            console.log('Spectating room:', data);
+            this.isSpectator = true;
+            this.isHost = false;
+            this.roomId = data.roomId;
+            this.setSeat(null, data.mode, data.seats);
+            this.profiles = data.profiles || {};
+            this.aiSeats = data.aiSeats || [];
+            this.interpolator.reset();
+            this.applyRuleset(data.ruleset);
+            this.game.setMatchRules(data.matchRules);
+            this.game.startSpectating(data);
+        });
+
+        // How many people are watching our room
+        this.socket.on('spectatorCount', (data) => {
+            // While we are linked to our opponent, controllers only go through the server for
+            // spectators; a new one needs a fresh keyframe
+            if (data.count > this.spectatorCount) this.controllerEncoder.reset();
+            this.spectatorCount = data.count;
+            this.game.updateSpectatorCount(data.count);
+        });
+
+        // The room we were watching closed because a player left
+        this.socket.on('roomClosed', () => {
+            if (!this.isSpectator) return;
+            this.isSpectator = false;
+            this.roomId = null;
+            this.setSeat(null, 'singles', {});
+            this.profiles = {};
+            this.interpolator.reset();
+            this.game.stopSpectating('A player left, the match you were watching is over');
         });
 
         // No games available to join
@@ -115,46 +444,234 @@ export class MultiplayerManager {
             this.opponentId = null;
         });
 
+        // The server disconnects clients that keep sending invalid messages. Our seat is gone,
+        // so don't try to resume it.
+        this.socket.on('kicked', (data) => {
+            console.log('Kicked by the server:', data.reason);
+            this.session = null;
+            this.closePeerLink();
+            this.game.showMessage(`Disconnected by the server: ${data.reason}`, 5000);
+        });
+
         // Error message
         this.socket.on('errorMessage', (data) => {
             console.log('Error:', data.message);
             this.game.showMessage(`Error: ${data.message}`);
         });
 
-        // Receive remote paddle position updates
-        this.socket.on('paddlePositionUpdated', (data) => {
-            console.log(`Received paddle position: x=${data.x.toFixed(2)}, y=${data.y.toFixed(2)}, z=${data.z.toFixed(2)}, isHost=${data.isHost}`);
-            // Create position object from the received data
-            const position = { x: data.x, y: data.y, z: data.z };
-            this.game.updateRemotePaddlePosition(position, data.isHost);
-        });
-
-        // Receive ball position updates (guest only)
-        this.socket.on('ballPositionUpdated', (data) => {
-            if (!this.isHost) {
-                this.game.updateRemoteBallPosition(data.position, data.velocity);
+        // Receive authoritative state from the server simulation.
+        // Snapshots are in the host's frame, so the guest's team mirrors them to their own end
+        // of the table before buffering; applyRemoteState renders them each frame. Spectators
+        // watch in the host's frame.
+        this.socket.on('stateSnapshot', (payload) => {
+            const decoded = this.decoder.decode(payload);
+            if (!decoded || decoded.type !== 'snapshot') return;
+            
+            const data = decoded.message;
+            const inHostFrame = this.isNearTeam();
+            const toLocal = inHostFrame ? (p) => p : mirrorPosition;
+            const toLocalVelocity = inHostFrame ? (v) => v : mirrorVelocity;
+            const toLocalQuaternion = inHostFrame ? (q) => q : mirrorQuaternion;
+            const readPaddle = (seat) => {
+                const position = data[`${seat}Paddle`];
+                const quaternion = data[`${seat}PaddleQuaternion`];
+                return position ? {
+                    position: toLocal(position),
+                    quaternion: quaternion ? toLocalQuaternion(quaternion) : null
+                } : null;
+            };
+            
+            // Only the other paddles - our own paddle is driven (predicted) locally
+            const nearSide = inHostFrame ? 'near' : 'far';
+            const farSide = inHostFrame ? 'far' : 'near';
+            const opponent = readPaddle(getSeatAt(farSide, 0));
+            
+            // Spectators have no paddle of their own, so the host's is buffered as well.
+            // Doubles adds our partner (or, for spectators, the host's) and the far partner.
+            const extraPaddles = {};
+            if (this.isSpectator) {
+                extraPaddles.near = readPaddle('host');
+            }
+            if (this.mode === 'doubles') {
+                extraPaddles.nearPartner = readPaddle(this.isSpectator ? 'hostPartner' : getTeammateSeat(this.seat));
+                extraPaddles.farPartner = readPaddle(getSeatAt(farSide, 1));
             }
+            for (const key of Object.keys(extraPaddles)) {
+                if (!extraPaddles[key]) delete extraPaddles[key];
+            }
+            
+            this.interpolator.push({
+                extraPaddles,
+                time: data.time,
+                ball: {
+                    position: toLocal(data.ball.position),
+                    velocity: toLocalVelocity(data.ball.velocity),
+                    // Sidespin is about the vertical axis, so it survives the mirror unchanged
+                    spin: data.ball.spin || 0
+                },
+                paddle: opponent.position,
+                paddleQuaternion: opponent.quaternion
+            });
         });
 
         // Receive score updates
         this.socket.on('scoreUpdated', (data) => {
-            this.game.updateRemoteScore(data.hostScore, data.guestScore);
+            this.game.updateRemoteScore(data.hostScore, data.guestScore, data.hostGames, data.guestGames);
+        });
+
+        // A game of a best-of match was won; scoreUpdated follows with the next game at 0-0
+        this.socket.on('gameEnded', (data) => {
+            console.log('Game ended:', data);
+            if (this.isSpectator) {
+                const who = data.winner === 'host' ? 'Host' : 'Guest';
+                this.game.showMessage(`${who} takes the game ${data.hostScore}-${data.guestScore}`, 3000);
+                return;
+            }
+            const own = this.isNearTeam() ? 'host' : 'guest';
+            const other = own === 'host' ? 'guest' : 'host';
+            this.game.onGameEnd(data.winner === own, data[`${own}Score`], data[`${other}Score`],
+                data[`${own}Games`], data[`${other}Games`]);
+        });
+
+        // Time ran out on a tie: the next point wins the match
+        this.socket.on('overtime', () => {
+            this.game.startOvertime();
+        });
+
+        // The match is over on the server: on the clock or on the points the match rules call for
+        this.socket.on('matchEnded', (data) => {
+            console.log('Match ended:', data);
+            this.interpolator.reset();
+            const { games } = data.summary;
+            this.game.updateRemoteScore(data.hostScore, data.guestScore, games.host, games.guest);
+            if (this.isSpectator) {
+                const outcome = data.winner ? `${data.winner === 'host' ? 'Host' : 'Guest'} wins` : 'Draw';
+                this.game.showMessage(`${outcome} ${data.hostScore}-${data.guestScore}`, 5000);
+                return;
+            }
+            this.game.endMatch(this.getMatchResult(data));
         });
 
-        // Receive collision events
+        // Receive collision events. Paddle hits name the seat, so only the player who hit
+        // the ball feels it.
         this.socket.on('remoteCollision', (data) => {
-            this.game.handleRemoteCollision(data.type, data.position);
+            const isOwnPaddle = !data.seat || data.seat === this.seat;
+            this.game.handleRemoteCollision(data.type, data.position, data.isHost, isOwnPaddle);
         });
 
         // Receive remote controller data
-        this.socket.on('remoteControllerData', (data) => {
-            // Forward controller data to the game to update remote controller visualizations
-            this.game.updateRemoteControllers(data);
+        this.socket.on('remoteControllerData', (payload) => {
+            const decoded = this.decoder.decode(payload);
+            if (!decoded || decoded.type !== 'controllers') return;
+            
+            // Our opponent's controllers come straight from them while we are linked
+            if (this.isPeerOpen()) return;
+            this.receiveControllers(decoded);
         });
     }
 
-    // Host a new game
-    hostGame() {
+    // Controllers of another player, decoded; the stream is the seat whose controllers they are
+    receiveControllers(decoded) {
+        const seat = Object.keys(SEATS)[decoded.stream];
+        if (!seat) return;
+        const data = {
+            seat,
+            isHost: SEATS[seat].side === 'near',
+            leftController: decoded.message.left || null,
+            rightController: decoded.message.right || null
+        };
+        
+        // Controllers arrive in their player's own frame (isHost: the host's team); the
+        // other team's are mirrored to our end of the table
+        if (data.isHost !== this.isNearTeam()) {
+            for (const key of ['leftController', 'rightController']) {
+                if (data[key]) {
+                    data[key] = {
+                        position: mirrorPosition(data[key].position),
+                        rotation: mirrorQuaternion(data[key].rotation)
+                    };
+                }
+            }
+        }
+        
+        // Forward controller data to the game to update remote controller visualizations
+        this.game.updateRemoteControllers(data);
+    }
+
+    // Singles host: offer our opponent a direct link. The guest answers in 'rtcOffer'.
+    connectPeer() {
+        if (this.isSpectator || this.mode !== 'singles' || this.seat !== 'host') return;
+        if (typeof RTCPeerConnection === 'undefined') return;
+        
+        console.log('Offering a direct connection to our opponent');
+        this.openPeerLink().start();
+    }
+
+    // A fresh link to our opponent, replacing any old one
+    openPeerLink() {
+        this.closePeerLink();
+        
+        const link = new PeerLink(this.socket, {
+            onOpen: () => {
+                // The new receiver has no stream history
+                this.peerPaddleEncoder.reset();
+                this.peerControllerEncoder.reset();
+                this.game.showMessage('Direct connection to your opponent', 2000);
+            },
+            onMessage: (data) => this.receivePeerMessage(data),
+            onClose: (reason) => {
+                // Closed by us (replaced or leaving), or the connection failed
+                if (this.peer !== link) return;
+                console.log(`Direct connection ${reason}, relaying through the server`);
+                this.peer = null;
+                this.peerPaddle = null;
+            }
+        });
+        this.peer = link;
+        this.peerDecoder.reset();
+        return link;
+    }
+
+    closePeerLink() {
+        const link = this.peer;
+        this.peer = null;
+        this.peerPaddle = null;
+        if (link) link.close();
+    }
+
+    isPeerOpen() {
+        return this.peer !== null && this.peer.isOpen();
+    }
+
+    // Paddle and controller poses from our opponent, in their frame
+    receivePeerMessage(data) {
+        const decoded = this.peerDecoder.decode(data);
+        if (!decoded) return;
+        
+        if (decoded.type === 'controllers') {
+            this.receiveControllers(decoded);
+        } else if (decoded.type === 'paddle') {
+            const { position, quaternion } = decoded.message;
+            this.peerPaddle = {
+                position: mirrorPosition(position),
+                quaternion: quaternion ? mirrorQuaternion(quaternion) : null,
+                receivedAt: performance.now()
+            };
+        }
+    }
+
+    // The opponent's paddle from the peer if it is recent, and theirs rather than the AI's
+    getPeerPaddle() {
+        if (!this.peerPaddle || !this.isPeerOpen()) return null;
+        if (performance.now() - this.peerPaddle.receivedAt > PEER_PADDLE_TIMEOUT) return null;
+        if (this.aiSeats.includes(getSeatAt(this.isNearTeam() ? 'far' : 'near', 0))) return null;
+        return this.peerPaddle;
+    }
+
+    // Host a new game with the given ruleset ('classic' or 'tableTennis') and mode ('singles'
+    // or 'doubles'). Private games are left out of quick join and can only be joined by room code.
+    // matchRules are the room's match rules (see MatchRules.mjs), the ruleset's usual ones when null.
+    hostGame(ruleset = 'classic', isPrivate = false, mode = 'singles', matchRules = null) {
         if (!this.isConnected) {
             console.log('Cannot host: not connected to server');
             return false;
@@ -172,7 +689,7 @@ export class MultiplayerManager {
         this.opponentId = null;
         
         console.log('Requesting to host a new game');
-        this.socket.emit('hostGame');
+        this.socket.emit('hostGame', { ruleset, private: isPrivate, mode, matchRules });
         return true;
     }
 
@@ -199,70 +716,187 @@ export class MultiplayerManager {
         return true;
     }
 
-    // Start the game (host only)
-    startGame() {
-        if (!this.isHost || !this.roomId) {
-            console.log('Cannot start game: not a host or no room ID');
+    // Persistent anonymous id for this browser, created on first visit
+    loadPlayerId() {
+        const key = 'vrPongPlayerId';
+        try {
+            let playerId = localStorage.getItem(key);
+            if (!playerId) {
+                playerId = crypto.randomUUID ? crypto.randomUUID() :
+                    Math.random().toString(36).slice(2) + Date.now().toString(36);
+                localStorage.setItem(key, playerId);
+            }
+            return playerId;
+        } catch (e) {
+            console.warn('Could not store player id, ratings will not be kept:', e);
+            return null;
+        }
+    }
+
+    // Enter the matchmaking queue for a ruleset; the server pairs us with a player of
+    // similar rating
+    joinQueue(ruleset = 'classic') {
+        if (!this.isConnected) {
+            console.log('Cannot join queue: not connected to server');
             return false;
         }
         
-        if (!this.opponentId) {
-            console.log('Cannot start game: no opponent has joined');
-            this.game.showMessage('Waiting for an opponent to join...', 5000);
+        if (this.isMultiplayerActive) {
+            console.log('Already in a multiplayer game');
+            this.game.showMessage('Already in a multiplayer game');
             return false;
         }
         
-        console.log('Starting game in room:', this.roomId);
-        this.socket.emit('startGame', { roomId: this.roomId });
+        this.isHost = false;
+        this.roomId = null;
+        this.isQueued = true;
+        
+        console.log(`Joining the ${ruleset} matchmaking queue`);
+        this.socket.emit('joinQueue', { ruleset });
         return true;
     }
 
-    // Send paddle position update
-    updatePaddlePosition(paddle) {
-        if (!this.socket || !this.socket.connected) return;
+    leaveQueue() {
+        if (!this.isQueued) return false;
         
-        const paddlePos = paddle.getPaddle().position;
-        console.log(`Sending paddle position: x=${paddlePos.x.toFixed(2)}, y=${paddlePos.y.toFixed(2)}, z=${paddlePos.z.toFixed(2)}`);
+        this.isQueued = false;
+        if (this.isConnected) {
+            this.socket.emit('leaveQueue');
+        }
+        return true;
+    }
+
+    // Watch a room by its code as a read-only spectator
+    spectateRoom(code) {
+        if (!this.isConnected) {
+            console.log('Cannot spectate: not connected to server');
+            return false;
+        }
         
-        this.socket.emit('updatePaddlePosition', {
-            x: paddlePos.x,
-            y: paddlePos.y,
-            z: paddlePos.z,
-            isHost: this.isHost
-        });
+        if (this.isMultiplayerActive) {
+            console.log('Already in a multiplayer game');
+            this.game.showMessage('Already in a multiplayer game');
+            return false;
+        }
+        
+        const roomCode = normalizeRoomCode(code);
+        if (!roomCode) {
+            this.game.showMessage('Room codes are 6 letters and numbers');
+            return false;
+        }
+        
+        console.log(`Requesting to watch room ${roomCode}`);
+        this.socket.emit('spectateRoom', { code: roomCode });
+        return true;
     }
 
-    // Send ball position update (host only)
-    updateBallPosition(position, velocity) {
-        if (!this.isMultiplayerActive || !this.roomId || !this.isHost) return;
+    stopSpectating() {
+        if (!this.isSpectator) return false;
         
-        this.socket.emit('updateBallPosition', {
-            roomId: this.roomId,
-            position,
-            velocity
-        });
+        this.isSpectator = false;
+        this.roomId = null;
+        this.setSeat(null, 'singles', {});
+        this.interpolator.reset();
+        if (this.isConnected) {
+            this.socket.emit('stopSpectating');
+        }
+        return true;
+    }
+
+    // Start / stop receiving the public room list for the lobby browser
+    watchLobby() {
+        this.isWatchingLobby = true;
+        if (this.isConnected) {
+            this.socket.emit('watchLobby');
+        }
     }
 
-    // Send score update (host only)
-    updateScore(hostScore, guestScore) {
-        if (!this.isMultiplayerActive || !this.roomId || !this.isHost) return;
+    leaveLobby() {
+        this.isWatchingLobby = false;
+        if (this.isConnected) {
+            this.socket.emit('leaveLobby');
+        }
+    }
+
+    // Join a specific game by its room code
+    joinRoom(code) {
+        if (!this.isConnected) {
+            console.log('Cannot join: not connected to server');
+            return false;
+        }
         
-        this.socket.emit('updateScore', {
-            roomId: this.roomId,
-            hostScore,
-            guestScore
-        });
+        if (this.isMultiplayerActive) {
+            console.log('Already in a multiplayer game');
+            this.game.showMessage('Already in a multiplayer game');
+            return false;
+        }
+        
+        const roomCode = normalizeRoomCode(code);
+        if (!roomCode) {
+            console.log(`Invalid room code: ${code}`);
+            this.game.showMessage('Room codes are 6 letters and numbers');
+            return false;
+        }
+        
+        this.isHost = false;
+        this.roomId = null;
+        
+        console.log(`Requesting to join room ${roomCode}`);
+        this.socket.emit('joinRoom', { code: roomCode });
+        return true;
     }
 
-    // Send collision event (host only)
-    sendCollisionEvent(type, position) {
-        if (!this.isMultiplayerActive || !this.roomId || !this.isHost) return;
+    // Start the game (host only)
+    startGame() {
+        if (!this.isHost || !this.roomId) {
+            console.log('Cannot start game: not a host or no room ID');
+            return false;
+        }
         
-        this.socket.emit('collisionEvent', {
-            roomId: this.roomId,
-            type,
-            position
-        });
+        // Empty seats are played by the server's AI until players join
+        const fillWithAI = !this.opponentId || Object.values(this.seats).includes(null);
+        
+        console.log(`Starting game in room: ${this.roomId}${fillWithAI ? ' with the AI in the empty seats' : ''}`);
+        this.socket.emit('startGame', { roomId: this.roomId, fillWithAI });
+        return true;
+    }
+
+    // Whether another update of this kind is due at the send rate
+    isSendDue(lastSendKey) {
+        const now = performance.now();
+        if (now - this[lastSendKey] < 1000 / this.sendRate) return false;
+        
+        this[lastSendKey] = now;
+        return true;
+    }
+
+    // Send paddle position update
+    updatePaddlePosition(paddle) {
+        if (!this.socket || !this.socket.connected) return;
+        if (!this.isSendDue('lastPaddleSend')) return;
+        
+        const paddlePos = paddle.getPaddle().position;
+        const velocity = paddle.velocity;
+        const quaternion = paddle.getPaddle().quaternion;
+        const pose = {
+            position: { x: paddlePos.x, y: paddlePos.y, z: paddlePos.z },
+            velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+            // Table tennis VR paddles also send their orientation
+            quaternion: paddle.fullPose ?
+                { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w } :
+                null
+        };
+        
+        // The server always needs our paddle; a linked opponent sees it sooner from us directly
+        if (this.isPeerOpen()) {
+            const peerMessage = this.peerPaddleEncoder.encode(pose);
+            if (peerMessage) this.peer.send(peerMessage);
+        }
+        
+        // Nothing changed since the last update
+        const message = this.paddleEncoder.encode(pose);
+        if (!message) return;
+        this.socket.emit('updatePaddlePosition', message);
     }
 
     // Send VR controller positions and orientations
@@ -271,6 +905,7 @@ export class MultiplayerManager {
         
         // Only send controller data if we have valid controllers
         if (!leftController || !rightController) return;
+        if (!this.isSendDue('lastControllerSend')) return;
 
         const leftPosition = new THREE.Vector3();
         const leftRotation = new THREE.Quaternion();
@@ -282,21 +917,159 @@ export class MultiplayerManager {
         rightController.getWorldPosition(rightPosition);
         rightController.getWorldQuaternion(rightRotation);
 
-        const controllerData = {
-            roomId: this.roomId,
-            isHost: this.isHost,
-            leftController: {
+        const controllers = {
+            left: {
                 position: { x: leftPosition.x, y: leftPosition.y, z: leftPosition.z },
                 rotation: { x: leftRotation.x, y: leftRotation.y, z: leftRotation.z, w: leftRotation.w }
             },
-            rightController: {
+            right: {
                 position: { x: rightPosition.x, y: rightPosition.y, z: rightPosition.z },
                 rotation: { x: rightRotation.x, y: rightRotation.y, z: rightRotation.z, w: rightRotation.w }
             }
         };
         
-        // Send controller data to server
-        this.socket.emit('updateControllerData', controllerData);
+        // Straight to a linked opponent; through the server for everyone else (spectators)
+        if (this.isPeerOpen()) {
+            const peerMessage = this.peerControllerEncoder.encode(controllers);
+            if (peerMessage) this.peer.send(peerMessage);
+            if (this.spectatorCount === 0) return;
+        }
+        
+        // Send controller data to server, unless the controllers didn't move
+        const message = this.controllerEncoder.encode(controllers);
+        if (!message) return;
+        this.socket.emit('updateControllerData', message);
+    }
+
+    // Render the interpolated server state; called once per frame by the game loop
+    applyRemoteState() {
+        const state = this.interpolator.sample();
+        if (!state) return;
+        
+        this.game.updateRemoteBallPosition(state.ball.position, state.ball.velocity, state.ball.spin);
+        for (const [key, paddle] of Object.entries(state.extraPaddles)) {
+            if (key === 'near') {
+                // Spectators: the host's paddle, shown as the near paddle
+                this.game.updateRemotePaddlePosition(paddle.position, true, paddle.quaternion);
+            } else {
+                this.game.updatePartnerPaddlePosition(key === 'nearPartner' ? 'near' : 'far', paddle.position, paddle.quaternion);
+            }
+        }
+        // The buffered paddle is the far team's first seat, in our frame. A linked opponent's
+        // own report of it is fresher.
+        const peerPaddle = this.getPeerPaddle();
+        if (peerPaddle) {
+            this.game.updateRemotePaddlePosition(peerPaddle.position, !this.isNearTeam(), peerPaddle.quaternion);
+        } else {
+            this.game.updateRemotePaddlePosition(state.paddle, !this.isNearTeam(), state.paddleQuaternion);
+        }
+    }
+    
+    // Take a seat (null for spectators) in a room of the given mode
+    setSeat(seat, mode, seats) {
+        this.seat = seat;
+        this.mode = mode === 'doubles' ? 'doubles' : 'singles';
+        this.seats = seats || {};
+    }
+    
+    // Whether we see the table from the host's end: the host's team, and spectators
+    isNearTeam() {
+        if (this.isSpectator) return true;
+        return this.seat ? SEATS[this.seat].side === 'near' : this.isHost;
+    }
+    
+    // Who is in a seat, as seen from ours, for messages
+    describeSeat(seat) {
+        if (this.mode !== 'doubles' || !seat || !this.seat) return 'Your opponent';
+        return SEATS[seat].side === SEATS[this.seat].side ? 'Your partner' : 'An opponent';
+    }
+
+    // Score board label for a side of the table: its players' names, AI for seats the AI plays
+    getTeamLabel(side) {
+        return getModeSeats(this.mode)
+            .filter(seat => SEATS[seat].side === side)
+            .map(seat => {
+                if (this.aiSeats.includes(seat)) return 'AI';
+                return this.profiles[seat] ? formatProfileName(this.profiles[seat]) : 'OPEN SEAT';
+            })
+            .join(' & ');
+    }
+    
+    // The seat each of our paddles shows: ours (the host's for spectators), the first seat
+    // of the other team and, in doubles, the partners
+    getPaddleSeats() {
+        const ownSide = this.isNearTeam() ? 'near' : 'far';
+        const otherSide = ownSide === 'near' ? 'far' : 'near';
+        const player = this.seat || getSeatAt(ownSide, 0);
+        return {
+            player,
+            opponent: getSeatAt(otherSide, 0),
+            nearPartner: getTeammateSeat(player),
+            farPartner: getSeatAt(otherSide, 1)
+        };
+    }
+    
+    // Tell the server (and through it our room) about a changed profile. Also used when
+    // reconnecting.
+    updateProfile(profile) {
+        this.socket.auth.profile = profile;
+        if (this.isConnected) {
+            this.socket.emit('updateProfile', profile);
+        }
+    }
+
+    // A 'matchEnded' summary from our team's side (see ResultsPanel.showResult)
+    getMatchResult({ winner, summary }) {
+        const own = this.isNearTeam() ? 'host' : 'guest';
+        const other = own === 'host' ? 'guest' : 'host';
+        const opponent = summary.players[other] || {};
+        
+        let opponentLabel = opponent.ai ? `AI (${opponent.ai.toUpperCase()})` : (opponent.name ? formatProfileName(opponent) : 'PLAYER');
+        if (summary.mode === 'doubles') opponentLabel = 'THE OTHER TEAM';
+        
+        return {
+            mode: summary.mode,
+            ruleset: summary.ruleset,
+            opponent: opponentLabel,
+            won: winner === null ? null : winner === own,
+            matchRules: summary.matchRules,
+            ownScore: summary.score[own],
+            opponentScore: summary.score[other],
+            ownGames: summary.games[own],
+            opponentGames: summary.games[other],
+            duration: summary.duration,
+            longestRally: summary.longestRally,
+            ownHits: summary.hits[own],
+            opponentHits: summary.hits[other],
+            fastestReturn: summary.fastestReturn[own]
+        };
+    }
+
+    // Forget the match we were in and go back to the menu
+    leaveMatch(message) {
+        this.isMultiplayerActive = false;
+        this.roomId = null;
+        this.isHost = false;
+        this.opponentId = null;
+        this.session = null;
+        this.setSeat(null, 'singles', {});
+        this.aiSeats = [];
+        this.profiles = {};
+        this.spectatorCount = 0;
+        this.interpolator.reset();
+        this.closePeerLink();
+        
+        this.game.resetGame();
+        this.game.updateMultiplayerStatus(false, false);
+        this.game.showMessage(message, 5000);
+    }
+
+    // Use the room's ruleset locally; table tennis balls fall when extrapolated
+    applyRuleset(ruleset) {
+        if (!ruleset) return;
+        
+        this.game.setRuleset(ruleset);
+        this.interpolator.gravity = ruleset === 'tableTennis' ? TT_PHYSICS.gravity : 0;
     }
 
     // Check if we're in a multiplayer game
@@ -0,0 +1,157 @@
+// Direct WebRTC data channel between the two players of a singles match, so their paddle and
+// controller poses skip the hop through the server. server.js only passes the offer, answer
+// and ICE candidates on ('rtcOffer', 'rtcAnswer', 'rtcIceCandidate'). The channel is
+// unreliable and unordered: a late pose is worthless, so nothing is retransmitted.
+// If the connection can't be made (or drops) the link closes and the caller keeps using the
+// Socket.IO relay.
+
+const ICE_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' }
+];
+const CONNECT_TIMEOUT = 10000; // Milliseconds to get the channel open before giving up
+
+export class PeerLink {
+    // socket: the Socket.IO connection used for signaling.
+    // onOpen() once the channel is open, onMessage(ArrayBuffer) for each message from the other
+    // player and onClose(reason) once when the link closes or never opens.
+    constructor(socket, { onOpen = () => {}, onMessage = () => {}, onClose = () => {} } = {}) {
+        this.socket = socket;
+        this.onOpen = onOpen;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.channel = null;
+        this.closed = false;
+        this.pendingCandidates = []; // ICE candidates that arrived before the remote description
+
+        this.connection = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+
+        this.connection.addEventListener('icecandidate', (event) => {
+            if (event.candidate) {
+                this.socket.emit('rtcIceCandidate', { candidate: event.candidate.toJSON() });
+            }
+        });
+
+        this.connection.addEventListener('connectionstatechange', () => {
+            const state = this.connection.connectionState;
+            console.log('Peer connection state:', state);
+            if (state === 'failed' || state === 'closed') {
+                this.close(state);
+            }
+        });
+
+        // The answering side gets the channel the offering side opened
+        this.connection.addEventListener('datachannel', (event) => {
+            this.setupChannel(event.channel);
+        });
+
+        this.connectTimer = setTimeout(() => {
+            if (!this.isOpen()) this.close('timeout');
+        }, CONNECT_TIMEOUT);
+    }
+
+    // Offering side (the host): open the channel and send the offer
+    async start() {
+        this.setupChannel(this.connection.createDataChannel('gameplay', { ordered: false, maxRetransmits: 0 }));
+
+        try {
+            const offer = await this.connection.createOffer();
+            await this.connection.setLocalDescription(offer);
+            this.socket.emit('rtcOffer', { description: { type: offer.type, sdp: offer.sdp } });
+        } catch (error) {
+            console.error('Error creating peer offer:', error);
+            this.close('failed');
+        }
+    }
+
+    // Answering side (the guest)
+    async handleOffer(description) {
+        try {
+            await this.connection.setRemoteDescription(description);
+            await this.addPendingCandidates();
+            const answer = await this.connection.createAnswer();
+            await this.connection.setLocalDescription(answer);
+            this.socket.emit('rtcAnswer', { description: { type: answer.type, sdp: answer.sdp } });
+        } catch (error) {
+            console.error('Error answering peer offer:', error);
+            this.close('failed');
+        }
+    }
+
+    async handleAnswer(description) {
+        if (this.closed || this.connection.remoteDescription) return;
+
+        try {
+            await this.connection.setRemoteDescription(description);
+            await this.addPendingCandidates();
+        } catch (error) {
+            console.error('Error applying peer answer:', error);
+            this.close('failed');
+        }
+    }
+
+    async handleCandidate(candidate) {
+        if (this.closed) return;
+        if (!this.connection.remoteDescription) {
+            this.pendingCandidates.push(candidate);
+            return;
+        }
+
+        try {
+            await this.connection.addIceCandidate(candidate);
+        } catch (error) {
+            // One bad candidate doesn't stop the others from working
+            console.warn('Ignoring peer ICE candidate:', error);
+        }
+    }
+
+    async addPendingCandidates() {
+        const candidates = this.pendingCandidates;
+        this.pendingCandidates = [];
+        for (const candidate of candidates) {
+            await this.handleCandidate(candidate);
+        }
+    }
+
+    setupChannel(channel) {
+        this.channel = channel;
+        channel.binaryType = 'arraybuffer';
+
+        channel.addEventListener('open', () => {
+            clearTimeout(this.connectTimer);
+            console.log('Peer data channel open');
+            this.onOpen();
+        });
+        channel.addEventListener('close', () => this.close('closed'));
+        channel.addEventListener('message', (event) => {
+            if (event.data instanceof ArrayBuffer) this.onMessage(event.data);
+        });
+    }
+
+    isOpen() {
+        return !this.closed && this.channel !== null && this.channel.readyState === 'open';
+    }
+
+    // Returns false when the message could not go over the channel
+    send(data) {
+        if (!this.isOpen()) return false;
+
+        try {
+            this.channel.send(data);
+            return true;
+        } catch (error) {
+            console.warn('Peer send failed:', error);
+            return false;
+        }
+    }
+
+    close(reason = 'closed') {
+        if (this.closed) return;
+
+        this.closed = true;
+        clearTimeout(this.connectTimer);
+        if (this.channel) this.channel.close();
+        this.connection.close();
+        this.onClose(reason);
+    }
+}
@@ -0,0 +1,60 @@
+// Player profiles, shared by server.js and the browser: a display name, a paddle color and
+// an avatar. The browser keeps its profile in localStorage (js/game/PlayerProfile.js) and
+// announces it in the connection handshake and with 'updateProfile'; the server checks it
+// with readProfile and passes it on with the room's seats.
+
+export const MAX_NAME_LENGTH = 16;
+
+export const PADDLE_COLORS = [
+    { value: '#0088ff', label: 'BLUE' },
+    { value: '#ff3344', label: 'RED' },
+    { value: '#33dd66', label: 'GREEN' },
+    { value: '#ffcc00', label: 'GOLD' },
+    { value: '#bb66ff', label: 'PURPLE' },
+    { value: '#ff8800', label: 'ORANGE' },
+    { value: '#00dddd', label: 'CYAN' },
+    { value: '#ff66cc', label: 'PINK' }
+];
+
+// Avatars are drawn as their glyph next to the name
+export const AVATARS = [
+    { value: 'paddle', glyph: '🏓' },
+    { value: 'robot', glyph: '🤖' },
+    { value: 'alien', glyph: '👾' },
+    { value: 'cat', glyph: '🐱' },
+    { value: 'fox', glyph: '🦊' },
+    { value: 'panda', glyph: '🐼' },
+    { value: 'rocket', glyph: '🚀' },
+    { value: 'star', glyph: '⭐' }
+];
+
+export const DEFAULT_PADDLE_COLOR = PADDLE_COLORS[0].value;
+export const DEFAULT_AVATAR = AVATARS[0].value;
+
+// Letters, digits, spaces and a little punctuation, trimmed to MAX_NAME_LENGTH.
+// Empty when nothing usable is left.
+export function readName(name) {
+    return typeof name === 'string' ? name.replace(/[^\w .'-]/g, '').trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+// A complete, valid profile from untrusted data: anything missing or unknown falls back to
+// fallbackName and the default color and avatar
+export function readProfile(data, fallbackName) {
+    const profile = data && typeof data === 'object' ? data : {};
+    return {
+        name: readName(profile.name) || fallbackName,
+        color: PADDLE_COLORS.some(color => color.value === profile.color) ? profile.color : DEFAULT_PADDLE_COLOR,
+        avatar: AVATARS.some(avatar => avatar.value === profile.avatar) ? profile.avatar : DEFAULT_AVATAR
+    };
+}
+
+export function getAvatarGlyph(avatar) {
+    const found = AVATARS.find(entry => entry.value === avatar);
+    return found ? found.glyph : '';
+}
+
+// The name with the avatar in front, for labels
+export function formatProfileName(profile) {
+    const glyph = getAvatarGlyph(profile.avatar);
+    return glyph ? `${glyph} ${profile.name}` : profile.name;
+}
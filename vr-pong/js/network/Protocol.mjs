@@ -0,0 +1,271 @@
+// Compact binary encoding for the high-rate multiplayer messages, shared by server.js and the
+// browser: paddle input, VR controller poses and the server's state snapshots. Reliable,
+// low-rate events (scores, starting a game, ...) stay on Socket.IO's JSON events.
+//
+// Every message is a 10 byte header followed by the fields that changed:
+//   u8 version, u8 type, u8 stream, u8 flags, u16 sequence, u32 field mask
+// Positions and velocities are quantized to int16 millimetres (per second) and quaternion
+// components to int16 fractions of 1. An encoder remembers what it last sent and leaves out
+// unchanged fields; every so often, and after reset(), it sends a keyframe with every field
+// so a receiver that joined mid-stream can start decoding. The decoder fills in the fields a
+// message left out from the previous message on the same stream, and drops deltas it has no
+// base for until the next keyframe.
+
+import { SEATS } from './Seats.mjs';
+
+export const PROTOCOL_VERSION = 1;
+
+export const MESSAGE_TYPES = {
+    paddle: 1,      // Client -> server: our paddle
+    controllers: 2, // Client -> server -> room: VR controller poses, stream = seat index
+    snapshot: 3     // Server -> room: ball and paddles
+};
+
+const HEADER_SIZE = 10;
+const KEYFRAME = 1;
+const DEFAULT_KEYFRAME_INTERVAL = 60; // Messages between keyframes
+const INT16_MAX = 32767;
+
+const VECTOR = ['x', 'y', 'z'];
+const QUATERNION = ['x', 'y', 'z', 'w'];
+
+// Fields per message type. path is where the value lives in the message object, keys its
+// components (none for numbers); nullable fields may be missing altogether.
+const position = (path, nullable = false) => ({ path, keys: VECTOR, type: 'i16', scale: 1000, nullable });
+const rotation = (path, nullable = false) => ({ path, keys: QUATERNION, type: 'i16', scale: INT16_MAX, nullable });
+
+const SCHEMAS = {
+    paddle: [
+        position('position'),
+        position('velocity'),
+        rotation('quaternion', true)
+    ],
+    controllers: [
+        position('left.position', true),
+        rotation('left.rotation', true),
+        position('right.position', true),
+        rotation('right.rotation', true)
+    ],
+    snapshot: [
+        { path: 'tick', type: 'u32' },
+        { path: 'time', type: 'f64' },
+        position('ball.position'),
+        position('ball.velocity'),
+        { path: 'ball.spin', type: 'i16', scale: 1000 },
+        ...Object.keys(SEATS).flatMap(seat => [
+            position(`${seat}Paddle`, true),
+            rotation(`${seat}PaddleQuaternion`, true)
+        ])
+    ]
+};
+
+const BYTES = { i16: 2, u32: 4, f64: 8 };
+
+export class MessageEncoder {
+    // type: a MESSAGE_TYPES key. stream tells apart several senders of one type.
+    // keyframeInterval is the number of messages between keyframes; 1 sends nothing but
+    // keyframes, for channels that lose messages.
+    constructor(type, options = {}) {
+        if (!SCHEMAS[type]) throw new Error(`Unknown message type: ${type}`);
+
+        this.type = type;
+        this.schema = SCHEMAS[type];
+        this.stream = options.stream ?? 0;
+        this.keyframeInterval = options.keyframeInterval ?? DEFAULT_KEYFRAME_INTERVAL;
+        this.sequence = 0;
+        this.reset();
+    }
+
+    // Send everything with the next message, e.g. when someone new starts listening
+    reset() {
+        this.lastSent = null;
+        this.sinceKeyframe = 0;
+    }
+
+    // Returns an ArrayBuffer, or null when nothing changed since the last message
+    encode(message) {
+        const values = this.schema.map(field => quantize(field, readPath(message, field.path)));
+        const keyframe = this.lastSent === null || this.sinceKeyframe >= this.keyframeInterval;
+
+        let mask = 0;
+        let size = HEADER_SIZE;
+        values.forEach((value, i) => {
+            if (!keyframe && sameValue(value, this.lastSent[i])) return;
+            mask |= 1 << i;
+            size += fieldSize(this.schema[i], value);
+        });
+        if (mask === 0) return null;
+
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        view.setUint8(0, PROTOCOL_VERSION);
+        view.setUint8(1, MESSAGE_TYPES[this.type]);
+        view.setUint8(2, this.stream);
+        view.setUint8(3, keyframe ? KEYFRAME : 0);
+        view.setUint16(4, this.sequence);
+        view.setUint32(6, mask >>> 0);
+
+        let offset = HEADER_SIZE;
+        values.forEach((value, i) => {
+            if (mask & (1 << i)) offset = writeField(view, offset, this.schema[i], value);
+        });
+
+        this.sequence = (this.sequence + 1) & 0xffff;
+        this.sinceKeyframe = keyframe ? 1 : this.sinceKeyframe + 1;
+        this.lastSent = values;
+        return buffer;
+    }
+}
+
+export class MessageDecoder {
+    constructor() {
+        this.streams = {}; // `${type}:${stream}` -> { sequence, values }
+    }
+
+    reset() {
+        this.streams = {};
+    }
+
+    // data: ArrayBuffer or a view of one (a Node Buffer). Returns
+    // { type, stream, sequence, keyframe, message }, or null for messages that can't be read.
+    decode(data) {
+        const view = toDataView(data);
+        if (!view || view.byteLength < HEADER_SIZE) return null;
+        if (view.getUint8(0) !== PROTOCOL_VERSION) return null;
+
+        const type = Object.keys(MESSAGE_TYPES).find(key => MESSAGE_TYPES[key] === view.getUint8(1));
+        if (!type) return null;
+
+        const schema = SCHEMAS[type];
+        const stream = view.getUint8(2);
+        const keyframe = (view.getUint8(3) & KEYFRAME) !== 0;
+        const sequence = view.getUint16(4);
+        const mask = view.getUint32(6);
+        const key = `${type}:${stream}`;
+        const previous = this.streams[key];
+
+        // A delta is only meaningful on top of the message right before it
+        if (!keyframe && (!previous || sequence !== ((previous.sequence + 1) & 0xffff))) {
+            delete this.streams[key];
+            return null;
+        }
+        if (mask >>> schema.length !== 0) return null;
+
+        const values = keyframe ? schema.map(() => null) : previous.values.slice();
+        let offset = HEADER_SIZE;
+        try {
+            schema.forEach((field, i) => {
+                if (!(mask & (1 << i))) return;
+                const read = readField(view, offset, field);
+                values[i] = read.value;
+                offset = read.offset;
+            });
+        } catch (e) {
+            // Truncated message
+            return null;
+        }
+        if (offset !== view.byteLength) return null;
+
+        this.streams[key] = { sequence, values };
+
+        const message = {};
+        schema.forEach((field, i) => writePath(message, field.path, dequantize(field, values[i])));
+        return { type, stream, sequence, keyframe, message };
+    }
+}
+
+function toDataView(data) {
+    if (data instanceof ArrayBuffer) return new DataView(data);
+    if (ArrayBuffer.isView(data)) return new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+}
+
+// Numbers as sent: an array of integers (or a float for f64), or null for a missing value
+function quantize(field, value) {
+    if (value === null || value === undefined) {
+        return field.nullable ? null : quantize(field, field.keys ? {} : 0);
+    }
+
+    const components = field.keys ? field.keys.map(key => value[key]) : [value];
+    return components.map(component => {
+        const number = typeof component === 'number' && Number.isFinite(component) ? component : 0;
+        if (field.type === 'f64') return number;
+        if (field.type === 'u32') return Math.max(0, Math.min(0xffffffff, Math.round(number)));
+        return Math.max(-INT16_MAX, Math.min(INT16_MAX, Math.round(number * field.scale)));
+    });
+}
+
+function dequantize(field, value) {
+    if (value === null) return null;
+
+    const components = field.type === 'i16' ? value.map(component => component / field.scale) : value;
+    if (!field.keys) return components[0];
+
+    const result = {};
+    field.keys.forEach((key, i) => { result[key] = components[i]; });
+    return result;
+}
+
+function sameValue(a, b) {
+    if (a === null || b === null) return a === b;
+    return a.every((component, i) => component === b[i]);
+}
+
+function fieldSize(field, value) {
+    const presence = field.nullable ? 1 : 0;
+    return presence + (value === null ? 0 : value.length * BYTES[field.type]);
+}
+
+function writeField(view, offset, field, value) {
+    if (field.nullable) {
+        view.setUint8(offset, value === null ? 0 : 1);
+        offset += 1;
+        if (value === null) return offset;
+    }
+    for (const component of value) {
+        if (field.type === 'i16') view.setInt16(offset, component);
+        else if (field.type === 'u32') view.setUint32(offset, component);
+        else view.setFloat64(offset, component);
+        offset += BYTES[field.type];
+    }
+    return offset;
+}
+
+function readField(view, offset, field) {
+    if (field.nullable) {
+        const present = view.getUint8(offset);
+        offset += 1;
+        if (!present) return { value: null, offset };
+    }
+    const count = field.keys ? field.keys.length : 1;
+    const value = [];
+    for (let i = 0; i < count; i++) {
+        if (field.type === 'i16') value.push(view.getInt16(offset));
+        else if (field.type === 'u32') value.push(view.getUint32(offset));
+        else value.push(view.getFloat64(offset));
+        offset += BYTES[field.type];
+    }
+    return { value, offset };
+}
+
+function readPath(object, path) {
+    let value = object;
+    for (const key of path.split('.')) {
+        if (value === null || value === undefined) return null;
+        value = value[key];
+    }
+    return value;
+}
+
+// Missing values are left out, so parent objects only exist if something is in them
+function writePath(object, path, value) {
+    if (value === null) return;
+
+    const keys = path.split('.');
+    let target = object;
+    for (const key of keys.slice(0, -1)) {
+        if (!target[key]) target[key] = {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
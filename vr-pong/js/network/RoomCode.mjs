@@ -0,0 +1,26 @@
+// Room codes, shared by server.js and the in-VR keypad (MultiplayerMenu). Codes use an
+// alphabet without look-alike characters (no 0/O or 1/I) so they are easy to read out
+// to a friend and fit on a small keypad.
+
+export const ROOM_CODE_LENGTH = 6;
+export const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function generateRoomCode(random = Math.random) {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_ALPHABET[Math.floor(random() * ROOM_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Uppercased code without spaces or dashes, or null if it can't be a room code
+export function normalizeRoomCode(code) {
+    if (typeof code !== 'string') return null;
+
+    const normalized = code.toUpperCase().replace(/[\s-]/g, '');
+    if (normalized.length !== ROOM_CODE_LENGTH) return null;
+    for (const char of normalized) {
+        if (!ROOM_CODE_ALPHABET.includes(char)) return null;
+    }
+    return normalized;
+}
@@ -0,0 +1,29 @@
+// Seats in a multiplayer room, shared by server.js and the browser. Singles rooms use the
+// host and guest seats; doubles rooms add a partner for each, making two teams of two. The
+// host's team plays the near side of the shared frame, and slot is the paddle's lane (see
+// GameSimulation's clampToLane).
+
+export const SEATS = {
+    host: { side: 'near', slot: 0 },
+    guest: { side: 'far', slot: 0 },
+    hostPartner: { side: 'near', slot: 1 },
+    guestPartner: { side: 'far', slot: 1 }
+};
+
+export const MODES = ['singles', 'doubles'];
+
+// The seats a mode plays with, in the order they are filled
+export function getModeSeats(mode) {
+    return mode === 'doubles' ? Object.keys(SEATS) : ['host', 'guest'];
+}
+
+// The seat that plays a side's slot
+export function getSeatAt(side, slot = 0) {
+    return Object.keys(SEATS).find(seat => SEATS[seat].side === side && SEATS[seat].slot === slot);
+}
+
+// The other seat on the same team
+export function getTeammateSeat(seat) {
+    const { side, slot } = SEATS[seat];
+    return getSeatAt(side, 1 - slot);
+}
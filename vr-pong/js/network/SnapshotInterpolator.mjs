@@ -0,0 +1,211 @@
+import { TABLE } from '../sim/BallPhysics.mjs';
+
+// Buffers timestamped server snapshots and produces a smooth remote view of the ball and
+// opponent paddle. Remote state is rendered a little in the past so there are normally two
+// snapshots to interpolate between; when packets are late the ball is extrapolated from its
+// velocity, and any jump between what we showed and the authoritative state is blended out.
+export class SnapshotInterpolator {
+    constructor(options = {}) {
+        this.interpolationDelay = options.interpolationDelay ?? 100; // ms behind the newest server time
+        this.maxExtrapolation = options.maxExtrapolation ?? 200;     // ms of velocity extrapolation before holding
+        this.bufferSize = options.bufferSize ?? 30;
+        this.teleportDistance = options.teleportDistance ?? 0.75;    // Bigger jumps (serves, resets) are never smoothed
+        this.divergenceThreshold = options.divergenceThreshold ?? 0.1; // Smaller jumps are normal bounces
+        this.correctionTime = options.correctionTime ?? 150;         // ms to blend out a divergence
+        this.gravity = options.gravity ?? 0;                         // m/s^2 applied when extrapolating the ball
+        this.now = options.now || (() => performance.now());
+
+        this.reset();
+    }
+
+    reset() {
+        this.snapshots = [];
+        this.clockOffset = null; // local time - server time, smoothed
+        this.lastSampleTime = null;
+        this.lastTarget = null;
+        this.ballCorrection = { x: 0, y: 0, z: 0 };
+    }
+
+    // snapshot: { time, ball: { position, velocity }, paddle, paddleQuaternion } in the local frame.
+    // Any other paddles to show go in extraPaddles, keyed by name, as { position, quaternion }:
+    // spectators buffer the near paddle since neither paddle is their own, and doubles adds
+    // both partners.
+    push(snapshot) {
+        const receivedAt = this.now();
+        const offset = receivedAt - snapshot.time;
+
+        // Track the smallest observed offset (least delayed packet), drifting slowly upward
+        // so a clock change or a route change doesn't pin us to a stale minimum forever
+        if (this.clockOffset === null || offset < this.clockOffset) {
+            this.clockOffset = offset;
+        } else {
+            this.clockOffset += (offset - this.clockOffset) * 0.01;
+        }
+
+        // Drop out-of-order packets
+        const latest = this.snapshots[this.snapshots.length - 1];
+        if (latest && snapshot.time <= latest.time) return;
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > this.bufferSize) {
+            this.snapshots.shift();
+        }
+    }
+
+    hasData() {
+        return this.snapshots.length > 0;
+    }
+
+    // Returns { ball: { position, velocity }, paddle } for the current render time, or null
+    sample() {
+        if (this.snapshots.length === 0) return null;
+
+        const localNow = this.now();
+        const renderTime = localNow - this.clockOffset - this.interpolationDelay;
+        const frameTime = this.lastSampleTime === null ? 0 : localNow - this.lastSampleTime;
+        this.lastSampleTime = localNow;
+
+        const target = this.sampleAt(renderTime);
+        const position = this.reconcileBall(target.ball.position, target.ball.velocity, frameTime);
+
+        return {
+            ball: { position, velocity: target.ball.velocity, spin: target.ball.spin },
+            paddle: target.paddle,
+            paddleQuaternion: target.paddleQuaternion || null,
+            extraPaddles: target.extraPaddles || {},
+            extrapolated: target.extrapolated
+        };
+    }
+
+    sampleAt(renderTime) {
+        const snapshots = this.snapshots;
+        const oldest = snapshots[0];
+        const newest = snapshots[snapshots.length - 1];
+
+        if (renderTime <= oldest.time) {
+            return { ...oldest, extrapolated: false };
+        }
+
+        if (renderTime >= newest.time) {
+            return this.extrapolate(newest, renderTime - newest.time);
+        }
+
+        // Find the pair of snapshots around the render time
+        for (let i = snapshots.length - 1; i > 0; i--) {
+            const from = snapshots[i - 1];
+            const to = snapshots[i];
+            if (renderTime >= from.time) {
+                const t = (renderTime - from.time) / (to.time - from.time);
+                return {
+                    ball: {
+                        position: this.lerpPosition(from.ball.position, to.ball.position, t),
+                        velocity: to.ball.velocity,
+                        spin: to.ball.spin
+                    },
+                    paddle: this.lerpPosition(from.paddle, to.paddle, t),
+                    paddleQuaternion: to.paddleQuaternion,
+                    extraPaddles: this.lerpExtraPaddles(from.extraPaddles, to.extraPaddles, t),
+                    extrapolated: false
+                };
+            }
+        }
+
+        return { ...newest, extrapolated: false };
+    }
+
+    // Continue the ball along its last known velocity (falling, if gravity is set),
+    // bouncing off the side walls
+    extrapolate(snapshot, elapsed) {
+        const seconds = Math.min(elapsed, this.maxExtrapolation) / 1000;
+        const velocity = { ...snapshot.ball.velocity };
+        const position = {
+            x: snapshot.ball.position.x + velocity.x * seconds,
+            y: snapshot.ball.position.y + velocity.y * seconds - 0.5 * this.gravity * seconds * seconds,
+            z: snapshot.ball.position.z + velocity.z * seconds
+        };
+        velocity.y -= this.gravity * seconds;
+
+        if (Math.abs(position.x) > TABLE.halfWidth) {
+            const sign = Math.sign(position.x);
+            position.x = sign * (2 * TABLE.halfWidth - Math.abs(position.x));
+            velocity.x *= -1;
+        }
+
+        return {
+            ball: { position, velocity, spin: snapshot.ball.spin },
+            paddle: snapshot.paddle,
+            paddleQuaternion: snapshot.paddleQuaternion,
+            extraPaddles: snapshot.extraPaddles,
+            extrapolated: true
+        };
+    }
+
+    // Keep the shown ball continuous when the authoritative state diverges from what we
+    // showed (usually after extrapolating through a hit we hadn't heard about yet) and blend
+    // the difference out. Teleports such as serves and point resets are applied immediately.
+    reconcileBall(target, velocity, frameTime) {
+        const correction = this.ballCorrection;
+
+        if (this.lastTarget) {
+            const last = this.lastTarget;
+            const seconds = frameTime / 1000;
+            const jump = {
+                x: target.x - (last.position.x + last.velocity.x * seconds),
+                y: target.y - (last.position.y + last.velocity.y * seconds),
+                z: target.z - (last.position.z + last.velocity.z * seconds)
+            };
+
+            if (distance(target, last.position) > this.teleportDistance) {
+                correction.x = correction.y = correction.z = 0;
+            } else if (Math.sqrt(jump.x * jump.x + jump.y * jump.y + jump.z * jump.z) > this.divergenceThreshold) {
+                correction.x -= jump.x;
+                correction.y -= jump.y;
+                correction.z -= jump.z;
+            }
+        }
+
+        const decay = this.correctionTime > 0 ? Math.max(0, 1 - frameTime / this.correctionTime) : 0;
+        correction.x *= decay;
+        correction.y *= decay;
+        correction.z *= decay;
+
+        this.lastTarget = { position: { ...target }, velocity: { ...velocity } };
+
+        return {
+            x: target.x + correction.x,
+            y: target.y + correction.y,
+            z: target.z + correction.z
+        };
+    }
+
+    lerpExtraPaddles(from = {}, to = {}, t) {
+        const paddles = {};
+        for (const [key, paddle] of Object.entries(to)) {
+            paddles[key] = {
+                position: from[key] ? this.lerpPosition(from[key].position, paddle.position, t) : paddle.position,
+                quaternion: paddle.quaternion
+            };
+        }
+        return paddles;
+    }
+
+    lerpPosition(from, to, t) {
+        // Don't draw a streak across the table when the server reset the ball
+        if (distance(from, to) > this.teleportDistance) {
+            return { ...(t < 0.5 ? from : to) };
+        }
+
+        return {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            z: from.z + (to.z - from.z) * t
+        };
+    }
+}
+
+function distance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
@@ -0,0 +1,104 @@
+// "Dynamic" AI difficulty: watches how the match is going and retunes the AI profile after
+// every point so games stay close. Skill runs from 0 (easy profile) to 1 (expert profile).
+//
+// Inputs per point: who won it, how long the rally was, the score, and where the ball
+// passed the player when they missed. Outputs: a blended profile and an aim point on the
+// player's weaker side.
+
+import { AI_PROFILES } from './PaddleAI.mjs';
+
+export const ADAPTIVE = {
+    initialSkill: 0.4,
+    scoreStep: 0.06,        // Skill change per point of score difference, per point played
+    maxScoreGap: 3,         // Score differences beyond this don't push harder
+    rallyStep: 0.03,        // Skill change when rallies run long or short
+    targetRally: 6,         // Paddle hits per point the AI aims for
+    rallyWindow: 8,         // Recent rallies considered
+    missDecay: 0.85,        // Older misses count for less
+    weakSideShare: 0.6,     // Share of misses on one side before it counts as weak
+    minMisses: 2,
+    aimX: 0.45,             // How far out on the weak side returns are aimed
+    aimSkill: 0.3           // Below this skill the AI doesn't aim at all
+};
+
+// Profile values blended between easy and expert
+const BLENDED = ['smoothSpeed', 'updateInterval', 'reactionDelay', 'maxSpeed', 'maxAcceleration', 'errorRate', 'aimNoise'];
+
+export function createAdaptiveState(skill = ADAPTIVE.initialSkill) {
+    return {
+        skill,
+        points: 0,
+        rallies: [],
+        misses: { left: 0, right: 0 }, // Decayed miss counts per side
+        missCount: 0
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// The AI profile for a skill level
+export function blendProfile(skill) {
+    const easy = AI_PROFILES.easy;
+    const expert = AI_PROFILES.expert;
+    const profile = {
+        ...AI_PROFILES.dynamic,
+        prediction: skill < 0.25 ? 'none' : skill < 0.6 ? 'straight' : 'bounces'
+    };
+
+    for (const key of BLENDED) {
+        profile[key] = easy[key] + (expert[key] - easy[key]) * skill;
+    }
+    return profile;
+}
+
+// Side of the table ('left' / 'right', from the player's view) where the player misses
+// most, or null if there's no clear pattern yet
+export function getWeakSide(adaptive) {
+    const { left, right } = adaptive.misses;
+    const total = left + right;
+    if (adaptive.missCount < ADAPTIVE.minMisses) return null;
+
+    if (left / total >= ADAPTIVE.weakSideShare) return 'left';
+    if (right / total >= ADAPTIVE.weakSideShare) return 'right';
+    return null;
+}
+
+// Record a finished point. point is { winner: 'ai' | 'player', rallyHits, missX, aiScore,
+// playerScore }; missX is the ball's x when the player missed it. Returns the new skill.
+export function recordPoint(adaptive, point) {
+    adaptive.points++;
+
+    adaptive.rallies.push(point.rallyHits || 0);
+    if (adaptive.rallies.length > ADAPTIVE.rallyWindow) {
+        adaptive.rallies.shift();
+    }
+
+    if (point.winner === 'ai' && typeof point.missX === 'number') {
+        adaptive.misses.left *= ADAPTIVE.missDecay;
+        adaptive.misses.right *= ADAPTIVE.missDecay;
+        adaptive.misses[point.missX < 0 ? 'left' : 'right'] += 1;
+        adaptive.missCount++;
+    }
+
+    // Back off while the AI leads, push while it trails
+    const scoreGap = clamp((point.aiScore || 0) - (point.playerScore || 0), -ADAPTIVE.maxScoreGap, ADAPTIVE.maxScoreGap);
+    let change = -ADAPTIVE.scoreStep * scoreGap;
+
+    // Long rallies mean the player is comfortable at this level; short ones mean they aren't
+    const averageRally = adaptive.rallies.reduce((sum, hits) => sum + hits, 0) / adaptive.rallies.length;
+    change += ADAPTIVE.rallyStep * clamp((averageRally - ADAPTIVE.targetRally) / ADAPTIVE.targetRally, -1, 1);
+
+    adaptive.skill = clamp(adaptive.skill + change, 0, 1);
+    return adaptive.skill;
+}
+
+// Apply the adaptive state to an AI controller (see PaddleAI.mjs). The player is at the
+// near end facing down the table, so their left is -x.
+export function applyAdaptive(ai, adaptive) {
+    ai.profile = blendProfile(adaptive.skill);
+
+    const weakSide = adaptive.skill >= ADAPTIVE.aimSkill ? getWeakSide(adaptive) : null;
+    ai.aimAt = weakSide === null ? null : (weakSide === 'left' ? -ADAPTIVE.aimX : ADAPTIVE.aimX);
+}
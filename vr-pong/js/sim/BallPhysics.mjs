@@ -0,0 +1,394 @@
+// Ball rules shared by the browser (Ball.js) and the authoritative server (server.js).
+// Everything here works on plain { x, y, z } objects so it runs in Node without Three.js;
+// THREE.Vector3 instances can be passed in directly since they expose the same fields.
+
+export const TABLE = {
+    halfWidth: 0.7,    // Side walls the ball bounces off
+    nearZ: 0,          // Past this the near (host/player) side has conceded
+    farZ: -2.0,        // Past this the far (guest/AI) side has conceded
+    centerZ: -1.0,
+    ballY: 0.9
+};
+
+export const PADDLE = {
+    width: 0.3,
+    height: 0.2,
+    depth: 0.02,
+    nearZ: -0.1,
+    farZ: -1.9,
+    maxX: 0.6,         // Paddle centers are clamped to +/- this value
+    // Half extents of the paddle mesh including its glow and energy field children,
+    // which is what Box3.setFromObject used to measure on the client
+    halfExtents: { x: 0.16, y: 0.11, z: 0.015 },
+    collisionBuffer: 0.03
+};
+
+// Speeds are in meters per second
+export const BALL = {
+    radius: 0.02,
+    initialSpeed: 0.9,
+    speedIncrease: 1.1,
+    maxSpeed: 3.0,
+    reflectionJitter: 0.6  // Random sideways speed added on center hits
+};
+
+// How a paddle's swing carries into the ball. Spin is sidespin around the vertical axis
+// in radians per second; it curves the ball's path and slowly decays in flight.
+export const SPIN = {
+    swingSpeedTransfer: 0.3,   // Fraction of the forward swing speed added to the ball
+    swingLateralTransfer: 0.25, // Fraction of the sideways swing speed added to the ball
+    spinTransfer: 8,           // rad/s of spin per m/s of sideways swing
+    maxSpin: 30,
+    curve: 0.03,               // Sideways acceleration per (rad/s * m/s)
+    decay: 0.5,                // Fraction of spin lost per second
+    wallRetention: 0.7         // Spin kept after a side wall bounce
+};
+
+export function createBallState() {
+    return {
+        position: { x: 0, y: TABLE.ballY, z: TABLE.centerZ },
+        velocity: { x: 0, y: 0, z: 0 },
+        spin: 0,
+        hits: 0
+    };
+}
+
+export function resetBall(state) {
+    state.position.x = 0;
+    state.position.y = TABLE.ballY;
+    state.position.z = TABLE.centerZ;
+    state.velocity.x = 0;
+    state.velocity.y = 0;
+    state.velocity.z = 0;
+    state.spin = 0;
+    state.hits = 0;
+}
+
+function length(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Serve from the center: random angle of -45..45 degrees toward a random side
+export function serveBall(state, random = Math.random) {
+    const angle = (random() * Math.PI / 2) - Math.PI / 4;
+    const direction = random() > 0.5 ? 1 : -1;
+    state.velocity.x = Math.sin(angle) * BALL.initialSpeed;
+    state.velocity.y = 0;
+    state.velocity.z = Math.cos(angle) * BALL.initialSpeed * direction;
+    state.spin = 0;
+    return { angle, direction };
+}
+
+export function increaseSpeed(state) {
+    const currentSpeed = length(state.velocity);
+    if (currentSpeed < BALL.maxSpeed) {
+        state.velocity.x *= BALL.speedIncrease;
+        state.velocity.y *= BALL.speedIncrease;
+        state.velocity.z *= BALL.speedIncrease;
+        const newSpeed = length(state.velocity);
+        if (newSpeed > BALL.maxSpeed) {
+            const scale = BALL.maxSpeed / newSpeed;
+            state.velocity.x *= scale;
+            state.velocity.y *= scale;
+            state.velocity.z *= scale;
+        }
+    }
+}
+
+// Outgoing angle (from straight back down the table) at the very edge of the paddle
+export const MAX_REFLECTION_ANGLE = Math.PI / 3;
+
+// Inverse of calculateReflection's aiming: how far from the paddle center (ball x minus
+// paddle x) the ball must hit to leave at the given angle
+export function hitOffsetForAngle(angle) {
+    const normalizedOffset = clamp(angle / MAX_REFLECTION_ANGLE, -1, 1);
+    return normalizedOffset * (PADDLE.width / 2);
+}
+
+// Reflection off the paddle face: up to 60 degrees depending on the hit offset,
+// always sending the ball back toward the opposite side of the table
+export function calculateReflection(velocity, hitPosition, paddlePosition, random = Math.random) {
+    const hitOffset = hitPosition.x - paddlePosition.x;
+    const normalizedOffset = clamp(hitOffset / (PADDLE.width / 2), -1, 1);
+    const angle = normalizedOffset * MAX_REFLECTION_ANGLE;
+    const speed = length(velocity);
+    const zDirection = paddlePosition.z > TABLE.centerZ ? -1 : 1;
+
+    return {
+        x: Math.sin(angle) * speed + (random() - 0.5) * BALL.reflectionJitter,
+        y: 0,
+        z: Math.cos(angle) * speed * zDirection
+    };
+}
+
+// Half extents of the region in which the ball center counts as touching a paddle
+function paddleReach() {
+    const half = PADDLE.halfExtents;
+    const reach = PADDLE.collisionBuffer + BALL.radius;
+    return { x: half.x + reach, y: half.y + reach, z: half.z + reach };
+}
+
+// Edge hits deflect the ball here with a steeper angle and a slight speed reduction.
+// Returns 'edge', or 'center' when the hit should go through calculateReflection instead.
+function deflectFromEdge(state, paddlePosition) {
+    const relativeX = state.position.x - paddlePosition.x;
+    const edgeZone = PADDLE.width * 0.45;
+    const edgeOverlap = Math.abs(relativeX) - edgeZone;
+    if (edgeOverlap > 0 && edgeOverlap < 0.05) {
+        const normalizedHitPoint = clamp(relativeX / (PADDLE.width * 0.5), -0.9, 0.9);
+        const deflectionAngle = normalizedHitPoint * (Math.PI / 3);
+        const speed = length(state.velocity) * 0.9;
+        const zDirection = state.velocity.z > 0 ? -1 : 1;
+
+        state.velocity.x = Math.sin(deflectionAngle) * speed;
+        state.velocity.y = 0;
+        state.velocity.z = Math.cos(deflectionAngle) * speed * zDirection;
+        return 'edge';
+    }
+
+    return 'center';
+}
+
+// Static overlap test at the ball's current position.
+// Returns 'edge', 'center' or false. Edge hits deflect the ball here, center hits
+// are left to calculateReflection so callers can log or override the result.
+export function checkPaddleCollision(state, paddlePosition) {
+    const reach = paddleReach();
+    if (Math.abs(state.position.x - paddlePosition.x) > reach.x ||
+        Math.abs(state.position.y - paddlePosition.y) > reach.y ||
+        Math.abs(state.position.z - paddlePosition.z) > reach.z) {
+        return false;
+    }
+
+    return deflectFromEdge(state, paddlePosition);
+}
+
+// Swept sphere-vs-box test: moving the ball center from start to end, when does it first
+// touch the paddle box (expanded by the ball radius and collision buffer)?
+// Returns { t, normal } with t in [0, 1] as the fraction of the segment, or null for a miss.
+// A ball that starts inside the box reports t = 0.
+export function sweepBallAgainstPaddle(start, end, paddlePosition) {
+    const reach = paddleReach();
+    let tEnter = 0;
+    let tExit = 1;
+    let normal = { x: 0, y: 0, z: 0 };
+
+    for (const axis of ['x', 'y', 'z']) {
+        const origin = start[axis] - paddlePosition[axis];
+        const direction = end[axis] - start[axis];
+        const min = -reach[axis];
+        const max = reach[axis];
+
+        if (Math.abs(direction) < 1e-12) {
+            // Moving parallel to this slab - must already be inside it
+            if (origin < min || origin > max) return null;
+            continue;
+        }
+
+        let t1 = (min - origin) / direction;
+        let t2 = (max - origin) / direction;
+        let sign = -1;
+        if (t1 > t2) {
+            [t1, t2] = [t2, t1];
+            sign = 1;
+        }
+
+        if (t1 > tEnter) {
+            tEnter = t1;
+            normal = { x: 0, y: 0, z: 0 };
+            normal[axis] = sign;
+        }
+        tExit = Math.min(tExit, t2);
+        if (tEnter > tExit) return null;
+    }
+
+    return { t: tEnter, normal };
+}
+
+export function checkOutOfBounds(state) {
+    if (state.position.z > TABLE.nearZ) {
+        return 'player_score';
+    } else if (state.position.z < TABLE.farZ) {
+        return 'ai_score';
+    }
+    return false;
+}
+
+// Add the paddle's swing to a ball that has just been reflected: a forward swing adds
+// speed, a sideways swing pushes the ball sideways and brushes spin onto it
+export function applySwing(state, paddleVelocity) {
+    if (!paddleVelocity) return;
+
+    const outgoing = Math.sign(state.velocity.z);
+    const forwardSwing = Math.max(0, paddleVelocity.z * outgoing);
+    const speed = length(state.velocity);
+
+    if (speed > 0 && forwardSwing > 0) {
+        const boosted = Math.min(speed + forwardSwing * SPIN.swingSpeedTransfer, BALL.maxSpeed);
+        const scale = boosted / speed;
+        state.velocity.x *= scale;
+        state.velocity.z *= scale;
+    }
+
+    state.velocity.x += paddleVelocity.x * SPIN.swingLateralTransfer;
+    state.spin = clamp(state.spin + paddleVelocity.x * SPIN.spinTransfer, -SPIN.maxSpin, SPIN.maxSpin);
+}
+
+// Sidespin curves the ball (a Magnus-style force perpendicular to its horizontal velocity,
+// so speed is preserved) and bleeds off over time
+export function applySpin(state, dt) {
+    if (state.spin === 0) return;
+
+    const velocity = state.velocity;
+    const curve = SPIN.curve * state.spin * dt;
+    const vx = velocity.x + curve * velocity.z;
+    const vz = velocity.z - curve * velocity.x;
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    const newSpeed = Math.sqrt(vx * vx + vz * vz);
+    const scale = newSpeed > 0 ? speed / newSpeed : 1;
+
+    velocity.x = vx * scale;
+    velocity.z = vz * scale;
+    state.spin *= Math.max(0, 1 - SPIN.decay * dt);
+}
+
+function resolvePaddleHit(state, paddlePosition, paddleVelocity, random) {
+    const collisionType = deflectFromEdge(state, paddlePosition);
+
+    if (collisionType === 'center') {
+        const reflection = calculateReflection(state.velocity, state.position, paddlePosition, random);
+        state.velocity.x = reflection.x;
+        state.velocity.y = reflection.y;
+        state.velocity.z = reflection.z;
+    }
+
+    applySwing(state, paddleVelocity);
+
+    state.hits++;
+    if (state.hits % 2 === 0) {
+        increaseSpeed(state);
+    }
+    return collisionType;
+}
+
+// Earliest paddle contact along the segment. Only paddles the ball is travelling toward
+// can be hit, so a ball that was just returned can't collide with the same paddle again.
+function findPaddleImpact(state, start, end, paddles) {
+    let impact = null;
+
+    for (const side of ['near', 'far']) {
+        const paddlePosition = paddles[side];
+        if (!paddlePosition) continue;
+
+        const towardPaddle = Math.sign(paddlePosition.z - TABLE.centerZ) === Math.sign(state.velocity.z);
+        if (!towardPaddle) continue;
+
+        const sweep = sweepBallAgainstPaddle(start, end, paddlePosition);
+        if (sweep && (!impact || sweep.t < impact.t)) {
+            impact = {
+                side,
+                paddlePosition,
+                paddleVelocity: paddles[`${side}Velocity`],
+                t: sweep.t,
+                normal: sweep.normal
+            };
+        }
+    }
+
+    return impact;
+}
+
+// Advance the ball by dt seconds (one fixed step). paddles is { near, far } with paddle
+// center positions, plus optional nearVelocity / farVelocity swing velocities. Paddle hits
+// use a swept test from the previous to the next position, so a fast ball can't tunnel
+// through a thin paddle; on impact the ball is placed at the exact contact point, reflected,
+// and moved on for the rest of the step.
+// Returns { result, hit, wall, contact } where result is 'player' / 'ai' for paddle hits,
+// 'player_score' / 'ai_score' when the ball left the table, or false.
+export function stepBall(state, paddles, dt, random = Math.random) {
+    const position = state.position;
+    applySpin(state, dt);
+
+    const start = { x: position.x, y: position.y, z: position.z };
+    const end = {
+        x: start.x + state.velocity.x * dt,
+        y: start.y + state.velocity.y * dt,
+        z: start.z + state.velocity.z * dt
+    };
+
+    let result = false;
+    let hit = false;
+    let contact = null;
+
+    const impact = findPaddleImpact(state, start, end, paddles);
+    if (impact) {
+        position.x = start.x + (end.x - start.x) * impact.t;
+        position.y = start.y + (end.y - start.y) * impact.t;
+        position.z = start.z + (end.z - start.z) * impact.t;
+        contact = { x: position.x, y: position.y, z: position.z };
+
+        hit = resolvePaddleHit(state, impact.paddlePosition, impact.paddleVelocity, random);
+        result = impact.side === 'near' ? 'player' : 'ai';
+
+        const remaining = (1 - impact.t) * dt;
+        position.x += state.velocity.x * remaining;
+        position.y += state.velocity.y * remaining;
+        position.z += state.velocity.z * remaining;
+    } else {
+        position.x = end.x;
+        position.y = end.y;
+        position.z = end.z;
+    }
+
+    let wall = false;
+    if (position.x > TABLE.halfWidth || position.x < -TABLE.halfWidth) {
+        position.x = Math.sign(position.x) * TABLE.halfWidth;
+        state.velocity.x *= -1;
+        state.spin *= SPIN.wallRetention;
+        wall = true;
+    }
+
+    if (result) {
+        return { result, hit, wall, contact };
+    }
+
+    const outOfBounds = checkOutOfBounds(state);
+    if (outOfBounds) {
+        resetBall(state);
+        return { result: outOfBounds, hit: false, wall, contact: null };
+    }
+
+    return { result: false, hit: false, wall, contact: null };
+}
+
+// The server simulates in the host's frame (host paddle near, guest paddle far).
+// Guests see the table from the other end, so positions are mirrored about the center.
+export function mirrorPosition(position) {
+    return {
+        x: -position.x,
+        y: position.y,
+        z: 2 * TABLE.centerZ - position.z
+    };
+}
+
+export function mirrorVelocity(velocity) {
+    return {
+        x: -velocity.x,
+        y: velocity.y,
+        z: -velocity.z
+    };
+}
+
+// Orientation seen from the other end of the table (a half turn about the vertical axis)
+export function mirrorQuaternion(quaternion) {
+    return {
+        x: quaternion.z,
+        y: quaternion.w,
+        z: -quaternion.x,
+        w: -quaternion.y
+    };
+}
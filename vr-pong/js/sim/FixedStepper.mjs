@@ -0,0 +1,39 @@
+// Fixed-timestep driver: accumulates variable frame deltas and runs the physics in equal
+// sub-steps, so results don't depend on the display refresh rate (72/90/120 Hz headsets,
+// desktop browsers) or on how often the server's timer fires.
+
+export const FIXED_TIMESTEP = 1 / 120; // Seconds per physics step
+export const MAX_SUB_STEPS = 10;       // Longer frames (tab switches, hitches) drop the excess time
+
+export class FixedStepper {
+    constructor(timestep = FIXED_TIMESTEP, maxSubSteps = MAX_SUB_STEPS) {
+        this.timestep = timestep;
+        this.maxSubSteps = maxSubSteps;
+        this.accumulator = 0;
+    }
+
+    // Run stepFn(timestep) as many times as the accumulated time allows.
+    // Returns the number of steps taken.
+    advance(delta, stepFn) {
+        if (!(delta > 0)) return 0;
+
+        this.accumulator += Math.min(delta, this.timestep * this.maxSubSteps);
+
+        let steps = 0;
+        while (this.accumulator >= this.timestep) {
+            stepFn(this.timestep);
+            this.accumulator -= this.timestep;
+            steps++;
+        }
+        return steps;
+    }
+
+    // How far between the last step and the next one we are, for render interpolation
+    get alpha() {
+        return this.accumulator / this.timestep;
+    }
+
+    reset() {
+        this.accumulator = 0;
+    }
+}
@@ -0,0 +1,452 @@
+// Headless game core: ball, paddles, AI, serving and scoring for one match, with no Three.js,
+// DOM or timers. The browser (Game.js) and the server (server.js) both drive a GameSimulation
+// and render or broadcast its state; Ball and Paddle are only views over it.
+//
+// Runs are reproducible: all randomness comes from a seeded generator and time only enters
+// through step(dt) / advance(delta), or update() with an injected clock. Sides are 'near'
+// (player / host, z = -0.1) and 'far' (AI / guest, z = -1.9).
+//
+// Doubles (options.doubles) puts two paddles on each side: slot 0 and slot 1, each kept in
+// its own lane (see clampToLane). The paddle whose lane the ball is in plays it.
+//
+// Inputs: setPaddleInput(side, pose, slot) for human paddles, setAI(side, difficulty, slot)
+// for AI ones. Games and the match are won by the match rules (see MatchRules.mjs); the
+// caller keeps the match clock and calls timeUp() when it runs out.
+// Output: getState() plus the events returned by each step:
+//   { type: 'serve', server }
+//   { type: 'hit', side, slot, position, speed }  speed: m/s the ball leaves the paddle at
+//   { type: 'wall', position }                 Classic side wall bounce
+//   { type: 'bounce', side, position }         Table tennis table bounce
+//   { type: 'net', position }
+//   { type: 'score', winner, score, rallyHits, x }
+//   { type: 'gameEnd', winner, score, games }  Best-of matches; the next game starts at 0-0
+//   { type: 'overtime' }                       Time ran out on a tie: the next point wins
+//   { type: 'matchEnd', winner, score, games } winner is null for a draw on time
+
+import { PADDLE, TABLE, createBallState, resetBall, serveBall, stepBall } from './BallPhysics.mjs';
+import { createRally, serveTableTennis, stepTableTennisBall, getServer, otherSide } from './TableTennisPhysics.mjs';
+import { createAIState, setAIDifficulty, stepAI, resetAI } from './PaddleAI.mjs';
+import { createAdaptiveState, recordPoint, applyAdaptive } from './AdaptiveAI.mjs';
+import { FixedStepper } from './FixedStepper.mjs';
+import { readMatchRules, getGameWinner, getGamesToWin, getLeader } from './MatchRules.mjs';
+
+export const RULESETS = ['classic', 'tableTennis'];
+export const SERVE_DELAY = 1000; // ms of simulation time between a point and the next serve
+
+// Height range the table tennis AI keeps its paddle in while following the ball
+const AI_HEIGHT = { min: 0.85, max: 1.3 };
+
+// Doubles lanes, in the shared frame: slot 0 covers x <= 0 and slot 1 x >= 0, overlapping
+// this much at the centre line so a ball down the middle can be reached from both
+export const LANE_OVERLAP = 0.05;
+
+// Keep a doubles paddle's x in its slot's lane. The outer edge is left to the usual clamps.
+export function clampToLane(x, slot) {
+    return slot === 0 ? Math.min(x, LANE_OVERLAP) : Math.max(x, -LANE_OVERLAP);
+}
+
+// The slot whose lane the ball at x is in
+export function laneForX(x) {
+    return x <= 0 ? 0 : 1;
+}
+
+export const systemClock = {
+    now: () => Date.now()
+};
+
+// Small seedable PRNG (mulberry32). Returns a Math.random-style function.
+export function createRandom(seed = 1) {
+    let value = seed >>> 0;
+    return function random() {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createPaddleState(side) {
+    return {
+        position: { x: 0, y: TABLE.ballY, z: side === 'near' ? PADDLE.nearZ : PADDLE.farZ },
+        velocity: { x: 0, y: 0, z: 0 },
+        quaternion: null, // Only set for paddles that reflect off their real face angle
+        ai: null,
+        adaptive: null    // Match statistics for the 'dynamic' difficulty
+    };
+}
+
+function copy(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+export class GameSimulation {
+    // options: { ruleset, rules, seed, clock, serveDelay, doubles, ai: { near, far } } where
+    // rules are the match rules (the ruleset's usual ones when left out) and ai maps a side
+    // to a difficulty name for AI-controlled paddles
+    constructor(options = {}) {
+        this.clock = options.clock || systemClock;
+        this.seed = options.seed !== undefined ? options.seed : this.clock.now();
+        this.random = createRandom(this.seed);
+        this.serveDelay = options.serveDelay !== undefined ? options.serveDelay : SERVE_DELAY;
+        this.stepper = new FixedStepper();
+
+        this.ruleset = 'classic';
+        this.ball = createBallState();
+        this.rally = null; // Table tennis only: who served, who hit last, bounces per side
+        this.paddles = { near: createPaddleState('near'), far: createPaddleState('far') };
+        // Doubles: the second paddle on each side (slot 1); this.paddles holds slot 0
+        this.doubles = Boolean(options.doubles);
+        this.partners = this.doubles ? { near: createPaddleState('near'), far: createPaddleState('far') } : null;
+        if (this.doubles) {
+            for (const side of ['near', 'far']) {
+                this.paddles[side].position.x = -PADDLE.maxX / 2;
+                this.partners[side].position.x = PADDLE.maxX / 2;
+            }
+        }
+        this.score = { near: 0, far: 0 }; // Points in the current game
+        this.games = { near: 0, far: 0 };
+        this.overtime = false;
+        this.ruleOptions = options.rules || null;
+        this.phase = 'idle'; // 'idle' | 'serving' | 'playing' | 'ended'
+        this.winner = null;
+        this.time = 0;       // ms of simulated time
+        this.serveAt = null;
+        this.lastClockTime = null;
+
+        this.setRuleset(options.ruleset);
+        const ai = options.ai || {};
+        for (const side of ['near', 'far']) {
+            if (ai[side]) this.setAI(side, ai[side]);
+        }
+    }
+
+    setRuleset(ruleset) {
+        this.ruleset = RULESETS.includes(ruleset) ? ruleset : 'classic';
+        this.rules = readMatchRules(this.ruleOptions, this.ruleset);
+        for (const { paddle } of this.eachPaddle()) {
+            if (paddle.ai) paddle.ai.walls = this.ruleset !== 'tableTennis';
+        }
+        this.stop();
+    }
+
+    // Match rules for the next match, or null for the ruleset's usual ones
+    setRules(rules) {
+        this.ruleOptions = rules || null;
+        this.rules = readMatchRules(this.ruleOptions, this.ruleset);
+        this.stop();
+    }
+
+    // The paddle state in a side's slot (always slot 0 outside doubles)
+    getPaddle(side, slot = 0) {
+        return slot === 1 && this.doubles ? this.partners[side] : this.paddles[side];
+    }
+
+    // Every paddle as { side, slot, paddle }
+    eachPaddle() {
+        const paddles = [];
+        for (const side of ['near', 'far']) {
+            paddles.push({ side, slot: 0, paddle: this.paddles[side] });
+            if (this.doubles) paddles.push({ side, slot: 1, paddle: this.partners[side] });
+        }
+        return paddles;
+    }
+
+    // The paddle that plays the ball on a side: in doubles, the one whose lane the ball is in
+    activeSlot() {
+        return this.doubles ? laneForX(this.ball.position.x) : 0;
+    }
+
+    // Hand a side to the AI with the given difficulty profile (see PaddleAI.mjs),
+    // or back to its player with null
+    setAI(side, difficulty, slot = 0) {
+        const paddle = this.getPaddle(side, slot);
+        if (!difficulty) {
+            paddle.ai = null;
+            paddle.adaptive = null;
+            return;
+        }
+
+        if (!paddle.ai) paddle.ai = createAIState(difficulty);
+        setAIDifficulty(paddle.ai, difficulty);
+        paddle.ai.walls = this.ruleset !== 'tableTennis';
+        paddle.adaptive = paddle.ai.profile.adaptive ? createAdaptiveState() : null;
+        this.applyAdaptive(side, slot);
+    }
+
+    applyAdaptive(side, slot = 0) {
+        const paddle = this.getPaddle(side, slot);
+        paddle.ai.aimAt = null;
+        if (!paddle.adaptive) return;
+
+        applyAdaptive(paddle.ai, paddle.adaptive);
+        // AdaptiveAI aims from the near player's view; a near AI aims at the far player
+        if (side === 'near' && paddle.ai.aimAt !== null) {
+            paddle.ai.aimAt = -paddle.ai.aimAt;
+        }
+    }
+
+    // Pose of a player-controlled paddle, in the shared (near player's) frame.
+    // pose is { position, velocity, quaternion }; any part may be left out.
+    setPaddleInput(side, pose, slot = 0) {
+        const paddle = this.getPaddle(side, slot);
+        if (pose.position) {
+            paddle.position = copy(pose.position);
+            if (this.doubles) paddle.position.x = clampToLane(paddle.position.x, slot);
+        }
+        if (pose.velocity) paddle.velocity = copy(pose.velocity);
+        if (pose.quaternion !== undefined) {
+            const q = pose.quaternion;
+            paddle.quaternion = q ? { x: q.x, y: q.y, z: q.z, w: q.w } : null;
+        }
+    }
+
+    // Reset the score and serve the first point right away
+    start() {
+        this.score = { near: 0, far: 0 };
+        this.games = { near: 0, far: 0 };
+        this.overtime = false;
+        this.winner = null;
+        this.rally = null;
+        resetBall(this.ball);
+        for (const { side, slot, paddle } of this.eachPaddle()) {
+            if (paddle.ai) {
+                resetAI(paddle.ai);
+                if (paddle.adaptive) {
+                    paddle.adaptive = createAdaptiveState();
+                    this.applyAdaptive(side, slot);
+                }
+            }
+        }
+        this.phase = 'serving';
+        this.serveAt = this.time;
+        this.stepper.reset();
+        this.lastClockTime = null;
+    }
+
+    stop() {
+        this.phase = 'idle';
+        this.serveAt = null;
+        this.rally = null;
+        resetBall(this.ball);
+        this.stepper.reset();
+    }
+
+    // Advance to the injected clock's current time. The first call only starts the clock.
+    update() {
+        const now = this.clock.now();
+        const delta = this.lastClockTime === null ? 0 : (now - this.lastClockTime) / 1000;
+        this.lastClockTime = now;
+        return this.advance(delta);
+    }
+
+    // Forget the last clock reading, e.g. after a pause, so the gap isn't simulated
+    resetClock() {
+        this.lastClockTime = null;
+    }
+
+    // Advance by delta seconds in fixed sub-steps. Returns the events in order.
+    advance(delta) {
+        const events = [];
+        this.stepper.advance(delta, (dt) => {
+            events.push(...this.step(dt));
+        });
+        return events;
+    }
+
+    // One fixed step of dt seconds
+    step(dt) {
+        const events = [];
+        this.time += dt * 1000;
+
+        if (this.phase === 'serving' && this.time >= this.serveAt) {
+            events.push(this.serve());
+        }
+
+        for (const { side, slot, paddle } of this.eachPaddle()) {
+            if (paddle.ai) this.stepPaddleAI(side, dt, slot);
+        }
+
+        if (this.phase !== 'playing') return events;
+
+        const slot = this.activeSlot();
+        const near = this.getPaddle('near', slot);
+        const far = this.getPaddle('far', slot);
+        const paddles = {
+            near: near.position,
+            far: far.position,
+            nearVelocity: near.velocity,
+            farVelocity: far.velocity
+        };
+
+        // Rule steps reset the ball when a point ends, so remember how the point went first
+        const rallyHits = this.ball.hits;
+        const lastX = this.ball.position.x;
+
+        let step;
+        if (this.ruleset === 'tableTennis') {
+            paddles.nearQuaternion = near.quaternion;
+            paddles.farQuaternion = far.quaternion;
+            step = stepTableTennisBall(this.ball, paddles, dt, this.rally, this.random);
+
+            if (step.bounce) events.push({ type: 'bounce', side: step.bounce, position: step.contact });
+            if (step.net) events.push({ type: 'net', position: step.contact });
+        } else {
+            step = stepBall(this.ball, paddles, dt, this.random);
+            if (step.wall) events.push({ type: 'wall', position: copy(this.ball.position) });
+        }
+
+        // A table tennis volley can hit the paddle and end the point in the same step,
+        // so hits are read from the contact rather than the result
+        const { result } = step;
+        if (step.hit) {
+            const side = step.contact.z > TABLE.centerZ ? 'near' : 'far';
+            const { x, y, z } = this.ball.velocity;
+            events.push({ type: 'hit', side, slot, position: step.contact, speed: Math.hypot(x, y, z) });
+        }
+        if (result === 'player_score' || result === 'ai_score') {
+            // 'player_score': the ball got past the near paddle, so the far side won the point
+            const winner = result === 'player_score' ? 'far' : 'near';
+            events.push(...this.endPoint(winner, rallyHits, lastX));
+        }
+
+        return events;
+    }
+
+    serve() {
+        this.phase = 'playing';
+        this.serveAt = null;
+
+        let server = null;
+        if (this.ruleset === 'tableTennis') {
+            // The near player serves first; the serve alternates every two points
+            server = getServer('near', this.score.near, this.score.far, this.rules);
+            this.rally = createRally(server);
+            serveTableTennis(this.ball, this.rally, this.random);
+        } else {
+            serveBall(this.ball, this.random);
+        }
+        return { type: 'serve', server };
+    }
+
+    endPoint(winner, rallyHits, x) {
+        this.score[winner]++;
+        resetBall(this.ball);
+        this.rally = null;
+
+        const events = [{ type: 'score', winner, score: { ...this.score }, rallyHits, x }];
+        for (const { side, slot } of this.eachPaddle()) {
+            this.recordAIPoint(side, winner, rallyHits, x, slot);
+        }
+
+        // In overtime the point decides the match; otherwise it may take a game
+        const gameWinner = this.overtime ? winner : getGameWinner(this.rules, this.score.near, this.score.far);
+        if (gameWinner && !this.overtime) this.games[gameWinner]++;
+
+        if (gameWinner && (this.overtime || this.games[gameWinner] >= getGamesToWin(this.rules))) {
+            events.push(this.endMatch(gameWinner));
+        } else {
+            if (gameWinner) {
+                events.push({ type: 'gameEnd', winner: gameWinner, score: { ...this.score }, games: { ...this.games } });
+                this.score = { near: 0, far: 0 };
+            }
+            this.phase = 'serving';
+            this.serveAt = this.time + this.serveDelay;
+        }
+        return events;
+    }
+
+    // The match clock ran out. The side ahead wins, or on a tie it's a draw or, with
+    // sudden death, overtime. Returns the events, none once the match is over or in overtime.
+    timeUp() {
+        if (this.phase === 'idle' || this.phase === 'ended' || this.overtime) return [];
+
+        const leader = getLeader(this.games, this.score);
+        if (!leader && this.rules.suddenDeath) {
+            this.overtime = true;
+            return [{ type: 'overtime' }];
+        }
+        resetBall(this.ball);
+        this.rally = null;
+        return [this.endMatch(leader)];
+    }
+
+    endMatch(winner) {
+        this.phase = 'ended';
+        this.winner = winner;
+        this.serveAt = null;
+        return { type: 'matchEnd', winner, score: { ...this.score }, games: { ...this.games } };
+    }
+
+    // Let a dynamic AI learn from the point that just ended
+    recordAIPoint(side, winner, rallyHits, x, slot = 0) {
+        const paddle = this.getPaddle(side, slot);
+        if (!paddle.adaptive) return;
+
+        // AdaptiveAI reads misses from the near player's view
+        const opponentMissX = side === 'far' ? x : -x;
+        recordPoint(paddle.adaptive, {
+            winner: winner === side ? 'ai' : 'player',
+            rallyHits,
+            missX: winner === side ? opponentMissX : null,
+            aiScore: this.score[side],
+            playerScore: this.score[otherSide(side)]
+        });
+        this.applyAdaptive(side, slot);
+    }
+
+    stepPaddleAI(side, dt, slot = 0) {
+        const paddle = this.getPaddle(side, slot);
+        const previous = copy(paddle.position);
+
+        stepAI(paddle.ai, paddle.position, this.ball, dt, this.random);
+        if (this.doubles) paddle.position.x = clampToLane(paddle.position.x, slot);
+
+        if (this.ruleset === 'tableTennis') {
+            // Also follow the ball's height, within reach of the table
+            const targetY = Math.max(AI_HEIGHT.min, Math.min(AI_HEIGHT.max, this.ball.position.y));
+            const diffY = targetY - paddle.position.y;
+            paddle.position.y += Math.sign(diffY) * Math.min(Math.abs(diffY), paddle.ai.profile.maxSpeed * dt);
+        }
+
+        // Swing velocity from the movement, smoothed like the browser's paddle tracking
+        for (const axis of ['x', 'y', 'z']) {
+            const measured = (paddle.position[axis] - previous[axis]) / dt;
+            paddle.velocity[axis] += (measured - paddle.velocity[axis]) * 0.5;
+        }
+    }
+
+    // Plain snapshot of everything a view needs
+    getState() {
+        const paddle = (side, slot = 0) => {
+            const p = this.getPaddle(side, slot);
+            return {
+                position: copy(p.position),
+                velocity: copy(p.velocity),
+                quaternion: p.quaternion ? { ...p.quaternion } : null,
+                ai: p.ai ? p.ai.difficulty : null,
+                skill: p.adaptive ? p.adaptive.skill : null
+            };
+        };
+
+        return {
+            ruleset: this.ruleset,
+            time: this.time,
+            phase: this.phase,
+            winner: this.winner,
+            score: { ...this.score },
+            games: { ...this.games },
+            overtime: this.overtime,
+            server: this.rally ? this.rally.server : null,
+            ball: {
+                position: copy(this.ball.position),
+                velocity: copy(this.ball.velocity),
+                spin: this.ball.spin,
+                hits: this.ball.hits
+            },
+            paddles: { near: paddle('near'), far: paddle('far') },
+            // Doubles only: the slot 1 paddles
+            partners: this.doubles ? { near: paddle('near', 1), far: paddle('far', 1) } : null
+        };
+    }
+}
@@ -0,0 +1,101 @@
+// Match rules: how games and the match are won. Shared by GameSimulation, which applies
+// them to points and games, the browser's menu and Timer, and server.js. The match clock is
+// kept outside the simulation (Game.js's Timer, server.js's tick count), which calls
+// GameSimulation.timeUp when it runs out.
+//
+//   timeLimit    Seconds of play, or null for no clock. When it runs out the side with more
+//                games, then more points in the current game, wins; a tie is a draw.
+//   pointTarget  Points that win a game, or null to play on the clock alone
+//   winByTwo     A game also needs a lead of two points past the target
+//   bestOf       Games in the match; the first side to win a majority of them wins it
+//   suddenDeath  A tie when time runs out goes to overtime instead: the next point wins
+
+export const MAX_TIME_LIMIT = 3600;
+export const MAX_POINT_TARGET = 99;
+export const MAX_BEST_OF = 7;
+
+// Each ruleset's usual match: classic Pong against the clock, table tennis to 11
+export const DEFAULT_MATCH_RULES = {
+    classic: { timeLimit: 180, pointTarget: null, winByTwo: false, bestOf: 1, suddenDeath: false },
+    tableTennis: { timeLimit: null, pointTarget: 11, winByTwo: true, bestOf: 1, suddenDeath: false }
+};
+
+// Choices offered in the menu. 'standard' is the ruleset's usual match.
+export const MATCH_PRESETS = [
+    { value: 'standard', label: 'STANDARD', rules: null },
+    { value: 'timed', label: '3 MIN', rules: { timeLimit: 180 } },
+    { value: 'suddenDeath', label: '3 MIN + OT', rules: { timeLimit: 180, suddenDeath: true } },
+    { value: 'firstTo7', label: 'FIRST TO 7', rules: { pointTarget: 7 } },
+    { value: 'winByTwo', label: 'TO 11 BY 2', rules: { pointTarget: 11, winByTwo: true } },
+    { value: 'bestOf3', label: 'BEST OF 3', rules: { pointTarget: 11, winByTwo: true, bestOf: 3 } }
+];
+
+export function getDefaultMatchRules(ruleset) {
+    return { ...(DEFAULT_MATCH_RULES[ruleset] || DEFAULT_MATCH_RULES.classic) };
+}
+
+// The rules of a menu preset for a ruleset
+export function getPresetRules(preset, ruleset) {
+    const found = MATCH_PRESETS.find(entry => entry.value === preset);
+    return readMatchRules(found && found.rules, ruleset);
+}
+
+// Complete, valid rules from untrusted data. Values out of range are dropped, and rules
+// that could never end a match fall back to the ruleset's usual ones.
+export function readMatchRules(data, ruleset) {
+    if (!data || typeof data !== 'object') return getDefaultMatchRules(ruleset);
+
+    const readInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max ? value : null;
+    const rules = {
+        timeLimit: readInteger(data.timeLimit, 10, MAX_TIME_LIMIT),
+        pointTarget: readInteger(data.pointTarget, 1, MAX_POINT_TARGET),
+        winByTwo: data.winByTwo === true,
+        bestOf: readInteger(data.bestOf, 1, MAX_BEST_OF) || 1,
+        suddenDeath: data.suddenDeath === true
+    };
+    if (rules.timeLimit === null && rules.pointTarget === null) return getDefaultMatchRules(ruleset);
+
+    // Games only end on points, and an even count could leave the match tied
+    if (rules.pointTarget === null || rules.bestOf % 2 === 0) rules.bestOf = 1;
+    if (rules.pointTarget === null) rules.winByTwo = false;
+    if (rules.timeLimit === null) rules.suddenDeath = false;
+    return rules;
+}
+
+// 'near', 'far' or null while the game is still going
+export function getGameWinner(rules, nearScore, farScore) {
+    if (rules.pointTarget === null) return null;
+
+    const high = Math.max(nearScore, farScore);
+    const lead = Math.abs(nearScore - farScore);
+    if (high >= rules.pointTarget && lead >= (rules.winByTwo ? 2 : 1)) {
+        return nearScore > farScore ? 'near' : 'far';
+    }
+    return null;
+}
+
+// Games a side needs to win the match
+export function getGamesToWin(rules) {
+    return Math.floor(rules.bestOf / 2) + 1;
+}
+
+// Who is ahead when time runs out: more games, then more points. Null on a tie.
+export function getLeader(games, score) {
+    if (games.near !== games.far) return games.near > games.far ? 'near' : 'far';
+    if (score.near !== score.far) return score.near > score.far ? 'near' : 'far';
+    return null;
+}
+
+// Short description for messages, e.g. 'FIRST TO 11, WIN BY 2, BEST OF 3'
+export function describeMatchRules(rules) {
+    const parts = [];
+    if (rules.pointTarget !== null) parts.push(`FIRST TO ${rules.pointTarget}`);
+    if (rules.winByTwo) parts.push('WIN BY 2');
+    if (rules.bestOf > 1) parts.push(`BEST OF ${rules.bestOf}`);
+    if (rules.timeLimit !== null) {
+        const minutes = Math.floor(rules.timeLimit / 60);
+        const seconds = (rules.timeLimit % 60).toString().padStart(2, '0');
+        parts.push(`${minutes}:${seconds}${rules.suddenDeath ? ' + SUDDEN DEATH' : ''}`);
+    }
+    return parts.join(', ');
+}
@@ -0,0 +1,40 @@
+// Point, rally, hit and return speed stats for one match, fed with GameSimulation events.
+// Used by the single player game and by server.js for the match history. A rally is the
+// paddle hits of one point, both sides together.
+
+export class MatchStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.hits = { near: 0, far: 0 };
+        this.points = 0; // Over all games
+        this.rally = 0;
+        this.longestRally = 0;
+        this.fastestReturn = { near: 0, far: 0 }; // m/s
+    }
+
+    // Take note of a simulation event; other events than hits and points are ignored
+    record(event) {
+        if (event.type === 'hit') {
+            this.hits[event.side]++;
+            this.rally++;
+            this.longestRally = Math.max(this.longestRally, this.rally);
+            this.fastestReturn[event.side] = Math.max(this.fastestReturn[event.side], event.speed || 0);
+        } else if (event.type === 'score') {
+            this.points++;
+            this.rally = 0;
+        }
+    }
+
+    // { points, hits: { near, far }, longestRally, fastestReturn: { near, far } }
+    getSummary() {
+        return {
+            points: this.points,
+            hits: { ...this.hits },
+            longestRally: this.longestRally,
+            fastestReturn: { ...this.fastestReturn }
+        };
+    }
+}
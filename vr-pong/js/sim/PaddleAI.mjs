@@ -0,0 +1,225 @@
+// AI opponent: difficulty profiles and the paddle controller they drive. Plain objects only,
+// like the rest of js/sim, so the same AI can run headless.
+//
+// Each profile models how a player would fall short: the AI only reacts to what it saw
+// reactionDelay ms ago, re-plans every updateInterval ms, is limited in speed and acceleration,
+// and on errorRate of the incoming shots deliberately aims beside the ball.
+// See docs/AI_PADDLE_MOVEMENT.md for how the numbers were picked.
+
+import { TABLE, PADDLE, MAX_REFLECTION_ANGLE, hitOffsetForAngle } from './BallPhysics.mjs';
+
+export const AI_PROFILES = {
+    easy: {
+        label: 'EASY',
+        prediction: 'none',     // Chases the ball's current x
+        smoothSpeed: 0.15,      // How sharply the paddle closes on its target
+        updateInterval: 50,     // ms between target updates
+        reactionDelay: 250,     // ms of lag on what the AI sees
+        maxSpeed: 0.8,          // m/s
+        maxAcceleration: 3,     // m/s^2
+        errorRate: 0.25,        // Share of incoming shots it misjudges on purpose
+        aimNoise: 0.05          // m of random aim offset on every shot
+    },
+    medium: {
+        label: 'MEDIUM',
+        prediction: 'straight', // Extrapolates to its paddle line, ignoring walls
+        smoothSpeed: 0.25,
+        updateInterval: 40,
+        reactionDelay: 180,
+        maxSpeed: 1.1,
+        maxAcceleration: 5,
+        errorRate: 0.15,
+        aimNoise: 0.04
+    },
+    hard: {
+        label: 'HARD',
+        prediction: 'bounces',  // Full intercept including wall bounces
+        smoothSpeed: 0.35,
+        updateInterval: 30,
+        reactionDelay: 120,
+        maxSpeed: 1.5,
+        maxAcceleration: 8,
+        errorRate: 0.07,
+        aimNoise: 0.03
+    },
+    expert: {
+        label: 'EXPERT',
+        prediction: 'bounces',
+        smoothSpeed: 0.45,
+        updateInterval: 25,
+        reactionDelay: 70,
+        maxSpeed: 2.0,
+        maxAcceleration: 12,
+        errorRate: 0.02,
+        aimNoise: 0.015
+    },
+    dynamic: {
+        // Starts as medium; AdaptiveAI.mjs retunes it after every point
+        label: 'DYNAMIC',
+        adaptive: true,
+        prediction: 'straight',
+        smoothSpeed: 0.25,
+        updateInterval: 40,
+        reactionDelay: 180,
+        maxSpeed: 1.1,
+        maxAcceleration: 5,
+        errorRate: 0.15,
+        aimNoise: 0.04
+    }
+};
+
+export const AI_DIFFICULTIES = Object.keys(AI_PROFILES);
+export const DEFAULT_DIFFICULTY = 'medium';
+
+// A deliberate miss puts the paddle center this far beside the predicted intercept,
+// outside the paddle's reach
+const MISS_OFFSET = PADDLE.halfExtents.x + PADDLE.collisionBuffer + 0.08;
+
+// Aimed returns hit at most this far off-center (as a share of the steepest angle),
+// leaving some margin so aiming doesn't turn into a miss
+const MAX_AIM_SHARE = 0.7;
+
+// Where the ball will cross targetZ, or null if it is moving away or not moving.
+// With walls, the straight-line x is folded back between the side walls like the ball bounces.
+export function predictInterceptX(position, velocity, targetZ, walls = true, halfWidth = TABLE.halfWidth) {
+    if (velocity.z === 0) return null;
+
+    const time = (targetZ - position.z) / velocity.z;
+    if (time < 0) return null;
+
+    const x = position.x + velocity.x * time;
+    if (!walls) return x;
+
+    const span = halfWidth * 2;
+    const period = span * 2;
+    let folded = ((x + halfWidth) % period + period) % period;
+    if (folded > span) folded = period - folded;
+    return folded - halfWidth;
+}
+
+export function createAIState(difficulty = DEFAULT_DIFFICULTY) {
+    const ai = {
+        difficulty: null,
+        profile: null,
+        time: 0,              // ms of AI time, advanced by stepAI
+        lastDecision: -Infinity,
+        observations: [],     // Recent { time, position, velocity } samples of the ball
+        targetX: 0,
+        speed: 0,             // Current paddle speed, m/s (signed)
+        approaching: false,   // Ball currently heading toward the AI
+        aimOffset: 0,         // Error chosen for the current incoming shot
+        aimAt: null,          // x on the opponent's end to aim returns at, or null
+        walls: true           // The classic table has side walls; table tennis doesn't
+    };
+    setAIDifficulty(ai, difficulty);
+    return ai;
+}
+
+export function setAIDifficulty(ai, difficulty) {
+    ai.difficulty = AI_PROFILES[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+    ai.profile = { ...AI_PROFILES[ai.difficulty] };
+}
+
+// What the AI "sees": the newest observation at least reactionDelay old
+function perceivedBall(ai) {
+    const seeUpTo = ai.time - ai.profile.reactionDelay;
+    let seen = null;
+    for (const observation of ai.observations) {
+        if (observation.time <= seeUpTo) seen = observation;
+    }
+    return seen;
+}
+
+function chooseTarget(ai, paddleZ, ball, random) {
+    const profile = ai.profile;
+    const towardPaddle = Math.sign(paddleZ - TABLE.centerZ) === Math.sign(ball.velocity.z) && ball.velocity.z !== 0;
+
+    // New incoming shot: decide once whether to misjudge it
+    if (towardPaddle && !ai.approaching) {
+        const miss = random() < profile.errorRate;
+        const side = random() < 0.5 ? -1 : 1;
+        ai.aimOffset = miss ?
+            side * MISS_OFFSET :
+            (random() - 0.5) * 2 * profile.aimNoise;
+    }
+    ai.approaching = towardPaddle;
+
+    if (!towardPaddle) {
+        // Drift back toward the middle while the ball is heading away
+        return profile.prediction === 'none' ? ball.position.x : 0;
+    }
+
+    if (profile.prediction === 'none') {
+        return ball.position.x + ai.aimOffset;
+    }
+
+    const intercept = predictInterceptX(ball.position, ball.velocity, paddleZ, ai.walls && profile.prediction === 'bounces');
+    if (intercept === null) return ball.position.x + ai.aimOffset;
+
+    return intercept + ai.aimOffset + aimReturn(ai, intercept, paddleZ);
+}
+
+// Paddle shift that makes the return leave toward ai.aimAt. The reflection angle comes from
+// where the ball hits the paddle (see calculateReflection): a ball struck right of center
+// leaves to the right, so the paddle sits on the opposite side of the ball from the target.
+function aimReturn(ai, interceptX, paddleZ) {
+    if (ai.aimAt === null || Math.abs(ai.aimOffset) >= MISS_OFFSET) return 0;
+
+    const opponentZ = paddleZ > TABLE.centerZ ? PADDLE.farZ : PADDLE.nearZ;
+    const maxAngle = MAX_REFLECTION_ANGLE * MAX_AIM_SHARE;
+    const angle = Math.atan2(ai.aimAt - interceptX, Math.abs(opponentZ - paddleZ));
+
+    // Hit offset is ball x minus paddle x, so the paddle moves the other way
+    return -hitOffsetForAngle(Math.max(-maxAngle, Math.min(maxAngle, angle)));
+}
+
+// Advance the AI by dt seconds. paddle is the AI paddle's position (x is updated in place),
+// ball is { position, velocity }. Returns the paddle's new x.
+export function stepAI(ai, paddle, ball, dt, random = Math.random) {
+    const profile = ai.profile;
+    ai.time += dt * 1000;
+
+    ai.observations.push({
+        time: ai.time,
+        position: { x: ball.position.x, y: ball.position.y, z: ball.position.z },
+        velocity: { x: ball.velocity.x, y: ball.velocity.y, z: ball.velocity.z }
+    });
+    while (ai.observations.length > 1 && ai.observations[1].time <= ai.time - profile.reactionDelay) {
+        ai.observations.shift();
+    }
+
+    if (ai.time - ai.lastDecision >= profile.updateInterval) {
+        const seen = perceivedBall(ai);
+        if (seen) {
+            ai.targetX = Math.max(-PADDLE.maxX, Math.min(PADDLE.maxX, chooseTarget(ai, paddle.z, seen, random)));
+        }
+        ai.lastDecision = ai.time;
+    }
+
+    // Steer toward the target within the speed and acceleration limits
+    const diff = ai.targetX - paddle.x;
+    const desired = Math.sign(diff) * Math.min(profile.maxSpeed, Math.abs(diff) * profile.smoothSpeed * 40);
+    const maxChange = profile.maxAcceleration * dt;
+    ai.speed += Math.max(-maxChange, Math.min(maxChange, desired - ai.speed));
+
+    let x = paddle.x + ai.speed * dt;
+    if ((diff > 0 && x > ai.targetX) || (diff < 0 && x < ai.targetX)) {
+        x = ai.targetX;
+        ai.speed = 0;
+    }
+    if (Math.abs(x) > PADDLE.maxX) {
+        x = Math.sign(x) * PADDLE.maxX;
+        ai.speed = 0;
+    }
+
+    paddle.x = x;
+    return x;
+}
+
+export function resetAI(ai) {
+    ai.observations = [];
+    ai.lastDecision = -Infinity;
+    ai.speed = 0;
+    ai.approaching = false;
+    ai.aimOffset = 0;
+}
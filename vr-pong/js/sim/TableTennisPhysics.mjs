@@ -0,0 +1,409 @@
+// "Table tennis" ruleset: the ball flies under gravity, bounces on the table and can hit the net,
+// and points follow ping-pong rules (one bounce on each side, serve alternation). Games are
+// won as the room's match rules say (see MatchRules.mjs), to 11 won by 2 unless the host
+// picked otherwise. Like BallPhysics this works on plain objects so the server can run it too.
+//
+// Simplifications compared to real table tennis: the serve is launched straight onto the
+// receiver's half (no bounce on the server's own side) and lets are not replayed.
+
+import { BALL, PADDLE, SPIN, applySpin, applySwing, calculateReflection, resetBall } from './BallPhysics.mjs';
+
+export const TT_TABLE = {
+    surfaceY: 0.81,      // Top of the table mesh in GameEnvironment
+    halfWidth: 0.75,
+    nearZ: 0,
+    farZ: -2.0,
+    centerZ: -1.0,
+    netHeight: 0.12,     // Above the table surface
+    netHalfWidth: 0.8,
+    netThickness: 0.01,
+    floorY: 0.1,         // Below this the ball is dead
+    outOfPlayDistance: 0.8 // Past either end by this much the ball is dead
+};
+
+export const TT_PHYSICS = {
+    gravity: 4.9,            // Lower than Earth so rallies stay readable at Pong ball speeds
+    tableRestitution: 0.85,
+    tableFriction: 0.97,     // Horizontal speed kept on each table bounce
+    netRestitution: 0.2,
+    paddleRestitution: 0.9,
+    serveSpeed: 1.4,
+    minReturnSpeed: 1.0,
+    returnDepth: 0.6,        // How far into the opponent's half returns aim, as a fraction
+    tiltLift: 0.3            // How much a tilted (VR) paddle face adds to the return arc
+};
+
+// The paddle volume each player can move their paddle in, for the near (host) end.
+// The far end is the mirror image.
+export const TT_PADDLE_BOUNDS = {
+    x: { min: -0.9, max: 0.9 },
+    y: { min: 0.82, max: 1.6 },
+    z: { min: -0.9, max: 0.4 }
+};
+
+export const TT_SCORING = {
+    servesPerTurn: 2
+};
+
+export function otherSide(side) {
+    return side === 'near' ? 'far' : 'near';
+}
+
+// Results use the same names as the classic ruleset: 'ai_score' means the near player won
+// the point, 'player_score' means the far player won it
+export function pointResult(winner) {
+    return winner === 'near' ? 'ai_score' : 'player_score';
+}
+
+export function createRally(server = 'near') {
+    return {
+        server,
+        lastHitter: null,
+        bounces: { near: 0, far: 0 }
+    };
+}
+
+// Server for the next point: serve changes every servesPerTurn points, and every point once
+// both players reach deuce. Deuce comes from the match rules (see MatchRules.mjs): a point
+// short of pointTarget each, in games that must be won by two.
+export function getServer(firstServer, nearScore, farScore, { pointTarget, winByTwo }) {
+    const deuceAt = pointTarget !== null && winByTwo ? pointTarget - 1 : Infinity;
+    const total = nearScore + farScore;
+    let turns;
+
+    if (nearScore >= deuceAt && farScore >= deuceAt) {
+        const deuceTotal = deuceAt * 2;
+        turns = Math.floor(deuceTotal / TT_SCORING.servesPerTurn) + (total - deuceTotal);
+    } else {
+        turns = Math.floor(total / TT_SCORING.servesPerTurn);
+    }
+
+    return turns % 2 === 0 ? firstServer : otherSide(firstServer);
+}
+
+function length(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Rotate vector v by unit quaternion q
+function rotate(v, q) {
+    const ix = q.w * v.x + q.y * v.z - q.z * v.y;
+    const iy = q.w * v.y + q.z * v.x - q.x * v.z;
+    const iz = q.w * v.z + q.x * v.y - q.y * v.x;
+    const iw = -q.x * v.x - q.y * v.y - q.z * v.z;
+
+    return {
+        x: ix * q.w + iw * -q.x + iy * -q.z - iz * -q.y,
+        y: iy * q.w + iw * -q.y + iz * -q.x - ix * -q.z,
+        z: iz * q.w + iw * -q.z + ix * -q.y - iy * -q.x
+    };
+}
+
+function conjugate(q) {
+    return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+// Slab test of the segment start -> end against a box centered at the origin
+function sweepBox(start, end, half) {
+    let tEnter = 0;
+    let tExit = 1;
+    let normal = { x: 0, y: 0, z: 0 };
+
+    for (const axis of ['x', 'y', 'z']) {
+        const direction = end[axis] - start[axis];
+
+        if (Math.abs(direction) < 1e-12) {
+            if (start[axis] < -half[axis] || start[axis] > half[axis]) return null;
+            continue;
+        }
+
+        let t1 = (-half[axis] - start[axis]) / direction;
+        let t2 = (half[axis] - start[axis]) / direction;
+        let sign = -1;
+        if (t1 > t2) {
+            [t1, t2] = [t2, t1];
+            sign = 1;
+        }
+
+        if (t1 > tEnter) {
+            tEnter = t1;
+            normal = { x: 0, y: 0, z: 0 };
+            normal[axis] = sign;
+        }
+        tExit = Math.min(tExit, t2);
+        if (tEnter > tExit) return null;
+    }
+
+    return { t: tEnter, normal };
+}
+
+// Swept test against a paddle that may be rotated (quaternion optional). The box is the
+// paddle blade expanded by the ball radius and collision buffer, tested in paddle space.
+export function sweepBallAgainstOrientedPaddle(start, end, paddlePosition, quaternion = null) {
+    const reach = PADDLE.collisionBuffer + BALL.radius;
+    const half = {
+        x: PADDLE.halfExtents.x + reach,
+        y: PADDLE.halfExtents.y + reach,
+        z: PADDLE.halfExtents.z + reach
+    };
+    const toLocal = (p) => {
+        const relative = { x: p.x - paddlePosition.x, y: p.y - paddlePosition.y, z: p.z - paddlePosition.z };
+        return quaternion ? rotate(relative, conjugate(quaternion)) : relative;
+    };
+
+    const sweep = sweepBox(toLocal(start), toLocal(end), half);
+    if (!sweep) return null;
+
+    return {
+        t: sweep.t,
+        normal: quaternion ? rotate(sweep.normal, quaternion) : sweep.normal
+    };
+}
+
+function sweepNet(start, end) {
+    const radius = BALL.radius;
+    const center = { x: 0, y: TT_TABLE.surfaceY + TT_TABLE.netHeight / 2, z: TT_TABLE.centerZ };
+    const half = {
+        x: TT_TABLE.netHalfWidth + radius,
+        y: TT_TABLE.netHeight / 2 + radius,
+        z: TT_TABLE.netThickness / 2 + radius
+    };
+    const local = (p) => ({ x: p.x - center.x, y: p.y - center.y, z: p.z - center.z });
+    return sweepBox(local(start), local(end), half);
+}
+
+// Crossing the table surface plane on the way down, inside the table outline
+function sweepTable(start, end) {
+    const restY = TT_TABLE.surfaceY + BALL.radius;
+    if (start.y < restY || end.y >= restY) return null;
+
+    const t = (start.y - restY) / (start.y - end.y);
+    const x = start.x + (end.x - start.x) * t;
+    const z = start.z + (end.z - start.z) * t;
+    if (Math.abs(x) > TT_TABLE.halfWidth || z > TT_TABLE.nearZ || z < TT_TABLE.farZ) return null;
+
+    return { t, normal: { x: 0, y: 1, z: 0 } };
+}
+
+// Vertical speed that carries the ball from its position to the table surface at targetZ
+function arcVelocityY(position, velocityZ, targetZ) {
+    const time = Math.abs(targetZ - position.z) / Math.max(Math.abs(velocityZ), 1e-6);
+    const drop = (TT_TABLE.surfaceY + BALL.radius) - position.y;
+    return drop / time + 0.5 * TT_PHYSICS.gravity * time;
+}
+
+// Serve from the server's end straight onto the receiver's half
+export function serveTableTennis(state, rally, random = Math.random) {
+    resetBall(state);
+    const direction = rally.server === 'near' ? -1 : 1;
+
+    state.position.x = (random() - 0.5) * 0.4;
+    state.position.y = TT_TABLE.surfaceY + 0.2;
+    state.position.z = rally.server === 'near' ? TT_TABLE.nearZ - 0.25 : TT_TABLE.farZ + 0.25;
+
+    const targetZ = TT_TABLE.centerZ + direction * (TT_TABLE.centerZ - TT_TABLE.farZ) * TT_PHYSICS.returnDepth;
+    state.velocity.x = (random() - 0.5) * 0.4;
+    state.velocity.z = direction * TT_PHYSICS.serveSpeed;
+    state.velocity.y = arcVelocityY(state.position, state.velocity.z, targetZ);
+
+    rally.lastHitter = rally.server;
+    rally.bounces.near = 0;
+    rally.bounces.far = 0;
+}
+
+// Reflect off the paddle face. Upright paddles (AI, desktop) aim by hit offset like the
+// classic game; rotated VR paddles reflect about their real face normal. The arc is then
+// set so the return lands in the opponent's half, lifted further by an upturned face.
+function reflectFromPaddle(state, side, paddlePosition, paddleVelocity, quaternion, normal, random) {
+    const direction = side === 'near' ? -1 : 1;
+    const velocity = state.velocity;
+    let tiltLift = 0;
+
+    if (quaternion) {
+        const swing = paddleVelocity || { x: 0, y: 0, z: 0 };
+        const relative = { x: velocity.x - swing.x, y: velocity.y - swing.y, z: velocity.z - swing.z };
+        const face = dot(relative, normal) > 0 ? { x: -normal.x, y: -normal.y, z: -normal.z } : normal;
+        const along = dot(relative, face);
+        const bounce = (1 + TT_PHYSICS.paddleRestitution) * along;
+
+        velocity.x = relative.x - bounce * face.x + swing.x;
+        velocity.y = relative.y - bounce * face.y + swing.y;
+        velocity.z = relative.z - bounce * face.z + swing.z;
+        tiltLift = face.y * length(velocity) * TT_PHYSICS.tiltLift;
+    } else {
+        const reflection = calculateReflection(velocity, state.position, paddlePosition, random);
+        velocity.x = reflection.x;
+        velocity.z = reflection.z;
+        applySwing(state, paddleVelocity);
+    }
+
+    // Always send the ball back over the net at a playable speed
+    velocity.z = direction * Math.max(Math.abs(velocity.z), TT_PHYSICS.minReturnSpeed);
+    const horizontal = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    if (horizontal > BALL.maxSpeed) {
+        velocity.x *= BALL.maxSpeed / horizontal;
+        velocity.z *= BALL.maxSpeed / horizontal;
+    }
+
+    const targetZ = TT_TABLE.centerZ + direction * (TT_TABLE.centerZ - TT_TABLE.farZ) * TT_PHYSICS.returnDepth;
+    velocity.y = arcVelocityY(state.position, velocity.z, targetZ) + tiltLift;
+
+    if (quaternion && paddleVelocity) {
+        state.spin = clamp(state.spin + paddleVelocity.x * SPIN.spinTransfer, -SPIN.maxSpin, SPIN.maxSpin);
+    }
+}
+
+function isDead(position) {
+    return position.y < TT_TABLE.floorY ||
+        position.z > TT_TABLE.nearZ + TT_TABLE.outOfPlayDistance ||
+        position.z < TT_TABLE.farZ - TT_TABLE.outOfPlayDistance ||
+        Math.abs(position.x) > TT_TABLE.halfWidth + TT_TABLE.outOfPlayDistance;
+}
+
+// Rally bookkeeping. Each returns the winner of the point ('near' / 'far') or null.
+// Hitting twice in a row loses the point.
+function onPaddleHit(rally, side, position) {
+    if (rally.lastHitter === side) {
+        return otherSide(side);
+    }
+    // Touching the ball before it bounced on your side loses the point, unless it was
+    // already outside the table and so out anyway
+    if (rally.bounces[side] === 0) {
+        const outside = Math.abs(position.x) > TT_TABLE.halfWidth ||
+            position.z > TT_TABLE.nearZ || position.z < TT_TABLE.farZ;
+        return outside ? side : otherSide(side);
+    }
+    rally.lastHitter = side;
+    rally.bounces.near = 0;
+    rally.bounces.far = 0;
+    return null;
+}
+
+function onTableBounce(rally, side) {
+    // The ball has to cross the net: a bounce on the hitter's own side loses the point
+    if (side === rally.lastHitter) {
+        return otherSide(side);
+    }
+    rally.bounces[side]++;
+    return rally.bounces[side] >= 2 ? rally.lastHitter : null;
+}
+
+function onDeadBall(rally) {
+    // Out after bouncing on the receiver's side: the receiver missed it.
+    // Out without that bounce: the shot went long or wide.
+    const receiver = otherSide(rally.lastHitter);
+    return rally.bounces[receiver] >= 1 ? rally.lastHitter : receiver;
+}
+
+// Advance the ball by dt seconds under table-tennis rules. paddles is { near, far } with
+// paddle centers, plus optional nearVelocity / farVelocity and nearQuaternion / farQuaternion.
+// Returns { result, hit, bounce, net, contact, winner }: result is 'player' / 'ai' for paddle
+// hits or 'player_score' / 'ai_score' (see pointResult) when the point is over.
+export function stepTableTennisBall(state, paddles, dt, rally, random = Math.random) {
+    const position = state.position;
+    const velocity = state.velocity;
+    const events = { result: false, hit: false, bounce: false, net: false, contact: null, winner: null };
+
+    applySpin(state, dt);
+    velocity.y -= TT_PHYSICS.gravity * dt;
+
+    const start = { x: position.x, y: position.y, z: position.z };
+    const end = {
+        x: start.x + velocity.x * dt,
+        y: start.y + velocity.y * dt,
+        z: start.z + velocity.z * dt
+    };
+
+    // Find the earliest contact this step
+    let impact = null;
+    const consider = (type, sweep, extra = {}) => {
+        if (sweep && (!impact || sweep.t < impact.t)) {
+            impact = { type, t: sweep.t, normal: sweep.normal, ...extra };
+        }
+    };
+
+    for (const side of ['near', 'far']) {
+        const paddlePosition = paddles[side];
+        if (!paddlePosition) continue;
+
+        const towardPaddle = Math.sign(paddlePosition.z - TT_TABLE.centerZ) === Math.sign(velocity.z);
+        if (!towardPaddle) continue;
+
+        const quaternion = paddles[`${side}Quaternion`] || null;
+        consider('paddle', sweepBallAgainstOrientedPaddle(start, end, paddlePosition, quaternion), {
+            side,
+            paddlePosition,
+            quaternion,
+            paddleVelocity: paddles[`${side}Velocity`]
+        });
+    }
+    consider('net', sweepNet(start, end));
+    consider('table', sweepTable(start, end));
+
+    if (!impact) {
+        position.x = end.x;
+        position.y = end.y;
+        position.z = end.z;
+    } else {
+        position.x = start.x + (end.x - start.x) * impact.t;
+        position.y = start.y + (end.y - start.y) * impact.t;
+        position.z = start.z + (end.z - start.z) * impact.t;
+        events.contact = { x: position.x, y: position.y, z: position.z };
+
+        if (impact.type === 'paddle') {
+            events.winner = onPaddleHit(rally, impact.side, position);
+            reflectFromPaddle(state, impact.side, impact.paddlePosition, impact.paddleVelocity,
+                impact.quaternion, impact.normal, random);
+            state.hits++;
+            events.hit = 'center';
+            events.result = impact.side === 'near' ? 'player' : 'ai';
+        } else if (impact.type === 'table') {
+            const side = position.z > TT_TABLE.centerZ ? 'near' : 'far';
+            events.winner = onTableBounce(rally, side);
+            velocity.y = -velocity.y * TT_PHYSICS.tableRestitution;
+            velocity.x *= TT_PHYSICS.tableFriction;
+            velocity.z *= TT_PHYSICS.tableFriction;
+            events.bounce = side;
+        } else {
+            // Net: kill most of the speed along the face it struck
+            const along = dot(velocity, impact.normal);
+            velocity.x -= (1 + TT_PHYSICS.netRestitution) * along * impact.normal.x;
+            velocity.y -= (1 + TT_PHYSICS.netRestitution) * along * impact.normal.y;
+            velocity.z -= (1 + TT_PHYSICS.netRestitution) * along * impact.normal.z;
+            events.net = true;
+        }
+
+        const remaining = (1 - impact.t) * dt;
+        position.x += velocity.x * remaining;
+        position.y += velocity.y * remaining;
+        position.z += velocity.z * remaining;
+    }
+
+    if (!events.winner && isDead(position)) {
+        events.winner = onDeadBall(rally);
+    }
+
+    if (events.winner) {
+        events.result = pointResult(events.winner);
+        resetBall(state);
+    }
+
+    return events;
+}
+
+// Keep a 3D paddle pose inside the near player's volume (mirror the result for the far end)
+export function clampPaddlePose(position) {
+    return {
+        x: clamp(position.x, TT_PADDLE_BOUNDS.x.min, TT_PADDLE_BOUNDS.x.max),
+        y: clamp(position.y, TT_PADDLE_BOUNDS.y.min, TT_PADDLE_BOUNDS.y.max),
+        z: clamp(position.z, TT_PADDLE_BOUNDS.z.min, TT_PADDLE_BOUNDS.z.max)
+    };
+}
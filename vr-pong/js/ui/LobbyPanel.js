@@ -0,0 +1,346 @@
+import * as THREE from 'three';
+import { formatProfileName } from '../network/Profile.mjs';
+
+// Public room browser shown next to the MultiplayerMenu. The server pushes the room list
+// ('roomList') while the panel is open; rows show the host's name and avatar, rules, host
+// ping and status.
+// Doubles rooms also show how many of their four seats are taken.
+// Pointing at a waiting room, or one where the AI is filling in, joins it; pointing at a
+// full or running one watches it.
+const VISIBLE_ROWS = 5;
+
+const RULESET_LABELS = {
+    classic: 'CLASSIC',
+    tableTennis: 'TABLE TENNIS'
+};
+
+const STATUS_LABELS = {
+    waiting: { text: 'WAITING', color: '#66ff66' },
+    open: { text: 'VS AI - JOIN', color: '#66ccff' },
+    full: { text: 'FULL - WATCH', color: '#ffcc00' },
+    inProgress: { text: 'LIVE - WATCH', color: '#ff6666' }
+};
+
+export class LobbyPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.panelGroup = new THREE.Group();
+        this.buttons = {};
+        this.rowKeys = [];
+        this.rooms = [];
+        this.scrollOffset = 0;
+        this.isVisible = false;
+        this.callbacks = {
+            onJoinRoom: null,
+            onWatchRoom: null
+        };
+
+        // Same debounce and show delay as the MultiplayerMenu
+        this.lastButtonPressTime = 0;
+        this.buttonCooldown = 800;
+        this.showTime = 0;
+        this.showDelay = 1000;
+
+        this.buttonColors = {
+            base: 0x5a5a5a,
+            hover: 0x7a7a7a,
+            click: 0x3a3a3a,
+            disabled: 0x333333
+        };
+
+        this.createPanel();
+        this.hide(); // Initially hidden
+    }
+
+    createPanel() {
+        // Create background panel
+        const panelGeometry = new THREE.BoxGeometry(1.0, 1.2, 0.02);
+        const panelMaterial = new THREE.MeshStandardMaterial({
+            color: 0x000033,
+            metalness: 0.8,
+            roughness: 0.2,
+            transparent: true,
+            opacity: 0.7
+        });
+        this.panelGroup.add(new THREE.Mesh(panelGeometry, panelMaterial));
+
+        // Title with the room count
+        this.titleCanvas = document.createElement('canvas');
+        this.titleCanvas.width = 512;
+        this.titleCanvas.height = 128;
+        this.titleTexture = new THREE.CanvasTexture(this.titleCanvas);
+
+        const titleMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.8, 0.2),
+            new THREE.MeshBasicMaterial({ map: this.titleTexture, transparent: true })
+        );
+        titleMesh.position.set(0, 0.45, 0.02);
+        this.panelGroup.add(titleMesh);
+
+        // One button per visible row; the rooms scroll through them
+        for (let i = 0; i < VISIBLE_ROWS; i++) {
+            const key = `row${i}`;
+            this.buttons[key] = this.createButton(0, 0.28 - i * 0.15, 0.02, 0.9, 0.13);
+            this.panelGroup.add(this.buttons[key]);
+            this.rowKeys.push(key);
+        }
+
+        this.buttons.scrollUp = this.createButton(-0.23, -0.5, 0.02, 0.42, 0.12);
+        this.buttons.scrollDown = this.createButton(0.23, -0.5, 0.02, 0.42, 0.12);
+        this.panelGroup.add(this.buttons.scrollUp);
+        this.panelGroup.add(this.buttons.scrollDown);
+        this.drawLabel(this.buttons.scrollUp, 'SCROLL UP');
+        this.drawLabel(this.buttons.scrollDown, 'SCROLL DOWN');
+
+        this.refresh();
+
+        // To the right of the multiplayer menu, turned towards the player
+        this.panelGroup.position.set(1.25, 1.3, -0.75);
+        this.panelGroup.rotation.y = -0.5;
+        this.scene.add(this.panelGroup);
+    }
+
+    createButton(x, y, z, width, height) {
+        const group = new THREE.Group();
+
+        const buttonMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(width, height, 0.04),
+            new THREE.MeshStandardMaterial({
+                color: this.buttonColors.base,
+                emissive: this.buttonColors.base,
+                emissiveIntensity: 0.2,
+                metalness: 0.3,
+                roughness: 0.4
+            })
+        );
+        group.add(buttonMesh);
+
+        // Label canvas with the same proportions as the label plane
+        const textWidth = width - 0.04;
+        const textHeight = height * 0.75;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(64 * textWidth / textHeight);
+        canvas.height = 64;
+        const texture = new THREE.CanvasTexture(canvas);
+
+        const textMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(textWidth, textHeight),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true })
+        );
+        textMesh.position.z = 0.021;
+        group.add(textMesh);
+
+        group.position.set(x, y, z);
+        group.userData = { canvas, context: canvas.getContext('2d'), texture };
+        buttonMesh.userData = { isEnabled: true };
+
+        return group;
+    }
+
+    drawLabel(button, text) {
+        const { canvas, context, texture } = button.userData;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 30px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+        texture.needsUpdate = true;
+    }
+
+    // Host name, rules and ping on the left, status on the right
+    drawRoom(button, room) {
+        const { canvas, context, texture } = button.userData;
+        const status = STATUS_LABELS[room.status] || STATUS_LABELS.full;
+        const middle = canvas.height / 2;
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.textBaseline = 'middle';
+        context.font = 'bold 28px Arial';
+
+        context.textAlign = 'left';
+        context.fillStyle = '#ffffff';
+        context.fillText(formatProfileName({ name: room.hostName, avatar: room.hostAvatar }), 12, middle, canvas.width * 0.34);
+
+        context.font = '24px Arial';
+        context.fillStyle = '#cccccc';
+        const rules = RULESET_LABELS[room.ruleset] || room.ruleset;
+        context.fillText(room.mode === 'doubles' ? `${rules} 2V2` : rules, canvas.width * 0.38, middle, canvas.width * 0.21);
+        context.fillText(room.ping === null ? '-- ms' : `${room.ping} ms`, canvas.width * 0.6, middle);
+
+        context.font = 'bold 24px Arial';
+        context.textAlign = 'right';
+        context.fillStyle = status.color;
+        const watchers = room.spectators > 0 ? ` (${room.spectators})` : '';
+        const seats = room.mode === 'doubles' && room.status !== 'full' && room.status !== 'inProgress' ? ` ${room.players}/${room.maxPlayers}` : '';
+        context.fillText(status.text + seats + watchers, canvas.width - 12, middle, canvas.width * 0.3);
+
+        texture.needsUpdate = true;
+    }
+
+    setEnabled(buttonKey, isEnabled) {
+        const buttonMesh = this.buttons[buttonKey].children[0];
+        const color = isEnabled ? this.buttonColors.base : this.buttonColors.disabled;
+        buttonMesh.userData.isEnabled = isEnabled;
+        buttonMesh.material.color.setHex(color);
+        buttonMesh.material.emissive.setHex(color);
+    }
+
+    // Replace the room list (from the server's 'roomList' event)
+    setRooms(rooms) {
+        this.rooms = Array.isArray(rooms) ? rooms : [];
+        this.scroll(0);
+    }
+
+    // Move the visible window by a number of rows
+    scroll(rows) {
+        const maxOffset = Math.max(0, this.rooms.length - VISIBLE_ROWS);
+        this.scrollOffset = Math.max(0, Math.min(maxOffset, this.scrollOffset + rows));
+        this.refresh();
+    }
+
+    // Redraw the title, rows and scroll buttons from the room list
+    refresh() {
+        const context = this.titleCanvas.getContext('2d');
+        context.clearRect(0, 0, this.titleCanvas.width, this.titleCanvas.height);
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 56px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(`OPEN ROOMS (${this.rooms.length})`, this.titleCanvas.width / 2, this.titleCanvas.height / 2);
+        this.titleTexture.needsUpdate = true;
+
+        this.rowKeys.forEach((key, i) => {
+            const room = this.getRoomAtRow(key);
+            const button = this.buttons[key];
+
+            if (room) {
+                this.drawRoom(button, room);
+            } else {
+                this.drawLabel(button, i === 0 && this.rooms.length === 0 ? 'NO PUBLIC ROOMS - HOST ONE!' : '');
+            }
+            button.visible = Boolean(room) || i === 0;
+            this.setEnabled(key, Boolean(room));
+        });
+
+        this.setEnabled('scrollUp', this.scrollOffset > 0);
+        this.setEnabled('scrollDown', this.scrollOffset + VISIBLE_ROWS < this.rooms.length);
+    }
+
+    getRoomAtRow(rowKey) {
+        const index = this.rowKeys.indexOf(rowKey);
+        return index === -1 ? null : this.rooms[this.scrollOffset + index] || null;
+    }
+
+    // Buttons that can be pointed at: joinable rooms and usable scroll buttons
+    getActiveButtonKeys() {
+        return Object.keys(this.buttons).filter(key => this.buttons[key].children[0].userData.isEnabled);
+    }
+
+    checkIntersection(controller) {
+        if (!this.isVisible) return null;
+        if (Date.now() - this.showTime < this.showDelay) return null;
+
+        const tempMatrix = new THREE.Matrix4();
+        tempMatrix.identity().extractRotation(controller.matrixWorld);
+
+        const raycaster = new THREE.Raycaster();
+        raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
+
+        for (const key of this.getActiveButtonKeys()) {
+            const buttonMesh = this.buttons[key].children[0];
+            if (raycaster.intersectObject(buttonMesh).length > 0) {
+                return { button: key, mesh: buttonMesh };
+            }
+        }
+
+        return null;
+    }
+
+    highlightButton(buttonKey) {
+        const button = this.buttons[buttonKey];
+        if (!button || !button.children[0].userData.isEnabled) return;
+
+        const buttonMesh = button.children[0];
+        buttonMesh.material.color.setHex(this.buttonColors.hover);
+        buttonMesh.material.emissive.setHex(this.buttonColors.hover);
+        buttonMesh.material.emissiveIntensity = 0.5;
+        button.scale.set(1.05, 1.05, 1.05);
+    }
+
+    unhighlightButton(buttonKey) {
+        const button = this.buttons[buttonKey];
+        if (!button) return;
+
+        const buttonMesh = button.children[0];
+        const color = buttonMesh.userData.isEnabled ? this.buttonColors.base : this.buttonColors.disabled;
+        buttonMesh.material.color.setHex(color);
+        buttonMesh.material.emissive.setHex(color);
+        buttonMesh.material.emissiveIntensity = 0.2;
+        button.scale.set(1.0, 1.0, 1.0);
+    }
+
+    pressButton(buttonKey) {
+        if (!this.getActiveButtonKeys().includes(buttonKey)) return;
+
+        const now = Date.now();
+        if (now - this.showTime < this.showDelay || now - this.lastButtonPressTime < this.buttonCooldown) {
+            console.log(`LobbyPanel: Button ${buttonKey} press ignored (show delay or cooldown)`);
+            return;
+        }
+        this.lastButtonPressTime = now;
+
+        const buttonMesh = this.buttons[buttonKey].children[0];
+        buttonMesh.material.color.setHex(this.buttonColors.click);
+        buttonMesh.material.emissive.setHex(this.buttonColors.click);
+
+        if (buttonKey === 'scrollUp') {
+            this.scroll(-1);
+        } else if (buttonKey === 'scrollDown') {
+            this.scroll(1);
+        } else {
+            const room = this.getRoomAtRow(buttonKey);
+            if (room.status === 'waiting' || room.status === 'open') {
+                console.log(`LobbyPanel: Joining room ${room.roomId} hosted by ${room.hostName}`);
+                if (this.callbacks.onJoinRoom) {
+                    this.callbacks.onJoinRoom(room.roomId);
+                }
+            } else {
+                console.log(`LobbyPanel: Watching room ${room.roomId} hosted by ${room.hostName}`);
+                if (this.callbacks.onWatchRoom) {
+                    this.callbacks.onWatchRoom(room.roomId);
+                }
+            }
+        }
+
+        setTimeout(() => this.unhighlightButton(buttonKey), 300);
+    }
+
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    show() {
+        this.panelGroup.visible = true;
+        this.isVisible = true;
+        this.showTime = Date.now();
+    }
+
+    hide() {
+        this.panelGroup.visible = false;
+        this.isVisible = false;
+    }
+
+    dispose() {
+        this.panelGroup.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+
+        this.scene.remove(this.panelGroup);
+    }
+}
@@ -1,26 +1,88 @@
 import * as THREE from 'three';
+import { AI_PROFILES, DEFAULT_DIFFICULTY } from '../sim/PaddleAI.mjs';
+import { ROOM_CODE_ALPHABET, ROOM_CODE_LENGTH } from '../network/RoomCode.mjs';
+import { MATCH_PRESETS } from '../sim/MatchRules.mjs';
+import { MAX_NAME_LENGTH, PADDLE_COLORS, AVATARS, getAvatarGlyph, formatProfileName, readName } from '../network/Profile.mjs';
+
+// Characters on the profile page's name keyboard
+const NAME_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-';
 
 export class MultiplayerMenu {
     constructor(scene) {
         this.scene = scene;
         this.menuGroup = new THREE.Group();
         this.buttons = {
+            ruleset: null,
+            matchRules: null,
+            difficulty: null,
             singleplayer: null,
+            mode: null,
             host: null,
+            privacy: null,
             join: null,
-            back: null
+            code: null,
+            back: null,
+            profile: null
         };
+        
+        // The menu has three pages: the main menu, the room code keypad and the profile editor.
+        // Only the current page's buttons respond (see getActiveButtonKeys).
+        this.page = 'main';
+        this.pageButtons = { main: Object.keys(this.buttons), keypad: [], profile: [] };
+        this.keypadChars = {}; // Keypad button key -> character it types
+        this.enteredCode = '';
+        this.nameChars = {}; // Profile keyboard button key -> character it types
+        this.profile = { name: '', color: PADDLE_COLORS[0].value, avatar: AVATARS[0].value };
+        this.draftProfile = { ...this.profile }; // Being edited on the profile page
         this.isVisible = false;
         this.callbacks = {
             onSinglePlayer: null,
             onHost: null,
             onJoin: null,
-            onBack: null
+            onJoinCode: null,
+            onBack: null,
+            onProfileChange: null,
+            onOptionChange: null,
+            onShow: null,
+            onHide: null
+        };
+        
+        // Option buttons cycle through their values when pressed
+        this.options = {
+            ruleset: 'classic',
+            matchRules: 'standard',
+            difficulty: DEFAULT_DIFFICULTY,
+            privacy: 'public',
+            mode: 'singles'
+        };
+        this.optionValues = {
+            ruleset: [
+                { value: 'classic', label: 'CLASSIC' },
+                { value: 'tableTennis', label: 'TABLE TENNIS' }
+            ],
+            matchRules: MATCH_PRESETS.map(({ value, label }) => ({ value, label })),
+            difficulty: Object.entries(AI_PROFILES).map(([value, profile]) => ({ value, label: profile.label })),
+            privacy: [
+                { value: 'public', label: 'PUBLIC' },
+                { value: 'private', label: 'PRIVATE' }
+            ],
+            mode: [
+                { value: 'singles', label: '1 V 1' },
+                { value: 'doubles', label: '2 V 2' }
+            ]
+        };
+        this.optionLabels = {
+            ruleset: 'RULES',
+            matchRules: 'MATCH',
+            difficulty: 'AI',
+            privacy: 'ROOM',
+            mode: 'HOST'
         };
         
         // Add debounce mechanism to prevent multiple activations
         this.lastButtonPressTime = 0;
         this.buttonCooldown = 800; // Increased from 500ms to 800ms to prevent accidental double clicks
+        this.keyCooldown = 250;    // Keypad keys are pressed in quick succession
         
         // Add a buffer time when menu first appears to prevent accidental button presses
         this.showTime = 0;
@@ -44,7 +106,7 @@ export class MultiplayerMenu {
     
     createMenu() {
         // Create background panel
-        const panelGeometry = new THREE.BoxGeometry(1.2, 1.0, 0.02); // Increased height to accommodate the new button
+        const panelGeometry = new THREE.BoxGeometry(1.2, 1.2, 0.02); // Tall enough for the option toggles and the buttons, or the keypad
         const panelMaterial = new THREE.MeshStandardMaterial({
             color: 0x000033,
             metalness: 0.8,
@@ -56,6 +118,9 @@ export class MultiplayerMenu {
         const panel = new THREE.Mesh(panelGeometry, panelMaterial);
         this.menuGroup.add(panel);
         
+        this.mainPage = new THREE.Group();
+        this.menuGroup.add(this.mainPage);
+        
         // Create title
         const titleCanvas = document.createElement('canvas');
         const titleContext = titleCanvas.getContext('2d');
@@ -76,35 +141,273 @@ export class MultiplayerMenu {
         
         const titleGeometry = new THREE.PlaneGeometry(0.8, 0.2);
         const titleMesh = new THREE.Mesh(titleGeometry, titleMaterial);
-        titleMesh.position.set(0, 0.35, 0.02);
-        this.menuGroup.add(titleMesh);
+        titleMesh.position.set(0, 0.45, 0.02);
+        this.mainPage.add(titleMesh);
+        
+        // Create ruleset, match rules and AI difficulty toggles side by side
+        this.buttons.ruleset = this.createButton(this.getOptionText('ruleset'), -0.38, 0.25, 0.02, 0.34);
+        this.mainPage.add(this.buttons.ruleset);
+        
+        this.buttons.matchRules = this.createButton(this.getOptionText('matchRules'), 0, 0.25, 0.02, 0.34);
+        this.mainPage.add(this.buttons.matchRules);
+        
+        this.buttons.difficulty = this.createButton(this.getOptionText('difficulty'), 0.38, 0.25, 0.02, 0.34);
+        this.mainPage.add(this.buttons.difficulty);
+        
+        // Create Single Player button, with the singles/doubles toggle for hosted games next to it
+        this.buttons.singleplayer = this.createButton('SINGLE PLAYER', -0.28, 0.05, 0.02, 0.54);
+        this.mainPage.add(this.buttons.singleplayer);
         
-        // Create Single Player button
-        this.buttons.singleplayer = this.createButton('SINGLE PLAYER', 0, 0.15, 0.02);
-        this.menuGroup.add(this.buttons.singleplayer);
+        this.buttons.mode = this.createButton(this.getOptionText('mode'), 0.28, 0.05, 0.02, 0.54);
+        this.mainPage.add(this.buttons.mode);
         
-        // Create Host Game button
-        this.buttons.host = this.createButton('HOST GAME', 0, -0.05, 0.02);
-        this.menuGroup.add(this.buttons.host);
+        // Create Host Game button, with the public/private toggle next to it
+        this.buttons.host = this.createButton('HOST GAME', -0.28, -0.15, 0.02, 0.54);
+        this.mainPage.add(this.buttons.host);
         
-        // Create Quick Join button
-        this.buttons.join = this.createButton('QUICK JOIN', 0, -0.25, 0.02);
-        this.menuGroup.add(this.buttons.join);
+        this.buttons.privacy = this.createButton(this.getOptionText('privacy'), 0.28, -0.15, 0.02, 0.54);
+        this.mainPage.add(this.buttons.privacy);
         
-        // Create Back button
-        this.buttons.back = this.createButton('BACK', 0, -0.45, 0.02);
-        this.menuGroup.add(this.buttons.back);
+        // Create Find Match (matchmaking queue) and Join By Code buttons
+        this.buttons.join = this.createButton('FIND MATCH', -0.28, -0.35, 0.02, 0.54);
+        this.mainPage.add(this.buttons.join);
+        
+        this.buttons.code = this.createButton('JOIN BY CODE', 0.28, -0.35, 0.02, 0.54);
+        this.mainPage.add(this.buttons.code);
+        
+        // Create Back button, with the profile editor next to it
+        this.buttons.back = this.createButton('BACK', -0.28, -0.55, 0.02, 0.54);
+        this.mainPage.add(this.buttons.back);
+        
+        this.buttons.profile = this.createButton('PROFILE', 0.28, -0.55, 0.02, 0.54);
+        this.mainPage.add(this.buttons.profile);
+        
+        this.createKeypad();
+        this.createProfilePage();
         
         // Position the menu in front of the player
         this.menuGroup.position.set(0, 1.3, -1.0);
         this.scene.add(this.menuGroup);
     }
     
-    createButton(text, x, y, z) {
+    // Room code keypad: a display for the code typed so far, one key per code character
+    // and delete / cancel / join keys
+    createKeypad() {
+        this.keypadPage = new THREE.Group();
+        this.keypadPage.visible = false;
+        this.menuGroup.add(this.keypadPage);
+        
+        this.codeCanvas = document.createElement('canvas');
+        this.codeCanvas.width = 512;
+        this.codeCanvas.height = 128;
+        this.codeTexture = new THREE.CanvasTexture(this.codeCanvas);
+        
+        const codeDisplay = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.8, 0.2),
+            new THREE.MeshBasicMaterial({ map: this.codeTexture, transparent: true })
+        );
+        codeDisplay.position.set(0, 0.45, 0.02);
+        this.keypadPage.add(codeDisplay);
+        this.drawCode();
+        
+        // Character keys in rows of eight
+        const columns = 8;
+        const spacing = 0.135;
+        [...ROOM_CODE_ALPHABET].forEach((char, index) => {
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            const key = `key${char}`;
+            
+            this.buttons[key] = this.createButton(char, (column - (columns - 1) / 2) * spacing, 0.25 - row * 0.16, 0.02, 0.12, 0.13);
+            this.keypadPage.add(this.buttons[key]);
+            this.keypadChars[key] = char;
+            this.pageButtons.keypad.push(key);
+        });
+        
+        const controls = [
+            ['keypadDelete', 'DELETE', -0.38],
+            ['keypadCancel', 'CANCEL', 0],
+            ['keypadJoin', 'JOIN', 0.38]
+        ];
+        for (const [key, text, x] of controls) {
+            this.buttons[key] = this.createButton(text, x, -0.45, 0.02, 0.34);
+            this.keypadPage.add(this.buttons[key]);
+            this.pageButtons.keypad.push(key);
+        }
+    }
+    
+    // Profile editor: the name being typed with the avatar in the chosen color, a keyboard,
+    // color and avatar toggles, and delete / cancel / save keys
+    createProfilePage() {
+        this.profilePage = new THREE.Group();
+        this.profilePage.visible = false;
+        this.menuGroup.add(this.profilePage);
+        
+        this.nameCanvas = document.createElement('canvas');
+        this.nameCanvas.width = 512;
+        this.nameCanvas.height = 128;
+        this.nameTexture = new THREE.CanvasTexture(this.nameCanvas);
+        
+        const nameDisplay = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.8, 0.2),
+            new THREE.MeshBasicMaterial({ map: this.nameTexture, transparent: true })
+        );
+        nameDisplay.position.set(0, 0.45, 0.02);
+        this.profilePage.add(nameDisplay);
+        
+        // Character keys in rows of ten, with a space bar after them
+        const columns = 10;
+        const spacing = 0.11;
+        [...NAME_CHARACTERS].forEach((char, index) => {
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            const key = `name${char}`;
+            
+            this.buttons[key] = this.createButton(char, (column - (columns - 1) / 2) * spacing, 0.28 - row * 0.14, 0.02, 0.1, 0.12);
+            this.profilePage.add(this.buttons[key]);
+            this.nameChars[key] = char;
+            this.pageButtons.profile.push(key);
+        });
+        const spaceIndex = NAME_CHARACTERS.length;
+        this.buttons.nameSpace = this.createButton('SPACE', ((spaceIndex % columns) + 1 - (columns - 1) / 2) * spacing,
+            0.28 - Math.floor(spaceIndex / columns) * 0.14, 0.02, 0.32, 0.12);
+        this.profilePage.add(this.buttons.nameSpace);
+        this.nameChars.nameSpace = ' ';
+        this.pageButtons.profile.push('nameSpace');
+        
+        const controls = [
+            ['profileColor', -0.28, -0.3, 0.54],
+            ['profileAvatar', 0.28, -0.3, 0.54],
+            ['profileDelete', -0.38, -0.5, 0.34],
+            ['profileCancel', 0, -0.5, 0.34],
+            ['profileSave', 0.38, -0.5, 0.34]
+        ];
+        for (const [key, x, y, width] of controls) {
+            this.buttons[key] = this.createButton(key.slice('profile'.length).toUpperCase(), x, y, 0.02, width);
+            this.profilePage.add(this.buttons[key]);
+            this.pageButtons.profile.push(key);
+        }
+    }
+    
+    // The name typed so far, in the chosen color, with the avatar in front
+    drawProfile() {
+        const context = this.nameCanvas.getContext('2d');
+        context.clearRect(0, 0, this.nameCanvas.width, this.nameCanvas.height);
+        context.fillStyle = this.draftProfile.color;
+        context.font = 'bold 56px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        const name = this.draftProfile.name.length < MAX_NAME_LENGTH ? `${this.draftProfile.name}_` : this.draftProfile.name;
+        const glyph = getAvatarGlyph(this.draftProfile.avatar);
+        context.fillText(`${glyph} ${name}`, this.nameCanvas.width / 2, this.nameCanvas.height / 2, this.nameCanvas.width - 16);
+        this.nameTexture.needsUpdate = true;
+        
+        const color = PADDLE_COLORS.find(entry => entry.value === this.draftProfile.color);
+        this.setButtonText('profileColor', `COLOR: ${color ? color.label : '?'}`);
+        this.setButtonText('profileAvatar', `AVATAR: ${glyph}`);
+    }
+    
+    // The saved profile, shown on the main page's profile button
+    setProfile(profile) {
+        this.profile = { ...profile };
+        this.setButtonText('profile', `PROFILE: ${formatProfileName(profile)}`);
+    }
+    
+    showProfileEditor() {
+        this.draftProfile = { ...this.profile };
+        this.drawProfile();
+        this.setPage('profile');
+    }
+    
+    pressProfileButton(buttonKey) {
+        const draft = this.draftProfile;
+        if (this.nameChars[buttonKey] !== undefined) {
+            if (draft.name.length < MAX_NAME_LENGTH) {
+                draft.name += this.nameChars[buttonKey];
+            }
+        } else if (buttonKey === 'profileDelete') {
+            draft.name = draft.name.slice(0, -1);
+        } else if (buttonKey === 'profileColor') {
+            const index = PADDLE_COLORS.findIndex(entry => entry.value === draft.color);
+            draft.color = PADDLE_COLORS[(index + 1) % PADDLE_COLORS.length].value;
+        } else if (buttonKey === 'profileAvatar') {
+            const index = AVATARS.findIndex(entry => entry.value === draft.avatar);
+            draft.avatar = AVATARS[(index + 1) % AVATARS.length].value;
+        } else if (buttonKey === 'profileCancel') {
+            this.setPage('main');
+            return;
+        } else if (buttonKey === 'profileSave') {
+            if (!readName(draft.name)) {
+                console.log('MultiplayerMenu: A profile needs a name');
+                return;
+            }
+            this.setProfile({ ...draft, name: readName(draft.name) });
+            this.setPage('main');
+            if (this.callbacks.onProfileChange) {
+                this.callbacks.onProfileChange({ ...this.profile });
+            }
+            return;
+        }
+        this.drawProfile();
+    }
+    
+    drawCode() {
+        const context = this.codeCanvas.getContext('2d');
+        context.clearRect(0, 0, this.codeCanvas.width, this.codeCanvas.height);
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 64px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        // Typed characters, then underscores for the rest
+        const slots = this.enteredCode.padEnd(ROOM_CODE_LENGTH, '_').split('').join(' ');
+        context.fillText(slots, this.codeCanvas.width / 2, this.codeCanvas.height / 2);
+        this.codeTexture.needsUpdate = true;
+    }
+    
+    showKeypad() {
+        this.enteredCode = '';
+        this.drawCode();
+        this.setPage('keypad');
+    }
+    
+    setPage(page) {
+        this.page = page;
+        this.mainPage.visible = page === 'main';
+        this.keypadPage.visible = page === 'keypad';
+        this.profilePage.visible = page === 'profile';
+    }
+    
+    // Keys of the buttons on the page that is showing
+    getActiveButtonKeys() {
+        return this.pageButtons[this.page];
+    }
+    
+    pressKeypadButton(buttonKey) {
+        if (this.keypadChars[buttonKey]) {
+            if (this.enteredCode.length < ROOM_CODE_LENGTH) {
+                this.enteredCode += this.keypadChars[buttonKey];
+            }
+        } else if (buttonKey === 'keypadDelete') {
+            this.enteredCode = this.enteredCode.slice(0, -1);
+        } else if (buttonKey === 'keypadCancel') {
+            this.setPage('main');
+        } else if (buttonKey === 'keypadJoin') {
+            if (this.enteredCode.length < ROOM_CODE_LENGTH) {
+                console.log(`MultiplayerMenu: Room code ${this.enteredCode} is incomplete`);
+            } else if (this.callbacks.onJoinCode) {
+                this.callbacks.onJoinCode(this.enteredCode);
+            }
+        }
+        this.drawCode();
+    }
+    
+    createButton(text, x, y, z, width = 0.6, height = 0.15) {
         const group = new THREE.Group();
         
         // Create button geometry
-        const buttonGeometry = new THREE.BoxGeometry(0.6, 0.15, 0.04);
+        const buttonGeometry = new THREE.BoxGeometry(width, height, 0.04);
         const buttonMaterial = new THREE.MeshStandardMaterial({
             color: this.buttonColors.base,
             emissive: this.buttonColors.base,
@@ -116,17 +419,15 @@ export class MultiplayerMenu {
         const buttonMesh = new THREE.Mesh(buttonGeometry, buttonMaterial);
         group.add(buttonMesh);
         
-        // Create text
+        // Create text, on a canvas with the same proportions as the label
+        const textWidth = width - 0.05;
+        const textHeight = height * 0.67;
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
-        canvas.width = 256;
+        canvas.width = Math.max(64, Math.round(64 * textWidth / textHeight));
         canvas.height = 64;
         
-        context.fillStyle = '#ffffff';
-        context.font = 'bold 32px Arial';
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        context.fillText(text, canvas.width / 2, canvas.height / 2);
+        this.drawButtonText(context, canvas, text);
         
         const textTexture = new THREE.CanvasTexture(canvas);
         const textMaterial = new THREE.MeshBasicMaterial({
@@ -134,7 +435,7 @@ export class MultiplayerMenu {
             transparent: true
         });
         
-        const textGeometry = new THREE.PlaneGeometry(0.55, 0.1);
+        const textGeometry = new THREE.PlaneGeometry(textWidth, textHeight);
         const textMesh = new THREE.Mesh(textGeometry, textMaterial);
         textMesh.position.z = 0.021;
         group.add(textMesh);
@@ -142,6 +443,9 @@ export class MultiplayerMenu {
         // Set position
         group.position.set(x, y, z);
         
+        // Keep the canvas so the label can be redrawn (option buttons)
+        group.userData = { canvas, context, texture: textTexture };
+        
         // Add user data for interaction
         buttonMesh.userData = {
             isButton: true,
@@ -155,6 +459,54 @@ export class MultiplayerMenu {
         return group;
     }
     
+    drawButtonText(context, canvas, text) {
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffffff';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        // Shrink long labels until they fit the button
+        let fontSize = 32;
+        context.font = `bold ${fontSize}px Arial`;
+        while (fontSize > 16 && context.measureText(text).width > canvas.width - 16) {
+            fontSize -= 2;
+            context.font = `bold ${fontSize}px Arial`;
+        }
+        
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+    }
+    
+    setButtonText(buttonKey, text) {
+        const button = this.buttons[buttonKey];
+        if (!button) return;
+        
+        const { canvas, context, texture } = button.userData;
+        this.drawButtonText(context, canvas, text);
+        texture.needsUpdate = true;
+    }
+    
+    getOptionText(optionKey) {
+        const current = this.optionValues[optionKey].find(option => option.value === this.options[optionKey]);
+        return `${this.optionLabels[optionKey]}: ${current.label}`;
+    }
+    
+    // Advance an option button to its next value and report the change
+    cycleOption(optionKey) {
+        const values = this.optionValues[optionKey];
+        const index = values.findIndex(option => option.value === this.options[optionKey]);
+        this.options[optionKey] = values[(index + 1) % values.length].value;
+        this.setButtonText(optionKey, this.getOptionText(optionKey));
+        
+        console.log(`MultiplayerMenu: ${optionKey} set to ${this.options[optionKey]}`);
+        if (this.callbacks.onOptionChange) {
+            this.callbacks.onOptionChange(optionKey, this.options[optionKey]);
+        }
+    }
+    
+    getOption(optionKey) {
+        return this.options[optionKey];
+    }
+    
     checkIntersection(controller) {
         if (!this.isVisible) return null;
         
@@ -172,9 +524,9 @@ export class MultiplayerMenu {
         raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
         raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
         
-        // Check intersection with each button
-        for (const [key, button] of Object.entries(this.buttons)) {
-            const buttonMesh = button.children[0];
+        // Check intersection with each button on the current page
+        for (const key of this.getActiveButtonKeys()) {
+            const buttonMesh = this.buttons[key].children[0];
             const intersects = raycaster.intersectObject(buttonMesh);
             
             if (intersects.length > 0) {
@@ -217,7 +569,8 @@ export class MultiplayerMenu {
     }
     
     pressButton(buttonKey) {
-        if (!this.buttons[buttonKey]) return;
+        if (!this.buttons[buttonKey] || !this.getActiveButtonKeys().includes(buttonKey)) return;
+        const isKeypad = this.page !== 'main'; // Keys are pressed in quick succession
         
         // Implement debounce to prevent rapid repeated button presses
         const now = Date.now();
@@ -228,8 +581,9 @@ export class MultiplayerMenu {
             return;
         }
         
-        if (now - this.lastButtonPressTime < this.buttonCooldown) {
-            console.log(`MultiplayerMenu: Button ${buttonKey} press ignored (cooldown active): ${now - this.lastButtonPressTime}ms since last press. Last press: ${this.lastButtonPressTime}, Current time: ${now}, Cooldown: ${this.buttonCooldown}ms`);
+        const cooldown = isKeypad ? this.keyCooldown : this.buttonCooldown;
+        if (now - this.lastButtonPressTime < cooldown) {
+            console.log(`MultiplayerMenu: Button ${buttonKey} press ignored (cooldown active): ${now - this.lastButtonPressTime}ms since last press. Last press: ${this.lastButtonPressTime}, Current time: ${now}, Cooldown: ${cooldown}ms`);
             return;
         }
         console.log(`MultiplayerMenu: Button ${buttonKey} pressed successfully at ${now}`);
@@ -245,12 +599,22 @@ export class MultiplayerMenu {
         
         // Execute callback
         console.log(`MultiplayerMenu: Executing callback for button: ${buttonKey}`);
-        if (buttonKey === 'singleplayer' && this.callbacks.onSinglePlayer) {
+        if (this.page === 'keypad') {
+            this.pressKeypadButton(buttonKey);
+        } else if (this.page === 'profile') {
+            this.pressProfileButton(buttonKey);
+        } else if (this.options.hasOwnProperty(buttonKey)) {
+            this.cycleOption(buttonKey);
+        } else if (buttonKey === 'singleplayer' && this.callbacks.onSinglePlayer) {
             this.callbacks.onSinglePlayer();
         } else if (buttonKey === 'host' && this.callbacks.onHost) {
             this.callbacks.onHost();
         } else if (buttonKey === 'join' && this.callbacks.onJoin) {
             this.callbacks.onJoin();
+        } else if (buttonKey === 'code') {
+            this.showKeypad();
+        } else if (buttonKey === 'profile') {
+            this.showProfileEditor();
         } else if (buttonKey === 'back' && this.callbacks.onBack) {
             this.callbacks.onBack();
         }
@@ -271,15 +635,19 @@ export class MultiplayerMenu {
     }
     
     show() {
+        this.setPage('main');
         this.menuGroup.visible = true;
         this.isVisible = true;
         this.showTime = Date.now();
         console.log(`MultiplayerMenu: Shown at ${this.showTime}, input will be enabled after ${this.showDelay}ms`);
+        if (this.callbacks.onShow) this.callbacks.onShow();
     }
     
     hide() {
+        const wasVisible = this.isVisible;
         this.menuGroup.visible = false;
         this.isVisible = false;
+        if (wasVisible && this.callbacks.onHide) this.callbacks.onHide();
     }
     
     dispose() {
@@ -293,6 +661,8 @@ export class MultiplayerMenu {
                 }
             });
         }
+        this.codeTexture.dispose();
+        this.nameTexture.dispose();
         
         this.scene.remove(this.menuGroup);
     }
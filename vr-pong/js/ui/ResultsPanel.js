@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+
+// Post-game summary shown when a match ends: result, final score, opponent, duration,
+// longest rally, hits and our fastest return. REMATCH goes through the usual start flow (see Game.rematch),
+// CLOSE just puts the panel away. Same button handling as the LobbyPanel.
+const RULESET_LABELS = {
+    classic: 'CLASSIC',
+    tableTennis: 'TABLE TENNIS'
+};
+
+const OUTCOMES = {
+    won: { text: 'YOU WIN!', color: '#66ff66' },
+    lost: { text: 'YOU LOSE', color: '#ff6666' },
+    draw: { text: 'DRAW', color: '#ffcc00' }
+};
+
+export class ResultsPanel {
+    constructor(scene) {
+        this.scene = scene;
+        this.panelGroup = new THREE.Group();
+        this.buttons = {};
+        this.result = null;
+        this.isVisible = false;
+        this.callbacks = {
+            onRematch: null,
+            onClose: null
+        };
+
+        // Same debounce and show delay as the MultiplayerMenu
+        this.lastButtonPressTime = 0;
+        this.buttonCooldown = 800;
+        this.showTime = 0;
+        this.showDelay = 1000;
+
+        this.buttonColors = {
+            base: 0x5a5a5a,
+            hover: 0x7a7a7a,
+            click: 0x3a3a3a
+        };
+
+        this.createPanel();
+        this.hide(); // Initially hidden
+    }
+
+    createPanel() {
+        // Create background panel
+        const panelGeometry = new THREE.BoxGeometry(1.0, 1.2, 0.02);
+        const panelMaterial = new THREE.MeshStandardMaterial({
+            color: 0x000033,
+            metalness: 0.8,
+            roughness: 0.2,
+            transparent: true,
+            opacity: 0.7
+        });
+        this.panelGroup.add(new THREE.Mesh(panelGeometry, panelMaterial));
+
+        // Summary text, redrawn for each result
+        this.summaryCanvas = document.createElement('canvas');
+        this.summaryCanvas.width = 512;
+        this.summaryCanvas.height = 512;
+        this.summaryTexture = new THREE.CanvasTexture(this.summaryCanvas);
+
+        const summaryMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.9, 0.9),
+            new THREE.MeshBasicMaterial({ map: this.summaryTexture, transparent: true })
+        );
+        summaryMesh.position.set(0, 0.12, 0.02);
+        this.panelGroup.add(summaryMesh);
+
+        this.buttons.rematch = this.createButton(-0.23, -0.5, 0.02, 0.42, 0.12);
+        this.buttons.close = this.createButton(0.23, -0.5, 0.02, 0.42, 0.12);
+        this.panelGroup.add(this.buttons.rematch);
+        this.panelGroup.add(this.buttons.close);
+        this.drawLabel(this.buttons.rematch, 'REMATCH');
+        this.drawLabel(this.buttons.close, 'CLOSE');
+
+        // Left of the start button, opposite the lobby browser, turned towards the player
+        this.panelGroup.position.set(-1.25, 1.3, -0.75);
+        this.panelGroup.rotation.y = 0.5;
+        this.scene.add(this.panelGroup);
+    }
+
+    createButton(x, y, z, width, height) {
+        const group = new THREE.Group();
+
+        const buttonMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(width, height, 0.04),
+            new THREE.MeshStandardMaterial({
+                color: this.buttonColors.base,
+                emissive: this.buttonColors.base,
+                emissiveIntensity: 0.2,
+                metalness: 0.3,
+                roughness: 0.4
+            })
+        );
+        group.add(buttonMesh);
+
+        // Label canvas with the same proportions as the label plane
+        const textWidth = width - 0.04;
+        const textHeight = height * 0.75;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(64 * textWidth / textHeight);
+        canvas.height = 64;
+        const texture = new THREE.CanvasTexture(canvas);
+
+        const textMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(textWidth, textHeight),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true })
+        );
+        textMesh.position.z = 0.021;
+        group.add(textMesh);
+
+        group.position.set(x, y, z);
+        group.userData = { canvas, context: canvas.getContext('2d'), texture };
+
+        return group;
+    }
+
+    drawLabel(button, text) {
+        const { canvas, context, texture } = button.userData;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 30px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+        texture.needsUpdate = true;
+    }
+
+    // Outcome and score at the top, then one line per statistic
+    drawSummary(result) {
+        const canvas = this.summaryCanvas;
+        const context = canvas.getContext('2d');
+        const outcome = result.won === null ? OUTCOMES.draw : (result.won ? OUTCOMES.won : OUTCOMES.lost);
+        const center = canvas.width / 2;
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        context.font = 'bold 64px Arial';
+        context.fillStyle = outcome.color;
+        context.fillText(outcome.text, center, 50);
+
+        // Best-of matches are scored in games, with the last game's points below
+        const inGames = !!(result.matchRules && result.matchRules.bestOf > 1);
+        context.font = 'bold 96px Arial';
+        context.fillStyle = '#ffffff';
+        context.fillText(inGames ?
+            `${result.ownGames} - ${result.opponentGames}` :
+            `${result.ownScore} - ${result.opponentScore}`, center, 150);
+
+        const rules = RULESET_LABELS[result.ruleset] || result.ruleset;
+        const lines = [
+            [`VS ${result.opponent}`, rules],
+            ['DURATION', formatDuration(result.duration)],
+            ['LONGEST RALLY', `${result.longestRally} HITS`],
+            ['HITS', `${result.ownHits} - ${result.opponentHits}`],
+            ['FASTEST RETURN', `${(result.fastestReturn || 0).toFixed(2)} M/S`]
+        ];
+        if (inGames) {
+            lines.splice(1, 0, ['LAST GAME', `${result.ownScore} - ${result.opponentScore}`]);
+        }
+        const spacing = lines.length > 5 ? 48 : 60;
+
+        context.font = '30px Arial';
+        lines.forEach(([label, value], i) => {
+            const y = 250 + i * spacing;
+            context.textAlign = 'left';
+            context.fillStyle = '#cccccc';
+            context.fillText(label, 30, y, canvas.width * 0.55);
+            context.textAlign = 'right';
+            context.fillStyle = '#ffffff';
+            context.fillText(value, canvas.width - 30, y, canvas.width * 0.4);
+        });
+
+        this.summaryTexture.needsUpdate = true;
+    }
+
+    // Buttons that can be pointed at
+    getActiveButtonKeys() {
+        return Object.keys(this.buttons);
+    }
+
+    checkIntersection(controller) {
+        if (!this.isVisible) return null;
+        if (Date.now() - this.showTime < this.showDelay) return null;
+
+        const tempMatrix = new THREE.Matrix4();
+        tempMatrix.identity().extractRotation(controller.matrixWorld);
+
+        const raycaster = new THREE.Raycaster();
+        raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
+
+        for (const key of this.getActiveButtonKeys()) {
+            const buttonMesh = this.buttons[key].children[0];
+            if (raycaster.intersectObject(buttonMesh).length > 0) {
+                return { button: key, mesh: buttonMesh };
+            }
+        }
+
+        return null;
+    }
+
+    highlightButton(buttonKey) {
+        const button = this.buttons[buttonKey];
+        if (!button) return;
+
+        const buttonMesh = button.children[0];
+        buttonMesh.material.color.setHex(this.buttonColors.hover);
+        buttonMesh.material.emissive.setHex(this.buttonColors.hover);
+        buttonMesh.material.emissiveIntensity = 0.5;
+        button.scale.set(1.05, 1.05, 1.05);
+    }
+
+    unhighlightButton(buttonKey) {
+        const button = this.buttons[buttonKey];
+        if (!button) return;
+
+        const buttonMesh = button.children[0];
+        buttonMesh.material.color.setHex(this.buttonColors.base);
+        buttonMesh.material.emissive.setHex(this.buttonColors.base);
+        buttonMesh.material.emissiveIntensity = 0.2;
+        button.scale.set(1.0, 1.0, 1.0);
+    }
+
+    pressButton(buttonKey) {
+        if (!this.buttons[buttonKey]) return;
+
+        const now = Date.now();
+        if (now - this.showTime < this.showDelay || now - this.lastButtonPressTime < this.buttonCooldown) {
+            console.log(`ResultsPanel: Button ${buttonKey} press ignored (show delay or cooldown)`);
+            return;
+        }
+        this.lastButtonPressTime = now;
+
+        const buttonMesh = this.buttons[buttonKey].children[0];
+        buttonMesh.material.color.setHex(this.buttonColors.click);
+        buttonMesh.material.emissive.setHex(this.buttonColors.click);
+
+        if (buttonKey === 'rematch') {
+            console.log('ResultsPanel: Rematch');
+            if (this.callbacks.onRematch) {
+                this.callbacks.onRematch(this.result);
+            }
+        } else {
+            this.hide();
+            if (this.callbacks.onClose) {
+                this.callbacks.onClose();
+            }
+        }
+
+        setTimeout(() => this.unhighlightButton(buttonKey), 300);
+    }
+
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+
+    // result: { won (true, false or null for a draw), ownScore, opponentScore, opponent,
+    // ruleset, duration (seconds), longestRally, ownHits, opponentHits, fastestReturn (m/s),
+    // matchRules, ownGames, opponentGames }
+    showResult(result) {
+        this.result = result;
+        this.drawSummary(result);
+        this.show();
+    }
+
+    show() {
+        this.panelGroup.visible = true;
+        this.isVisible = true;
+        this.showTime = Date.now();
+    }
+
+    hide() {
+        this.panelGroup.visible = false;
+        this.isVisible = false;
+    }
+
+    dispose() {
+        this.panelGroup.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+
+        this.scene.remove(this.panelGroup);
+    }
+}
+
+// M:SS
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+}
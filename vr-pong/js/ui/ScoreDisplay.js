@@ -3,6 +3,7 @@ import * as THREE from 'three';
 export class ScoreDisplay {
     constructor(scene, position, rotation, label = '') {
         this.score = 0;
+        this.games = null; // Games won, shown under the score in best-of matches
         this.scene = scene;
         this.label = label;
 
@@ -45,6 +46,12 @@ export class ScoreDisplay {
         this.label = newLabel;
         this.updateDisplay();
     }
+    
+    // Games won so far, or null outside best-of matches
+    updateGames(games) {
+        this.games = games;
+        this.updateDisplay();
+    }
 
     updateDisplay() {
         // Clear the canvas
@@ -59,10 +66,11 @@ export class ScoreDisplay {
             this.context.shadowColor = '#4444ff';
             this.context.shadowBlur = 15;
             
-            // Draw the label above the score
+            // Draw the label above the score, squeezed to fit long player names
             this.context.fillText(this.label, 
                 this.canvas.width / 2, 
-                this.canvas.height / 5  
+                this.canvas.height / 5,
+                this.canvas.width - 32
             );
         }
         
@@ -80,6 +88,14 @@ export class ScoreDisplay {
             this.canvas.height / 2
         );
         
+        if (this.games !== null) {
+            this.context.font = 'bold 64px Arial';
+            this.context.fillText(`GAMES ${this.games}`,
+                this.canvas.width / 2,
+                this.canvas.height * 0.82
+            );
+        }
+        
         // Update the texture
         this.texture.needsUpdate = true;
     }
@@ -1,11 +1,14 @@
 import * as THREE from 'three';
 
+// Match clock above the table, counting down the match rules' time limit (see
+// js/sim/MatchRules.mjs). Hidden in matches without one.
 export class Timer {
     constructor(scene, duration = 120) {
         this.scene = scene;
         this.duration = duration;
-        this.timeLeft = duration;
+        this.timeLeft = duration || 0;
         this.isRunning = false;
+        this.overtime = false; // Sudden death after time ran out on a tie
 
         // Create canvas for the timer texture
         this.canvas = document.createElement('canvas');
@@ -31,25 +34,50 @@ export class Timer {
         this.mesh.position.set(0, 2.5, -1.5);
         this.mesh.rotation.set(0, 0, 0);
         
+        this.mesh.visible = duration !== null;
         this.scene.add(this.mesh);
         
         // Initial render
         this.updateDisplay();
     }
 
+    // Seconds to count down from, or null for no clock
+    setDuration(duration) {
+        this.duration = duration;
+        this.mesh.visible = duration !== null;
+        this.reset();
+    }
+
     start() {
-        this.isRunning = true;
-        this.timeLeft = this.duration;
+        this.overtime = false;
+        this.timeLeft = this.duration || 0;
+        this.isRunning = this.duration !== null;
         this.lastUpdate = performance.now();
+        this.updateDisplay();
+    }
+
+    // Time ran out on a tie: show sudden death until the next point
+    startOvertime() {
+        this.isRunning = false;
+        this.overtime = true;
+        this.updateDisplay();
     }
 
     stop() {
         this.isRunning = false;
     }
 
+    // Continue after stop() without counting the stopped time
+    resume() {
+        if (this.timeLeft <= 0) return;
+        this.isRunning = true;
+        this.lastUpdate = performance.now();
+    }
+
     reset() {
-        this.timeLeft = this.duration;
+        this.timeLeft = this.duration || 0;
         this.isRunning = false;
+        this.overtime = false;
         this.updateDisplay();
     }
 
@@ -85,6 +113,15 @@ export class Timer {
         this.context.textAlign = 'center';
         this.context.textBaseline = 'middle';
         
+        if (this.overtime) {
+            this.context.fillStyle = '#ff6666';
+            this.context.font = 'bold 110px Arial';
+            this.context.fillText('SUDDEN', this.canvas.width / 2, this.canvas.height / 2 - 65);
+            this.context.fillText('DEATH', this.canvas.width / 2, this.canvas.height / 2 + 65);
+            this.texture.needsUpdate = true;
+            return;
+        }
+        
         // Format time as MM:SS
         const minutes = Math.floor(this.timeLeft / 60);
         const seconds = Math.ceil(this.timeLeft % 60);
@@ -1,15 +1,79 @@
 const express = require('express');
+const http = require('http');
 const https = require('https');
 const path = require('path');
+const crypto = require('crypto');
 const selfsigned = require('selfsigned');
 const socketIo = require('socket.io');
 const axios = require('axios'); // We'll use axios for OpenAI API requests
+const { MatchmakingQueue } = require('./server/Matchmaking');
+const { RatingStore } = require('./server/RatingStore');
+const { MatchHistoryStore } = require('./server/MatchHistoryStore');
+const { LeaderboardStore, checkSinglePlayerResult, getSinglePlayerValues, getMultiplayerValues } = require('./server/LeaderboardStore');
+const { MessageGuard, isKnownEvent, limitStep } = require('./server/MessageGuard');
 
 // Game rooms storage
 const gameRooms = {};
 
+// Authoritative simulation settings
+const SIMULATION_TICK_RATE = 60; // Ticks per second; physics runs in fixed sub-steps within each tick
+const SNAPSHOT_RATE = 30; // State snapshots sent to each room per second
+const SERVE_DELAY = 1000; // Milliseconds between a point and the next serve
+const MAX_SWING_SPEED = 8; // m/s per axis accepted for paddle swing velocity
+const MAX_PADDLE_SPEED = 15; // m/s a paddle may move between two inputs
+// Paddle input past these is reported as a violation (it's clamped either way). The slack
+// covers rounding in the protocol, and mouse jumps and inputs arriving bunched up.
+const PADDLE_BOUNDS_TOLERANCE = 0.05; // Meters outside the paddle's bounds
+const PADDLE_SPEED_TOLERANCE = 5; // Times the distance MAX_PADDLE_SPEED allows
+const AI_DIFFICULTY = 'medium'; // AI profile (see js/sim/PaddleAI.mjs) that plays empty seats
+
+// Reconnect settings
+const RECONNECT_GRACE_PERIOD = 30000; // Milliseconds a dropped player's seat and score are held
+const RESUME_DELAY = 3000; // Milliseconds of countdown before play resumes after a reconnect
+
+// Lobby settings
+const LOBBY_CHANNEL = 'lobby'; // Socket.IO room of clients watching the room list
+const LOBBY_REFRESH_INTERVAL = 2000; // Milliseconds between ping measurements / room list refreshes
+const PING_TIMEOUT = 1500; // Milliseconds before a ping measurement is given up
+
+// Leaderboard settings
+const LEADERBOARD_LIMIT = 10; // Entries per board returned by default
+const MAX_LEADERBOARD_LIMIT = 100;
+const TICKET_RATE_LIMIT = 10; // Single player match tickets per address per TICKET_RATE_WINDOW
+const TICKET_RATE_WINDOW = 60000; // Milliseconds
+
+// Where ratings, the match history and leaderboards are stored unless DATA_DIR says otherwise
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+// Matchmaking settings
+const MATCHMAKING_INTERVAL = 1000; // Milliseconds between queue pairing passes / status updates
+const MAX_PLAYER_ID_LENGTH = 64;
+
+// WebRTC signaling settings
+const MAX_SDP_LENGTH = 20000; // Characters accepted in an offer / answer
+const MAX_CANDIDATE_LENGTH = 1000; // Characters accepted in an ICE candidate
+
+// Shared game rules, loaded once at startup (ES modules, also imported by the browser)
+let BallPhysics = null;
+let TableTennisPhysics = null;
+let GameSimulation = null;
+let RULESETS = [];
+let clampToLane = null;
+let RoomCode = null;
+let SEATS = {};
+let Seats = null;
+let Protocol = null;
+let MatchStats = null;
+let Profile = null;
+let Leaderboards = null;
+let MatchRules = null;
+let AI_DIFFICULTIES = [];
+
 const app = express();
 
+// On Render the client's address comes from its proxy (req.ip, for rate limits)
+app.set('trust proxy', process.env.RENDER === 'true' ? 1 : false);
+
 // Serve JS files with the correct MIME type for ES modules
 app.use((req, res, next) => {
     if (req.path.endsWith('.js')) {
@@ -22,6 +86,16 @@ app.use((req, res, next) => {
     next();
 });
 
+// Ratings, the match history and leaderboards hold persistent player ids, which let anyone
+// who knows them play as that player. The default data directory sits in the static root, so
+// it (and a DATA_DIR anywhere under it) is never served.
+app.use((req, res, next) => {
+    if (isPrivatePath(req.path)) {
+        return res.status(404).end();
+    }
+    next();
+});
+
 app.use(express.static('./'));
 app.use(express.json()); // For parsing application/json
 
@@ -56,6 +130,126 @@ app.post('/api/openai-proxy', async (req, res) => {
     }
 });
 
+// Leaderboards (see server/LeaderboardStore.js): the top entries of every board or of one,
+// ?limit=N entries each
+app.get('/api/leaderboards', (req, res) => {
+    if (!leaderboards) {
+        return res.status(503).json({ error: 'Leaderboards are not available' });
+    }
+    
+    const limit = readLeaderboardLimit(req.query.limit);
+    res.json({
+        boards: Leaderboards.BOARDS.map(board => ({ board, entries: leaderboards.getTop(board, limit) }))
+    });
+});
+
+app.get('/api/leaderboards/:board', (req, res) => {
+    if (!leaderboards) {
+        return res.status(503).json({ error: 'Leaderboards are not available' });
+    }
+    if (!Leaderboards.isBoard(req.params.board)) {
+        return res.status(404).json({ error: `Unknown leaderboard ${req.params.board}` });
+    }
+    
+    const limit = readLeaderboardLimit(req.query.limit);
+    res.json({ board: req.params.board, entries: leaderboards.getTop(req.params.board, limit) });
+});
+
+// A single player match is starting: hand out the ticket its result is submitted with
+app.post('/api/leaderboards/tickets', (req, res) => {
+    if (!leaderboards) {
+        return res.status(503).json({ error: 'Leaderboards are not available' });
+    }
+    
+    const playerId = readPlayerId(req.body && req.body.playerId);
+    if (!playerId) {
+        return res.status(400).json({ error: 'A player id is required' });
+    }
+    if (!takeTicketRequest(req.ip)) {
+        return res.status(429).json({ error: 'Too many matches started, try again later' });
+    }
+    
+    const ticket = leaderboards.issueTicket(playerId);
+    if (!ticket) {
+        return res.status(503).json({ error: 'Too many matches in progress, try again later' });
+    }
+    res.json({ ticket });
+});
+
+// Times of recent ticket requests per address
+const ticketRequests = new Map();
+
+// Whether an address may take another ticket (at most TICKET_RATE_LIMIT per TICKET_RATE_WINDOW)
+function takeTicketRequest(address, now = Date.now()) {
+    for (const [key, times] of ticketRequests) {
+        if (now - times[times.length - 1] >= TICKET_RATE_WINDOW) ticketRequests.delete(key);
+    }
+    
+    const times = (ticketRequests.get(address) || []).filter(time => now - time < TICKET_RATE_WINDOW);
+    if (times.length >= TICKET_RATE_LIMIT) return false;
+    
+    times.push(now);
+    ticketRequests.set(address, times);
+    return true;
+}
+
+// Submit a finished single player match: { ticket, playerId, profile, result } with the
+// result from Game.getSinglePlayerResult. Multiplayer matches are recorded by the server.
+app.post('/api/leaderboards', (req, res) => {
+    if (!leaderboards) {
+        return res.status(503).json({ error: 'Leaderboards are not available' });
+    }
+    
+    const { ticket: ticketId, profile, result } = req.body || {};
+    const playerId = readPlayerId(req.body && req.body.playerId);
+    const ticket = playerId && typeof ticketId === 'string' ? leaderboards.takeTicket(ticketId, playerId) : null;
+    if (!ticket) {
+        return res.status(400).json({ error: 'Unknown or expired match ticket' });
+    }
+    
+    const problem = checkSinglePlayerResult(result, ticket, {
+        rulesets: RULESETS,
+        difficulties: AI_DIFFICULTIES,
+        serveDelay: SERVE_DELAY,
+        minPointTime: getMinPointTime(),
+        maxBallSpeed: BallPhysics.BALL.maxSpeed,
+        matchRules: MatchRules
+    });
+    if (problem) {
+        console.log(`Rejected single player result from ${playerId}: ${problem}`);
+        return res.status(400).json({ error: `Result rejected: ${problem}` });
+    }
+    
+    const values = getSinglePlayerValues(result, MatchRules.readMatchRules(result.matchRules, result.ruleset));
+    const records = leaderboards.record(playerId, Profile.readProfile(profile, 'Player'), values, ticketId);
+    console.log(`Single player result from ${playerId} recorded, new bests: ${records.join(', ') || 'none'}`);
+    res.json({ records });
+});
+
+// Seconds any point takes at least: the ball crossing half the table at twice its top speed,
+// since a swing can push it past the cap (see BallPhysics.applySwing)
+function getMinPointTime() {
+    const { TABLE, BALL } = BallPhysics;
+    return (TABLE.centerZ - TABLE.farZ) / (BALL.maxSpeed * 2);
+}
+
+// Whether a request path would be served from the default or configured data directory.
+// Compared case-insensitively for Windows file systems.
+function isPrivatePath(urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch (e) {
+        return true;
+    }
+    const file = path.resolve(path.join('.', decoded)).toLowerCase();
+    return [path.resolve(DEFAULT_DATA_DIR), dataDir].some(dir => {
+        if (!dir) return false;
+        const relative = path.relative(dir.toLowerCase(), file);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+}
+
 // Handle all routes by serving index.html
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
@@ -65,50 +259,189 @@ app.get('*', (req, res) => {
 const isRender = process.env.RENDER === 'true';
 
 let server;
+let io;
+let dataDir = null;
+let rulesLoaded = null;
+let lobbyInterval = null;
+let matchmakingInterval = null;
+let matchmaking = null;
+let ratingStore = null;
+let matchHistory = null;
+let leaderboards = null;
+let reconnectGracePeriod = RECONNECT_GRACE_PERIOD;
+let resumeDelay = RESUME_DELAY;
+let snapshotRate = SNAPSHOT_RATE;
 
-if (isRender) {
-    // On Render.com - use HTTP
-    const PORT = process.env.PORT || 3000;
-    server = app.listen(PORT, () => {
-        console.log(`Server running on port ${PORT}`);
-    });
-} else {
-    // Local development - use HTTPS
-    const attrs = [{ name: 'commonName', value: 'localhost' }];
-    const pems = selfsigned.generate(attrs, { days: 365 });
-
-    const options = {
-        key: pems.private,
-        cert: pems.cert
-    };
+// Shared game rules (ES modules, also imported by the browser), loaded once
+function loadGameRules() {
+    if (!rulesLoaded) {
+        rulesLoaded = Promise.all([
+            import('./js/sim/BallPhysics.mjs'),
+            import('./js/sim/TableTennisPhysics.mjs'),
+            import('./js/sim/GameSimulation.mjs'),
+            import('./js/network/RoomCode.mjs'),
+            import('./js/network/Seats.mjs'),
+            import('./js/network/Protocol.mjs'),
+            import('./js/sim/MatchStats.mjs'),
+            import('./js/network/Profile.mjs'),
+            import('./js/network/Leaderboards.mjs'),
+            import('./js/sim/PaddleAI.mjs'),
+            import('./js/sim/MatchRules.mjs')
+        ]).then(([physics, tableTennis, simulation, roomCode, seats, protocol, stats, profile, boards, paddleAI, matchRules]) => {
+            BallPhysics = physics;
+            TableTennisPhysics = tableTennis;
+            GameSimulation = simulation.GameSimulation;
+            RULESETS = simulation.RULESETS;
+            clampToLane = simulation.clampToLane;
+            RoomCode = roomCode;
+            Seats = seats;
+            SEATS = seats.SEATS;
+            Protocol = protocol;
+            MatchStats = stats.MatchStats;
+            Profile = profile;
+            Leaderboards = boards;
+            AI_DIFFICULTIES = paddleAI.AI_DIFFICULTIES;
+            MatchRules = matchRules;
+        });
+    }
+    return rulesLoaded;
+}
+
+// Boot the web and Socket.IO server. Resolves to
+// { app, server, io, port, gameRooms, ratingStore, matchHistory, leaderboards, close }.
+// options.secure picks the self-signed HTTPS setup used for local development (the default
+// unless running on Render); options.port 0 listens on a free ephemeral port, e.g. for tests.
+// options.dataDir is where ratings, the match history and leaderboards are stored (default
+// DATA_DIR or ./data).
+// options.reconnectGracePeriod and options.resumeDelay (milliseconds) override the reconnect timings.
+// options.snapshotRate is how many state snapshots per second rooms are sent (up to the tick rate).
+// Only one server runs per process: rooms are module state.
+async function createGameServer(options = {}) {
+    await loadGameRules();
+    
+    reconnectGracePeriod = options.reconnectGracePeriod !== undefined ? options.reconnectGracePeriod : RECONNECT_GRACE_PERIOD;
+    resumeDelay = options.resumeDelay !== undefined ? options.resumeDelay : RESUME_DELAY;
+    snapshotRate = options.snapshotRate || SNAPSHOT_RATE;
+    
+    dataDir = path.resolve(options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR);
+    ratingStore = new RatingStore(path.join(dataDir, 'ratings.json'));
+    matchHistory = new MatchHistoryStore(path.join(dataDir, 'matches.json'));
+    leaderboards = new LeaderboardStore(path.join(dataDir, 'leaderboards.json'), { ratingStore });
+    matchmaking = new MatchmakingQueue();
+    
+    const secure = options.secure !== undefined ? options.secure : !isRender;
+    const port = options.port !== undefined ? options.port : (secure ? 8443 : (process.env.PORT || 3000));
+    
+    if (secure) {
+        // Local development - use HTTPS
+        const attrs = [{ name: 'commonName', value: 'localhost' }];
+        const pems = selfsigned.generate(attrs, { days: 365 });
 
-    const PORT = 8443;
-    server = https.createServer(options, app).listen(PORT, () => {
-        console.log(`Secure server running at https://localhost:${PORT}`);
-        console.log(`Access from Quest: https://[your-local-ip]:${PORT}`);
+        const httpsOptions = {
+            key: pems.private,
+            cert: pems.cert
+        };
+
+        server = https.createServer(httpsOptions, app);
+    } else {
+        // On Render.com (and in tests) - use HTTP
+        server = http.createServer(app);
+    }
+    
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+    });
+    const actualPort = server.address().port;
+    
+    if (secure) {
+        console.log(`Secure server running at https://localhost:${actualPort}`);
+        console.log(`Access from Quest: https://[your-local-ip]:${actualPort}`);
         console.log('Note: You will need to accept the self-signed certificate warning in your browser');
         console.log('To see the certificate warning:');
-        console.log('1. Open https://localhost:8443 in your browser');
+        console.log(`1. Open https://localhost:${actualPort} in your browser`);
         console.log('2. You should see a warning about the certificate');
         console.log('3. Click "Advanced" and then "Proceed to localhost (unsafe)"');
         console.log('4. Once accepted in your browser, it should work in the Quest browser as well');
-    });
+    } else {
+        console.log(`Server running on port ${actualPort}`);
+    }
+
+    // Initialize Socket.io
+    io = socketIo(server);
+    io.on('connection', handleConnection);
+    
+    // Keep host pings fresh in the lobby room list
+    lobbyInterval = setInterval(refreshLobby, LOBBY_REFRESH_INTERVAL);
+    matchmakingInterval = setInterval(runMatchmaking, MATCHMAKING_INTERVAL);
+    
+    return {
+        app,
+        server,
+        io,
+        port: actualPort,
+        gameRooms,
+        ratingStore,
+        matchHistory,
+        leaderboards,
+        close: closeGameServer
+    };
 }
 
-// Initialize Socket.io
-const io = socketIo(server);
+// Stop every room and shut the server down
+function closeGameServer() {
+    clearInterval(lobbyInterval);
+    lobbyInterval = null;
+    clearInterval(matchmakingInterval);
+    matchmakingInterval = null;
+    
+    for (const roomId in gameRooms) {
+        stopRoomSimulation(roomId);
+        clearRoomTimers(gameRooms[roomId]);
+        delete gameRooms[roomId];
+    }
+    
+    return new Promise((resolve) => {
+        if (!io) return resolve();
+        // Closes the underlying HTTP server too
+        io.close(() => resolve());
+        io = null;
+        server = null;
+    });
+}
 
 // Handle socket connections
-io.on('connection', (socket) => {
+function handleConnection(socket) {
     console.log(`User connected: ${socket.id}`);
+    socket.data.ping = null;
+    socket.data.playerId = readPlayerId(socket.handshake.auth && socket.handshake.auth.playerId);
+    // Name, paddle color and avatar, announced in the handshake and changed with updateProfile
+    socket.data.profile = Profile.readProfile(socket.handshake.auth && socket.handshake.auth.profile, getDefaultName(socket));
+    socket.data.decoder = new Protocol.MessageDecoder();
+    socket.data.guard = new MessageGuard();
+    measurePing(socket);
+    
+    // Events nobody listens for are still someone poking at the server
+    socket.onAny((event) => {
+        if (!isKnownEvent(event)) reportViolation(socket, event, 'unknown event');
+    });
     
     // Host a new game
-    socket.on('hostGame', () => {
+    onClientEvent(socket, 'hostGame', (data) => {
+        leaveMatchmaking(socket);
+        stopSpectating(socket);
+        
         // Check if already hosting a game
         let alreadyHosting = false;
         for (const roomId in gameRooms) {
             if (gameRooms[roomId].host === socket.id) {
-                socket.emit('gameHosted', { roomId });
+                socket.emit('gameHosted', {
+                    roomId,
+                    ruleset: gameRooms[roomId].ruleset,
+                    matchRules: gameRooms[roomId].matchRules,
+                    mode: gameRooms[roomId].mode,
+                    isPrivate: gameRooms[roomId].isPrivate
+                });
                 console.log(`Player ${socket.id} already hosting game: ${roomId}`);
                 alreadyHosting = true;
                 break;
@@ -117,139 +450,211 @@ io.on('connection', (socket) => {
         
         if (alreadyHosting) return;
         
-        const roomId = generateRoomId();
-        
-        // Create a new game room
-        gameRooms[roomId] = {
-            host: socket.id,
-            guest: null,
-            gameData: {
-                ballPosition: { x: 0, y: 0.9, z: -1.0 },
-                hostPaddlePosition: { x: 0, y: 0.9, z: -0.1 },
-                guestPaddlePosition: { x: 0, y: 0.9, z: -1.9 },
-                hostScore: 0,
-                guestScore: 0,
-                isPlaying: false
-            }
-        };
+        const ruleset = data && RULESETS.includes(data.ruleset) ? data.ruleset : 'classic';
+        // Private rooms can only be joined by their code, never by quick match
+        const isPrivate = Boolean(data && data.private);
+        const mode = data && Seats.MODES.includes(data.mode) ? data.mode : 'singles';
+        // Out of range rules fall back to the ruleset's usual ones (see MatchRules.mjs)
+        const matchRules = MatchRules.readMatchRules(data && data.matchRules, ruleset);
         
-        // Join the room
-        socket.join(roomId);
-        socket.emit('gameHosted', { roomId });
-        
-        console.log(`Game hosted: ${roomId} by ${socket.id}`);
+        const roomId = createRoom(socket, { ruleset, matchRules, mode, isPrivate, name: data && data.name });
+        socket.emit('gameHosted', { roomId, ruleset, matchRules, mode, isPrivate });
+        publishRoomList();
     });
     
-    // Join a game by quick matching
-    socket.on('quickJoin', () => {
-        // Check if already in a game as guest
-        for (const roomId in gameRooms) {
-            if (gameRooms[roomId].guest === socket.id) {
-                console.log(`Player ${socket.id} already joined game: ${roomId}`);
-                socket.emit('playerJoined', {
-                    roomId,
-                    hostId: gameRooms[roomId].host,
-                    guestId: socket.id
-                });
-                return;
-            }
-            // Also check if already hosting (shouldn't try to join others then)
-            if (gameRooms[roomId].host === socket.id) {
-                console.log(`Player ${socket.id} trying to join but already hosting: ${roomId}`);
-                socket.emit('errorMessage', { message: 'You are already hosting a game' });
-                return;
-            }
-        }
+    // Enter the matchmaking queue for a ruleset. The server pairs players of similar
+    // rating and sends queueStatus updates with the estimated wait until then.
+    onClientEvent(socket, 'joinQueue', (data) => {
+        if (!canJoinAnotherRoom(socket)) return;
+        stopSpectating(socket);
         
-        let joinedRoom = null;
+        const ruleset = data && RULESETS.includes(data.ruleset) ? data.ruleset : 'classic';
+        matchmaking.add({
+            socketId: socket.id,
+            playerId: socket.data.playerId,
+            rating: ratingStore.getRating(socket.data.playerId || socket.id),
+            ruleset
+        });
+        console.log(`Player ${socket.id} queued for ${ruleset} (${matchmaking.size} in queue)`);
         
-        // Find an available room
-        for (const roomId in gameRooms) {
-            if (gameRooms[roomId].guest === null) {
-                gameRooms[roomId].guest = socket.id;
-                joinedRoom = roomId;
-                
-                // Join the room
-                socket.join(roomId);
-                
-                // Notify both players
-                io.to(roomId).emit('playerJoined', {
-                    roomId,
-                    hostId: gameRooms[roomId].host,
-                    guestId: socket.id
-                });
-                
-                console.log(`Player ${socket.id} joined game: ${roomId}`);
-                break;
-            }
+        runMatchmaking();
+    });
+    
+    onClientEvent(socket, 'leaveQueue', () => {
+        if (leaveMatchmaking(socket)) {
+            socket.emit('queueLeft');
         }
+    });
+    
+    // Lobby browser: send the public room list now and whenever it changes
+    onClientEvent(socket, 'watchLobby', () => {
+        socket.join(LOBBY_CHANNEL);
+        socket.emit('roomList', { rooms: getRoomList() });
+    });
+    
+    onClientEvent(socket, 'leaveLobby', () => {
+        socket.leave(LOBBY_CHANNEL);
+    });
+    
+    // Join a game by quick matching
+    onClientEvent(socket, 'quickJoin', () => {
+        if (!canJoinAnotherRoom(socket)) return;
+        leaveMatchmaking(socket);
+        stopSpectating(socket);
+        
+        // Find an available public room
+        const roomId = Object.keys(gameRooms).find(id => freeSeat(gameRooms[id]) && !gameRooms[id].isPrivate);
         
-        // If no room found
-        if (!joinedRoom) {
+        if (roomId) {
+            joinAsGuest(socket, roomId);
+        } else {
             socket.emit('noGamesAvailable');
             console.log(`No games available for player ${socket.id}`);
         }
     });
     
-    // Update paddle position
-    socket.on('updatePaddlePosition', (data) => {
-        const { x, y, z, isHost } = data;
-        const position = { x, y, z };
+    // Join a specific game by its room code (public or private)
+    onClientEvent(socket, 'joinRoom', (data) => {
+        if (!canJoinAnotherRoom(socket)) return;
+        leaveMatchmaking(socket);
+        stopSpectating(socket);
         
-        // Find the room this socket is in
-        const roomId = [...socket.rooms].find(room => room !== socket.id && gameRooms[room]);
+        const roomId = RoomCode.normalizeRoomCode(data && data.code);
+        const room = roomId ? gameRooms[roomId] : null;
         
-        if (roomId && gameRooms[roomId]) {
-            if (isHost) {
-                gameRooms[roomId].gameData.hostPaddlePosition = position;
-            } else {
-                gameRooms[roomId].gameData.guestPaddlePosition = position;
-            }
-            
-            // Broadcast to other player in the room
-            socket.to(roomId).emit('paddlePositionUpdated', {
-                x, y, z,
-                isHost
-            });
+        if (!room) {
+            console.log(`Player ${socket.id} tried to join unknown room ${data && data.code}`);
+            socket.emit('errorMessage', { message: 'Room not found. Check the code and try again' });
+            return;
         }
+        if (!freeSeat(room)) {
+            console.log(`Player ${socket.id} tried to join full room ${roomId}`);
+            socket.emit('errorMessage', { message: 'That room is already full' });
+            return;
+        }
+        
+        joinAsGuest(socket, roomId);
     });
     
-    // Update ball position (only host sends this)
-    socket.on('updateBallPosition', (data) => {
-        const { roomId, position, velocity } = data;
+    // Watch a room by its code. Spectators join the Socket.IO room, so they receive the same
+    // snapshots, collisions, scores and controller poses as the players, but their own
+    // gameplay messages are ignored (only the host and guest seats are read).
+    onClientEvent(socket, 'spectateRoom', (data) => {
+        const roomId = RoomCode.normalizeRoomCode(data && data.code);
+        const room = roomId ? gameRooms[roomId] : null;
         
-        if (gameRooms[roomId] && gameRooms[roomId].host === socket.id) {
-            gameRooms[roomId].gameData.ballPosition = position;
-            
-            // Broadcast to guest
-            socket.to(roomId).emit('ballPositionUpdated', {
-                position,
-                velocity
-            });
+        if (!room) {
+            socket.emit('errorMessage', { message: 'Room not found. Check the code and try again' });
+            return;
+        }
+        if (findPlayerRoom(socket.id)) {
+            socket.emit('errorMessage', { message: 'Leave your game before watching another' });
+            return;
+        }
+        
+        leaveMatchmaking(socket);
+        stopSpectating(socket);
+        
+        room.spectators.push(socket.id);
+        socket.data.spectating = roomId;
+        socket.join(roomId);
+        resyncRoomStreams(room);
+        
+        socket.emit('spectating', {
+            roomId,
+            ruleset: room.ruleset,
+            matchRules: room.matchRules,
+            mode: room.mode,
+            hostName: room.hostName,
+            hostId: room.host,
+            guestId: room.guest,
+            seats: getSeatIds(room),
+            profiles: getRoomProfiles(room),
+            aiSeats: Object.keys(room.bots),
+            ...getScoreData(room),
+            isPlaying: room.gameData.isPlaying,
+            spectators: room.spectators.length
+        });
+        console.log(`Player ${socket.id} is watching room ${roomId} (${room.spectators.length} spectators)`);
+        
+        sendSpectatorCount(roomId);
+        publishRoomList();
+    });
+    
+    // A new name, color or avatar: the player's room sees it straight away
+    onClientEvent(socket, 'updateProfile', (data) => {
+        const current = socket.data.profile;
+        socket.data.profile = Profile.readProfile({ ...current, ...data }, current.name);
+        
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        const room = gameRooms[roomId];
+        const seat = getSeat(room, socket.id);
+        if (seat === 'host') {
+            room.hostName = socket.data.profile.name;
+            publishRoomList();
+        }
+        io.to(roomId).emit('profileUpdated', { seat, profile: socket.data.profile });
+    });
+    
+    onClientEvent(socket, 'stopSpectating', () => {
+        if (stopSpectating(socket)) {
+            socket.emit('spectatingStopped');
         }
     });
     
-    // Update score
-    socket.on('updateScore', (data) => {
-        const { roomId, hostScore, guestScore } = data;
+    // Update paddle position - the only gameplay input clients send (binary, see Protocol.mjs)
+    onClientEvent(socket, 'updatePaddlePosition', (payload) => {
+        // Decoded even when not playing, to keep up with the stream's deltas
+        const decoded = socket.data.decoder.decode(payload);
+        if (!decoded || decoded.type !== 'paddle') return;
         
-        if (gameRooms[roomId]) {
-            gameRooms[roomId].gameData.hostScore = hostScore;
-            gameRooms[roomId].gameData.guestScore = guestScore;
-            
-            // Broadcast to all players
-            io.to(roomId).emit('scoreUpdated', {
-                hostScore,
-                guestScore
-            });
+        // The seat comes from the socket, not from the client's isHost claim
+        const roomId = findPlayerRoom(socket.id);
+        const room = roomId ? gameRooms[roomId] : null;
+        const seat = room ? getSeat(room, socket.id) : null;
+        if (!seat) {
+            reportViolation(socket, 'updatePaddlePosition', 'not seated in a room');
+            return;
+        }
+        // A player who just joined waits for the AI to hand over their paddle at the next point
+        if (room.bots[seat]) return;
+        
+        const { position, velocity: swing, quaternion } = decoded.message;
+        const data = { ...position, velocity: swing, quaternion };
+        const maxX = BallPhysics.PADDLE.maxX;
+        const velocity = readSwingVelocity(data.velocity);
+        
+        if (room.ruleset === 'tableTennis') {
+            updateTableTennisPaddle(socket, room, seat, data, velocity);
+            return;
+        }
+        
+        if (Math.abs(data.x) > maxX + PADDLE_BOUNDS_TOLERANCE) {
+            reportViolation(socket, 'updatePaddlePosition', 'paddle out of bounds');
         }
+        
+        // The far team plays from the far end, so their x (and swing) is mirrored into the
+        // host's frame. Doubles paddles also keep to their lane.
+        const { side, slot } = SEATS[seat];
+        let x = Math.max(-maxX, Math.min(maxX, side === 'near' ? data.x : -data.x));
+        if (room.mode === 'doubles') x = clampToLane(x, slot);
+        const current = room.gameData[`${seat}PaddlePosition`];
+        current.x = limitPaddleMove(socket, room, seat, current, { ...current, x }).x;
+        room.gameData[`${seat}PaddleVelocity`] = side === 'near' ? velocity : { x: -velocity.x, y: velocity.y, z: -velocity.z };
     });
     
-    // Start game
-    socket.on('startGame', (data) => {
-        const { roomId } = data;
+    // Start game. With fillWithAI the server's AI plays any empty seats until players join.
+    onClientEvent(socket, 'startGame', (data) => {
+        const { roomId, fillWithAI } = data || {};
         
         if (gameRooms[roomId]) {
+            // Starting someone else's game is never something our client does
+            if (!getSeat(gameRooms[roomId], socket.id)) {
+                reportViolation(socket, 'startGame', `not in room ${roomId}`);
+                return;
+            }
+            
             // Only the host can start the game
             if (gameRooms[roomId].host !== socket.id) {
                 console.log(`Non-host ${socket.id} attempted to start game in room ${roomId}`);
@@ -257,10 +662,18 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Cannot start without a guest
-            if (gameRooms[roomId].guest === null) {
-                console.log(`Host ${socket.id} attempted to start game in room ${roomId} without a guest`);
-                socket.emit('errorMessage', { message: 'Cannot start game without an opponent' });
+            // Cannot start until every seat is taken, unless the AI takes the rest
+            if (freeSeat(gameRooms[roomId]) && !fillWithAI) {
+                console.log(`Host ${socket.id} attempted to start game in room ${roomId} with empty seats`);
+                socket.emit('errorMessage', {
+                    message: gameRooms[roomId].mode === 'doubles' ? 'Waiting for all four players' : 'Cannot start game without an opponent'
+                });
+                return;
+            }
+            
+            // A dropped opponent may still come back to their seat
+            if (gameRooms[roomId].disconnected) {
+                socket.emit('errorMessage', { message: 'Waiting for your opponent to reconnect' });
                 return;
             }
             
@@ -268,64 +681,983 @@ io.on('connection', (socket) => {
             gameRooms[roomId].gameData.isPlaying = true;
             
             // Broadcast to all players in the room
-            io.to(roomId).emit('gameStarted');
+            io.to(roomId).emit('gameStarted', { matchRules: gameRooms[roomId].matchRules });
+            
+            startRoomSimulation(roomId);
+            const aiSeats = fillSeatsWithAI(roomId);
+            if (aiSeats.length > 0) {
+                io.to(roomId).emit('aiJoined', { seats: aiSeats, reason: 'start' });
+            }
+            publishRoomList();
         } else {
             console.log(`Attempted to start game in non-existent room ${roomId}`);
             socket.emit('errorMessage', { message: 'Game room not found' });
         }
     });
     
-    // Handle collision events
-    socket.on('collisionEvent', (data) => {
-        const { roomId, type, position } = data;
+    // Handle VR controller data (binary, see Protocol.mjs)
+    onClientEvent(socket, 'updateControllerData', (payload) => {
+        // Only the players' controllers are shown; the seat comes from the server
+        const decoded = socket.data.decoder.decode(payload);
+        if (!decoded || decoded.type !== 'controllers') return;
         
-        if (gameRooms[roomId]) {
-            // Broadcast collision to other player
-            socket.to(roomId).emit('remoteCollision', {
-                type,
-                position
+        const roomId = findPlayerRoom(socket.id);
+        const room = roomId ? gameRooms[roomId] : null;
+        const seat = room ? getSeat(room, socket.id) : null;
+        if (!seat) {
+            reportViolation(socket, 'updateControllerData', 'not seated in a room');
+            return;
+        }
+        
+        // Broadcast controller data to the other players and the spectators, re-encoded on
+        // one stream per seat so receivers can tell whose controllers (and so which frame) they are
+        if (!room.controllerEncoders[seat]) {
+            room.controllerEncoders[seat] = new Protocol.MessageEncoder('controllers', {
+                stream: Object.keys(SEATS).indexOf(seat)
             });
         }
+        const message = room.controllerEncoders[seat].encode(decoded.message);
+        if (message) {
+            socket.to(roomId).emit('remoteControllerData', message);
+        }
     });
     
-    // Handle VR controller data
-    socket.on('updateControllerData', (data) => {
-        const { roomId, isHost, leftController, rightController } = data;
+    // WebRTC signaling: singles players link up directly for their paddle and controller poses.
+    // The server only passes each message on to the other seat.
+    onClientEvent(socket, 'rtcOffer', (data) => relaySignal(socket, 'rtcOffer', readSessionDescription(data, 'offer')));
+    onClientEvent(socket, 'rtcAnswer', (data) => relaySignal(socket, 'rtcAnswer', readSessionDescription(data, 'answer')));
+    onClientEvent(socket, 'rtcIceCandidate', (data) => relaySignal(socket, 'rtcIceCandidate', readIceCandidate(data)));
+    
+    // Reclaim a seat after a dropped connection, using the token sent when the seat was taken
+    onClientEvent(socket, 'resumeSession', (data) => {
+        const roomId = RoomCode.normalizeRoomCode(data && data.roomId);
+        const room = roomId ? gameRooms[roomId] : null;
+        const token = data && typeof data.token === 'string' ? data.token : null;
+        const seat = room && token ? Object.keys(room.sessions).find(key => room.sessions[key] === token) : null;
         
-        if (gameRooms[roomId]) {
-            // Broadcast controller data to the other player in the room
-            socket.to(roomId).emit('remoteControllerData', {
-                isHost,
-                leftController,
-                rightController
-            });
+        if (!seat || findPlayerRoom(socket.id)) {
+            console.log(`Player ${socket.id} could not resume a session in room ${roomId}`);
+            socket.emit('sessionExpired', { roomId });
+            return;
         }
+        
+        leaveMatchmaking(socket);
+        stopSpectating(socket);
+        resumeSeat(socket, roomId, seat);
     });
     
     // Handle disconnection
     socket.on('disconnect', () => {
         console.log(`User disconnected: ${socket.id}`);
+        matchmaking.remove(socket.id);
+        stopSpectating(socket);
         
-        // Find and clean up any rooms with this player
-        for (const roomId in gameRooms) {
-            if (gameRooms[roomId].host === socket.id || gameRooms[roomId].guest === socket.id) {
-                // Notify other player if exists
-                if (gameRooms[roomId].host === socket.id && gameRooms[roomId].guest) {
-                    io.to(gameRooms[roomId].guest).emit('opponentDisconnected');
-                } else if (gameRooms[roomId].guest === socket.id && gameRooms[roomId].host) {
-                    io.to(gameRooms[roomId].host).emit('opponentDisconnected');
-                }
-                
-                // Remove the room
-                delete gameRooms[roomId];
-                console.log(`Game room ${roomId} removed due to player disconnect`);
-                break;
-            }
+        // Hold the seat of a player in a match, in case they come back; otherwise
+        // there's nobody left to play and the room closes
+        const roomId = findPlayerRoom(socket.id);
+        if (!roomId) return;
+        
+        const room = gameRooms[roomId];
+        const seat = getSeat(room, socket.id);
+        const othersSeated = getRoomSeats(room).some(other => other !== seat && room[other] !== null);
+        if (!othersSeated || room.disconnected) {
+            closeRoom(roomId, seat);
+        } else if (socket.data.kicked || !room.gameData.isPlaying) {
+            // Nobody waits for a kicked player, or for a match that hasn't started
+            releaseSeat(roomId, seat);
+        } else {
+            holdSeat(roomId, seat);
         }
     });
-});
+}
+
+// Handle a client event once the socket's guard has checked its payload and rate
+function onClientEvent(socket, event, handler) {
+    socket.on(event, (data) => {
+        const violation = socket.data.guard.check(event, data);
+        if (violation) {
+            reportViolation(socket, event, violation);
+            return;
+        }
+        handler(data);
+    });
+}
+
+// Log a broken rule; clients that keep breaking them are disconnected
+function reportViolation(socket, event, reason) {
+    console.log(`Rejected ${event} from ${socket.id}: ${reason}`);
+    if (socket.data.kicked || !socket.data.guard.addViolation()) return;
+    
+    console.log(`Kicking ${socket.id} for repeated violations`);
+    socket.data.kicked = true;
+    socket.emit('kicked', { reason: 'Too many invalid messages' });
+    socket.disconnect(true);
+}
+
+// Send the socket the token that lets it reclaim its seat after a dropped connection
+function issueSessionToken(socket, roomId, seat) {
+    const token = crypto.randomBytes(16).toString('hex');
+    gameRooms[roomId].sessions[seat] = token;
+    socket.emit('sessionToken', { roomId, token });
+}
 
-// Generate a random room ID
+// Keep a dropped player's seat and the score for the grace period, with play paused
+function holdSeat(roomId, seat) {
+    const room = gameRooms[roomId];
+    clearRoomTimers(room);
+    
+    const resumeBy = Date.now() + reconnectGracePeriod;
+    room.disconnected = {
+        seat,
+        resumeBy,
+        timer: setTimeout(() => {
+            console.log(`Player did not return to room ${roomId} in time`);
+            releaseSeat(roomId, seat);
+        }, reconnectGracePeriod)
+    };
+    stopRoomSimulation(roomId);
+    
+    console.log(`Holding the ${seat} seat of room ${roomId} for ${reconnectGracePeriod / 1000}s`);
+    io.to(roomId).emit('matchPaused', { seat, gracePeriod: reconnectGracePeriod, resumeBy });
+}
+
+// A guest left for good: a match in progress carries on with the AI in their seat, and
+// before the match the seat opens up again. Only the host can start and rematch, so the
+// room closes without them.
+function releaseSeat(roomId, seat) {
+    if (seat === 'host') {
+        closeRoom(roomId, seat);
+    } else if (gameRooms[roomId].gameData.isPlaying) {
+        backfillSeat(roomId, seat);
+    } else {
+        vacateSeat(roomId, seat);
+    }
+}
+
+// Seat a returning player and resume the match after a short countdown. Also takes over
+// from a connection the server hasn't noticed dropping yet.
+function resumeSeat(socket, roomId, seat) {
+    const room = gameRooms[roomId];
+    const staleSocket = io.sockets.sockets.get(room[seat]);
+    
+    clearRoomTimers(room);
+    room.disconnected = null;
+    room[seat] = socket.id;
+    socket.join(roomId);
+    resyncRoomStreams(room);
+    if (staleSocket && staleSocket.id !== socket.id) {
+        staleSocket.disconnect(true);
+    }
+    
+    console.log(`Player ${socket.id} reclaimed the ${seat} seat of room ${roomId}`);
+    socket.emit('sessionResumed', {
+        roomId,
+        isHost: seat === 'host',
+        seat,
+        ruleset: room.ruleset,
+        matchRules: room.matchRules,
+        mode: room.mode,
+        hostId: room.host,
+        guestId: room.guest,
+        seats: getSeatIds(room),
+        profiles: getRoomProfiles(room),
+        aiSeats: Object.keys(room.bots),
+        ...getScoreData(room),
+        isPlaying: room.gameData.isPlaying
+    });
+    
+    resumeAfterCountdown(roomId);
+    publishRoomList();
+}
+
+// Give a dropped guest's seat to the AI and carry on with the match. The seat is open
+// again: whoever joins takes over at the next point.
+function backfillSeat(roomId, seat) {
+    const room = gameRooms[roomId];
+    const { side, slot } = SEATS[seat];
+    
+    room.disconnected = null;
+    room[seat] = null;
+    delete room.sessions[seat];
+    room.bots[seat] = AI_DIFFICULTY;
+    room.aiPlayed = true;
+    room.simulation.setAI(side, AI_DIFFICULTY, slot);
+    
+    console.log(`The AI took the ${seat} seat of room ${roomId}`);
+    io.to(roomId).emit('aiJoined', { seats: [seat], reason: 'disconnect' });
+    resumeAfterCountdown(roomId);
+    publishRoomList();
+}
+
+// Open a guest's seat in a room waiting to start, and tell the players still there
+function vacateSeat(roomId, seat) {
+    const room = gameRooms[roomId];
+    
+    room.disconnected = null;
+    room[seat] = null;
+    delete room.sessions[seat];
+    
+    console.log(`The ${seat} seat of room ${roomId} is free again`);
+    io.to(roomId).emit('playerLeft', { seat, ...getPlayerJoinedData(roomId) });
+    publishRoomList();
+}
+
+// Everyone counts down together, then the simulation carries on from where it stopped
+function resumeAfterCountdown(roomId) {
+    const room = gameRooms[roomId];
+    stopRoomSimulation(roomId);
+    io.to(roomId).emit('matchResuming', { delay: resumeDelay });
+    room.resumeTimer = setTimeout(() => {
+        room.resumeTimer = null;
+        if (room.gameData.isPlaying) {
+            resumeRoomSimulation(roomId);
+        }
+        io.to(roomId).emit('matchResumed');
+    }, resumeDelay);
+}
+
+// Hand the room's empty seats to the AI. Returns the seats it took.
+function fillSeatsWithAI(roomId) {
+    const room = gameRooms[roomId];
+    const seats = getRoomSeats(room).filter(seat => room[seat] === null);
+    for (const seat of seats) {
+        room.bots[seat] = AI_DIFFICULTY;
+        room.simulation.setAI(SEATS[seat].side, AI_DIFFICULTY, SEATS[seat].slot);
+    }
+    if (seats.length > 0) {
+        room.aiPlayed = true;
+        console.log(`The AI took the ${seats.join(', ')} seat(s) of room ${roomId}`);
+        publishRoomList();
+    }
+    return seats;
+}
+
+// Between points: players who joined while the AI had their seat take over their paddle
+function handOverAISeats(roomId) {
+    const room = gameRooms[roomId];
+    for (const seat of Object.keys(room.bots)) {
+        if (room[seat] === null) continue;
+        
+        delete room.bots[seat];
+        room.simulation.setAI(SEATS[seat].side, null, SEATS[seat].slot);
+        console.log(`Player ${room[seat]} took over the ${seat} seat of room ${roomId} from the AI`);
+        io.to(roomId).emit('aiHandover', { seat });
+    }
+}
+
+// Remove a room whose player (in the given seat) has left for good, telling the other
+// players and the spectators
+function closeRoom(roomId, seat) {
+    const room = gameRooms[roomId];
+    if (!room) return;
+    
+    // Notify the other players
+    for (const other of getRoomSeats(room)) {
+        if (other !== seat && room[other]) {
+            io.to(room[other]).emit('opponentDisconnected', { seat });
+        }
+    }
+    
+    // Spectators have nothing left to watch
+    io.to(roomId).emit('roomClosed', { roomId });
+    for (const spectatorId of room.spectators) {
+        const spectator = io.sockets.sockets.get(spectatorId);
+        if (spectator) spectator.data.spectating = null;
+    }
+    io.in(roomId).socketsLeave(roomId);
+    
+    // Remove the room
+    stopRoomSimulation(roomId);
+    clearRoomTimers(room);
+    delete gameRooms[roomId];
+    console.log(`Game room ${roomId} removed due to player disconnect`);
+    publishRoomList();
+}
+
+function clearRoomTimers(room) {
+    if (room.disconnected) {
+        clearTimeout(room.disconnected.timer);
+    }
+    clearTimeout(room.resumeTimer);
+    room.resumeTimer = null;
+}
+
+// A player can only be in one room. Players already seated as guest get their room
+// again; hosts get an error. Returns true if the socket is free to join a room.
+function canJoinAnotherRoom(socket) {
+    for (const roomId in gameRooms) {
+        const seat = getSeat(gameRooms[roomId], socket.id);
+        if (seat && seat !== 'host') {
+            console.log(`Player ${socket.id} already joined game: ${roomId}`);
+            socket.emit('playerJoined', getPlayerJoinedData(roomId));
+            return false;
+        }
+        // Also check if already hosting (shouldn't try to join others then)
+        if (seat === 'host') {
+            console.log(`Player ${socket.id} trying to join but already hosting: ${roomId}`);
+            socket.emit('errorMessage', { message: 'You are already hosting a game' });
+            return false;
+        }
+    }
+    return true;
+}
+
+// Pass a signaling message to the other player of a singles room
+function relaySignal(socket, event, data) {
+    const roomId = findPlayerRoom(socket.id);
+    const room = roomId ? gameRooms[roomId] : null;
+    if (!data || !room || room.mode !== 'singles') return;
+    
+    const other = room[getSeat(room, socket.id) === 'host' ? 'guest' : 'host'];
+    if (other) {
+        io.to(other).emit(event, data);
+    }
+}
+
+// { description: { type, sdp } } from client input, or null if invalid
+function readSessionDescription(data, type) {
+    const description = data && data.description;
+    if (!description || description.type !== type) return null;
+    if (typeof description.sdp !== 'string' || description.sdp.length > MAX_SDP_LENGTH) return null;
+    
+    return { description: { type, sdp: description.sdp } };
+}
+
+// { candidate: { candidate, sdpMid, sdpMLineIndex } } from client input, or null if invalid
+function readIceCandidate(data) {
+    const candidate = data && data.candidate;
+    if (!candidate || typeof candidate.candidate !== 'string' || candidate.candidate.length > MAX_CANDIDATE_LENGTH) return null;
+    
+    const sdpMid = typeof candidate.sdpMid === 'string' ? candidate.sdpMid.slice(0, 32) : null;
+    const sdpMLineIndex = Number.isInteger(candidate.sdpMLineIndex) ? candidate.sdpMLineIndex : null;
+    return { candidate: { candidate: candidate.candidate, sdpMid, sdpMLineIndex } };
+}
+
+// The room the socket plays in (in any seat), or null
+function findPlayerRoom(socketId) {
+    return Object.keys(gameRooms).find(roomId => getSeat(gameRooms[roomId], socketId)) || null;
+}
+
+// The seats a room plays with, in the order they are filled
+function getRoomSeats(room) {
+    return Seats.getModeSeats(room.mode);
+}
+
+// The socket's seat in the room, or null
+function getSeat(room, socketId) {
+    return getRoomSeats(room).find(seat => room[seat] === socketId) || null;
+}
+
+// The next seat a joining player takes, or null when the room is full
+function freeSeat(room) {
+    return getRoomSeats(room).find(seat => room[seat] === null) || null;
+}
+
+// Socket id per seat, null for empty seats
+function getSeatIds(room) {
+    const seats = {};
+    for (const seat of getRoomSeats(room)) {
+        seats[seat] = room[seat];
+    }
+    return seats;
+}
+
+function getPlayerJoinedData(roomId) {
+    const room = gameRooms[roomId];
+    return {
+        roomId,
+        hostId: room.host,
+        guestId: room.guest,
+        ruleset: room.ruleset,
+        matchRules: room.matchRules,
+        mode: room.mode,
+        seats: getSeatIds(room),
+        profiles: getRoomProfiles(room),
+        aiSeats: Object.keys(room.bots),
+        isPlaying: room.gameData.isPlaying
+    };
+}
+
+// Points in the current game and games won, as sent with 'scoreUpdated'
+function getScoreData(room) {
+    const { hostScore, guestScore, hostGames, guestGames } = room.gameData;
+    return { hostScore, guestScore, hostGames, guestGames };
+}
+
+// Profiles of the room's players by seat, null for empty seats
+function getRoomProfiles(room) {
+    const profiles = {};
+    for (const seat of getRoomSeats(room)) {
+        const socket = room[seat] ? io.sockets.sockets.get(room[seat]) : null;
+        profiles[seat] = socket ? socket.data.profile : null;
+    }
+    return profiles;
+}
+
+// Stop watching the socket's room, if any. Returns true if it was spectating.
+function stopSpectating(socket) {
+    const roomId = socket.data.spectating;
+    if (!roomId) return false;
+    
+    socket.data.spectating = null;
+    const room = gameRooms[roomId];
+    if (!room) return false;
+    
+    room.spectators = room.spectators.filter(id => id !== socket.id);
+    socket.leave(roomId);
+    console.log(`Player ${socket.id} stopped watching room ${roomId}`);
+    
+    sendSpectatorCount(roomId);
+    publishRoomList();
+    return true;
+}
+
+// Someone started listening to the room: the next snapshot and controller messages are
+// keyframes, so they can decode them without the history
+function resyncRoomStreams(room) {
+    room.snapshotEncoder.reset();
+    Object.values(room.controllerEncoders).forEach(encoder => encoder.reset());
+}
+
+// Tell everyone in the room how many people are watching
+function sendSpectatorCount(roomId) {
+    io.to(roomId).emit('spectatorCount', { count: gameRooms[roomId].spectators.length });
+}
+
+// Create a room hosted by the socket and return its code
+// matchRules default to the ruleset's usual ones (see MatchRules.mjs)
+function createRoom(socket, { ruleset, matchRules = MatchRules.getDefaultMatchRules(ruleset), mode = 'singles', isPrivate, name }) {
+    const roomId = generateRoomId();
+    
+    // A name sent along with hostGame replaces the profile's
+    if (Profile.readName(name)) {
+        socket.data.profile = { ...socket.data.profile, name: Profile.readName(name) };
+    }
+    
+    gameRooms[roomId] = {
+        host: socket.id,
+        hostName: socket.data.profile.name,
+        guest: null,
+        hostPartner: null, // Doubles only
+        guestPartner: null,
+        ruleset,
+        matchRules,
+        mode,
+        isPrivate,
+        spectators: [], // Socket ids of read-only viewers
+        bots: {}, // Seats the AI plays, by difficulty, until a player takes over at the next point
+        aiPlayed: false, // The AI played in this match, so it isn't rated
+        sessions: {}, // Tokens per seat, for reclaiming it after a dropped connection
+        disconnected: null, // { seat, resumeBy, timer } while a dropped player's seat is held
+        resumeTimer: null,
+        snapshotEncoder: new Protocol.MessageEncoder('snapshot'),
+        controllerEncoders: {}, // Per seat, relaying its VR controllers
+        inputTimes: {}, // When each seat's paddle input last arrived, for the speed limit
+        createdAt: Date.now(),
+        gameData: {
+            ballPosition: { x: 0, y: 0.9, z: -1.0 },
+            hostPaddlePosition: { x: 0, y: 0.9, z: -0.1 },
+            guestPaddlePosition: { x: 0, y: 0.9, z: -1.9 },
+            hostPaddleVelocity: { x: 0, y: 0, z: 0 },
+            guestPaddleVelocity: { x: 0, y: 0, z: 0 },
+            hostPaddleQuaternion: null,
+            guestPaddleQuaternion: null,
+            hostScore: 0,
+            guestScore: 0,
+            hostGames: 0, // Best-of matches only
+            guestGames: 0,
+            isPlaying: false
+        }
+    };
+    if (mode === 'doubles') {
+        // Partners start in the right-hand lane
+        Object.assign(gameRooms[roomId].gameData, {
+            hostPartnerPaddlePosition: { x: 0.3, y: 0.9, z: -0.1 },
+            guestPartnerPaddlePosition: { x: 0.3, y: 0.9, z: -1.9 },
+            hostPartnerPaddleVelocity: { x: 0, y: 0, z: 0 },
+            guestPartnerPaddleVelocity: { x: 0, y: 0, z: 0 },
+            hostPartnerPaddleQuaternion: null,
+            guestPartnerPaddleQuaternion: null
+        });
+    }
+    
+    // Join the room
+    socket.join(roomId);
+    issueSessionToken(socket, roomId, 'host');
+    
+    console.log(`Game hosted: ${roomId} by ${socket.id} (${ruleset}${isPrivate ? ', private' : ''})`);
+    return roomId;
+}
+
+// Seat the socket in the room's next free seat and notify the players
+function joinAsGuest(socket, roomId) {
+    const room = gameRooms[roomId];
+    const seat = freeSeat(room);
+    room[seat] = socket.id;
+    socket.join(roomId);
+    resyncRoomStreams(room);
+    issueSessionToken(socket, roomId, seat);
+    
+    io.to(roomId).emit('playerJoined', getPlayerJoinedData(roomId));
+    
+    // Joining a match the AI is playing our seat in: we take over at the next point
+    if (room.gameData.isPlaying) {
+        socket.emit('gameStarted', { matchRules: room.matchRules });
+        socket.emit('scoreUpdated', getScoreData(room));
+    }
+    
+    console.log(`Player ${socket.id} joined game: ${roomId} (${seat})`);
+    publishRoomList();
+}
+
+// Persistent player id sent in the connection handshake, used to key ratings. Null when
+// missing or malformed; such players can still play, but their ratings are not kept.
+function readPlayerId(playerId) {
+    if (typeof playerId !== 'string' || playerId.length > MAX_PLAYER_ID_LENGTH) return null;
+    return /^[\w-]+$/.test(playerId) ? playerId : null;
+}
+
+// Entries per board asked for in a leaderboard query, within 1..MAX_LEADERBOARD_LIMIT
+function readLeaderboardLimit(limit) {
+    const value = parseInt(limit, 10);
+    return Number.isInteger(value) ? Math.min(Math.max(value, 1), MAX_LEADERBOARD_LIMIT) : LEADERBOARD_LIMIT;
+}
+
+// Take the socket out of the matchmaking queue. Returns true if it was queued.
+function leaveMatchmaking(socket) {
+    if (!matchmaking.remove(socket.id)) return false;
+    console.log(`Player ${socket.id} left the matchmaking queue`);
+    return true;
+}
+
+// Pair queued players into rooms, then tell everyone still waiting how long it may take.
+// The longer waiter hosts the new room.
+function runMatchmaking() {
+    if (!io || !matchmaking) return;
+    
+    for (const [first, second] of matchmaking.findMatches()) {
+        const hostSocket = io.sockets.sockets.get(first.socketId);
+        const guestSocket = io.sockets.sockets.get(second.socketId);
+        if (!hostSocket || !guestSocket) continue;
+        
+        // Private: the room is already full, so there is nothing to list or quick join
+        const roomId = createRoom(hostSocket, { ruleset: first.ruleset, isPrivate: true });
+        console.log(`Matched ${first.socketId} (${first.rating}) with ${second.socketId} (${second.rating}) in ${roomId}`);
+        
+        hostSocket.emit('matchFound', { roomId, rating: first.rating, opponentRating: second.rating });
+        guestSocket.emit('matchFound', { roomId, rating: second.rating, opponentRating: first.rating });
+        hostSocket.emit('gameHosted', { roomId, ruleset: first.ruleset, isPrivate: true, matchmade: true });
+        joinAsGuest(guestSocket, roomId);
+    }
+    
+    for (const entry of matchmaking.entries) {
+        io.to(entry.socketId).emit('queueStatus', {
+            ruleset: entry.ruleset,
+            rating: entry.rating,
+            queueSize: matchmaking.size,
+            waited: Math.round((Date.now() - entry.joinedAt) / 1000),
+            estimatedWait: matchmaking.estimateWait(entry.socketId)
+        });
+    }
+}
+
+// Rate a finished match between two players with persistent ids and tell them
+// their new ratings
+function updateRatings(room, winner) {
+    // Only singles matches between two players are rated
+    if (room.mode === 'doubles' || room.aiPlayed) return;
+    
+    const hostSocket = io.sockets.sockets.get(room.host);
+    const guestSocket = io.sockets.sockets.get(room.guest);
+    if (!hostSocket || !guestSocket) return;
+    
+    const hostId = hostSocket.data.playerId;
+    const guestId = guestSocket.data.playerId;
+    if (!hostId || !guestId || hostId === guestId) return;
+    
+    const [winnerSocket, loserSocket] = winner === 'host' ? [hostSocket, guestSocket] : [guestSocket, hostSocket];
+    const result = ratingStore.recordMatch(winnerSocket.data.playerId, loserSocket.data.playerId);
+    
+    winnerSocket.emit('ratingUpdated', result.winner);
+    loserSocket.emit('ratingUpdated', result.loser);
+    console.log(`Ratings updated: ${winnerSocket.data.playerId} ${result.winner.rating} (+${result.winner.change}), ${loserSocket.data.playerId} ${result.loser.rating} (${result.loser.change})`);
+}
+
+// Name for players whose profile has none, based on the socket id
+function getDefaultName(socket) {
+    return `Player ${socket.id.slice(0, 4).toUpperCase()}`;
+}
+
+// Public rooms for the lobby browser, open rooms first, oldest first
+function getRoomList() {
+    // 'open': in progress with the AI in a seat anyone can join
+    const statusOrder = { waiting: 0, open: 1, full: 2, inProgress: 3 };
+    
+    return Object.entries(gameRooms)
+        .filter(([, room]) => !room.isPrivate)
+        .map(([roomId, room]) => {
+            const hostSocket = io.sockets.sockets.get(room.host);
+            const seats = getRoomSeats(room);
+            return {
+                roomId,
+                hostName: room.hostName,
+                hostAvatar: hostSocket ? hostSocket.data.profile.avatar : null,
+                ruleset: room.ruleset,
+                mode: room.mode,
+                players: seats.filter(seat => room[seat] !== null).length,
+                maxPlayers: seats.length,
+                ping: hostSocket ? hostSocket.data.ping : null,
+                status: room.gameData.isPlaying ?
+                    (freeSeat(room) ? 'open' : 'inProgress') :
+                    (freeSeat(room) ? 'waiting' : 'full'),
+                spectators: room.spectators.length,
+                createdAt: room.createdAt
+            };
+        })
+        .sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || a.createdAt - b.createdAt);
+}
+
+function publishRoomList() {
+    if (!io) return;
+    io.to(LOBBY_CHANNEL).emit('roomList', { rooms: getRoomList() });
+}
+
+// Round trip to the client and back, stored in socket.data.ping (milliseconds)
+function measurePing(socket) {
+    const sentAt = Date.now();
+    socket.timeout(PING_TIMEOUT).emit('latencyCheck', (error) => {
+        if (!error) {
+            socket.data.ping = Date.now() - sentAt;
+        }
+    });
+}
+
+// Re-measure host pings and send the refreshed list to lobby watchers
+function refreshLobby() {
+    for (const roomId in gameRooms) {
+        const hostSocket = io.sockets.sockets.get(gameRooms[roomId].host);
+        if (hostSocket) measurePing(hostSocket);
+    }
+    publishRoomList();
+}
+
+// Start the fixed-tick ball simulation for a room and reset the match state.
+// The rules run in the shared GameSimulation, in the host's frame: host near, guest far.
+function startRoomSimulation(roomId) {
+    const room = gameRooms[roomId];
+    if (!room) return;
+    
+    stopRoomSimulation(roomId);
+    
+    Object.assign(room.gameData, { hostScore: 0, guestScore: 0, hostGames: 0, guestGames: 0 });
+    room.simulation = new GameSimulation({
+        ruleset: room.ruleset,
+        rules: room.matchRules,
+        serveDelay: SERVE_DELAY,
+        doubles: room.mode === 'doubles'
+    });
+    room.simulation.start();
+    room.tick = 0;
+    room.stats = new MatchStats();
+    
+    // Players who joined between matches take their seats back from the AI
+    for (const seat of Object.keys(room.bots)) {
+        if (room[seat] !== null) {
+            delete room.bots[seat];
+        } else {
+            room.simulation.setAI(SEATS[seat].side, room.bots[seat], SEATS[seat].slot);
+        }
+    }
+    room.aiPlayed = Object.keys(room.bots).length > 0;
+    
+    room.simulationInterval = setInterval(() => stepRoomSimulation(roomId), 1000 / SIMULATION_TICK_RATE);
+    io.to(roomId).emit('scoreUpdated', getScoreData(room));
+}
+
+// Carry on with a paused match, without simulating the time it was paused for
+function resumeRoomSimulation(roomId) {
+    const room = gameRooms[roomId];
+    if (!room || !room.simulation || room.simulationInterval) return;
+    
+    room.simulation.resetClock();
+    room.simulationInterval = setInterval(() => stepRoomSimulation(roomId), 1000 / SIMULATION_TICK_RATE);
+}
+
+function stopRoomSimulation(roomId) {
+    const room = gameRooms[roomId];
+    if (!room || !room.simulationInterval) return;
+    
+    clearInterval(room.simulationInterval);
+    room.simulationInterval = null;
+}
+
+// Advance one tick: feed in the latest paddle input, run the simulation up to now,
+// relay its events and broadcast a snapshot (every few ticks, at the snapshot rate)
+function stepRoomSimulation(roomId) {
+    const room = gameRooms[roomId];
+    if (!room || !room.simulation) return;
+    
+    const sim = room.simulation;
+    const gameData = room.gameData;
+    room.tick++;
+    
+    for (const seat of getRoomSeats(room)) {
+        if (room.bots[seat]) continue;
+        sim.setPaddleInput(SEATS[seat].side, {
+            position: gameData[`${seat}PaddlePosition`],
+            velocity: gameData[`${seat}PaddleVelocity`],
+            quaternion: gameData[`${seat}PaddleQuaternion`]
+        }, SEATS[seat].slot);
+    }
+    
+    for (const event of sim.update()) {
+        handleRoomEvent(roomId, event);
+        // The match may have ended on this event
+        if (!room.simulationInterval) return;
+    }
+    
+    // Timed matches: the simulation decides the result or overtime when its clock runs out.
+    // Simulated time, not ticks: a late or skipped tick still simulates the time it missed.
+    const { timeLimit } = room.matchRules;
+    if (timeLimit !== null && sim.time >= timeLimit * 1000) {
+        for (const event of sim.timeUp()) {
+            handleRoomEvent(roomId, event);
+        }
+        if (!room.simulationInterval) return;
+    }
+    
+    const state = sim.getState();
+    gameData.ballPosition = state.ball.position;
+    
+    // AI paddles are shown like the players'
+    for (const seat of Object.keys(room.bots)) {
+        const paddle = sim.getPaddle(SEATS[seat].side, SEATS[seat].slot);
+        gameData[`${seat}PaddlePosition`] = { ...paddle.position };
+        gameData[`${seat}PaddleQuaternion`] = paddle.quaternion;
+    }
+    
+    if (room.tick % Math.max(1, Math.round(SIMULATION_TICK_RATE / snapshotRate)) !== 0) return;
+    
+    // Paddles per seat: hostPaddle, guestPaddle and, in doubles, hostPartnerPaddle and
+    // guestPartnerPaddle, with orientations for table tennis
+    const snapshot = {
+        tick: room.tick,
+        time: Date.now(),
+        ball: {
+            position: state.ball.position,
+            velocity: state.ball.velocity,
+            spin: state.ball.spin
+        }
+    };
+    for (const seat of getRoomSeats(room)) {
+        snapshot[`${seat}Paddle`] = gameData[`${seat}PaddlePosition`];
+        snapshot[`${seat}PaddleQuaternion`] = room.ruleset === 'tableTennis' ? gameData[`${seat}PaddleQuaternion`] : undefined;
+    }
+    const message = room.snapshotEncoder.encode(snapshot);
+    if (message) {
+        io.to(roomId).emit('stateSnapshot', message);
+    }
+}
+
+// Relay a simulation event to the room's players
+function handleRoomEvent(roomId, event) {
+    const room = gameRooms[roomId];
+    const gameData = room.gameData;
+    room.stats.record(event);
+    
+    if (event.type === 'hit') {
+        io.to(roomId).emit('remoteCollision', {
+            type: 'paddle',
+            isHost: event.side === 'near',
+            seat: Seats.getSeatAt(event.side, event.slot),
+            position: event.position
+        });
+    } else if (event.type === 'wall') {
+        io.to(roomId).emit('remoteCollision', { type: 'wall', position: event.position });
+    } else if (event.type === 'bounce' || event.type === 'net') {
+        io.to(roomId).emit('remoteCollision', { type: event.type === 'net' ? 'net' : 'table', position: event.position });
+    } else if (event.type === 'score') {
+        // The near side is the host
+        gameData.hostScore = event.score.near;
+        gameData.guestScore = event.score.far;
+        
+        io.to(roomId).emit('remoteCollision', { type: 'goal', isHost: event.winner === 'near' });
+        io.to(roomId).emit('scoreUpdated', getScoreData(room));
+        handOverAISeats(roomId);
+    } else if (event.type === 'gameEnd') {
+        // Best-of matches: the next game starts from 0-0
+        Object.assign(gameData, { hostScore: 0, guestScore: 0, hostGames: event.games.near, guestGames: event.games.far });
+        io.to(roomId).emit('gameEnded', {
+            winner: event.winner === 'near' ? 'host' : 'guest',
+            hostScore: event.score.near,
+            guestScore: event.score.far,
+            hostGames: gameData.hostGames,
+            guestGames: gameData.guestGames
+        });
+        io.to(roomId).emit('scoreUpdated', getScoreData(room));
+    } else if (event.type === 'overtime') {
+        io.to(roomId).emit('overtime');
+    } else if (event.type === 'matchEnd') {
+        gameData.hostGames = event.games.near;
+        gameData.guestGames = event.games.far;
+        endRoomMatch(roomId, event.winner ? (event.winner === 'near' ? 'host' : 'guest') : null);
+    }
+}
+
+// Stop the simulation, announce the winner ('host', 'guest' or null for a draw) and
+// add the match to the history and leaderboards
+function endRoomMatch(roomId, winner) {
+    const room = gameRooms[roomId];
+    stopRoomSimulation(roomId);
+    room.gameData.isPlaying = false;
+    
+    console.log(`Match in room ${roomId} ${winner ? `won by ${winner}` : 'drawn'} (${room.gameData.hostScore}-${room.gameData.guestScore})`);
+    const match = matchHistory.record(summarizeMatch(roomId, winner));
+    for (const { playerId, profile, values } of getMultiplayerValues(match, SEATS)) {
+        leaderboards.record(playerId, profile, values, match.id);
+    }
+    publishRoomList();
+    io.to(roomId).emit('matchEnded', {
+        winner,
+        hostScore: room.gameData.hostScore,
+        guestScore: room.gameData.guestScore,
+        summary: getPublicMatchSummary(match)
+    });
+    if (winner) {
+        updateRatings(room, winner);
+    }
+}
+
+// The history entry for a match that just ended. Players are listed per seat with their
+// persistent id and profile, or the AI level that played the seat at the end.
+function summarizeMatch(roomId, winner) {
+    const room = gameRooms[roomId];
+    const stats = room.stats.getSummary();
+    
+    const players = {};
+    for (const seat of getRoomSeats(room)) {
+        const socket = room[seat] ? io.sockets.sockets.get(room[seat]) : null;
+        const profile = socket ? socket.data.profile : null;
+        players[seat] = {
+            playerId: (socket && socket.data.playerId) || null,
+            name: profile ? profile.name : null,
+            avatar: profile ? profile.avatar : null,
+            ai: room.bots[seat] || null
+        };
+    }
+    
+    return {
+        id: crypto.randomUUID(),
+        roomId,
+        ruleset: room.ruleset,
+        matchRules: room.matchRules,
+        mode: room.mode,
+        players,
+        aiPlayed: room.aiPlayed,
+        score: { host: room.gameData.hostScore, guest: room.gameData.guestScore },
+        games: { host: room.gameData.hostGames, guest: room.gameData.guestGames },
+        winner,
+        duration: Math.round(room.simulation.time / 1000), // Seconds simulated, pauses left out
+        longestRally: stats.longestRally,
+        hits: { host: stats.hits.near, guest: stats.hits.far }, // The near side is the host's
+        fastestReturn: { host: stats.fastestReturn.near, guest: stats.fastestReturn.far },
+        endedAt: Date.now()
+    };
+}
+
+// A history entry as sent to clients: persistent player ids stay on the server
+function getPublicMatchSummary(match) {
+    const players = {};
+    for (const [seat, player] of Object.entries(match.players)) {
+        players[seat] = { name: player.name, avatar: player.avatar, ai: player.ai };
+    }
+    return { ...match, players };
+}
+
+// Table tennis paddles move in 3D and rotate. Clients send their pose in their own frame;
+// it's clamped to the player's end and the far team's is mirrored into the host's frame.
+function updateTableTennisPaddle(socket, room, seat, data, velocity) {
+    const read = (value, fallback) => (typeof value === 'number' && Number.isFinite(value)) ? value : fallback;
+    const requested = {
+        x: data.x,
+        y: read(data.y, 0.9),
+        z: read(data.z, BallPhysics.PADDLE.nearZ)
+    };
+    const pose = TableTennisPhysics.clampPaddlePose(requested);
+    if (['x', 'y', 'z'].some(key => Math.abs(requested[key] - pose[key]) > PADDLE_BOUNDS_TOLERANCE)) {
+        reportViolation(socket, 'updatePaddlePosition', 'paddle out of bounds');
+    }
+    // Only VR paddles send an orientation; flat paddles aim by hit offset instead
+    const quaternion = data.quaternion ? readQuaternion(data.quaternion) : null;
+    
+    const { side, slot } = SEATS[seat];
+    let position = side === 'near' ? pose : BallPhysics.mirrorPosition(pose);
+    if (room.mode === 'doubles') position.x = clampToLane(position.x, slot);
+    position = limitPaddleMove(socket, room, seat, room.gameData[`${seat}PaddlePosition`], position);
+    
+    if (side === 'near') {
+        room.gameData[`${seat}PaddleVelocity`] = velocity;
+        room.gameData[`${seat}PaddleQuaternion`] = quaternion;
+    } else {
+        room.gameData[`${seat}PaddleVelocity`] = BallPhysics.mirrorVelocity(velocity);
+        room.gameData[`${seat}PaddleQuaternion`] = quaternion ? BallPhysics.mirrorQuaternion(quaternion) : null;
+    }
+    room.gameData[`${seat}PaddlePosition`] = position;
+}
+
+// Where a seat's paddle may get to from `from` on the way to `to` (host frame): no faster than
+// MAX_PADDLE_SPEED since its last input. Moves far past that are reported as well.
+function limitPaddleMove(socket, room, seat, from, to) {
+    const now = Date.now();
+    const elapsed = room.inputTimes[seat] ? now - room.inputTimes[seat] : Infinity;
+    room.inputTimes[seat] = now;
+    
+    // Inputs can arrive bunched up, so allow at least one tick's worth of movement
+    const seconds = Math.max(elapsed, 1000 / SIMULATION_TICK_RATE) / 1000;
+    const maxDistance = MAX_PADDLE_SPEED * seconds;
+    if (Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z) > maxDistance * PADDLE_SPEED_TOLERANCE) {
+        reportViolation(socket, 'updatePaddlePosition', 'paddle moved too fast');
+    }
+    return limitStep(from, to, maxDistance);
+}
+
+// Unit quaternion from client input, identity if invalid
+function readQuaternion(quaternion) {
+    const parts = ['x', 'y', 'z', 'w'].map(key => quaternion[key]);
+    if (!parts.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        return { x: 0, y: 0, z: 0, w: 1 };
+    }
+    
+    const length = Math.sqrt(parts.reduce((sum, value) => sum + value * value, 0));
+    if (length < 1e-6) return { x: 0, y: 0, z: 0, w: 1 };
+    
+    return { x: parts[0] / length, y: parts[1] / length, z: parts[2] / length, w: parts[3] / length };
+}
+
+// Swing velocity reported with paddle input, clamped per axis
+function readSwingVelocity(velocity) {
+    const read = (value) => (typeof value === 'number' && Number.isFinite(value)) ?
+        Math.max(-MAX_SWING_SPEED, Math.min(MAX_SWING_SPEED, value)) :
+        0;
+    
+    if (!velocity) return { x: 0, y: 0, z: 0 };
+    return { x: read(velocity.x), y: read(velocity.y), z: read(velocity.z) };
+}
+
+// Generate an unused room code
 function generateRoomId() {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+    let roomId;
+    do {
+        roomId = RoomCode.generateRoomCode();
+    } while (gameRooms[roomId]);
+    return roomId;
+}
+
+if (require.main === module) {
+    createGameServer().catch((error) => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
 }
+
+module.exports = { createGameServer };
@@ -0,0 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+
+// Persist data as pretty-printed JSON for the stores. The file is written under a temporary
+// name first and renamed over the old one, so a crash never leaves half a file behind.
+function writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { writeJsonFile };
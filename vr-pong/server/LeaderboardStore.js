@@ -0,0 +1,273 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeJsonFile } = require('./JsonFile');
+
+const MAX_ENTRIES = 100; // Players kept per board; lower values drop off
+const MAX_TICKETS = 1000; // Single player matches in progress at once; more are refused
+const MAX_PLAYER_TICKETS = 3; // Matches in progress per player; their oldest gives way
+const TICKET_LIFETIME = 60 * 60 * 1000; // Milliseconds a single player match may take
+const TIME_SLACK = 5; // Seconds of clock and rounding error allowed in a result
+const MAX_COUNT = 999; // Highest score or hit count a result may claim
+
+// Best values per player for each leaderboard board (see js/network/Leaderboards.mjs),
+// kept in a JSON file like the RatingStore: loaded on startup and rewritten after each
+// recorded match. The rating board is read from the RatingStore, with the names players
+// last played under.
+//
+// Multiplayer matches are recorded from the server's own summaries. Single player matches
+// run in the browser, so they start with a ticket (issueTicket) and their result is checked
+// (checkSinglePlayerResult) before it is recorded against the ticket.
+class LeaderboardStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.ratingStore = options.ratingStore || null;
+        this.maxEntries = options.maxEntries || MAX_ENTRIES;
+        this.maxTickets = options.maxTickets || MAX_TICKETS;
+        this.boards = {};
+        this.players = {};
+        this.tickets = new Map(); // Not persisted: a restart voids matches in progress
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.boards = data.boards || {};
+            this.players = data.players || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read leaderboards from ${this.filePath}:`, error.message);
+            }
+            this.boards = {};
+            this.players = {};
+        }
+    }
+
+    save() {
+        writeJsonFile(this.filePath, { boards: this.boards, players: this.players });
+    }
+
+    // Note a player's values ({ board: value }) from one match and persist them.
+    // Returns the boards where the player set a new personal best.
+    record(playerId, profile, values, matchId) {
+        const recordedAt = Date.now();
+        const records = [];
+
+        if (profile) {
+            this.players[playerId] = { name: profile.name, avatar: profile.avatar };
+        }
+        for (const [board, value] of Object.entries(values)) {
+            if (!(value > 0)) continue;
+
+            const entries = this.boards[board] || (this.boards[board] = {});
+            const best = entries[playerId];
+            if (best && best.value >= value) continue;
+
+            entries[playerId] = { value, matchId, recordedAt };
+            this.trim(board);
+            if (entries[playerId]) records.push(board);
+        }
+
+        try {
+            this.save();
+        } catch (error) {
+            console.error(`Could not save leaderboards to ${this.filePath}:`, error.message);
+        }
+        return records;
+    }
+
+    // Drop the lowest entries beyond maxEntries
+    trim(board) {
+        const entries = this.boards[board];
+        const ranked = Object.keys(entries).sort((a, b) => compareEntries(entries[a], entries[b]));
+        for (const playerId of ranked.slice(this.maxEntries)) {
+            delete entries[playerId];
+        }
+    }
+
+    // The top of a board as shown to clients: { rank, name, avatar, value, recordedAt },
+    // best first. Player ids stay on the server.
+    getTop(board, limit = 10) {
+        const entries = board === 'rating' ? this.getRatingEntries() : (this.boards[board] || {});
+
+        return Object.entries(entries)
+            .sort(([, a], [, b]) => compareEntries(a, b))
+            .slice(0, limit)
+            .map(([playerId, entry], i) => {
+                const player = this.players[playerId] || {};
+                return {
+                    rank: i + 1,
+                    name: player.name || 'Unknown',
+                    avatar: player.avatar || null,
+                    value: entry.value,
+                    recordedAt: entry.recordedAt
+                };
+            });
+    }
+
+    // Rated players in board entry form
+    getRatingEntries() {
+        const entries = {};
+        if (!this.ratingStore) return entries;
+
+        for (const [playerId, player] of Object.entries(this.ratingStore.players)) {
+            if (player.games > 0) {
+                entries[playerId] = { value: player.rating, recordedAt: player.updatedAt };
+            }
+        }
+        return entries;
+    }
+
+    // Start a single player match for a player. Returns the ticket id its result is
+    // submitted with, or null while too many matches are in progress. A player only ever
+    // replaces their own tickets, so nobody can push other players' matches out.
+    issueTicket(playerId, now = Date.now()) {
+        const own = [];
+        for (const [id, ticket] of this.tickets) {
+            if (now - ticket.issuedAt > TICKET_LIFETIME) {
+                this.tickets.delete(id);
+            } else if (ticket.playerId === playerId) {
+                own.push(id); // Oldest first, in insertion order
+            }
+        }
+        for (const id of own.slice(0, Math.max(0, own.length - MAX_PLAYER_TICKETS + 1))) {
+            this.tickets.delete(id);
+        }
+        if (this.tickets.size >= this.maxTickets) return null;
+
+        const id = crypto.randomUUID();
+        this.tickets.set(id, { playerId, issuedAt: now });
+        return id;
+    }
+
+    // The ticket for a finished single player match, which can only be used once.
+    // Null when it is unknown, expired or belongs to another player.
+    takeTicket(id, playerId, now = Date.now()) {
+        const ticket = this.tickets.get(id);
+        if (!ticket || ticket.playerId !== playerId) return null;
+
+        this.tickets.delete(id);
+        return now - ticket.issuedAt > TICKET_LIFETIME ? null : ticket;
+    }
+}
+
+// Higher values first, earlier records first among equals
+function compareEntries(a, b) {
+    return b.value - a.value || (a.recordedAt || 0) - (b.recordedAt || 0);
+}
+
+// Why a single player result (see Game.getSinglePlayerResult) can't go on the boards, or
+// null when it holds up. The browser reports it, so it is checked against what a match
+// under its rules could produce in the time since its ticket was issued. That bounds what
+// a result can claim, but a tampered browser staying within the bounds still gets through.
+// rules: { rulesets, difficulties, serveDelay (ms), minPointTime (s), maxBallSpeed (m/s),
+// matchRules } where matchRules is js/sim/MatchRules.mjs
+function checkSinglePlayerResult(result, ticket, rules, now = Date.now()) {
+    if (!result || typeof result !== 'object') return 'no result';
+    if (!rules.rulesets.includes(result.ruleset)) return 'unknown ruleset';
+    if (!rules.difficulties.includes(result.difficulty)) return 'unknown AI difficulty';
+
+    const counts = ['ownScore', 'opponentScore', 'ownGames', 'opponentGames', 'points', 'ownHits', 'opponentHits', 'longestRally'];
+    if (!counts.every(key => Number.isInteger(result[key]) && result[key] >= 0 && result[key] <= MAX_COUNT)) {
+        return 'scores and hits must be whole numbers';
+    }
+    if (!Number.isFinite(result.duration) || result.duration < 0) return 'invalid duration';
+    if (!Number.isFinite(result.fastestReturn) || result.fastestReturn < 0) return 'invalid return speed';
+
+    const { matchRules } = rules;
+    const match = matchRules.readMatchRules(result.matchRules, result.ruleset);
+    const score = { near: result.ownScore, far: result.opponentScore };
+    const games = { near: result.ownGames, far: result.opponentGames };
+    const leader = matchRules.getLeader(games, score);
+    if (result.won !== (leader ? leader === 'near' : null)) return 'outcome does not match the score';
+
+    const elapsed = (now - ticket.issuedAt) / 1000;
+    if (result.duration > elapsed + TIME_SLACK) return 'match took longer than it has been running';
+
+    // Every point takes at least minPointTime, and every point but the last is followed by
+    // the serve delay
+    const { points, ownHits, opponentHits } = result;
+    if (points < score.near + score.far) return 'fewer points than the score';
+    const minimumDuration = points * rules.minPointTime + Math.max(0, points - 1) * rules.serveDelay / 1000;
+    if (minimumDuration > result.duration + TIME_SLACK) {
+        return 'too many points for the duration';
+    }
+
+    // The clock runs out on a match without a winning point, and only sudden death plays on
+    if (match.timeLimit !== null) {
+        if (result.duration > match.timeLimit + TIME_SLACK && !match.suddenDeath) return 'match went on past its time limit';
+        const wonOnPoints = matchRules.getGameWinner(match, score.near, score.far) !== null;
+        if (!wonOnPoints && result.duration < match.timeLimit - TIME_SLACK) return 'match ended before its time limit';
+    }
+
+    // Without a clock a match only ends on the point that wins its last game
+    if (match.timeLimit === null) {
+        const loser = leader === 'near' ? 'far' : 'near';
+        if (matchRules.getGameWinner(match, score.near, score.far) !== leader) return 'last game is not finished';
+        const before = { ...score, [leader]: score[leader] - 1 };
+        if (matchRules.getGameWinner(match, before.near, before.far)) return 'last game went on after it was won';
+        // The last game is counted in the games too
+        const gamesToWin = matchRules.getGamesToWin(match);
+        if (games[leader] !== gamesToWin || games[loser] >= gamesToWin) return 'games do not add up';
+    }
+
+    // The sides take turns hitting, so each point leaves at most one unanswered hit
+    if (result.longestRally > ownHits + opponentHits) return 'rally longer than the hits';
+    if (Math.abs(ownHits - opponentHits) > points + 1) return 'hits do not add up';
+    if (result.fastestReturn > 0 && ownHits === 0) return 'return speed without a hit';
+    // Swing can push the ball a little past the cap (see BallPhysics.applySwing)
+    if (result.fastestReturn > rules.maxBallSpeed * 2) return 'return faster than the ball can go';
+
+    return null;
+}
+
+// Board values from a checked single player result. Only single game matches count for
+// the winning margin.
+function getSinglePlayerValues(result, matchRules) {
+    const values = {
+        longestRally: result.longestRally,
+        [`longestRally:${result.ruleset}`]: result.longestRally,
+        fastestReturn: roundSpeed(result.fastestReturn),
+        [`fastestReturn:${result.ruleset}`]: roundSpeed(result.fastestReturn)
+    };
+    if (result.won && matchRules.bestOf === 1) {
+        values[`margin:${result.difficulty}`] = result.ownScore - result.opponentScore;
+    }
+    return values;
+}
+
+// Board values for each player of a multiplayer match (see server.js's summarizeMatch):
+// [{ playerId, profile, values }]. AI seats are left out; teammates share their side's
+// fastest return.
+function getMultiplayerValues(match, seats) {
+    return Object.entries(match.players)
+        .filter(([, player]) => player.playerId)
+        .map(([seat, player]) => {
+            const team = seats[seat].side === 'near' ? 'host' : 'guest';
+            const fastestReturn = roundSpeed(match.fastestReturn[team]);
+            return {
+                playerId: player.playerId,
+                profile: player.name ? { name: player.name, avatar: player.avatar } : null,
+                values: {
+                    longestRally: match.longestRally,
+                    [`longestRally:${match.ruleset}`]: match.longestRally,
+                    fastestReturn,
+                    [`fastestReturn:${match.ruleset}`]: fastestReturn
+                }
+            };
+        });
+}
+
+function roundSpeed(speed) {
+    return Math.round(speed * 100) / 100;
+}
+
+module.exports = {
+    LeaderboardStore,
+    checkSinglePlayerResult,
+    getSinglePlayerValues,
+    getMultiplayerValues,
+    MAX_ENTRIES,
+    MAX_TICKETS,
+    MAX_PLAYER_TICKETS
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const { writeJsonFile } = require('./JsonFile');
+
+const MAX_MATCHES = 1000; // Older matches are dropped once there are more
+
+// Finished multiplayer matches kept in a JSON file, oldest first. Like the RatingStore,
+// the whole file is loaded on startup and rewritten after each match.
+class MatchHistoryStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.maxMatches = options.maxMatches || MAX_MATCHES;
+        this.matches = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            this.matches = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).matches || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read match history from ${this.filePath}:`, error.message);
+            }
+            this.matches = [];
+        }
+    }
+
+    save() {
+        writeJsonFile(this.filePath, { matches: this.matches });
+    }
+
+    // Add a finished match (see server.js's summarizeMatch) and persist the history
+    record(match) {
+        this.matches.push(match);
+        if (this.matches.length > this.maxMatches) {
+            this.matches.splice(0, this.matches.length - this.maxMatches);
+        }
+
+        try {
+            this.save();
+        } catch (error) {
+            console.error(`Could not save match history to ${this.filePath}:`, error.message);
+        }
+        return match;
+    }
+
+    // The most recent matches, newest first
+    getRecent(limit = 20) {
+        return this.matches.slice(-limit).reverse();
+    }
+}
+
+module.exports = { MatchHistoryStore, MAX_MATCHES };
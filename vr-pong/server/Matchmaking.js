@@ -0,0 +1,150 @@
+// Skill-based matchmaking: Elo ratings and a queue that pairs players of similar rating.
+// A player's acceptable rating gap starts narrow and widens the longer they wait, so
+// everyone is eventually matched even when few players are online.
+
+const DEFAULT_RATING = 1200;
+const PROVISIONAL_GAMES = 10; // New players' ratings move faster until they have played this many matches
+const K_FACTOR = { provisional: 40, established: 24 };
+
+const BASE_RATING_GAP = 100;  // Rating difference accepted straight away
+const GAP_GROWTH = 20;        // Extra rating difference accepted per second of waiting
+const MAX_RATING_GAP = 1000;
+const RECENT_WAITS = 20;      // Matched wait times kept per ruleset for wait estimates
+
+// Probability that a player rated `rating` beats one rated `opponentRating`
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function kFactor(games) {
+    return games < PROVISIONAL_GAMES ? K_FACTOR.provisional : K_FACTOR.established;
+}
+
+// New ratings after a match. Each record is { rating, games }.
+function updateElo(winner, loser) {
+    const expected = expectedScore(winner.rating, loser.rating);
+    return {
+        winnerRating: Math.round(winner.rating + kFactor(winner.games) * (1 - expected)),
+        loserRating: Math.round(loser.rating - kFactor(loser.games) * (1 - expected))
+    };
+}
+
+// Largest rating difference a player who has waited waitMs will accept
+function ratingGap(waitMs) {
+    return Math.min(MAX_RATING_GAP, BASE_RATING_GAP + GAP_GROWTH * waitMs / 1000);
+}
+
+class MatchmakingQueue {
+    constructor(options = {}) {
+        this.clock = options.clock || { now: () => Date.now() };
+        this.entries = [];      // { socketId, playerId, rating, ruleset, joinedAt }, oldest first
+        this.recentWaits = {};  // ruleset -> wait times (ms) of recent matches
+    }
+
+    add(entry) {
+        this.remove(entry.socketId);
+        const queued = { ...entry, joinedAt: this.clock.now() };
+        this.entries.push(queued);
+        return queued;
+    }
+
+    remove(socketId) {
+        const index = this.entries.findIndex(entry => entry.socketId === socketId);
+        if (index === -1) return false;
+        this.entries.splice(index, 1);
+        return true;
+    }
+
+    get(socketId) {
+        return this.entries.find(entry => entry.socketId === socketId) || null;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // A pair is acceptable when the rating difference fits the longer waiter's gap
+    canPair(a, b, now = this.clock.now()) {
+        if (a.ruleset !== b.ruleset) return false;
+        const gap = ratingGap(now - Math.min(a.joinedAt, b.joinedAt));
+        return Math.abs(a.rating - b.rating) <= gap;
+    }
+
+    // Pair off everyone who can be matched, longest waiters first, each with the closest
+    // acceptable rating. Paired entries leave the queue. Returns [[first, second], ...]
+    // with the longer waiter first.
+    findMatches() {
+        const now = this.clock.now();
+        const matches = [];
+        const paired = new Set();
+
+        for (const entry of this.entries) {
+            if (paired.has(entry)) continue;
+
+            let best = null;
+            for (const candidate of this.entries) {
+                if (candidate === entry || paired.has(candidate) || !this.canPair(entry, candidate, now)) continue;
+                if (!best || Math.abs(candidate.rating - entry.rating) < Math.abs(best.rating - entry.rating)) {
+                    best = candidate;
+                }
+            }
+
+            if (best) {
+                paired.add(entry);
+                paired.add(best);
+                matches.push([entry, best]);
+                this.recordWait(entry.ruleset, now - entry.joinedAt);
+                this.recordWait(best.ruleset, now - best.joinedAt);
+            }
+        }
+
+        this.entries = this.entries.filter(entry => !paired.has(entry));
+        return matches;
+    }
+
+    recordWait(ruleset, waitMs) {
+        const waits = this.recentWaits[ruleset] || (this.recentWaits[ruleset] = []);
+        waits.push(waitMs);
+        if (waits.length > RECENT_WAITS) waits.shift();
+    }
+
+    // Estimated seconds until the entry is matched, or null if there is nothing to go on.
+    // With someone else queued for the same rules it is the time until the gap widens
+    // enough to reach the closest rating; otherwise the recent average wait.
+    estimateWait(socketId) {
+        const entry = this.get(socketId);
+        if (!entry) return null;
+
+        const now = this.clock.now();
+        let soonest = null;
+        for (const other of this.entries) {
+            if (other === entry || other.ruleset !== entry.ruleset) continue;
+
+            const waited = (now - Math.min(entry.joinedAt, other.joinedAt)) / 1000;
+            const difference = Math.abs(entry.rating - other.rating);
+            const needed = (difference - BASE_RATING_GAP) / GAP_GROWTH - waited;
+            const seconds = difference > MAX_RATING_GAP ? null : Math.max(0, Math.ceil(needed));
+            if (seconds !== null && (soonest === null || seconds < soonest)) {
+                soonest = seconds;
+            }
+        }
+        if (soonest !== null) return soonest;
+
+        const waits = this.recentWaits[entry.ruleset];
+        if (!waits || waits.length === 0) return null;
+        const average = waits.reduce((sum, wait) => sum + wait, 0) / waits.length;
+        return Math.max(0, Math.ceil((average - (now - entry.joinedAt)) / 1000));
+    }
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    BASE_RATING_GAP,
+    GAP_GROWTH,
+    MAX_RATING_GAP,
+    expectedScore,
+    kFactor,
+    updateElo,
+    ratingGap,
+    MatchmakingQueue
+};
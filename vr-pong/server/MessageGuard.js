@@ -0,0 +1,145 @@
+// Checks each message a client sends before server.js acts on it: the payload has to match
+// the event's schema and stay within the event's rate limit. Rooms are still checked by the
+// handlers, since only they know which room a message is about. Clients that keep breaking
+// the rules earn a kick: MAX_VIOLATIONS within VIOLATION_WINDOW.
+
+const MAX_VIOLATIONS = 10;
+const VIOLATION_WINDOW = 10000; // Milliseconds
+const MAX_STRING_LENGTH = 256;
+const MAX_BINARY_SIZE = 512; // Bytes; protocol messages are well under 100
+
+// Messages per second per socket, with bursts of up to BURST_SECONDS worth
+const RATE_LIMITS = {
+    updatePaddlePosition: 60, // Clients send 30
+    updateControllerData: 60,
+    rtcIceCandidate: 20,
+    default: 5
+};
+const BURST_SECONDS = 2;
+
+// Payload per client event: 'binary' for protocol messages (Protocol.mjs), null for events
+// without data (anything sent along is ignored), or an object of fields. Field types are
+// 'string', 'boolean' or 'object', optional when they end in '?'. Other fields are not allowed.
+const SCHEMAS = {
+    hostGame: { ruleset: 'string?', matchRules: 'object?', mode: 'string?', private: 'boolean?', name: 'string?' },
+    joinQueue: { ruleset: 'string?' },
+    leaveQueue: null,
+    watchLobby: null,
+    leaveLobby: null,
+    quickJoin: null,
+    joinRoom: { code: 'string' },
+    spectateRoom: { code: 'string' },
+    stopSpectating: null,
+    startGame: { roomId: 'string', fillWithAI: 'boolean?' },
+    resumeSession: { roomId: 'string', token: 'string' },
+    updateProfile: { name: 'string?', color: 'string?', avatar: 'string?' },
+    rtcOffer: { description: 'object' },
+    rtcAnswer: { description: 'object' },
+    rtcIceCandidate: { candidate: 'object' },
+    updatePaddlePosition: 'binary',
+    updateControllerData: 'binary'
+};
+
+function isKnownEvent(event) {
+    return Object.prototype.hasOwnProperty.call(SCHEMAS, event);
+}
+
+// Null if the payload fits the event's schema, otherwise what is wrong with it
+function validateMessage(event, data) {
+    if (!isKnownEvent(event)) return 'unknown event';
+
+    const schema = SCHEMAS[event];
+    if (schema === null) return null;
+
+    if (schema === 'binary') {
+        if (!Buffer.isBuffer(data) && !(data instanceof ArrayBuffer)) return 'expected binary data';
+        return data.byteLength > MAX_BINARY_SIZE ? 'binary message too large' : null;
+    }
+
+    // No payload at all is an empty object
+    const payload = data === undefined ? {} : data;
+    if (!isPlainObject(payload)) return 'expected an object';
+    for (const key of Object.keys(payload)) {
+        if (!schema[key]) return `unexpected field ${key}`;
+    }
+    for (const [key, spec] of Object.entries(schema)) {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = payload[key];
+
+        if (value === undefined || value === null) {
+            if (optional) continue;
+            return `missing field ${key}`;
+        }
+        if (type === 'object' ? !isPlainObject(value) : typeof value !== type) {
+            return `field ${key} should be ${type === 'object' ? 'an object' : `a ${type}`}`;
+        }
+        if (type === 'string' && value.length > MAX_STRING_LENGTH) return `field ${key} is too long`;
+    }
+    return null;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+// `to`, moved at most maxDistance away from `from` (both { x, y, z })
+function limitStep(from, to, maxDistance) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance <= maxDistance) return { ...to };
+
+    const scale = maxDistance / distance;
+    return { x: from.x + dx * scale, y: from.y + dy * scale, z: from.z + dz * scale };
+}
+
+// One per socket
+class MessageGuard {
+    constructor(options = {}) {
+        this.clock = options.clock || { now: () => Date.now() };
+        this.buckets = {}; // event -> { tokens, updatedAt }
+        this.violations = []; // Times of recent violations
+    }
+
+    // Null if the message may be handled, otherwise why not
+    check(event, data) {
+        if (!this.take(event)) return 'rate limit exceeded';
+        return validateMessage(event, data);
+    }
+
+    // Token bucket per event
+    take(event) {
+        const rate = Object.prototype.hasOwnProperty.call(RATE_LIMITS, event) ? RATE_LIMITS[event] : RATE_LIMITS.default;
+        const capacity = rate * BURST_SECONDS;
+        const now = this.clock.now();
+        const bucket = this.buckets[event] || (this.buckets[event] = { tokens: capacity, updatedAt: now });
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+        bucket.updatedAt = now;
+        if (bucket.tokens < 1) return false;
+
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    // Count a violation. Returns true once the client should be kicked.
+    addViolation() {
+        const now = this.clock.now();
+        this.violations = this.violations.filter(time => now - time < VIOLATION_WINDOW);
+        this.violations.push(now);
+        return this.violations.length >= MAX_VIOLATIONS;
+    }
+}
+
+module.exports = {
+    MAX_VIOLATIONS,
+    VIOLATION_WINDOW,
+    RATE_LIMITS,
+    BURST_SECONDS,
+    isKnownEvent,
+    validateMessage,
+    limitStep,
+    MessageGuard
+};
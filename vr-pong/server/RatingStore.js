@@ -0,0 +1,62 @@
+const fs = require('fs');
+const { writeJsonFile } = require('./JsonFile');
+const { DEFAULT_RATING, updateElo } = require('./Matchmaking');
+
+// Player ratings kept in a JSON file, so they survive restarts without a database.
+// The whole file is loaded on startup and rewritten after each rated match.
+class RatingStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.players = {};
+        this.load();
+    }
+
+    load() {
+        try {
+            this.players = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).players || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read ratings from ${this.filePath}:`, error.message);
+            }
+            this.players = {};
+        }
+    }
+
+    save() {
+        writeJsonFile(this.filePath, { players: this.players });
+    }
+
+    // The player's record, or a fresh one for players who have not finished a match
+    get(playerId) {
+        return this.players[playerId] || { rating: DEFAULT_RATING, games: 0, wins: 0, losses: 0 };
+    }
+
+    getRating(playerId) {
+        return this.get(playerId).rating;
+    }
+
+    // Update both players' ratings for a finished match and persist them.
+    // Returns { winner: { rating, change }, loser: { rating, change } }.
+    recordMatch(winnerId, loserId) {
+        const winner = this.get(winnerId);
+        const loser = this.get(loserId);
+        const { winnerRating, loserRating } = updateElo(winner, loser);
+        const updatedAt = Date.now();
+
+        this.players[winnerId] = { ...winner, rating: winnerRating, games: winner.games + 1, wins: winner.wins + 1, updatedAt };
+        this.players[loserId] = { ...loser, rating: loserRating, games: loser.games + 1, losses: loser.losses + 1, updatedAt };
+
+        try {
+            this.save();
+        } catch (error) {
+            console.error(`Could not save ratings to ${this.filePath}:`, error.message);
+        }
+
+        return {
+            winner: { rating: winnerRating, change: winnerRating - winner.rating },
+            loser: { rating: loserRating, change: loserRating - loser.rating }
+        };
+    }
+}
+
+module.exports = { RatingStore };
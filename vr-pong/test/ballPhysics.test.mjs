@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BALL,
+    PADDLE,
+    TABLE,
+    MAX_REFLECTION_ANGLE,
+    createBallState,
+    serveBall,
+    increaseSpeed,
+    calculateReflection,
+    checkPaddleCollision,
+    checkOutOfBounds,
+    stepBall
+} from '../js/sim/BallPhysics.mjs';
+import { createRandom } from '../js/sim/GameSimulation.mjs';
+
+const DT = 1 / 120;
+const noJitter = () => 0.5; // calculateReflection adds (random() - 0.5) * jitter
+
+function speedOf(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function ballAt(position, velocity) {
+    const state = createBallState();
+    Object.assign(state.position, position);
+    Object.assign(state.velocity, velocity);
+    return state;
+}
+
+// Step until a paddle hit or a score, up to maxSteps
+function stepUntilResult(state, paddles, random, maxSteps = 600) {
+    for (let i = 0; i < maxSteps; i++) {
+        const step = stepBall(state, paddles, DT, random);
+        if (step.result) return step;
+    }
+    return null;
+}
+
+test('center hit reflects straight back toward the opponent at the same speed', () => {
+    const paddle = { x: 0, y: TABLE.ballY, z: PADDLE.nearZ };
+    const reflection = calculateReflection({ x: 0, y: 0, z: 1.5 }, { x: 0, y: TABLE.ballY, z: -0.12 }, paddle, noJitter);
+
+    assert.ok(Math.abs(reflection.x) < 1e-9);
+    assert.ok(reflection.z < 0, 'near paddle sends the ball toward the far end');
+    assert.ok(Math.abs(speedOf(reflection) - 1.5) < 1e-9);
+});
+
+test('reflection angle grows with the hit offset up to 60 degrees', () => {
+    const paddle = { x: 0.1, y: TABLE.ballY, z: PADDLE.farZ };
+    const velocity = { x: 0, y: 0, z: -1 };
+    const angleAt = (offset) => {
+        const r = calculateReflection(velocity, { x: paddle.x + offset, y: TABLE.ballY, z: -1.88 }, paddle, noJitter);
+        assert.ok(r.z > 0, 'far paddle sends the ball toward the near end');
+        return Math.atan2(r.x, r.z);
+    };
+
+    const half = PADDLE.width / 2;
+    assert.ok(Math.abs(angleAt(half / 2) - MAX_REFLECTION_ANGLE / 2) < 1e-9);
+    assert.ok(Math.abs(angleAt(-half) + MAX_REFLECTION_ANGLE) < 1e-9);
+    // Hits beyond the paddle width are clamped to the steepest angle
+    assert.ok(Math.abs(angleAt(half * 3) - MAX_REFLECTION_ANGLE) < 1e-9);
+});
+
+test('edge hits deflect the ball back with 90% of its speed', () => {
+    const paddle = { x: 0, y: TABLE.ballY, z: PADDLE.nearZ };
+    const edgeX = PADDLE.width * 0.45 + 0.02;
+    const state = ballAt({ x: edgeX, y: TABLE.ballY, z: PADDLE.nearZ }, { x: 0, y: 0, z: 2 });
+
+    assert.equal(checkPaddleCollision(state, paddle), 'edge');
+    assert.ok(state.velocity.z < 0);
+    assert.ok(state.velocity.x > 0, 'right edge sends the ball to the right');
+    assert.ok(Math.abs(speedOf(state.velocity) - 1.8) < 1e-9);
+});
+
+test('hits inside the edge zone are left to the reflection, misses report false', () => {
+    const paddle = { x: 0, y: TABLE.ballY, z: PADDLE.nearZ };
+    const center = ballAt({ x: 0.05, y: TABLE.ballY, z: PADDLE.nearZ }, { x: 0, y: 0, z: 2 });
+    assert.equal(checkPaddleCollision(center, paddle), 'center');
+    assert.equal(center.velocity.z, 2, 'center hits are not deflected here');
+
+    const wide = ballAt({ x: 0.3, y: TABLE.ballY, z: PADDLE.nearZ }, { x: 0, y: 0, z: 2 });
+    assert.equal(checkPaddleCollision(wide, paddle), false);
+});
+
+// HANDOVER.md: "Ball occasionally slipping through paddle edges"
+test('regression: a ball grazing the paddle edge within the buffer is returned', () => {
+    const paddle = { x: 0, y: TABLE.ballY, z: PADDLE.nearZ };
+    // Just outside the paddle mesh but inside the collision buffer
+    const x = PADDLE.halfExtents.x + PADDLE.collisionBuffer;
+    const state = ballAt({ x, y: TABLE.ballY, z: -0.6 }, { x: 0, y: 0, z: 1.2 });
+
+    const step = stepUntilResult(state, { near: paddle, far: null }, createRandom(1));
+    assert.equal(step.result, 'player');
+    assert.ok(state.velocity.z < 0);
+    assert.ok(state.velocity.x > 0, 'leaves at a steep angle off the right edge');
+});
+
+test('regression: a ball at max speed cannot tunnel through the paddle edge in one step', () => {
+    const paddle = { x: 0, y: TABLE.ballY, z: PADDLE.nearZ };
+    // Starts just short of the paddle and would end past it after one step
+    const state = ballAt({ x: PADDLE.width * 0.45 + 0.01, y: TABLE.ballY, z: -0.14 }, { x: 0, y: 0, z: BALL.maxSpeed * 3 });
+
+    const step = stepBall(state, { near: paddle, far: null }, DT, createRandom(2));
+    assert.equal(step.result, 'player');
+    assert.ok(state.velocity.z < 0);
+    assert.ok(state.position.z < PADDLE.nearZ + 0.05, 'ball stays in front of the paddle');
+});
+
+test('regression: a diagonal shot at the paddle corner does not slip past', () => {
+    const paddle = { x: 0.2, y: TABLE.ballY, z: PADDLE.farZ };
+    const random = createRandom(3);
+    const state = ballAt({ x: 0.5, y: TABLE.ballY, z: -1.5 }, { x: -0.45, y: 0, z: -1.5 });
+
+    const step = stepUntilResult(state, { near: null, far: paddle }, random);
+    assert.equal(step.result, 'ai');
+    assert.ok(state.velocity.z > 0);
+});
+
+test('side walls bounce the ball and keep it on the table', () => {
+    const state = ballAt({ x: TABLE.halfWidth - 0.005, y: TABLE.ballY, z: -1 }, { x: 1, y: 0, z: 0.2 });
+    state.spin = 10;
+
+    const step = stepBall(state, { near: null, far: null }, DT, createRandom(4));
+    assert.equal(step.wall, true);
+    assert.equal(state.position.x, TABLE.halfWidth);
+    assert.equal(state.velocity.x < 0, true);
+    assert.ok(state.spin < 10, 'spin is damped by the wall');
+});
+
+test('out of bounds past either end scores for the other side', () => {
+    assert.equal(checkOutOfBounds(ballAt({ x: 0, y: TABLE.ballY, z: 0.01 }, {})), 'player_score');
+    assert.equal(checkOutOfBounds(ballAt({ x: 0, y: TABLE.ballY, z: -2.01 }, {})), 'ai_score');
+    assert.equal(checkOutOfBounds(ballAt({ x: 0, y: TABLE.ballY, z: -1 }, {})), false);
+
+    // stepBall resets the ball when it leaves the table
+    const state = ballAt({ x: 0, y: TABLE.ballY, z: -0.005 }, { x: 0, y: 0, z: 1 });
+    const step = stepBall(state, { near: null, far: null }, DT, createRandom(5));
+    assert.equal(step.result, 'player_score');
+    assert.deepEqual({ ...state.position }, { x: 0, y: TABLE.ballY, z: TABLE.centerZ });
+    assert.equal(state.velocity.z, 0);
+});
+
+test('increaseSpeed speeds the ball up but never past the maximum', () => {
+    const state = ballAt({}, { x: 0, y: 0, z: 1 });
+    increaseSpeed(state);
+    assert.ok(Math.abs(speedOf(state.velocity) - BALL.speedIncrease) < 1e-9);
+
+    for (let i = 0; i < 50; i++) increaseSpeed(state);
+    assert.ok(Math.abs(speedOf(state.velocity) - BALL.maxSpeed) < 1e-9);
+
+    const fast = ballAt({}, { x: 0, y: 0, z: BALL.maxSpeed + 1 });
+    increaseSpeed(fast);
+    assert.equal(fast.velocity.z, BALL.maxSpeed + 1, 'balls already past the cap are left alone');
+});
+
+test('serves on a fixed seed are reproducible and within 45 degrees', () => {
+    const serve = (seed) => {
+        const state = createBallState();
+        serveBall(state, createRandom(seed));
+        return state.velocity;
+    };
+
+    assert.deepEqual(serve(11), serve(11));
+    for (let seed = 1; seed <= 20; seed++) {
+        const v = serve(seed);
+        assert.ok(Math.abs(speedOf(v) - BALL.initialSpeed) < 1e-9);
+        assert.ok(Math.abs(v.x) <= Math.abs(v.z) + 1e-9);
+    }
+});
@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LeaderboardStore, checkSinglePlayerResult, getSinglePlayerValues, getMultiplayerValues, MAX_PLAYER_TICKETS } = require('../server/LeaderboardStore');
+const { RatingStore } = require('../server/RatingStore');
+
+// A plausible 11-7 table tennis win over the hard AI, two minutes long, under the usual
+// game to 11
+function createResult(changes = {}) {
+    return {
+        mode: 'single',
+        ruleset: 'tableTennis',
+        difficulty: 'hard',
+        won: true,
+        ownScore: 11,
+        opponentScore: 7,
+        ownGames: 1,
+        opponentGames: 0,
+        points: 18,
+        duration: 120,
+        longestRally: 9,
+        ownHits: 40,
+        opponentHits: 35,
+        fastestReturn: 2.84,
+        ...changes
+    };
+}
+
+test('leaderboards keep each player\'s best, persist them and rank the rating board', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vr-pong-leaderboards-'));
+    const ratingStore = new RatingStore(path.join(dir, 'ratings.json'));
+    ratingStore.recordMatch('ada', 'bob');
+
+    const store = new LeaderboardStore(path.join(dir, 'leaderboards.json'), { ratingStore, maxEntries: 2 });
+    assert.deepEqual(store.record('ada', { name: 'Ada', avatar: 'fox' }, { longestRally: 12, fastestReturn: 0 }, 'm1'), ['longestRally']);
+    assert.deepEqual(store.record('ada', null, { longestRally: 8 }, 'm2'), [], 'a lower value is not a record');
+    store.record('bob', { name: 'Bob', avatar: 'cat' }, { longestRally: 15 }, 'm3');
+    assert.deepEqual(store.record('cy', { name: 'Cy', avatar: 'star' }, { longestRally: 5 }, 'm4'), [], 'below the kept entries');
+
+    const reloaded = new LeaderboardStore(path.join(dir, 'leaderboards.json'), { ratingStore });
+    const top = reloaded.getTop('longestRally');
+    assert.deepEqual(top.map(entry => [entry.rank, entry.name, entry.value]), [[1, 'Bob', 15], [2, 'Ada', 12]]);
+    assert.equal(top[0].playerId, undefined, 'player ids stay on the server');
+    assert.deepEqual(reloaded.getTop('fastestReturn'), []);
+
+    const ratings = reloaded.getTop('rating');
+    assert.deepEqual(ratings.map(entry => entry.name), ['Ada', 'Bob']);
+    assert.ok(ratings[0].value > ratings[1].value);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('single player results are checked against their ticket and the rules', async () => {
+    const matchRules = await import('../js/sim/MatchRules.mjs');
+    const rules = {
+        rulesets: ['classic', 'tableTennis'],
+        difficulties: ['easy', 'medium', 'hard'],
+        serveDelay: 1000,
+        minPointTime: 1 / 6,
+        maxBallSpeed: 3,
+        matchRules
+    };
+    const store = new LeaderboardStore(path.join(os.tmpdir(), 'vr-pong-unused', 'leaderboards.json'));
+    const now = Date.now();
+    const id = store.issueTicket('ada', now - 200 * 1000);
+
+    assert.equal(store.takeTicket(id, 'bob', now), null, 'another player\'s ticket');
+    const ticket = store.takeTicket(id, 'ada', now);
+    assert.ok(ticket);
+    assert.equal(store.takeTicket(id, 'ada', now), null, 'tickets are used once');
+
+    assert.equal(checkSinglePlayerResult(createResult(), ticket, rules, now), null);
+    const bestOfThree = { pointTarget: 11, winByTwo: true, bestOf: 3 };
+    assert.equal(checkSinglePlayerResult(createResult({ matchRules: bestOfThree, ownGames: 2, opponentGames: 1, points: 60 }), ticket, rules, now), null);
+    const firstToFiveOnTheClock = { timeLimit: 180, pointTarget: 5 };
+    assert.equal(checkSinglePlayerResult(createResult({ matchRules: firstToFiveOnTheClock, ownScore: 3, opponentScore: 2, ownGames: 2, points: 15, duration: 180 }), ticket, rules, now), null);
+    const timed = { timeLimit: 180 };
+    assert.equal(checkSinglePlayerResult(createResult({ matchRules: timed, ownGames: 0, duration: 181 }), ticket, rules, now), null);
+    const tampered = [
+        createResult({ difficulty: 'impossible' }),
+        createResult({ ownScore: 30 }),
+        createResult({ ownScore: 11, opponentScore: 10, points: 21 }),
+        createResult({ matchRules: bestOfThree, points: 60 }),
+        createResult({ points: 10 }),
+        createResult({ won: false }),
+        createResult({ duration: 300 }),
+        createResult({ matchRules: timed, ownScore: 186, opponentScore: 0, ownGames: 0, points: 186, duration: 180 }),
+        createResult({ matchRules: timed, ownGames: 0, duration: 100 }),
+        createResult({ matchRules: timed, ownGames: 0, duration: 195 }),
+        createResult({ matchRules: firstToFiveOnTheClock, ownScore: 3, opponentScore: 2, ownGames: 2, points: 15, duration: 100 }),
+        createResult({ duration: 5 }),
+        createResult({ longestRally: 90 }),
+        createResult({ ownHits: 80 }),
+        createResult({ fastestReturn: 40 }),
+        createResult({ ownScore: 11.5 })
+    ];
+    for (const result of tampered) {
+        assert.equal(typeof checkSinglePlayerResult(result, ticket, rules, now), 'string', JSON.stringify(result));
+    }
+
+    assert.equal(getSinglePlayerValues(createResult(), matchRules.readMatchRules(bestOfThree))['margin:hard'], undefined);
+    assert.deepEqual(getSinglePlayerValues(createResult(), matchRules.getDefaultMatchRules('tableTennis')), {
+        longestRally: 9,
+        'longestRally:tableTennis': 9,
+        fastestReturn: 2.84,
+        'fastestReturn:tableTennis': 2.84,
+        'margin:hard': 4
+    });
+});
+
+test('players only push out their own tickets, and new ones are refused when full', () => {
+    const store = new LeaderboardStore(path.join(os.tmpdir(), 'vr-pong-unused', 'leaderboards.json'), { maxTickets: 5 });
+    const now = Date.now();
+    const ada = store.issueTicket('ada', now);
+    const spam = [];
+    for (let i = 0; i <= MAX_PLAYER_TICKETS; i++) {
+        spam.push(store.issueTicket('mallory', now));
+    }
+    assert.equal(store.takeTicket(spam[0], 'mallory', now), null, 'the oldest gave way');
+    assert.ok(store.takeTicket(spam[MAX_PLAYER_TICKETS], 'mallory', now));
+
+    store.issueTicket('bob', now);
+    store.issueTicket('carol', now);
+    assert.equal(store.issueTicket('dave', now), null);
+    assert.ok(store.takeTicket(ada, 'ada', now), 'nobody else\'s ticket was dropped');
+    assert.ok(store.issueTicket('dave', now), 'room again once a ticket is used');
+});
+
+test('multiplayer matches give each human player their team\'s values', async () => {
+    const { SEATS } = await import('../js/network/Seats.mjs');
+    const values = getMultiplayerValues({
+        ruleset: 'classic',
+        longestRally: 7,
+        fastestReturn: { host: 2.512, guest: 1.9 },
+        players: {
+            host: { playerId: 'ada', name: 'Ada', avatar: 'fox', ai: null },
+            guest: { playerId: null, name: null, avatar: null, ai: 'medium' }
+        }
+    }, SEATS);
+
+    assert.deepEqual(values, [{
+        playerId: 'ada',
+        profile: { name: 'Ada', avatar: 'fox' },
+        values: { longestRally: 7, 'longestRally:classic': 7, fastestReturn: 2.51, 'fastestReturn:classic': 2.51 }
+    }]);
+});
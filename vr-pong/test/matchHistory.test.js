@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MatchHistoryStore } = require('../server/MatchHistoryStore');
+
+test('the match history persists to its file and keeps only the latest matches', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vr-pong-history-'));
+    const file = path.join(dir, 'nested', 'matches.json');
+
+    const store = new MatchHistoryStore(file, { maxMatches: 3 });
+    assert.deepEqual(store.getRecent(), []);
+    for (let i = 1; i <= 4; i++) {
+        store.record({ id: `match-${i}`, score: { host: i, guest: 0 } });
+    }
+
+    const reloaded = new MatchHistoryStore(file, { maxMatches: 3 });
+    assert.deepEqual(reloaded.getRecent().map(match => match.id), ['match-4', 'match-3', 'match-2']);
+    assert.deepEqual(reloaded.getRecent(1)[0].score, { host: 4, guest: 0 });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation } from '../js/sim/GameSimulation.mjs';
+import { readMatchRules, getDefaultMatchRules, getPresetRules, getGameWinner, describeMatchRules } from '../js/sim/MatchRules.mjs';
+
+// A match with a manual clock, started and ready to be scored with endPoint
+function createMatch(rules, ruleset = 'classic') {
+    let time = 0;
+    const sim = new GameSimulation({ ruleset, rules, seed: 2, clock: { now: () => time } });
+    sim.start();
+    return sim;
+}
+
+// Score points in order ('near' or 'far') and return all events
+function score(sim, winners) {
+    return winners.flatMap(winner => sim.endPoint(winner, 0, 0));
+}
+
+test('match rules are read from untrusted data, falling back to the ruleset\'s usual ones', () => {
+    assert.deepEqual(readMatchRules(null, 'tableTennis'), getDefaultMatchRules('tableTennis'));
+    assert.deepEqual(readMatchRules({ timeLimit: -5, pointTarget: 'lots' }, 'classic'), getDefaultMatchRules('classic'));
+    assert.deepEqual(readMatchRules({ pointTarget: 5, bestOf: 4, suddenDeath: true }, 'classic'), {
+        timeLimit: null, pointTarget: 5, winByTwo: false, bestOf: 1, suddenDeath: false
+    });
+    assert.deepEqual(getPresetRules('suddenDeath', 'tableTennis'), {
+        timeLimit: 180, pointTarget: null, winByTwo: false, bestOf: 1, suddenDeath: true
+    });
+    assert.equal(describeMatchRules(getPresetRules('bestOf3', 'classic')), 'FIRST TO 11, WIN BY 2, BEST OF 3');
+});
+
+test('games are won on the point target, with win by two when asked', () => {
+    const firstTo5 = readMatchRules({ pointTarget: 5 });
+    assert.equal(getGameWinner(firstTo5, 5, 4), 'near');
+    assert.equal(getGameWinner(firstTo5, 3, 4), null);
+
+    const winByTwo = readMatchRules({ pointTarget: 5, winByTwo: true });
+    assert.equal(getGameWinner(winByTwo, 5, 4), null);
+    assert.equal(getGameWinner(winByTwo, 5, 7), 'far');
+    assert.equal(getGameWinner(readMatchRules({ timeLimit: 60 }), 40, 0), null, 'timed matches have no target');
+});
+
+test('a first to N match ends on the winning point, also in classic', () => {
+    const sim = createMatch({ pointTarget: 3 });
+    const events = score(sim, ['near', 'far', 'near', 'near']);
+
+    const end = events.find(e => e.type === 'matchEnd');
+    assert.deepEqual(end, { type: 'matchEnd', winner: 'near', score: { near: 3, far: 1 }, games: { near: 1, far: 0 } });
+    assert.equal(sim.phase, 'ended');
+});
+
+test('best of N matches play games from 0-0 until one side has a majority', () => {
+    const sim = createMatch({ pointTarget: 2, bestOf: 3 });
+
+    const first = score(sim, ['far', 'far']);
+    assert.deepEqual(first.find(e => e.type === 'gameEnd').games, { near: 0, far: 1 });
+    assert.deepEqual(sim.getState().score, { near: 0, far: 0 });
+    assert.equal(sim.phase, 'serving');
+
+    score(sim, ['near', 'near']);
+    const last = score(sim, ['near', 'far', 'near']);
+    const end = last.find(e => e.type === 'matchEnd');
+    assert.equal(end.winner, 'near');
+    assert.deepEqual(end.games, { near: 2, far: 1 });
+    assert.ok(!last.some(e => e.type === 'gameEnd'), 'the deciding game ends the match instead');
+});
+
+test('when time runs out the leader wins, a tie is a draw or goes to sudden death', () => {
+    const timed = createMatch({ timeLimit: 60 });
+    score(timed, ['far']);
+    assert.deepEqual(timed.timeUp().map(e => [e.type, e.winner]), [['matchEnd', 'far']]);
+    assert.deepEqual(timed.timeUp(), [], 'only once');
+
+    const tied = createMatch({ timeLimit: 60 });
+    score(tied, ['far', 'near']);
+    assert.equal(tied.timeUp()[0].winner, null);
+
+    const suddenDeath = createMatch({ timeLimit: 60, suddenDeath: true });
+    score(suddenDeath, ['far', 'near']);
+    assert.deepEqual(suddenDeath.timeUp(), [{ type: 'overtime' }]);
+    assert.equal(suddenDeath.getState().overtime, true);
+    const events = score(suddenDeath, ['near']);
+    assert.equal(events.find(e => e.type === 'matchEnd').winner, 'near');
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_RATING,
+    BASE_RATING_GAP,
+    GAP_GROWTH,
+    expectedScore,
+    updateElo,
+    ratingGap,
+    MatchmakingQueue
+} = require('../server/Matchmaking');
+const { RatingStore } = require('../server/RatingStore');
+
+function createClock() {
+    let time = 0;
+    return {
+        now: () => time,
+        advance: (ms) => { time += ms; }
+    };
+}
+
+test('Elo rewards upsets more than expected wins', () => {
+    assert.equal(expectedScore(1200, 1200), 0.5);
+    assert.ok(expectedScore(1400, 1200) > 0.75);
+
+    const favourite = { rating: 1400, games: 20 };
+    const underdog = { rating: 1200, games: 20 };
+    const expected = updateElo(favourite, underdog);
+    const upset = updateElo(underdog, favourite);
+
+    assert.ok(expected.winnerRating - favourite.rating < upset.winnerRating - underdog.rating);
+    // Established players exchange the same number of points
+    assert.equal(expected.winnerRating - favourite.rating, underdog.rating - expected.loserRating);
+});
+
+test('new players\' ratings move faster', () => {
+    const provisional = updateElo({ rating: 1200, games: 0 }, { rating: 1200, games: 0 });
+    const established = updateElo({ rating: 1200, games: 30 }, { rating: 1200, games: 30 });
+    assert.ok(provisional.winnerRating > established.winnerRating);
+});
+
+test('the accepted rating gap widens with waiting time', () => {
+    assert.equal(ratingGap(0), BASE_RATING_GAP);
+    assert.equal(ratingGap(10000), BASE_RATING_GAP + 10 * GAP_GROWTH);
+    assert.ok(ratingGap(60 * 60 * 1000) <= 1000);
+});
+
+test('the queue pairs close ratings first and waits for the gap to widen for the rest', () => {
+    const clock = createClock();
+    const queue = new MatchmakingQueue({ clock });
+    queue.add({ socketId: 'a', rating: 1200, ruleset: 'classic' });
+    queue.add({ socketId: 'b', rating: 1500, ruleset: 'classic' });
+    queue.add({ socketId: 'c', rating: 1250, ruleset: 'classic' });
+    queue.add({ socketId: 'd', rating: 1500, ruleset: 'tableTennis' });
+
+    const first = queue.findMatches();
+    assert.deepEqual(first.map(pair => pair.map(entry => entry.socketId)), [['a', 'c']]);
+    assert.equal(queue.size, 2);
+
+    // b and d want different rules, so they never meet
+    clock.advance(120000);
+    assert.deepEqual(queue.findMatches(), []);
+    // Nobody else wants classic: the estimate comes from recent waits, which were instant
+    assert.equal(queue.estimateWait('b'), 0);
+    assert.equal(new MatchmakingQueue({ clock }).estimateWait('b'), null);
+});
+
+test('estimated wait counts down to when the gap reaches the closest rating', () => {
+    const clock = createClock();
+    const queue = new MatchmakingQueue({ clock });
+    queue.add({ socketId: 'a', rating: 1200, ruleset: 'classic' });
+    queue.add({ socketId: 'b', rating: 1200 + BASE_RATING_GAP + 10 * GAP_GROWTH, ruleset: 'classic' });
+
+    assert.equal(queue.estimateWait('a'), 10);
+    clock.advance(4000);
+    assert.equal(queue.estimateWait('b'), 6);
+    assert.deepEqual(queue.findMatches(), []);
+
+    clock.advance(6000);
+    assert.equal(queue.findMatches().length, 1);
+    assert.equal(queue.estimateWait('a'), null, 'no longer queued');
+});
+
+test('ratings persist to the store file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vr-pong-ratings-'));
+    const file = path.join(dir, 'nested', 'ratings.json');
+
+    const store = new RatingStore(file);
+    assert.equal(store.getRating('ada'), DEFAULT_RATING);
+
+    const result = store.recordMatch('ada', 'grace');
+    assert.ok(result.winner.change > 0);
+    assert.equal(result.loser.change, -result.winner.change);
+
+    const reloaded = new RatingStore(file);
+    assert.equal(reloaded.getRating('ada'), result.winner.rating);
+    assert.deepEqual(
+        { games: reloaded.get('grace').games, wins: reloaded.get('grace').wins, losses: reloaded.get('grace').losses },
+        { games: 1, wins: 0, losses: 1 }
+    );
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
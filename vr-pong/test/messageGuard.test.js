@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MAX_VIOLATIONS,
+    VIOLATION_WINDOW,
+    RATE_LIMITS,
+    BURST_SECONDS,
+    validateMessage,
+    limitStep,
+    MessageGuard
+} = require('../server/MessageGuard');
+
+function createClock() {
+    let time = 0;
+    return {
+        now: () => time,
+        advance: (ms) => { time += ms; }
+    };
+}
+
+test('payloads must match their event\'s schema', () => {
+    assert.equal(validateMessage('startGame', { roomId: 'ABC234', fillWithAI: true }), null);
+    assert.equal(validateMessage('hostGame', undefined), null);
+    assert.equal(validateMessage('quickJoin', 'anything'), null);
+    assert.equal(validateMessage('updatePaddlePosition', Buffer.alloc(20)), null);
+
+    assert.equal(validateMessage('startGame', {}), 'missing field roomId');
+    assert.equal(validateMessage('startGame', { roomId: 7 }), 'field roomId should be a string');
+    assert.equal(validateMessage('joinRoom', { code: 'ABC234', isHost: true }), 'unexpected field isHost');
+    assert.equal(validateMessage('joinRoom', { code: 'x'.repeat(1000) }), 'field code is too long');
+    assert.equal(validateMessage('rtcOffer', { description: 'v=0' }), 'field description should be an object');
+    assert.equal(validateMessage('updatePaddlePosition', { x: 0.3 }), 'expected binary data');
+    assert.equal(validateMessage('updatePaddlePosition', Buffer.alloc(4096)), 'binary message too large');
+    assert.equal(validateMessage('updateScore', { hostScore: 10 }), 'unknown event');
+});
+
+test('each event has its own rate limit with a short burst allowance', () => {
+    const clock = createClock();
+    const guard = new MessageGuard({ clock });
+    const burst = RATE_LIMITS.updatePaddlePosition * BURST_SECONDS;
+
+    for (let i = 0; i < burst; i++) {
+        assert.equal(guard.check('updatePaddlePosition', Buffer.alloc(20)), null);
+    }
+    assert.equal(guard.check('updatePaddlePosition', Buffer.alloc(20)), 'rate limit exceeded');
+    // Other events have their own budget
+    assert.equal(guard.check('watchLobby'), null);
+
+    clock.advance(100);
+    assert.equal(guard.check('updatePaddlePosition', Buffer.alloc(20)), null);
+});
+
+test('repeated violations within the window earn a kick', () => {
+    const clock = createClock();
+    const guard = new MessageGuard({ clock });
+
+    for (let i = 1; i < MAX_VIOLATIONS; i++) {
+        assert.equal(guard.addViolation(), false);
+    }
+    clock.advance(VIOLATION_WINDOW);
+    assert.equal(guard.addViolation(), false, 'old violations are forgotten');
+
+    for (let i = 1; i < MAX_VIOLATIONS; i++) {
+        guard.addViolation();
+    }
+    assert.equal(guard.addViolation(), true);
+});
+
+test('limitStep moves at most the given distance toward the target', () => {
+    const from = { x: 0, y: 0.9, z: -0.1 };
+    assert.deepEqual(limitStep(from, { x: 0.1, y: 0.9, z: -0.1 }, 0.25), { x: 0.1, y: 0.9, z: -0.1 });
+
+    const step = limitStep(from, { x: 3, y: 0.9, z: 3.9 }, 0.5);
+    assert.ok(Math.abs(step.x - 0.3) < 1e-9);
+    assert.ok(Math.abs(step.z - 0.3) < 1e-9);
+    assert.equal(step.y, 0.9);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AI_PROFILES, createAIState, predictInterceptX, stepAI } from '../js/sim/PaddleAI.mjs';
+import { createAdaptiveState, recordPoint, applyAdaptive, blendProfile, getWeakSide } from '../js/sim/AdaptiveAI.mjs';
+import { GameSimulation, createRandom } from '../js/sim/GameSimulation.mjs';
+import { PADDLE, TABLE } from '../js/sim/BallPhysics.mjs';
+
+const DT = 1 / 120;
+
+// A ball heading straight at the far paddle's line
+function incomingBall(x, velocityX = 0) {
+    return {
+        position: { x, y: TABLE.ballY, z: -0.5 },
+        velocity: { x: velocityX, y: 0, z: -1 }
+    };
+}
+
+test('predictInterceptX extrapolates to the paddle line and folds off the walls', () => {
+    const ball = incomingBall(0, 0.5);
+    assert.equal(predictInterceptX(ball.position, ball.velocity, -1.5, false), 0.5);
+
+    // 1.4 m to the right bounces off the wall at 0.7 and comes back to 0
+    const bouncing = incomingBall(0, 1.4);
+    assert.ok(Math.abs(predictInterceptX(bouncing.position, bouncing.velocity, -1.5, true)) < 1e-9);
+
+    // Moving away from the line
+    assert.equal(predictInterceptX(ball.position, { x: 0, y: 0, z: 1 }, -1.5), null);
+});
+
+test('the AI tracks a steady ball to its intercept within its speed limit', () => {
+    const ai = createAIState('expert');
+    ai.profile.errorRate = 0;
+    ai.profile.aimNoise = 0;
+    const paddle = { x: 0, y: TABLE.ballY, z: PADDLE.farZ };
+    const random = createRandom(1);
+    const ball = incomingBall(0.4);
+
+    let previousX = paddle.x;
+    for (let i = 0; i < 240; i++) {
+        stepAI(ai, paddle, ball, DT, random);
+        assert.ok(Math.abs(paddle.x - previousX) <= ai.profile.maxSpeed * DT + 1e-9, 'speed limit');
+        previousX = paddle.x;
+    }
+    assert.ok(Math.abs(paddle.x - 0.4) < 0.01);
+});
+
+test('the AI only reacts after its reaction delay', () => {
+    const ai = createAIState('easy');
+    const paddle = { x: 0, y: TABLE.ballY, z: PADDLE.farZ };
+    const random = createRandom(2);
+    const ball = incomingBall(0.5);
+
+    const steps = Math.floor(AI_PROFILES.easy.reactionDelay / 1000 / DT) - 2;
+    for (let i = 0; i < steps; i++) {
+        stepAI(ai, paddle, ball, DT, random);
+    }
+    assert.equal(paddle.x, 0);
+});
+
+test('the paddle never leaves the table', () => {
+    const ai = createAIState('expert');
+    const paddle = { x: 0, y: TABLE.ballY, z: PADDLE.farZ };
+    const random = createRandom(3);
+    const ball = incomingBall(2);
+
+    for (let i = 0; i < 600; i++) {
+        stepAI(ai, paddle, ball, DT, random);
+    }
+    assert.ok(Math.abs(paddle.x) <= PADDLE.maxX);
+});
+
+test('harder profiles concede fewer points on fixed seeds', () => {
+    const conceded = (difficulty) => {
+        let time = 0;
+        const clock = { now: () => time };
+        const sim = new GameSimulation({ seed: 21, clock, ai: { near: 'expert', far: difficulty } });
+        sim.start();
+        sim.update();
+        for (let i = 0; i < 60 * 180; i++) {
+            time += 1000 / 60;
+            sim.update();
+        }
+        return sim.getState().score.near;
+    };
+
+    const easy = conceded('easy');
+    const expert = conceded('expert');
+    assert.ok(easy > expert, `easy conceded ${easy}, expert ${expert}`);
+});
+
+test('dynamic skill backs off while the AI leads and rises while it trails', () => {
+    const leading = createAdaptiveState();
+    for (let i = 1; i <= 5; i++) {
+        recordPoint(leading, { winner: 'ai', rallyHits: 2, missX: 0.2, aiScore: i, playerScore: 0 });
+    }
+    assert.ok(leading.skill < 0.4);
+
+    const trailing = createAdaptiveState();
+    for (let i = 1; i <= 5; i++) {
+        recordPoint(trailing, { winner: 'player', rallyHits: 8, missX: null, aiScore: 0, playerScore: i });
+    }
+    assert.ok(trailing.skill > 0.4);
+
+    assert.deepEqual(blendProfile(0).maxSpeed, AI_PROFILES.easy.maxSpeed);
+    assert.deepEqual(blendProfile(1).maxSpeed, AI_PROFILES.expert.maxSpeed);
+});
+
+test('dynamic AI aims at the side the player keeps missing on', () => {
+    const adaptive = createAdaptiveState(0.6);
+    const ai = createAIState('dynamic');
+
+    recordPoint(adaptive, { winner: 'ai', rallyHits: 6, missX: -0.4, aiScore: 1, playerScore: 1 });
+    assert.equal(getWeakSide(adaptive), null, 'one miss is not a pattern');
+
+    recordPoint(adaptive, { winner: 'ai', rallyHits: 6, missX: -0.5, aiScore: 2, playerScore: 2 });
+    applyAdaptive(ai, adaptive);
+    assert.equal(getWeakSide(adaptive), 'left');
+    assert.ok(ai.aimAt < 0);
+});
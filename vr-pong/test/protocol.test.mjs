@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageEncoder, MessageDecoder, PROTOCOL_VERSION } from '../js/network/Protocol.mjs';
+
+function snapshot(tick, ballX) {
+    return {
+        tick,
+        time: 1700000000000 + tick,
+        ball: {
+            position: { x: ballX, y: 0.9, z: -1 },
+            velocity: { x: 0.5, y: 0, z: -2.25 },
+            spin: -0.3
+        },
+        hostPaddle: { x: 0.05, y: 0.9, z: -0.1 },
+        guestPaddle: { x: -0.3, y: 0.9, z: -1.9 }
+    };
+}
+
+test('snapshots round-trip at millimetre precision and are much smaller than JSON', () => {
+    const encoder = new MessageEncoder('snapshot');
+    const decoder = new MessageDecoder();
+
+    const data = encoder.encode(snapshot(1, 0.1234));
+    assert.ok(data.byteLength < JSON.stringify(snapshot(1, 0.1234)).length / 3);
+
+    const decoded = decoder.decode(data);
+    assert.equal(decoded.type, 'snapshot');
+    assert.equal(decoded.keyframe, true);
+    assert.deepEqual(decoded.message, snapshot(1, 0.123));
+});
+
+test('deltas leave out unchanged fields and the decoder fills them in', () => {
+    const encoder = new MessageEncoder('snapshot');
+    const decoder = new MessageDecoder();
+    const keyframe = encoder.encode(snapshot(1, 0));
+    const delta = encoder.encode(snapshot(2, 0.2));
+
+    // Header, tick, time and the ball position: 28 of the keyframe's 56 bytes
+    assert.equal(delta.byteLength, 28);
+    assert.equal(keyframe.byteLength, 56);
+    decoder.decode(keyframe);
+    const decoded = decoder.decode(delta);
+    assert.equal(decoded.keyframe, false);
+    assert.deepEqual(decoded.message, snapshot(2, 0.2));
+});
+
+test('nothing is sent when nothing changed, and keyframes recur', () => {
+    const encoder = new MessageEncoder('paddle', { keyframeInterval: 3 });
+    const paddle = { position: { x: 0.1, y: 0.9, z: -0.1 }, velocity: { x: 0, y: 0, z: 0 } };
+
+    assert.ok(encoder.encode(paddle));
+    assert.equal(encoder.encode(paddle), null);
+    assert.equal(encoder.encode({ ...paddle, quaternion: null }), null);
+
+    const flags = [0.2, 0.3, 0.4, 0.5].map(x => {
+        const data = encoder.encode({ ...paddle, position: { x, y: 0.9, z: -0.1 } });
+        return new DataView(data).getUint8(3);
+    });
+    assert.deepEqual(flags, [0, 0, 1, 0]);
+});
+
+test('deltas without their base are dropped until the next keyframe', () => {
+    const encoder = new MessageEncoder('snapshot');
+    const decoder = new MessageDecoder();
+    decoder.decode(encoder.encode(snapshot(1, 0)));
+    encoder.encode(snapshot(2, 0.1)); // Lost on the way
+
+    assert.equal(decoder.decode(encoder.encode(snapshot(3, 0.2))), null);
+    encoder.reset();
+    assert.deepEqual(decoder.decode(encoder.encode(snapshot(4, 0.3))).message, snapshot(4, 0.3));
+});
+
+test('with a keyframe interval of 1 every message decodes on its own, lost or out of order', () => {
+    const encoder = new MessageEncoder('paddle', { keyframeInterval: 1 });
+    const decoder = new MessageDecoder();
+    const paddle = (x) => ({ position: { x, y: 0.9, z: -0.1 }, velocity: { x: 0, y: 0, z: 0 } });
+
+    const first = encoder.encode(paddle(0.1));
+    encoder.encode(paddle(0.2)); // Lost on the way
+    const third = encoder.encode(paddle(0.3));
+    assert.equal(decoder.decode(third).message.position.x, 0.3);
+    assert.equal(decoder.decode(first).message.position.x, 0.1);
+
+    // Unchanged poses are sent again, so the receiver's copy stays fresh
+    const repeated = decoder.decode(encoder.encode(paddle(0.3)));
+    assert.equal(repeated.keyframe, true);
+    assert.equal(repeated.message.position.x, 0.3);
+});
+
+test('other protocol versions, unknown types and malformed messages are rejected', () => {
+    const encoder = new MessageEncoder('paddle');
+    const data = encoder.encode({ position: { x: 0, y: 0.9, z: 0 }, velocity: { x: 0, y: 0, z: 0 } });
+    const decoder = new MessageDecoder();
+
+    const otherVersion = data.slice(0);
+    new DataView(otherVersion).setUint8(0, PROTOCOL_VERSION + 1);
+    assert.equal(decoder.decode(otherVersion), null);
+
+    const unknownType = data.slice(0);
+    new DataView(unknownType).setUint8(1, 99);
+    assert.equal(decoder.decode(unknownType), null);
+
+    assert.equal(decoder.decode(data.slice(0, data.byteLength - 1)), null);
+    assert.equal(decoder.decode({ x: 0 }), null);
+    assert.equal(decoder.decode(null), null);
+
+    // A Node Buffer view works as well as an ArrayBuffer
+    assert.ok(decoder.decode(Buffer.from(data)));
+});
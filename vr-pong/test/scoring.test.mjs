@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation, createRandom, LANE_OVERLAP, laneForX } from '../js/sim/GameSimulation.mjs';
+import { getServer, createRally, stepTableTennisBall, TT_TABLE } from '../js/sim/TableTennisPhysics.mjs';
+import { BALL, PADDLE, TABLE } from '../js/sim/BallPhysics.mjs';
+import { MatchStats } from '../js/sim/MatchStats.mjs';
+import { getDefaultMatchRules, readMatchRules, getGameWinner } from '../js/sim/MatchRules.mjs';
+
+// Manual clock so runs don't depend on wall time
+function createClock() {
+    let time = 0;
+    return {
+        now: () => time,
+        advance: (ms) => { time += ms; }
+    };
+}
+
+// Play frames of 1/60 s until the predicate returns true or maxSeconds pass.
+// Returns all events seen.
+function play(sim, clock, maxSeconds, until = () => false) {
+    const events = [];
+    sim.update();
+    for (let i = 0; i < maxSeconds * 60; i++) {
+        clock.advance(1000 / 60);
+        for (const event of sim.update()) {
+            events.push(event);
+        }
+        if (until(events)) break;
+    }
+    return events;
+}
+
+test('createRandom is reproducible per seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+    const first = [a(), a(), a()];
+
+    assert.deepEqual(first, [b(), b(), b()]);
+    assert.notDeepEqual(first, [c(), c(), c()]);
+    assert.ok(first.every(value => value >= 0 && value < 1));
+});
+
+test('an unattended paddle concedes: the far AI scores and serves again after the delay', () => {
+    const clock = createClock();
+    const sim = new GameSimulation({ seed: 5, clock, serveDelay: 1000, ai: { far: 'expert' } });
+    // Keep the near paddle out of the way
+    sim.setPaddleInput('near', { position: { x: 5, y: TABLE.ballY, z: PADDLE.nearZ } });
+    sim.start();
+
+    const events = play(sim, clock, 30, seen => seen.filter(e => e.type === 'serve').length >= 2);
+    const score = events.find(e => e.type === 'score');
+    const serves = events.filter(e => e.type === 'serve');
+
+    assert.equal(score.winner, 'far');
+    assert.deepEqual(score.score, { near: 0, far: 1 });
+    assert.equal(serves.length, 2);
+    assert.deepEqual(sim.getState().score, { near: 0, far: 1 });
+});
+
+test('the same seed and inputs replay the same match', () => {
+    const run = (seed) => {
+        const clock = createClock();
+        const sim = new GameSimulation({ seed, clock, ai: { near: 'hard', far: 'medium' } });
+        sim.start();
+        const events = play(sim, clock, 60);
+        return { events: JSON.stringify(events), state: sim.getState() };
+    };
+
+    const first = run(9);
+    const second = run(9);
+    assert.equal(first.events, second.events);
+    assert.deepEqual(first.state, second.state);
+    assert.notEqual(run(10).events, first.events);
+});
+
+test('table tennis games end at 11 won by 2', () => {
+    const clock = createClock();
+    const sim = new GameSimulation({ ruleset: 'tableTennis', seed: 3, clock, ai: { near: 'expert', far: 'easy' } });
+    sim.start();
+
+    const events = play(sim, clock, 1200, seen => seen.some(e => e.type === 'matchEnd'));
+    const end = events.find(e => e.type === 'matchEnd');
+
+    assert.ok(end, 'the game finished');
+    assert.equal(getGameWinner(getDefaultMatchRules('tableTennis'), end.score.near, end.score.far), end.winner);
+    assert.equal(sim.phase, 'ended');
+
+    // Nothing happens after the match is over
+    clock.advance(5000);
+    assert.deepEqual(sim.update(), []);
+});
+
+test('table tennis serve alternates every two points and every point from 10-10', () => {
+    const rules = getDefaultMatchRules('tableTennis');
+    assert.equal(getServer('near', 0, 0, rules), 'near');
+    assert.equal(getServer('near', 1, 0, rules), 'near');
+    assert.equal(getServer('near', 1, 1, rules), 'far');
+    assert.equal(getServer('near', 3, 0, rules), 'far');
+    assert.equal(getServer('near', 2, 2, rules), 'near');
+    assert.equal(getServer('near', 10, 10, rules), 'near');
+    assert.equal(getServer('near', 11, 10, rules), 'far');
+    assert.equal(getServer('near', 11, 11, rules), 'near');
+});
+
+test('table tennis deuce follows the match rules\' point target', () => {
+    const toSeven = readMatchRules({ pointTarget: 7, winByTwo: true });
+    assert.equal(getServer('near', 6, 6, toSeven), 'near');
+    assert.equal(getServer('near', 7, 6, toSeven), 'far');
+    assert.equal(getServer('near', 7, 7, toSeven), 'near');
+    // Two serves each as usual at 7-7 when games are to 11
+    assert.equal(getServer('near', 7, 6, getDefaultMatchRules('tableTennis')), 'near');
+
+    // Without win by two there is no deuce
+    const firstTo7 = readMatchRules({ pointTarget: 7 });
+    assert.equal(getServer('near', 6, 6, firstTo7), 'near');
+    assert.equal(getServer('near', 7, 6, firstTo7), 'near');
+});
+
+test('table tennis winner needs 11 points and a two point lead', () => {
+    const rules = getDefaultMatchRules('tableTennis');
+    assert.equal(getGameWinner(rules, 10, 8), null);
+    assert.equal(getGameWinner(rules, 11, 9), 'near');
+    assert.equal(getGameWinner(rules, 11, 10), null);
+    assert.equal(getGameWinner(rules, 12, 14), 'far');
+});
+
+test('table tennis: a ball bouncing twice on the receiver side is the hitter\'s point', () => {
+    const state = {
+        position: { x: 0, y: TT_TABLE.surfaceY + 0.05, z: -1.5 },
+        velocity: { x: 0, y: 0, z: -0.3 },
+        spin: 0,
+        hits: 1
+    };
+    const rally = createRally('near');
+    rally.lastHitter = 'near';
+
+    let winner = null;
+    for (let i = 0; i < 600 && !winner; i++) {
+        winner = stepTableTennisBall(state, { near: null, far: null }, 1 / 120, rally, createRandom(1)).winner;
+    }
+    assert.equal(winner, 'near');
+});
+
+test('the near side wins the point when the far paddle is out of reach', () => {
+    const clock = createClock();
+    const sim = new GameSimulation({ seed: 8, clock, ai: { near: 'expert' } });
+    // Far paddle left out of reach: the near AI wins the point
+    sim.setPaddleInput('far', { position: { x: 5, y: TABLE.ballY, z: PADDLE.farZ } });
+    sim.start();
+
+    const events = play(sim, clock, 30, seen => seen.some(e => e.type === 'score'));
+    const score = events.find(e => e.type === 'score');
+    assert.equal(score.winner, 'near');
+    assert.ok(events.every(e => e.type !== 'hit' || e.side === 'near'));
+});
+
+test('doubles paddles keep to their lanes and the paddle in the ball\'s lane plays it', () => {
+    const clock = createClock();
+    const sim = new GameSimulation({ seed: 3, clock, doubles: true, ai: { near: 'expert', far: 'expert' } });
+    sim.setAI('near', 'expert', 1);
+    sim.setAI('far', 'expert', 1);
+
+    // Player input is kept in the lane too
+    sim.setPaddleInput('near', { position: { x: 0.5, y: TABLE.ballY, z: PADDLE.nearZ } }, 0);
+    assert.equal(sim.getPaddle('near', 0).position.x, LANE_OVERLAP);
+    sim.start();
+
+    const events = play(sim, clock, 20);
+    const hits = events.filter(e => e.type === 'hit');
+    assert.ok(hits.length > 0);
+    for (const hit of hits.filter(e => Math.abs(e.position.x) > 0.1)) {
+        assert.equal(hit.slot, laneForX(hit.position.x));
+    }
+
+    const state = sim.getState();
+    assert.ok(state.paddles.far.position.x <= LANE_OVERLAP);
+    assert.ok(state.partners.near.position.x >= -LANE_OVERLAP);
+});
+
+test('match stats count each side\'s hits, the longest rally and the fastest return', () => {
+    const clock = createClock();
+    const sim = new GameSimulation({ seed: 5, clock, ai: { near: 'expert', far: 'expert' } });
+    sim.start();
+
+    const stats = new MatchStats();
+    const events = play(sim, clock, 20);
+    events.forEach(event => stats.record(event));
+
+    const hits = events.filter(e => e.type === 'hit');
+    const summary = stats.getSummary();
+    assert.equal(summary.hits.near, hits.filter(e => e.side === 'near').length);
+    assert.equal(summary.hits.far, hits.filter(e => e.side === 'far').length);
+    assert.ok(summary.longestRally > 0 && summary.longestRally <= hits.length);
+    const nearSpeeds = hits.filter(e => e.side === 'near').map(e => e.speed);
+    assert.equal(summary.fastestReturn.near, Math.max(0, ...nearSpeeds));
+    assert.ok(summary.fastestReturn.far > 0 && summary.fastestReturn.far <= 2 * BALL.maxSpeed);
+
+    // A point ends the rally
+    stats.reset();
+    ['hit', 'hit', 'hit', 'score', 'hit'].forEach(type => stats.record({ type, side: 'near', speed: 1.5 }));
+    assert.deepEqual(stats.getSummary(), {
+        points: 1,
+        hits: { near: 4, far: 0 },
+        longestRally: 3,
+        fastestReturn: { near: 1.5, far: 0 }
+    });
+});
@@ -0,0 +1,920 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connectClient } = require('socket.io-client');
+const { createGameServer } = require('../server.js');
+
+let gameServer;
+let url;
+let dataDir;
+let Protocol;
+const clients = [];
+
+before(async () => {
+    Protocol = await import('../js/network/Protocol.mjs');
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vr-pong-test-'));
+    // Short reconnect timings keep the disconnect tests quick
+    gameServer = await createGameServer({ port: 0, secure: false, dataDir, reconnectGracePeriod: 500, resumeDelay: 100 });
+    url = `http://localhost:${gameServer.port}`;
+});
+
+after(async () => {
+    await gameServer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+afterEach(async () => {
+    while (clients.length) {
+        clients.pop().disconnect();
+    }
+    // Let the server process the disconnects
+    await waitFor(() => Object.keys(gameServer.gameRooms).length === 0);
+});
+
+// auth is the connection handshake data, e.g. { playerId }
+function connect(auth = {}) {
+    const client = connectClient(url, { transports: ['websocket'], forceNew: true, auth });
+    clients.push(client);
+    
+    // Snapshots and relayed controllers are binary deltas, so each one is decoded as it
+    // arrives; tests wait on client.decoded for the decoded messages
+    client.decoder = new Protocol.MessageDecoder();
+    client.decoded = new EventEmitter();
+    for (const event of ['stateSnapshot', 'remoteControllerData']) {
+        client.on(event, (payload) => {
+            const decoded = client.decoder.decode(payload);
+            if (decoded) client.decoded.emit(event, decoded);
+        });
+    }
+    client.paddleEncoder = new Protocol.MessageEncoder('paddle');
+    client.controllerEncoder = new Protocol.MessageEncoder('controllers');
+    return new Promise((resolve, reject) => {
+        client.once('connect', () => resolve(client));
+        client.once('connect_error', reject);
+    });
+}
+
+function once(client, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+        client.once(event, (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+function nextSnapshot(client) {
+    return once(client.decoded, 'stateSnapshot').then(decoded => decoded.message);
+}
+
+// Paddle input as the browser sends it
+function sendPaddle(client, x) {
+    const message = client.paddleEncoder.encode({
+        position: { x, y: 0.9, z: -0.1 },
+        velocity: { x: 0, y: 0, z: 0 }
+    });
+    if (message) client.emit('updatePaddlePosition', message);
+}
+
+// left and right are { position, rotation } poses (or missing)
+function sendControllers(client, left, right) {
+    const message = client.controllerEncoder.encode({ left, right });
+    if (message) client.emit('updateControllerData', message);
+}
+
+// Resolves with true if the event arrives within the window, false otherwise
+function arrives(client, event, window = 300) {
+    return once(client, event, window).then(() => true, () => false);
+}
+
+async function waitFor(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// Resolves with the first room list matching the predicate. The server also resends
+// the list periodically, so tests wait for the state they expect rather than the next list.
+function roomListWhere(client, predicate, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            client.off('roomList', listener);
+            reject(new Error('Timed out waiting for room list'));
+        }, timeout);
+        const listener = ({ rooms }) => {
+            if (!predicate(rooms)) return;
+            clearTimeout(timer);
+            client.off('roomList', listener);
+            resolve(rooms);
+        };
+        client.on('roomList', listener);
+    });
+}
+
+// A host with a guest in their room. sessions holds each player's seat token.
+// auth optionally holds each player's handshake data, e.g. { host: { playerId } }.
+async function createRoom(ruleset = 'classic', auth = {}) {
+    const host = await connect(auth.host);
+    const guest = await connect(auth.guest);
+
+    const hostSession = once(host, 'sessionToken');
+    host.emit('hostGame', { ruleset });
+    const hosted = await once(host, 'gameHosted');
+
+    const hostJoined = once(host, 'playerJoined');
+    const guestSession = once(guest, 'sessionToken');
+    guest.emit('quickJoin');
+    const joined = await once(guest, 'playerJoined');
+    await hostJoined;
+
+    const sessions = { host: await hostSession, guest: await guestSession };
+    return { host, guest, roomId: hosted.roomId, joined, sessions };
+}
+
+test('hosting creates a room with the chosen ruleset, and hosting again returns it', async () => {
+    const host = await connect();
+
+    host.emit('hostGame', { ruleset: 'tableTennis' });
+    const hosted = await once(host, 'gameHosted');
+    assert.match(hosted.roomId, /^[A-HJ-NP-Z2-9]{6}$/);
+    assert.equal(hosted.ruleset, 'tableTennis');
+    assert.equal(gameServer.gameRooms[hosted.roomId].host, host.id);
+
+    host.emit('hostGame', { ruleset: 'classic' });
+    const again = await once(host, 'gameHosted');
+    assert.deepEqual(again, hosted);
+    assert.equal(Object.keys(gameServer.gameRooms).length, 1);
+});
+
+test('unknown rulesets fall back to classic', async () => {
+    const host = await connect();
+    host.emit('hostGame', { ruleset: 'croquet' });
+    const hosted = await once(host, 'gameHosted');
+    assert.equal(hosted.ruleset, 'classic');
+});
+
+test('quick join without open rooms reports noGamesAvailable', async () => {
+    const guest = await connect();
+    guest.emit('quickJoin');
+    await once(guest, 'noGamesAvailable');
+});
+
+test('quick join puts the guest in an open room and tells both players', async () => {
+    const { host, guest, roomId, joined } = await createRoom('tableTennis');
+
+    assert.equal(joined.roomId, roomId);
+    assert.equal(joined.hostId, host.id);
+    assert.equal(joined.guestId, guest.id);
+    assert.equal(joined.ruleset, 'tableTennis');
+    assert.equal(gameServer.gameRooms[roomId].guest, guest.id);
+
+    // A full room is not offered to a third player
+    const third = await connect();
+    third.emit('quickJoin');
+    await once(third, 'noGamesAvailable');
+});
+
+test('rooms can be joined by their code, and private rooms only that way', async () => {
+    const host = await connect();
+    host.emit('hostGame', { ruleset: 'classic', private: true });
+    const hosted = await once(host, 'gameHosted');
+    assert.equal(hosted.isPrivate, true);
+
+    const quick = await connect();
+    quick.emit('quickJoin');
+    await once(quick, 'noGamesAvailable');
+
+    // Codes are case-insensitive and may be typed with a dash
+    const guest = await connect();
+    const code = hosted.roomId.toLowerCase();
+    guest.emit('joinRoom', { code: `${code.slice(0, 3)}-${code.slice(3)}` });
+    const joined = await once(guest, 'playerJoined');
+    assert.equal(joined.roomId, hosted.roomId);
+    assert.equal(gameServer.gameRooms[hosted.roomId].guest, guest.id);
+
+    quick.emit('joinRoom', { code: hosted.roomId });
+    assert.match((await once(quick, 'errorMessage')).message, /already full/);
+});
+
+test('joining by code reports unknown codes and refuses hosts', async () => {
+    const guest = await connect();
+    guest.emit('joinRoom', { code: 'ZZZZZZ' });
+    assert.match((await once(guest, 'errorMessage')).message, /Room not found/);
+    // Malformed requests are dropped without an answer
+    guest.emit('joinRoom', { code: 42 });
+    assert.equal(await arrives(guest, 'errorMessage'), false);
+
+    const host = await connect();
+    host.emit('hostGame');
+    const hosted = await once(host, 'gameHosted');
+    host.emit('joinRoom', { code: hosted.roomId });
+    assert.match((await once(host, 'errorMessage')).message, /already hosting/);
+});
+
+test('lobby watchers get a live list of public rooms with host, rules and status', async () => {
+    const watcher = await connect();
+    watcher.emit('watchLobby');
+    assert.deepEqual((await once(watcher, 'roomList')).rooms, []);
+
+    const host = await connect();
+    host.emit('hostGame', { ruleset: 'tableTennis', name: 'Ada <script>' });
+    const hosted = await once(host, 'gameHosted');
+    let list = await roomListWhere(watcher, rooms => rooms.length > 0);
+    assert.equal(list.length, 1);
+    assert.equal(list[0].roomId, hosted.roomId);
+    assert.equal(list[0].hostName, 'Ada script');
+    assert.equal(list[0].ruleset, 'tableTennis');
+    assert.equal(list[0].status, 'waiting');
+
+    // Private rooms are not listed
+    const privateHost = await connect();
+    privateHost.emit('hostGame', { private: true });
+    await once(privateHost, 'gameHosted');
+
+    const guest = await connect();
+    const listed = roomListWhere(watcher, rooms => rooms[0].status !== 'waiting');
+    guest.emit('joinRoom', { code: hosted.roomId });
+    list = await listed;
+    assert.deepEqual(list.map(room => room.status), ['full']);
+
+    const started = roomListWhere(watcher, rooms => rooms[0].status !== 'full');
+    host.emit('startGame', { roomId: hosted.roomId });
+    assert.equal((await started)[0].status, 'inProgress');
+
+    // No more updates after leaving the lobby
+    watcher.emit('leaveLobby');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    guest.disconnect();
+    assert.equal(await arrives(watcher, 'roomList'), false);
+});
+
+test('the room list reports the host\'s measured ping', async () => {
+    const host = await connect();
+    host.on('latencyCheck', (ack) => ack());
+    host.emit('hostGame', { name: 'Grace' });
+    await once(host, 'gameHosted');
+
+    const watcher = await connect();
+    watcher.emit('watchLobby');
+    const [room] = await roomListWhere(watcher, rooms => rooms[0].ping !== null);
+
+    assert.equal(room.hostName, 'Grace');
+    assert.equal(typeof room.ping, 'number');
+    assert.ok(room.ping >= 0);
+});
+
+test('matchmaking pairs queued players of similar rating into a room', async () => {
+    gameServer.ratingStore.players['strong'] = { rating: 2000, games: 40, wins: 35, losses: 5 };
+
+    const first = await connect({ playerId: 'first' });
+    const strong = await connect({ playerId: 'strong' });
+    first.emit('joinQueue', { ruleset: 'tableTennis' });
+    strong.emit('joinQueue', { ruleset: 'tableTennis' });
+
+    // 800 points apart: far outside the starting gap, so both keep waiting
+    let status;
+    do {
+        status = await once(first, 'queueStatus');
+    } while (status.queueSize < 2);
+    assert.equal(status.rating, 1200);
+    assert.equal(status.ruleset, 'tableTennis');
+    assert.equal(status.queueSize, 2);
+    assert.ok(status.estimatedWait > 10);
+
+    // A close rating is matched straight away, the longer waiter hosting
+    const second = await connect({ playerId: 'second' });
+    const firstMatched = once(first, 'matchFound');
+    const hosted = once(first, 'gameHosted');
+    const matched = once(second, 'matchFound');
+    const seated = once(second, 'playerJoined');
+    second.emit('joinQueue', { ruleset: 'tableTennis' });
+    const [match, joined] = await Promise.all([matched, seated]);
+
+    assert.equal(match.roomId, joined.roomId);
+    assert.equal((await firstMatched).opponentRating, 1200);
+    assert.equal((await hosted).matchmade, true);
+    assert.equal(joined.hostId, first.id);
+    assert.equal(joined.ruleset, 'tableTennis');
+
+    strong.emit('leaveQueue');
+    await once(strong, 'queueLeft');
+    assert.equal(await arrives(strong, 'queueStatus', 1200), false);
+});
+
+test('a host cannot quick join another room', async () => {
+    const host = await connect();
+    host.emit('hostGame');
+    await once(host, 'gameHosted');
+
+    host.emit('quickJoin');
+    const error = await once(host, 'errorMessage');
+    assert.match(error.message, /already hosting/);
+});
+
+test('only the host can start, and only with a guest', async () => {
+    const lonelyHost = await connect();
+    lonelyHost.emit('hostGame');
+    const lonelyRoom = await once(lonelyHost, 'gameHosted');
+    lonelyHost.emit('startGame', { roomId: lonelyRoom.roomId });
+    assert.match((await once(lonelyHost, 'errorMessage')).message, /without an opponent/);
+    lonelyHost.disconnect();
+    await waitFor(() => !gameServer.gameRooms[lonelyRoom.roomId]);
+
+    const { host, guest, roomId } = await createRoom();
+    guest.emit('startGame', { roomId });
+    assert.match((await once(guest, 'errorMessage')).message, /Only the host/);
+    assert.equal(gameServer.gameRooms[roomId].simulationInterval, undefined);
+
+    host.emit('startGame', { roomId: 'NOROOM' });
+    assert.match((await once(host, 'errorMessage')).message, /not found/);
+});
+
+test('starting a game runs the simulation and streams snapshots to both players', async () => {
+    const { host, guest, roomId } = await createRoom();
+
+    const hostStarted = once(host, 'gameStarted');
+    const guestStarted = once(guest, 'gameStarted');
+    host.emit('startGame', { roomId });
+    await Promise.all([hostStarted, guestStarted]);
+
+    const [hostSnapshot, guestSnapshot] = await Promise.all([
+        nextSnapshot(host),
+        nextSnapshot(guest)
+    ]);
+    assert.ok(hostSnapshot.ball && hostSnapshot.hostPaddle && hostSnapshot.guestPaddle);
+    assert.equal(typeof guestSnapshot.tick, 'number');
+    assert.ok(gameServer.gameRooms[roomId].simulation);
+});
+
+test('paddle input is taken from the socket\'s seat, mirrored for the guest and clamped', async () => {
+    const { host, guest, roomId } = await createRoom();
+    host.emit('startGame', { roomId });
+    await once(guest, 'gameStarted');
+
+    // The message carries no seat; the guest's input is mirrored
+    sendPaddle(guest, 0.3);
+    sendPaddle(host, 5);
+    await waitFor(() => gameServer.gameRooms[roomId].gameData.guestPaddlePosition.x === -0.3);
+
+    const snapshot = await nextSnapshot(host);
+    assert.equal(snapshot.guestPaddle.x, -0.3);
+    assert.equal(snapshot.hostPaddle.x, 0.6);
+
+    // Garbage input is dropped
+    host.emit('updatePaddlePosition', { x: 'left' });
+    host.emit('updatePaddlePosition', null);
+    // A keyframe cut off before its fields
+    host.emit('updatePaddlePosition', Buffer.from([Protocol.PROTOCOL_VERSION, 1, 0, 1, 0, 0, 0, 0, 0, 1]));
+    const next = await nextSnapshot(host);
+    assert.equal(next.hostPaddle.x, 0.6);
+});
+
+test('doubles rooms seat four players in two teams and keep each paddle in its lane', async () => {
+    const host = await connect();
+    host.emit('hostGame', { mode: 'doubles' });
+    const hosted = await once(host, 'gameHosted');
+    assert.equal(hosted.mode, 'doubles');
+    const roomId = hosted.roomId;
+
+    const players = [];
+    for (let i = 0; i < 3; i++) {
+        const player = await connect();
+        player.emit('joinRoom', { code: roomId });
+        const joined = await once(player, 'playerJoined');
+        players.push(player);
+        if (i === 0) {
+            // Two of four seats taken: still waiting
+            host.emit('startGame', { roomId });
+            assert.match((await once(host, 'errorMessage')).message, /all four players/);
+        }
+        if (i === 2) {
+            assert.deepEqual(Object.keys(joined.seats), ['host', 'guest', 'hostPartner', 'guestPartner']);
+        }
+    }
+    const [guest, hostPartner, guestPartner] = players;
+    const room = gameServer.gameRooms[roomId];
+    assert.equal(room.guest, guest.id);
+    assert.equal(room.hostPartner, hostPartner.id);
+    assert.equal(room.guestPartner, guestPartner.id);
+
+    const extra = await connect();
+    extra.emit('joinRoom', { code: roomId });
+    assert.match((await once(extra, 'errorMessage')).message, /full/);
+
+    host.emit('startGame', { roomId });
+    await once(guestPartner, 'gameStarted');
+
+    // Partners can't cross far into each other's lane; the guest's team is mirrored
+    sendPaddle(hostPartner, -0.5);
+    sendPaddle(guestPartner, 0.5);
+    sendPaddle(host, 0.5);
+    await waitFor(() => room.gameData.hostPaddlePosition.x === 0.05);
+
+    const snapshot = await nextSnapshot(guest);
+    assert.equal(snapshot.hostPaddle.x, 0.05);
+    assert.equal(snapshot.hostPartnerPaddle.x, -0.05);
+    assert.equal(snapshot.guestPartnerPaddle.x, -0.05);
+    assert.ok(snapshot.guestPaddle);
+});
+
+test('clients cannot push ball, score or collision state', async () => {
+    const { host, guest, roomId } = await createRoom();
+    host.emit('startGame', { roomId });
+    await once(host, 'scoreUpdated');
+
+    guest.emit('updateBallPosition', { position: { x: 0, y: 0.9, z: 0.5 } });
+    guest.emit('updateScore', { hostScore: 0, guestScore: 10 });
+    guest.emit('collisionEvent', { type: 'goal', isHost: false });
+
+    assert.equal(await arrives(host, 'scoreUpdated'), false);
+    assert.equal(gameServer.gameRooms[roomId].gameData.guestScore, 0);
+});
+
+test('rooms only accept commands from their players, and repeat offenders are kicked', async () => {
+    const { host, roomId } = await createRoom();
+    const outsider = await connect();
+
+    outsider.emit('startGame', { roomId });
+    assert.equal(await arrives(host, 'gameStarted'), false);
+
+    // Junk of every kind counts against the sender until it is disconnected
+    const kicked = once(outsider, 'kicked');
+    const disconnected = once(outsider, 'disconnect');
+    outsider.emit('updateScore', { hostScore: 0, guestScore: 10 });
+    outsider.emit('joinRoom', { code: roomId, isHost: true });
+    for (let i = 0; i < 10; i++) {
+        outsider.emit('updatePaddlePosition', { x: i });
+    }
+    assert.match((await kicked).reason, /invalid/);
+    assert.equal(await disconnected, 'io server disconnect');
+    assert.equal(gameServer.gameRooms[roomId].guest !== outsider.id, true);
+});
+
+test('paddle moves out of bounds or too fast are clamped and count towards a kick', async () => {
+    const { host, guest, roomId } = await createRoom('tableTennis');
+    host.emit('startGame', { roomId });
+    await once(guest, 'gameStarted');
+
+    const kicked = once(guest, 'kicked');
+    for (let i = 0; i < 10; i++) {
+        sendPaddle(guest, i % 2 === 0 ? 20 : -20);
+    }
+    assert.match((await kicked).reason, /invalid/);
+    const { guestPaddlePosition } = gameServer.gameRooms[roomId].gameData;
+    assert.ok(Math.abs(guestPaddlePosition.x) <= 0.9, 'the moves were still clamped');
+});
+
+test('paddle and controller input from players without a seat counts towards a kick', async () => {
+    const outsider = await connect();
+    const kicked = once(outsider, 'kicked');
+    for (let i = 0; i < 5; i++) {
+        sendPaddle(outsider, i / 10);
+        sendControllers(outsider, { position: { x: i, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } });
+    }
+    assert.match((await kicked).reason, /invalid/);
+});
+
+test('a kicked player\'s seat is not held for them', async () => {
+    const { host, guest, roomId } = await createRoom();
+    host.emit('startGame', { roomId });
+    await once(host, 'gameStarted');
+
+    const replaced = once(host, 'aiJoined');
+    for (let i = 0; i < 10; i++) {
+        guest.emit('collisionEvent', { type: 'goal' });
+    }
+    assert.deepEqual(await replaced, { seats: ['guest'], reason: 'disconnect' });
+    assert.equal(gameServer.gameRooms[roomId].sessions.guest, undefined);
+});
+
+test('a kicked guest in a room waiting to start does not close it', async () => {
+    const { host, guest, roomId } = await createRoom();
+
+    const left = once(host, 'playerLeft');
+    for (let i = 0; i < 10; i++) {
+        guest.emit('collisionEvent', { type: 'goal' });
+    }
+    assert.equal((await left).seat, 'guest');
+    assert.ok(gameServer.gameRooms[roomId]);
+    assert.equal(gameServer.gameRooms[roomId].guest, null);
+});
+
+test('controller data is relayed to the other player only', async () => {
+    const { host, guest, roomId } = await createRoom();
+    const pose = { position: { x: 0, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } };
+
+    const echoed = arrives(host, 'remoteControllerData');
+    sendControllers(host, pose, pose);
+    const relayed = await once(guest.decoded, 'remoteControllerData');
+
+    assert.deepEqual(relayed.message.left, pose);
+    assert.equal(relayed.stream, 0, 'the host\'s stream');
+    assert.equal(await echoed, false);
+});
+
+test('WebRTC signaling is passed between the two players only', async () => {
+    const { host, guest, roomId } = await createRoom();
+    const spectator = await connect();
+    spectator.emit('spectateRoom', { code: roomId });
+    await once(spectator, 'spectating');
+
+    const offer = { description: { type: 'offer', sdp: 'v=0\r\n' } };
+    host.emit('rtcOffer', offer);
+    assert.deepEqual(await once(guest, 'rtcOffer'), offer);
+
+    const candidate = { candidate: { candidate: 'candidate:1 1 udp 1 10.0.0.1 9 typ host', sdpMid: '0', sdpMLineIndex: 0 } };
+    guest.emit('rtcIceCandidate', candidate);
+    assert.deepEqual(await once(host, 'rtcIceCandidate'), candidate);
+
+    // Malformed and oversized descriptions are dropped, and nobody else hears any of it
+    const dropped = arrives(host, 'rtcAnswer');
+    guest.emit('rtcAnswer', { description: { type: 'offer', sdp: 'v=0' } });
+    guest.emit('rtcAnswer', { description: { type: 'answer', sdp: 'x'.repeat(30000) } });
+    spectator.emit('rtcOffer', offer);
+    assert.equal(await dropped, false);
+    assert.equal(await arrives(guest, 'rtcOffer'), false);
+});
+
+test('spectators watch a room read-only and players see how many are watching', async () => {
+    const { host, guest, roomId } = await createRoom();
+    const spectator = await connect();
+
+    const counted = once(host, 'spectatorCount');
+    spectator.emit('spectateRoom', { code: roomId.toLowerCase() });
+    const watching = await once(spectator, 'spectating');
+    assert.equal(watching.roomId, roomId);
+    assert.equal(watching.spectators, 1);
+    assert.equal(watching.isPlaying, false);
+    assert.deepEqual(await counted, { count: 1 });
+
+    const started = once(spectator, 'gameStarted');
+    const scored = once(spectator, 'scoreUpdated');
+    host.emit('startGame', { roomId });
+    await Promise.all([started, scored, nextSnapshot(spectator)]);
+
+    // Spectator input is ignored
+    sendPaddle(spectator, 0.4);
+    sendControllers(spectator, { position: { x: 0, y: 1, z: 0 } });
+    assert.equal(await arrives(host, 'remoteControllerData'), false);
+    assert.equal(gameServer.gameRooms[roomId].gameData.hostPaddlePosition.x, 0);
+    assert.equal(gameServer.gameRooms[roomId].gameData.guestPaddlePosition.x, 0);
+
+    // Both players' controllers reach the spectator, labelled by seat rather than by claim
+    const pose = { position: { x: 0, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0, w: 1 } };
+    const relayed = once(spectator.decoded, 'remoteControllerData');
+    sendControllers(guest, pose);
+    assert.equal((await relayed).stream, 1, 'the guest\'s stream');
+
+    const uncounted = once(guest, 'spectatorCount');
+    spectator.emit('stopSpectating');
+    await once(spectator, 'spectatingStopped');
+    assert.deepEqual(await uncounted, { count: 0 });
+    assert.equal(await arrives(spectator, 'stateSnapshot'), false);
+});
+
+test('spectating reports unknown rooms and refuses players', async () => {
+    const { host, roomId } = await createRoom();
+    const spectator = await connect();
+
+    spectator.emit('spectateRoom', { code: 'ZZZZZZ' });
+    assert.match((await once(spectator, 'errorMessage')).message, /not found/);
+
+    host.emit('spectateRoom', { code: roomId });
+    assert.match((await once(host, 'errorMessage')).message, /Leave your game/);
+    assert.deepEqual(gameServer.gameRooms[roomId].spectators, []);
+});
+
+test('spectators are told when the host leaves the room they watch', async () => {
+    const { host, roomId } = await createRoom();
+    const spectator = await connect();
+    spectator.emit('spectateRoom', { code: roomId });
+    await once(spectator, 'spectating');
+
+    const closed = once(spectator, 'roomClosed');
+    host.disconnect();
+    assert.deepEqual(await closed, { roomId });
+
+    // The spectator is free to watch or play elsewhere
+    spectator.emit('hostGame');
+    await once(spectator, 'gameHosted');
+});
+
+test('a dropped player reclaims their seat with the session token and the match resumes', async () => {
+    const { host, guest, roomId, sessions } = await createRoom();
+    assert.equal(sessions.guest.roomId, roomId);
+    host.emit('startGame', { roomId });
+    await once(host, 'gameStarted');
+    gameServer.gameRooms[roomId].gameData.hostScore = 2;
+
+    const paused = once(host, 'matchPaused');
+    guest.disconnect();
+    assert.equal((await paused).seat, 'guest');
+    assert.equal(await arrives(host, 'stateSnapshot'), false, 'play is paused');
+    assert.ok(gameServer.gameRooms[roomId], 'the room is held');
+
+    const returning = await connect();
+    const resuming = once(host, 'matchResuming');
+    const resumed = once(host, 'matchResumed');
+    returning.emit('resumeSession', sessions.guest);
+    const session = await once(returning, 'sessionResumed');
+    assert.equal(session.isHost, false);
+    assert.equal(session.hostScore, 2);
+    assert.equal(gameServer.gameRooms[roomId].guest, returning.id);
+
+    assert.equal((await resuming).delay, 100);
+    await resumed;
+    await nextSnapshot(returning);
+    assert.equal(gameServer.gameRooms[roomId].gameData.hostScore, 2, 'the score was kept');
+});
+
+test('seats cannot be reclaimed with a wrong token or after the grace period', async () => {
+    const { host, guest, roomId, sessions } = await createRoom();
+    host.emit('startGame', { roomId });
+    await once(host, 'gameStarted');
+    guest.disconnect();
+    await once(host, 'matchPaused');
+
+    const impostor = await connect();
+    impostor.emit('resumeSession', { roomId, token: sessions.host.token.replace(/./, 'x') });
+    await once(impostor, 'sessionExpired');
+
+    await once(host, 'aiJoined');
+    impostor.emit('resumeSession', sessions.guest);
+    await once(impostor, 'sessionExpired');
+});
+
+test('a guest leaving before the match starts frees their seat and the room stays open', async () => {
+    const { host, guest, roomId, sessions } = await createRoom();
+
+    const left = once(host, 'playerLeft');
+    guest.disconnect();
+    const data = await left;
+    assert.equal(data.seat, 'guest');
+    assert.deepEqual(data.seats, { host: host.id, guest: null });
+    assert.equal(await arrives(host, 'matchPaused'), false, 'no seat is held');
+
+    const room = gameServer.gameRooms[roomId];
+    assert.equal(room.guest, null);
+    assert.equal(room.sessions.guest, undefined);
+    const returning = await connect();
+    returning.emit('resumeSession', sessions.guest);
+    await once(returning, 'sessionExpired');
+
+    // Someone else can take the seat and the host can start
+    const newcomer = await connect();
+    newcomer.emit('quickJoin');
+    assert.equal((await once(newcomer, 'playerJoined')).roomId, roomId);
+    host.emit('startGame', { roomId });
+    await once(newcomer, 'gameStarted');
+});
+
+test('a guest who does not return mid-match is replaced by the AI', async () => {
+    const { host, guest, roomId } = await createRoom();
+    host.emit('startGame', { roomId });
+    await once(host, 'gameStarted');
+
+    const replaced = once(host, 'aiJoined');
+    guest.disconnect();
+    await once(host, 'matchPaused');
+    assert.deepEqual(await replaced, { seats: ['guest'], reason: 'disconnect' });
+    await once(host, 'matchResumed');
+
+    // The match carries on and the seat is open to new players
+    const room = gameServer.gameRooms[roomId];
+    assert.equal(room.guest, null);
+    assert.equal(room.bots.guest, 'medium');
+    await nextSnapshot(host);
+    const newcomer = await connect();
+    newcomer.emit('quickJoin');
+    assert.equal((await once(newcomer, 'playerJoined')).roomId, roomId);
+});
+
+test('a host who does not return mid-match closes the room', async () => {
+    const { host, guest, roomId } = await createRoom();
+    host.emit('startGame', { roomId });
+    await once(guest, 'gameStarted');
+
+    const closed = once(guest, 'opponentDisconnected');
+    host.disconnect();
+    await once(guest, 'matchPaused');
+    assert.deepEqual(await closed, { seat: 'host' });
+    assert.equal(gameServer.gameRooms[roomId], undefined);
+
+    // Nobody is left in a room without a host
+    guest.emit('quickJoin');
+    await once(guest, 'noGamesAvailable');
+});
+
+test('the host can start against the AI, and a joining player takes over at the next point', async () => {
+    const host = await connect();
+    host.emit('hostGame');
+    const { roomId } = await once(host, 'gameHosted');
+
+    const aiJoined = once(host, 'aiJoined');
+    host.emit('startGame', { roomId, fillWithAI: true });
+    await once(host, 'gameStarted');
+    assert.deepEqual(await aiJoined, { seats: ['guest'], reason: 'start' });
+    assert.ok((await nextSnapshot(host)).guestPaddle);
+
+    const guest = await connect();
+    const started = once(guest, 'gameStarted');
+    guest.emit('quickJoin');
+    const joined = await once(guest, 'playerJoined');
+    assert.deepEqual(joined.aiSeats, ['guest']);
+    assert.equal(joined.isPlaying, true);
+    await started;
+
+    // The AI keeps the paddle until the point ends
+    const room = gameServer.gameRooms[roomId];
+    sendPaddle(guest, 0.3);
+    await nextSnapshot(host);
+    assert.equal(room.bots.guest, 'medium');
+
+    await waitFor(() => room.simulation.phase === 'playing');
+    const handover = once(guest, 'aiHandover');
+    room.simulation.ball.position.z = 1; // Past the host's end: the point is over
+    assert.deepEqual(await handover, { seat: 'guest' });
+    assert.deepEqual(room.bots, {});
+
+    // Like the browser, resend the whole paddle now that it is ours
+    guest.paddleEncoder.reset();
+    sendPaddle(guest, 0.3);
+    await waitFor(() => room.gameData.guestPaddlePosition.x === -0.3);
+});
+
+test('player profiles reach the room, its spectators and the lobby, and so do changes', async () => {
+    const { host, guest, roomId, joined } = await createRoom('classic', {
+        host: { profile: { name: 'Ada<script>', color: '#ff3344', avatar: 'robot' } },
+        guest: { profile: { name: '', color: 'plaid', avatar: 'dragon' } }
+    });
+
+    assert.deepEqual(joined.profiles.host, { name: 'Adascript', color: '#ff3344', avatar: 'robot' });
+    assert.equal(joined.profiles.guest.name, `Player ${guest.id.slice(0, 4).toUpperCase()}`);
+    assert.equal(joined.profiles.guest.color, '#0088ff', 'unknown colors and avatars fall back to the defaults');
+    assert.equal(joined.profiles.guest.avatar, 'paddle');
+
+    const viewer = await connect();
+    viewer.emit('spectateRoom', { code: roomId });
+    const spectating = await once(viewer, 'spectating');
+    assert.equal(spectating.hostName, 'Adascript');
+    assert.equal(spectating.profiles.guest.name, joined.profiles.guest.name);
+
+    const updated = once(host, 'profileUpdated');
+    const lobby = await connect();
+    lobby.emit('watchLobby');
+    guest.emit('updateProfile', { name: 'Grace', avatar: 'fox' });
+    assert.deepEqual(await updated, { seat: 'guest', profile: { name: 'Grace', color: '#0088ff', avatar: 'fox' } });
+
+    host.emit('updateProfile', { name: 'Ada' });
+    const rooms = await roomListWhere(lobby, list => list.some(room => room.roomId === roomId && room.hostName === 'Ada'));
+    assert.equal(rooms.find(room => room.roomId === roomId).hostAvatar, 'robot');
+});
+
+test('classic matches end when time is up, and finished matches are kept in the history', async () => {
+    const { host, guest, roomId } = await createRoom('classic', {
+        host: { playerId: 'history-host' },
+        guest: { playerId: 'history-guest', profile: { name: 'Grace', avatar: 'fox' } }
+    });
+    host.emit('startGame', { roomId });
+    await once(guest, 'gameStarted');
+
+    // Skip to the end of the match clock
+    const room = gameServer.gameRooms[roomId];
+    room.simulation.score = { near: 3, far: 1 };
+    room.gameData.hostScore = 3;
+    room.gameData.guestScore = 1;
+    room.simulation.time = 180 * 1000 - 1;
+    const ended = await once(guest, 'matchEnded');
+
+    assert.equal(ended.winner, 'host');
+    assert.deepEqual(ended.summary.score, { host: 3, guest: 1 });
+    assert.equal(ended.summary.ruleset, 'classic');
+    assert.equal(ended.summary.duration, 180);
+    assert.equal(typeof ended.summary.longestRally, 'number');
+    assert.equal(typeof ended.summary.fastestReturn.host, 'number');
+    assert.deepEqual(ended.summary.players.guest, { name: 'Grace', avatar: 'fox', ai: null });
+    assert.equal(ended.summary.players.host.playerId, undefined, 'player ids stay on the server');
+
+    const [recorded] = gameServer.matchHistory.getRecent(1);
+    assert.equal(recorded.id, ended.summary.id);
+    assert.equal(recorded.players.guest.playerId, 'history-guest');
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'matches.json'), 'utf8'));
+    assert.ok(saved.matches.some(match => match.id === ended.summary.id));
+    await waitFor(() => gameServer.ratingStore.get('history-host').wins === 1);
+});
+
+test('hosts pick the room\'s match rules, and a tie when time runs out can go to sudden death', async () => {
+    const host = await connect();
+    const guest = await connect();
+    host.emit('hostGame', { ruleset: 'classic', matchRules: { timeLimit: 60, suddenDeath: true, bestOf: 'many' } });
+    const hosted = await once(host, 'gameHosted');
+    const rules = { timeLimit: 60, pointTarget: null, winByTwo: false, bestOf: 1, suddenDeath: true };
+    assert.deepEqual(hosted.matchRules, rules);
+
+    guest.emit('quickJoin');
+    assert.deepEqual((await once(guest, 'playerJoined')).matchRules, rules);
+    const started = once(guest, 'gameStarted');
+    host.emit('startGame', { roomId: hosted.roomId });
+    assert.deepEqual((await started).matchRules, rules);
+
+    // The match clock is simulated time: counting more ticks does not end it
+    const room = gameServer.gameRooms[hosted.roomId];
+    room.tick = 60 * 60 * 2;
+    assert.equal(await arrives(guest, 'overtime'), false);
+
+    // Level when the clock runs out
+    const overtime = once(guest, 'overtime');
+    room.simulation.time = 60 * 1000 - 1;
+    await overtime;
+    assert.equal(room.simulation.overtime, true);
+    assert.ok(room.simulationInterval, 'play goes on until the next point');
+});
+
+test('stored player data is never served', async () => {
+    const status = async (route) => (await fetch(`${url}${route}`)).status;
+    assert.equal(await status('/data/ratings.json'), 404);
+    assert.equal(await status('/Data/ratings.json'), 404);
+    assert.equal(await status('/data%2Fratings.json'), 404);
+    assert.equal(await status('/data/matches.json'), 404);
+    assert.equal(await status('/data/leaderboards.json'), 404);
+    assert.equal(await status('/index.html'), 200);
+});
+
+test('the leaderboard API takes checked single player results and serves the boards', async () => {
+    const post = (route, body) => fetch(`${url}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const getTicket = async () => (await (await post('/api/leaderboards/tickets', { playerId: 'solo-player' })).json()).ticket;
+    const result = {
+        mode: 'single',
+        ruleset: 'classic',
+        matchRules: { pointTarget: 5 },
+        difficulty: 'expert',
+        won: true,
+        ownScore: 5,
+        opponentScore: 2,
+        ownGames: 1,
+        opponentGames: 0,
+        points: 7,
+        duration: 3,
+        longestRally: 4,
+        ownHits: 6,
+        opponentHits: 5,
+        fastestReturn: 2.5
+    };
+    const submit = (ticket, changes = {}) => post('/api/leaderboards', {
+        ticket,
+        playerId: 'solo-player',
+        profile: { name: 'Solo', avatar: 'robot' },
+        result: { ...result, ...changes }
+    });
+
+    assert.equal((await post('/api/leaderboards/tickets', {})).status, 400);
+    const ticket = await getTicket();
+    const rejected = await submit(ticket, { won: false });
+    assert.equal(rejected.status, 400);
+    assert.match((await rejected.json()).error, /outcome/);
+    assert.equal((await submit(ticket)).status, 400, 'a ticket is used up by its submission');
+
+    const accepted = await submit(await getTicket());
+    assert.equal(accepted.status, 200);
+    assert.ok((await accepted.json()).records.includes('margin:expert'));
+
+    const board = await (await fetch(`${url}/api/leaderboards/margin:expert`)).json();
+    assert.deepEqual(board.entries.map(({ rank, name, avatar, value }) => ({ rank, name, avatar, value })),
+        [{ rank: 1, name: 'Solo', avatar: 'robot', value: 3 }]);
+    assert.equal((await fetch(`${url}/api/leaderboards/nonsense`)).status, 404);
+
+    const all = await (await fetch(`${url}/api/leaderboards?limit=1`)).json();
+    const fastest = all.boards.find(entry => entry.board === 'fastestReturn:classic');
+    assert.equal(fastest.entries[0].value, 2.5);
+    assert.ok(all.boards.every(entry => entry.entries.length <= 1));
+
+    // Tickets are rate limited per address, whatever player id is sent
+    const statuses = [];
+    for (let i = 0; i < 10; i++) {
+        statuses.push((await post('/api/leaderboards/tickets', { playerId: `spammer-${i}` })).status);
+    }
+    assert.deepEqual(statuses.slice(0, 8), Array(8).fill(200), 'two were taken above');
+    assert.deepEqual(statuses.slice(8), [429, 429]);
+});
+
+test('a host disconnecting closes the room and tells the guest', async () => {
+    const { host, guest, roomId } = await createRoom();
+
+    const notified = once(guest, 'opponentDisconnected');
+    host.disconnect();
+    await notified;
+
+    await waitFor(() => !gameServer.gameRooms[roomId]);
+    guest.emit('quickJoin');
+    await once(guest, 'noGamesAvailable');
+});
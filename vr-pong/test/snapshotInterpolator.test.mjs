@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotInterpolator } from '../js/network/SnapshotInterpolator.mjs';
+import { TABLE } from '../js/sim/BallPhysics.mjs';
+
+// An interpolator on a clock the test moves by hand
+function createInterpolator(options = {}) {
+    const clock = { time: 0 };
+    const interpolator = new SnapshotInterpolator({ ...options, now: () => clock.time });
+    return { clock, interpolator };
+}
+
+function snapshot(time, ballX, velocityX = 0, paddleX = 0) {
+    return {
+        time,
+        ball: { position: { x: ballX, y: 0.9, z: -1 }, velocity: { x: velocityX, y: 0, z: 0 }, spin: 0 },
+        paddle: { x: paddleX, y: 0.9, z: -1.9 },
+        paddleQuaternion: null
+    };
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} is not ${expected}`);
+}
+
+test('remote state is interpolated between the snapshots around the render time', () => {
+    const { clock, interpolator } = createInterpolator({ interpolationDelay: 100 });
+    for (const [time, x] of [[1000, 0], [1050, 0.1], [1100, 0.3]]) {
+        clock.time = time;
+        interpolator.push(snapshot(time, x, 0, x * 2));
+    }
+
+    // 100ms behind the newest snapshot, halfway between the first two
+    clock.time = 1125;
+    const state = interpolator.sample();
+    assert.equal(state.extrapolated, false);
+    assertClose(state.ball.position.x, 0.05, 'ball');
+    assertClose(state.paddle.x, 0.1, 'paddle');
+
+    // Out-of-order snapshots are dropped
+    interpolator.push(snapshot(1075, 5));
+    assert.equal(interpolator.snapshots.length, 3);
+});
+
+test('past the newest snapshot the ball is extrapolated along its velocity, for a limited time', () => {
+    const { clock, interpolator } = createInterpolator({ interpolationDelay: 0, maxExtrapolation: 200 });
+    interpolator.push(snapshot(0, 0, 1));
+
+    clock.time = 100;
+    const state = interpolator.sample();
+    assert.equal(state.extrapolated, true);
+    assertClose(state.ball.position.x, 0.1, 'after 100ms');
+
+    clock.time = 500;
+    assertClose(interpolator.sample().ball.position.x, 0.2, 'held after the limit');
+});
+
+test('extrapolated balls bounce off the side walls', () => {
+    const { clock, interpolator } = createInterpolator({ interpolationDelay: 0 });
+    interpolator.push(snapshot(0, TABLE.halfWidth - 0.05, 1));
+
+    clock.time = 100;
+    const { ball } = interpolator.sample();
+    assertClose(ball.position.x, TABLE.halfWidth - 0.05, 'reflected back');
+    assert.equal(ball.velocity.x, -1);
+});
+
+test('a divergence from what was shown is blended out over the correction time', () => {
+    const { clock, interpolator } = createInterpolator({ interpolationDelay: 0, maxExtrapolation: 1000, correctionTime: 150 });
+    interpolator.push(snapshot(0, 0, 1));
+    interpolator.sample();
+    clock.time = 50;
+    assertClose(interpolator.sample().ball.position.x, 0.05, 'extrapolated');
+
+    // The server says the ball was hit back: no jump on screen
+    interpolator.push(snapshot(50, -0.2, -1));
+    clock.time = 60;
+    const shown = interpolator.sample().ball.position.x;
+    assert.ok(Math.abs(shown - 0.05) < 0.02, `the ball jumped to ${shown}`);
+
+    // Half the correction time later half the difference is left, then none
+    clock.time = 135;
+    assertClose(interpolator.sample().ball.position.x, -0.285 + 0.27 * (14 / 15) * 0.5, 'halfway');
+    clock.time = 285;
+    assertClose(interpolator.sample().ball.position.x, -0.435, 'blended out');
+});
+
+test('teleports such as serves are shown right away', () => {
+    const { clock, interpolator } = createInterpolator({ interpolationDelay: 0, teleportDistance: 0.75 });
+    interpolator.push(snapshot(0, -0.5));
+    interpolator.sample();
+
+    clock.time = 20;
+    interpolator.push(snapshot(20, 0.5));
+    assertClose(interpolator.sample().ball.position.x, 0.5, 'at the serve');
+});